@@ -0,0 +1,67 @@
+import { createInterface } from 'readline/promises';
+import { Writable } from 'stream';
+import { config } from './server/config.js';
+import { ROLES, UserStore } from './server/users.js';
+
+const USAGE = `Usage: npm run users -- <command>
+
+Commands:
+  list                                  List users and their roles
+  add <username> [--role <role>]        Add a user or reset their password (roles: ${ROLES.join(', ')})
+  remove <username>                     Remove a user
+  token <username>                      Create an access token for a user
+
+The password is read from WFM_PASSWORD or asked for on the terminal.
+Users are stored in ${config.usersFile}.`;
+
+async function askPassword() {
+    if (process.env.WFM_PASSWORD) return process.env.WFM_PASSWORD;
+
+    // Readline echoes what is typed to its output; this one lets only the prompt through
+    let muted = false;
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            if (!muted) process.stdout.write(chunk, encoding);
+            callback();
+        }
+    });
+    const rl = createInterface({ input: process.stdin, output, terminal: process.stdin.isTTY });
+    try {
+        const password = rl.question('Password: ');
+        muted = true;
+        return await password;
+    } finally {
+        rl.close();
+        process.stdout.write('\n');
+    }
+}
+
+const [command, username, ...options] = process.argv.slice(2);
+const roleIndex = options.indexOf('--role');
+const role = roleIndex >= 0 ? options[roleIndex + 1] : 'read-only';
+
+const users = await new UserStore(config.usersFile).load();
+
+try {
+    if (command === 'list') {
+        users.list().forEach(user => console.log(`${user.username}\t${user.role}`));
+    } else if (command === 'add' && username) {
+        await users.setUser(username, await askPassword(), role);
+        await users.save();
+        console.log(`Saved ${username} (${role})`);
+    } else if (command === 'remove' && username) {
+        if (!users.removeUser(username)) throw new Error(`Unknown user: ${username}`);
+        await users.save();
+        console.log(`Removed ${username}; open sessions last until they expire or the server restarts`);
+    } else if (command === 'token' && username) {
+        const token = users.createToken(username);
+        await users.save();
+        console.log(`Access token for ${username} (shown only once):\n${token}`);
+    } else {
+        console.log(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
@@ -1,33 +1,128 @@
 import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
-import { watch } from 'fs';
-import { readdir, stat, writeFile } from 'fs/promises';
-import { join, relative, resolve, parse, dirname } from 'path';
+import { createReadStream } from 'fs';
+import { lstat, open, readdir, readlink, stat } from 'fs/promises';
+import { join, resolve, dirname, relative, sep } from 'path';
+import { TreeCache } from './server/tree-cache.js';
+import { config } from './server/config.js';
+import { detectContent, parseRange, sniffMime, SAMPLE_SIZE } from './server/file-content.js';
+import { runOperation } from './server/file-ops.js';
+import { isWithin, resolveAllowed, resolveInside, resolveReal } from './server/paths.js';
+import { isAllowedOrigin } from './server/cors.js';
+import { errorStatus, httpError } from './server/errors.js';
+import { Trash } from './server/trash.js';
+import { History } from './server/history.js';
+import { UserStore } from './server/users.js';
+import { SessionStore, sessionCookie } from './server/sessions.js';
+import { GitStatus, fileBlame, fileDiff, fileLog } from './server/git.js';
+import { parseGlobList, searchContent } from './server/content-search.js';
+import { DuplicateScanner } from './server/duplicates.js';
+import { loadOwnerNames, statMetadata } from './server/metadata.js';
+import { RecentProjects } from './server/recent-projects.js';
+import { ProjectWatcher } from './server/watcher.js';
+import { ActivityLog, activityFromPatch, parseActivityQuery } from './server/activity.js';
+import { LIVE_ID, SnapshotStore } from './server/snapshots.js';
+import { compareDirectories, compareFiles, syncEntries } from './server/compare.js';
+import { projectKey, Workspace, WorkspaceStore } from './server/workspace.js';
 
 const app = express();
 const server = createServer(app);
-const wss = new WebSocketServer({ server });
+const users = await new UserStore(config.usersFile).load();
+const sessions = new SessionStore(config.sessionTtlMinutes * 60 * 1000);
 
-let projectRoot = resolve('../');
-let watcher = null;
+// WebSocket close code telling clients to sign in again
+const SESSION_CLOSED = 4001;
 
-// Store recent projects
-const RECENT_PROJECTS_FILE = '.recent_projects';
-let recentProjects = new Set();
+const wss = new WebSocketServer({
+    server,
+    verifyClient: ({ req }, done) => {
+        // Browsers do not apply CORS to WebSockets, so foreign pages are turned away here
+        if (!isAllowedOrigin(req.headers.origin, req.headers.host, config.allowedOrigins)) {
+            return done(false, 403, 'Origin not allowed');
+        }
 
-try {
-    const recentProjectsData = await readdir(RECENT_PROJECTS_FILE);
-    recentProjects = new Set(recentProjectsData);
-} catch (err) {
-    console.log('No recent projects file found');
+        const session = sessions.fromRequest(req);
+        if (!session) {
+            return done(false, 401, 'Not signed in');
+        }
+        req.session = session;
+        done(true);
+    }
+});
+
+if (users.list().length === 0) {
+    console.warn(`No users in ${config.usersFile}; add one with "npm run users -- add <name> --role read-write"`);
 }
 
-// CORS middleware
+// Start in the parent directory when it is allowed, otherwise in the first allowed root
+const initialRoot = config.allowedRoots.some(root => isWithin(root, resolve('../')))
+    ? resolve('../')
+    : config.allowedRoots[0];
+
+/**
+ * @typedef {Object} RootState
+ * @property {string} path - Absolute directory of the folder
+ * @property {TreeCache} treeCache - Cached tree of the folder, with its ignore rules
+ * @property {Trash} trash - Trash of the folder
+ * @property {GitStatus} gitStatus - Git status of the folder
+ * @property {ProjectWatcher | null} watcher - Watcher of the folder
+ * @property {ReturnType<typeof setTimeout> | undefined} gitRefreshTimer - Pending git status refresh
+ */
+
+/**
+ * @typedef {Object} ProjectState
+ * @property {Workspace} workspace - The folders, which locate and name the paths shown to clients
+ * @property {History} history - Recent file operations, for undo
+ * @property {DuplicateScanner} duplicates - Duplicate scan of the folders
+ * @property {ActivityLog} activity - Changes seen in the folders
+ * @property {SnapshotStore} snapshots - Snapshots of the folders
+ * @property {number} seq - Bumped by every patch and every tree sent whole, so clients can detect a missed patch
+ */
+
+// Workspace open in each session, by session id. Sessions start in the initial
+// project and switch on their own; other sessions keep what they have open.
+/** @type {Map<string, Workspace>} */
+const sessionWorkspaces = new Map();
+// Sets of folders open in some session, by workspace key. Sessions with the same
+// folders open share them, and the initial project stays open for new sessions.
+/** @type {Map<string, ProjectState>} */
+const projects = new Map();
+// Folders of the open projects, by directory
+/** @type {Map<string, RootState>} */
+const rootStates = new Map();
+const initialKey = projectKey([initialRoot]);
+
+// Batches of watcher events are applied one after the other
+let flushing = Promise.resolve();
+// Changed paths named in one fileChange message; the count covers the rest
+const MAX_REPORTED_CHANGES = 20;
+// Entries of .git whose changes can move the git status, for polling
+const GIT_STATUS_PATHS = ['.git', '.git/index', '.git/HEAD', '.git/refs'];
+
+// Git status is read again once the project has been quiet for this long
+const GIT_REFRESH_DELAY = 300;
+
+// Projects opened before; an unreadable file only costs the history
+const recentProjects = new RecentProjects(config.recentProjectsFile, { limit: config.recentProjectsLimit });
+await recentProjects.load().catch(err => console.error('Error loading recent projects:', err));
+// Workspaces saved under a name
+const workspaces = new WorkspaceStore(config.workspaceDir);
+
+// CORS middleware: only the server's own pages and the configured origins may use the API
 app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
+    const origin = req.headers.origin;
+    if (!isAllowedOrigin(origin, req.headers.host, config.allowedOrigins)) {
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+
+    if (origin) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Vary', 'Origin');
+    }
     res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Range');
+    res.header('Access-Control-Expose-Headers', 'Content-Range, X-File-Kind, X-File-Encoding, X-File-Size');
     if (req.method === 'OPTIONS') {
         return res.sendStatus(200);
     }
@@ -37,11 +132,81 @@ app.use((req, res, next) => {
 // Middleware
 app.use(express.json());
 
+// Sign in with a username and password, or with an access token
+app.post('/api/login', async (req, res) => {
+    try {
+        const { username, password, token } = req.body || {};
+        // Reload so users added while the server runs can sign in
+        await users.load();
+        const user = token
+            ? users.authenticateToken(token)
+            : await users.authenticate(username, password);
+
+        if (!user) {
+            console.warn(`Failed login for ${token ? 'a token' : username}`);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        const session = sessions.create(user);
+        res.set('Set-Cookie', sessionCookie(session));
+        console.log(`${user.username} signed in`);
+        res.json({ username: session.username, role: session.role, expires: session.expires });
+    } catch (err) {
+        console.error('Error signing in:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.post('/api/logout', (req, res) => {
+    const session = sessions.fromRequest(req);
+    if (session) {
+        sessions.destroy(session.id);
+        closeSessionSockets(session.id, 'Signed out');
+        endSession(session.id);
+    }
+    res.set('Set-Cookie', sessionCookie(null));
+    res.json({ success: true });
+});
+
+// Every other API route needs a session
+app.use('/api', (req, res, next) => {
+    const session = sessions.fromRequest(req);
+    if (!session) {
+        return res.status(401).json({ error: 'Not signed in' });
+    }
+    req.session = session;
+    next();
+});
+
+app.get('/api/session', (req, res) => {
+    const { username, role, expires } = req.session;
+    res.json({ username, role, expires });
+});
+
+/**
+ * Lets a request through only for users who may change files
+ */
+function requireWrite(req, res, next) {
+    if (req.session.role !== 'read-write') {
+        return res.status(403).json({ error: 'Read-only users cannot make changes' });
+    }
+    next();
+}
+
 // API Routes - Add these before static file serving
+// Lists the subdirectories of a directory inside the allowed roots. Without a
+// path, the allowed roots themselves are listed.
 app.get('/api/directories', async (req, res) => {
     try {
-        const path = req.query.path || '/';
-        const resolvedPath = resolve(path);
+        if (!req.query.path) {
+            return res.json({
+                current: '',
+                root: '',
+                items: config.allowedRoots.map(root => ({ name: root, path: root, isParent: false }))
+            });
+        }
+
+        const { path: resolvedPath, root } = await resolveAllowed(config.allowedRoots, req.query.path);
         
         console.log('Loading directories for path:', resolvedPath);
         
@@ -65,17 +230,16 @@ app.get('/api/directories', async (req, res) => {
             }
         }
         
-        // Add parent directory except for root
-        if (resolvedPath !== '/') {
-            directories.unshift({
-                name: '..',
-                path: dirname(resolvedPath),
-                isParent: true
-            });
-        }
+        // Add the parent directory; above an allowed root it leads back to the list of roots
+        directories.unshift({
+            name: '..',
+            path: resolvedPath === root ? '' : dirname(resolvedPath),
+            isParent: true
+        });
         
         const response = {
             current: resolvedPath,
+            root,
             items: directories
         };
         
@@ -83,69 +247,528 @@ app.get('/api/directories', async (req, res) => {
         res.json(response);
     } catch (err) {
         console.error('Error listing directories:', err);
-        res.status(500).json({ error: err.message });
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.get('/api/recent-projects', async (req, res) => {
+    try {
+        res.json(await listRecentProjects());
+    } catch (err) {
+        console.error('Error listing recent projects:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
     }
 });
 
-app.get('/api/recent-projects', (req, res) => {
-    console.log('Getting recent projects:', Array.from(recentProjects));
-    res.json(Array.from(recentProjects));
+// Changes to one entry of the recent projects list
+const recentProjectActions = {
+    pin: ({ path, pinned }) => recentProjects.pin(path, Boolean(pinned)),
+    rename: ({ path, name }) => recentProjects.rename(path, name),
+    remove: ({ path }) => recentProjects.remove(path)
+};
+
+app.post('/api/recent-projects/:action', requireWrite, async (req, res) => {
+    try {
+        if (!Object.hasOwn(recentProjectActions, req.params.action)) {
+            throw httpError(404, `Unknown action: ${req.params.action}`);
+        }
+        recentProjectActions[req.params.action](req.body);
+        await recentProjects.save();
+        res.json(await listRecentProjects());
+    } catch (err) {
+        console.error('Error updating recent projects:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
 });
 
-app.post('/api/set-project', async (req, res) => {
+app.post('/api/set-project', requireWrite, async (req, res) => {
     try {
         const { path } = req.body;
+        if (typeof path !== 'string' || !path) {
+            throw httpError(400, 'Missing project path');
+        }
         console.log('Setting project path:', path);
         
-        const resolvedPath = resolve(path);
+        const resolvedPath = await resolveDirectory(path);
         
-        // Verify it's a valid directory
-        const stats = await stat(resolvedPath);
-        if (!stats.isDirectory()) {
-            throw new Error('Not a directory');
-        }
-        
-        // Update project root and restart watcher
-        projectRoot = resolvedPath;
+        // The project becomes a workspace of its own, in this session only
+        useWorkspace(req.session.id, new Workspace([resolvedPath]));
         
         // Update recent projects
-        recentProjects.add(resolvedPath);
-        if (recentProjects.size > 10) {
-            recentProjects.delete(Array.from(recentProjects)[0]);
-        }
-        
-        // Save recent projects
+        recentProjects.opened(resolvedPath);
         try {
-            await writeFile(RECENT_PROJECTS_FILE, Array.from(recentProjects).join('\n'));
+            await recentProjects.save();
         } catch (err) {
             console.error('Error saving recent projects:', err);
         }
         
-        // Restart watcher
-        if (watcher) {
-            watcher.close();
-        }
-        setupWatcher();
+        // Send the new structure to the session's clients
+        await sendSessionStructure(req.session.id);
         
-        // Broadcast new structure to all clients
-        const structure = await getDirectoryStructure(projectRoot);
-        broadcastToClients({
-            type: 'structure',
-            content: {
-                name: parse(projectRoot).base,
-                path: '/',
-                type: 'directory',
-                children: structure
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error setting project:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// The session's workspace: its folders, each shown as a top-level entry once there are several
+app.get('/api/workspace', (req, res) => {
+    res.json(workspaceOf(req.session.id).describe());
+});
+
+app.post('/api/workspace/add', requireWrite, async (req, res) => {
+    try {
+        const { path } = req.body;
+        if (typeof path !== 'string' || !path) {
+            throw httpError(400, 'Missing folder path');
+        }
+
+        const resolvedPath = await resolveDirectory(path);
+        const workspace = workspaceOf(req.session.id);
+        const paths = workspace.roots.map(root => root.path);
+        if (paths.includes(resolvedPath)) {
+            throw httpError(409, `${resolvedPath} is already in the workspace`);
+        }
+
+        const next = useWorkspace(req.session.id, new Workspace([...paths, resolvedPath], workspace.name));
+        await sendSessionStructure(req.session.id);
+        res.json(next.describe());
+    } catch (err) {
+        console.error('Error adding a workspace folder:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.post('/api/workspace/remove', requireWrite, async (req, res) => {
+    try {
+        const { path } = req.body;
+        const workspace = workspaceOf(req.session.id);
+        const paths = workspace.roots.map(root => root.path);
+        if (!paths.includes(path)) {
+            throw httpError(404, `${path} is not in the workspace`);
+        }
+        if (paths.length === 1) {
+            throw httpError(400, 'The last folder of a workspace cannot be removed');
+        }
+
+        const next = useWorkspace(req.session.id, new Workspace(paths.filter(other => other !== path), workspace.name));
+        await sendSessionStructure(req.session.id);
+        res.json(next.describe());
+    } catch (err) {
+        console.error('Error removing a workspace folder:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Saved workspaces, reopened from the project selector
+app.get('/api/workspaces', async (req, res) => {
+    try {
+        res.json(await workspaces.list());
+    } catch (err) {
+        console.error('Error listing workspaces:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.post('/api/workspaces/save', requireWrite, async (req, res) => {
+    try {
+        const current = workspaceOf(req.session.id);
+        const saved = await workspaces.save(req.body.name, current.roots.map(root => root.path));
+        // Same folders, so undo history, activity and snapshots carry on
+        useWorkspace(req.session.id, new Workspace(saved.roots, saved.name));
+        await sendSessionStructure(req.session.id);
+        res.json(await workspaces.list());
+    } catch (err) {
+        console.error('Error saving workspace:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.post('/api/workspaces/open', requireWrite, async (req, res) => {
+    try {
+        const saved = await workspaces.get(req.body.name);
+        // Folders may have gone, or left the allowed roots, since the workspace was saved
+        const paths = [];
+        for (const path of saved.roots) {
+            try {
+                paths.push(await resolveDirectory(path));
+            } catch (err) {
+                throw httpError(errorStatus(err), `${path}: ${err.message}`);
             }
+        }
+
+        const next = useWorkspace(req.session.id, new Workspace([...new Set(paths)], saved.name));
+        await sendSessionStructure(req.session.id);
+        res.json(next.describe());
+    } catch (err) {
+        console.error('Error opening workspace:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.post('/api/workspaces/remove', requireWrite, async (req, res) => {
+    try {
+        await workspaces.remove(req.body.name);
+        res.json(await workspaces.list());
+    } catch (err) {
+        console.error('Error removing workspace:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// File content, for previews. Sends at most `previewMaxBytes` per request;
+// clients page through larger files with Range headers.
+app.get('/api/file', async (req, res) => {
+    try {
+        const { root, path } = workspaceOf(req.session.id).locate(req.query.path);
+        const filePath = await resolveReal(root.path, path);
+        const stats = await stat(filePath);
+        if (!stats.isFile()) {
+            return res.status(400).json({ error: 'Not a file' });
+        }
+
+        const sample = await readSample(filePath);
+        const info = detectContent(sample, filePath, stats.size > sample.length);
+
+        res.set({
+            'Content-Type': info.encoding ? `${info.mime}; charset=${info.encoding}` : info.mime,
+            'Accept-Ranges': 'bytes',
+            'X-File-Kind': info.kind,
+            'X-File-Encoding': info.encoding || '',
+            'X-File-Size': String(stats.size),
+            // Project files are data, never something the browser should run
+            'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+            'X-Content-Type-Options': 'nosniff'
         });
-        
+
+        if (stats.size === 0) {
+            return res.status(200).end();
+        }
+
+        const range = parseRange(req.headers.range, stats.size, config.previewMaxBytes);
+        if (!range) {
+            res.set('Content-Range', `bytes */${stats.size}`);
+            return res.status(416).end();
+        }
+
+        const partial = range.start > 0 || range.end < stats.size - 1;
+        res.status(partial ? 206 : 200);
+        res.set('Content-Length', String(range.end - range.start + 1));
+        if (partial) {
+            res.set('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+        }
+
+        createReadStream(filePath, range)
+            .on('error', (err) => {
+                console.error('Error streaming file:', err);
+                res.destroy(err);
+            })
+            .pipe(res);
+    } catch (err) {
+        console.error('Error reading file:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Current metadata of one entry, with the MIME type sniffed from a file's first bytes
+app.get('/api/metadata', async (req, res) => {
+    try {
+        if (!req.query.path) throw httpError(400, 'Missing path');
+        const { root, path } = workspaceOf(req.session.id).locate(req.query.path);
+        const filePath = resolveInside(root.path, path);
+        const linkStats = await lstat(filePath);
+        // Links are described by what they point to, which must stay inside the project
+        const target = linkStats.isSymbolicLink() ? await resolveReal(root.path, path) : filePath;
+        const stats = linkStats.isSymbolicLink() ? await stat(target) : linkStats;
+
+        let mime = 'inode/directory';
+        if (stats.isFile()) {
+            const sample = await readSample(target);
+            mime = sniffMime(sample, target, stats.size > sample.length);
+        }
+
+        res.json({
+            type: stats.isDirectory() ? 'directory' : 'file',
+            size: stats.isFile() ? stats.size : null,
+            ...statMetadata(stats, await loadOwnerNames()),
+            ...(linkStats.isSymbolicLink() ? { link: await readlink(filePath) } : {}),
+            mime
+        });
+    } catch (err) {
+        console.error('Error reading metadata:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Full-text search of the project. Clients that want results as they are found
+// use the WebSocket `search` message instead.
+app.get('/api/search', async (req, res) => {
+    const controller = new AbortController();
+    // Stop searching if the client goes away; harmless once the response is sent
+    res.on('close', () => controller.abort());
+
+    try {
+        const results = [];
+        const summary = await runContentSearch(workspaceOf(req.session.id), req.query.q, {
+            regex: req.query.regex,
+            caseSensitive: req.query.case,
+            include: req.query.include,
+            exclude: req.query.exclude,
+            includeIgnored: req.query.ignored
+        }, controller.signal, file => results.push(file));
+        res.json({ results, ...summary });
+    } catch (err) {
+        console.error('Error searching:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Disk usage of the project: totals, largest entries and a breakdown by extension
+app.get('/api/usage', async (req, res) => {
+    try {
+        const current = workspaceOf(req.session.id);
+        // Whole entries, at least one and at most a thousand
+        const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || config.usageReportSize, 1), 1000);
+        const reports = await Promise.all(current.roots.map(async root => {
+            const cache = stateOf(root).treeCache;
+            await cache.ready();
+            await cache.usage.ready();
+            return {
+                total: cache.usage.get('/'),
+                largestFiles: cache.usage.largest('file', limit),
+                largestDirectories: cache.usage.largest('directory', limit),
+                extensions: cache.usage.byExtension()
+            };
+        }));
+        res.json(current.combineUsage(reports, limit));
+    } catch (err) {
+        console.error('Error reporting disk usage:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Changes seen in the project, newest first, optionally of one entry and a time range
+app.get('/api/activity', async (req, res) => {
+    try {
+        const log = projectOf(req.session.id).activity;
+        await log.ready();
+        res.json(log.query(parseActivityQuery(req.query, config.activityLimit)));
+    } catch (err) {
+        console.error('Error reading activity:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Git views of a file: uncommitted changes, history one page at a time, and blame
+app.get('/api/git/diff', async (req, res) => {
+    try {
+        const { root, path } = await gitPath(workspaceOf(req.session.id), req.query.path);
+        res.json(await fileDiff(root.path, path, config.previewMaxBytes));
+    } catch (err) {
+        console.error('Error reading git diff:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.get('/api/git/log', async (req, res) => {
+    try {
+        const offset = Math.max(Math.floor(Number(req.query.offset)) || 0, 0);
+        const { root, path } = await gitPath(workspaceOf(req.session.id), req.query.path);
+        res.json(await fileLog(root.path, path, { offset, limit: config.gitLogPageSize }));
+    } catch (err) {
+        console.error('Error reading git log:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.get('/api/git/blame', async (req, res) => {
+    try {
+        const { root, path } = await gitPath(workspaceOf(req.session.id), req.query.path);
+        res.json(await fileBlame(root.path, path));
+    } catch (err) {
+        console.error('Error reading git blame:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// File operations: create, rename, move, copy and delete. Clients learn about
+// the result through the watcher's patches like any other change.
+app.post('/api/files/:operation', requireWrite, async (req, res) => {
+    try {
+        const result = await performOperation(projectOf(req.session.id), req.params.operation, req.body, req.session.username);
+        console.log(`File operation ${req.params.operation}:`, req.body);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error(`Error running ${req.params.operation}:`, err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Undo the most recent file operation
+app.post('/api/undo', requireWrite, async (req, res) => {
+    try {
+        const { workspace, history } = projectOf(req.session.id);
+        const { undone, result } = await history.undo((operation, args) =>
+            runWorkspaceOperation(workspace, operation, args, req.session.username));
+        console.log(`Undid ${undone.operation} of ${undone.path}`);
+        res.json({ success: true, operation: undone.operation, path: result.path });
+    } catch (err) {
+        console.error('Error undoing operation:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.get('/api/history', (req, res) => {
+    res.json(projectOf(req.session.id).history.list());
+});
+
+// Project trash: deleted entries, restorable until purged or past retention. Every
+// workspace folder has a trash of its own; items are listed together, newest first.
+app.get('/api/trash', async (req, res) => {
+    try {
+        const current = workspaceOf(req.session.id);
+        const lists = await Promise.all(current.roots.map(async root => {
+            const { trash } = stateOf(root);
+            await trash.prune();
+            return (await trash.list()).map(item => current.outwardFields(root, item, ['id', 'path']));
+        }));
+        res.json(lists.flat().sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+    } catch (err) {
+        console.error('Error listing trash:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.post('/api/trash/restore', requireWrite, async (req, res) => {
+    try {
+        const result = await performOperation(projectOf(req.session.id), 'restore', { id: req.body.id }, req.session.username);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error('Error restoring from trash:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Purges one item, or the whole trash when no id is given
+app.post('/api/trash/purge', requireWrite, async (req, res) => {
+    try {
+        const current = workspaceOf(req.session.id);
+        let removed = 0;
+        if (req.body.id !== undefined) {
+            const { root, path: id } = current.locate(req.body.id);
+            removed = await stateOf(root).trash.purge(id);
+        } else {
+            for (const root of current.roots) removed += await stateOf(root).trash.purge();
+        }
+        res.json({ success: true, removed });
+    } catch (err) {
+        console.error('Error purging trash:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Snapshots of the project, to compare with each other or with the live tree
+app.get('/api/snapshots', async (req, res) => {
+    try {
+        res.json(await projectOf(req.session.id).snapshots.list());
+    } catch (err) {
+        console.error('Error listing snapshots:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.post('/api/snapshots/create', requireWrite, async (req, res) => {
+    try {
+        const { name, hashes, includeIgnored } = req.body;
+        const { workspace, snapshots } = projectOf(req.session.id);
+        res.json(await snapshots.create(await walkRoots(workspace), {
+            name,
+            hashes: Boolean(hashes),
+            includeIgnored: Boolean(includeIgnored)
+        }));
+    } catch (err) {
+        console.error('Error capturing snapshot:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.post('/api/snapshots/remove', requireWrite, async (req, res) => {
+    try {
+        await projectOf(req.session.id).snapshots.remove(req.body.id);
         res.json({ success: true });
     } catch (err) {
-        console.error('Error setting project:', err);
-        res.status(500).json({ error: err.message });
+        console.error('Error removing snapshot:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
     }
 });
 
+app.get('/api/snapshots/compare', async (req, res) => {
+    try {
+        const { from, to = LIVE_ID } = req.query;
+        if (!from) throw httpError(400, 'Missing snapshot to compare');
+        const { workspace, snapshots } = projectOf(req.session.id);
+        res.json(await snapshots.compare(from, to, { root: await walkRoots(workspace) }));
+    } catch (err) {
+        console.error('Error comparing snapshots:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Comparison of two directories inside the allowed roots, and copying differences between them
+app.get('/api/compare', async (req, res) => {
+    try {
+        const { left, right } = await compareRoots(req.query);
+        res.json({ left, right, tree: await compareDirectories(left, right) });
+    } catch (err) {
+        console.error('Error comparing directories:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.get('/api/compare/diff', async (req, res) => {
+    try {
+        const { left, right } = await compareRoots(req.query);
+        if (!req.query.path) throw httpError(400, 'Missing path');
+        res.json(await compareFiles(left, right, req.query.path, config.previewMaxBytes));
+    } catch (err) {
+        console.error('Error comparing files:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.post('/api/compare/sync', requireWrite, async (req, res) => {
+    try {
+        const { left, right } = await compareRoots(req.body);
+        const { to, paths } = req.body;
+        if (to !== 'left' && to !== 'right') throw httpError(400, 'Copy to the left or the right');
+        const [source, target] = to === 'right' ? [left, right] : [right, left];
+        res.json(await syncEntries(source, target, paths, { trash: trashOf(target), actor: req.session.username }));
+    } catch (err) {
+        console.error('Error copying differences:', err);
+        res.status(errorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Duplicate files: scans run in the background, reporting progress over the WebSocket
+app.get('/api/duplicates', (req, res) => {
+    res.json(projectOf(req.session.id).duplicates.state());
+});
+
+app.post('/api/duplicates/scan', requireWrite, (req, res) => {
+    const { includeIgnored = false, minSize = 1 } = req.body || {};
+    const { duplicates } = projectOf(req.session.id);
+    if (!duplicates.start({ includeIgnored: includeIgnored === true, minSize: Number(minSize) || 1 })) {
+        res.status(409).json({ error: 'A duplicate scan is already running' });
+        return;
+    }
+    res.json({ success: true });
+});
+
+app.post('/api/duplicates/cancel', requireWrite, (req, res) => {
+    res.json({ success: true, cancelled: projectOf(req.session.id).duplicates.cancel() });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -159,45 +782,146 @@ app.get('*', (req, res) => {
     res.sendFile(resolve(__dirname, 'index.html'));
 });
 
-async function getDirectoryStructure(dir) {
-    try {
-        const items = await readdir(dir);
-        const structure = [];
+/**
+ * Runs a file operation in a project and records it for undo
+ * @param {ProjectState} project - Project of the session that runs the operation
+ * @param {string} operation - Operation name
+ * @param {Object} args - Operation arguments
+ * @param {string | null} actor - Who runs the operation
+ * @returns {Promise<import('./server/file-ops.js').OperationResult>}
+ */
+async function performOperation(project, operation, args, actor) {
+    const result = await runWorkspaceOperation(project.workspace, operation, args, actor);
+    project.history.record(operation, args, result, actor);
+    return result;
+}
 
-        for (const item of items) {
-            try {
-                const path = join(dir, item);
-                const stats = await stat(path);
-                const relativePath = relative(projectRoot, path);
+/**
+ * Runs a file operation in the workspace folder its paths lie in
+ * @param {Workspace} current - Workspace the paths belong to
+ * @param {string} operation - Operation name
+ * @param {Object} args - Operation arguments, with workspace paths and trash ids
+ * @param {string | null} actor - Who runs the operation
+ * @returns {Promise<import('./server/file-ops.js').OperationResult>} Result with workspace paths
+ */
+async function runWorkspaceOperation(current, operation, args, actor) {
+    const { root, args: local } = current.locateOperation(args ?? {});
+    const result = await runOperation(root.path, operation, local, { trash: stateOf(root).trash, actor });
+    return current.outwardFields(root, result, ['path', 'trashId']);
+}
 
-                if (item === 'node_modules' || item === '.git') continue;
+/**
+ * Searches file contents in a workspace
+ * @param {Workspace} current - Workspace to search
+ * @param {string} query - Search text
+ * @param {Object} params - Options as sent by the client; flags may be booleans or 'true'/'1'
+ * @param {AbortSignal} signal - Stops the search
+ * @param {(file: import('./server/content-search.js').FileMatches) => void} onFile - Receives each file's matches
+ * @returns {Promise<import('./server/content-search.js').SearchSummary>}
+ */
+async function runContentSearch(current, query, params, signal, onFile) {
+    const flag = value => value === true || value === 'true' || value === '1';
 
-                const node = {
-                    name: item,
-                    path: relativePath,
-                    type: stats.isDirectory() ? 'directory' : 'file',
-                    size: stats.isFile() ? stats.size : null
-                };
+    // The same rules as the tree, so searches skip what the tree marks as ignored
+    return searchContent(await walkRoots(current), query, {
+        regex: flag(params.regex),
+        caseSensitive: flag(params.caseSensitive),
+        include: parseGlobList(params.include),
+        exclude: parseGlobList(params.exclude),
+        includeIgnored: flag(params.includeIgnored),
+        maxMatches: config.searchMaxResults,
+        maxFileBytes: config.searchMaxFileBytes,
+        signal
+    }, onFile);
+}
 
-                if (stats.isDirectory()) {
-                    node.children = await getDirectoryStructure(path);
-                }
+/**
+ * Checks a path from a request and returns it the way git expects it: relative to
+ * the workspace folder it lies in, which git commands run in
+ * @param {Workspace} current - Workspace the path belongs to
+ * @param {string} path - Workspace path
+ * @returns {Promise<{ root: import('./server/workspace.js').WorkspaceRoot, path: string }>}
+ */
+async function gitPath(current, path) {
+    if (!path) throw httpError(400, 'Missing path');
+    const located = current.locate(path);
+    const absolute = await resolveReal(located.root.path, located.path);
+    return { root: located.root, path: relative(located.root.path, absolute).split(sep).join('/') || '.' };
+}
 
-                structure.push(node);
-            } catch (err) {
-                console.error(`Error processing ${item}:`, err);
-            }
-        }
+/**
+ * Resolves a directory from a request, which must lie in the allowed roots
+ * @param {string} path - Absolute path
+ * @returns {Promise<string>} Real absolute directory
+ */
+async function resolveDirectory(path) {
+    const { path: resolved } = await resolveAllowed(config.allowedRoots, path);
+    if (!(await stat(resolved)).isDirectory()) throw httpError(400, `Not a directory: ${path}`);
+    return resolved;
+}
 
-        return structure;
-    } catch (err) {
-        console.error(`Error reading directory ${dir}:`, err);
-        return [];
+/**
+ * Resolves the two directories of a comparison, which must lie in the allowed roots
+ * @param {{ left?: string, right?: string }} params - Request parameters
+ * @returns {Promise<{ left: string, right: string }>} Real absolute directories
+ */
+async function compareRoots({ left, right }) {
+    if (typeof left !== 'string' || !left || typeof right !== 'string' || !right) {
+        throw httpError(400, 'Missing directories to compare');
+    }
+
+    const [leftPath, rightPath] = await Promise.all([left, right].map(resolveDirectory));
+    return { left: leftPath, right: rightPath };
+}
+
+/**
+ * Returns the trash that entries replaced in a directory go to: that of the
+ * innermost open folder holding it, or else the directory's own
+ * @param {string} dir - Absolute directory
+ * @returns {Trash}
+ */
+function trashOf(dir) {
+    const holders = Array.from(rootStates.values()).filter(state => isWithin(state.path, dir));
+    if (holders.length === 0) return createTrash(dir);
+    return holders.reduce((inner, state) => (state.path.length > inner.path.length ? state : inner)).trash;
+}
+
+/**
+ * Reads the leading bytes of a file used for content detection
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<Buffer>}
+ */
+async function readSample(filePath) {
+    const handle = await open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SAMPLE_SIZE);
+        const { bytesRead } = await handle.read(buffer, 0, SAMPLE_SIZE, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
     }
 }
 
-function broadcastToClients(message) {
-    const clients = Array.from(wss.clients);
+/**
+ * Closes the WebSocket connections opened with a session
+ * @param {string} sessionId - Session id
+ * @param {string} reason - Close reason shown to the client
+ */
+function closeSessionSockets(sessionId, reason) {
+    wss.clients.forEach(client => {
+        if (client.sessionId === sessionId) client.close(SESSION_CLOSED, reason);
+    });
+}
+
+/**
+ * Sends a message to the clients showing a project's tree
+ * @param {ProjectState} project - Project the message is about
+ * @param {Object} message - Message to send
+ */
+function broadcastToProject(project, message) {
+    // A closed project has no clients, even once the same folders are open again
+    if (projects.get(project.workspace.key) !== project) return;
+    const clients = Array.from(wss.clients).filter(client => client.projectKey === project.workspace.key);
     if (clients.length === 0) return;
 
     const messageStr = JSON.stringify(message);
@@ -208,80 +932,565 @@ function broadcastToClients(message) {
     });
 }
 
-function setupWatcher() {
-    watcher = watch(projectRoot, { recursive: true }, async (eventType, filename) => {
-        if (!filename) return;
-        
-        // Ignore node_modules and .git
-        if (filename.includes('node_modules') || filename.includes('.git')) return;
-        
-        console.log(`File ${filename} changed`);
-        
+/**
+ * Returns the workspace open in a session, which starts in the initial project
+ * @param {string} sessionId - Session id
+ * @returns {Workspace}
+ */
+function workspaceOf(sessionId) {
+    return sessionWorkspaces.get(sessionId) ?? useWorkspace(sessionId, new Workspace([initialRoot]));
+}
+
+/**
+ * Returns the project of the workspace open in a session
+ * @param {string} sessionId - Session id
+ * @returns {ProjectState}
+ */
+function projectOf(sessionId) {
+    return projects.get(workspaceOf(sessionId).key);
+}
+
+/**
+ * Lists the open projects that have a folder
+ * @param {string} path - Absolute directory of the folder
+ * @returns {ProjectState[]}
+ */
+function projectsWith(path) {
+    return Array.from(projects.values()).filter(project => project.workspace.rootAt(path));
+}
+
+/**
+ * Opens a workspace in a session in place of the one it had; other sessions keep
+ * theirs. Folders stay open, with their tree, watcher and git status, while any
+ * project has them. Undo history, activity, snapshots and duplicate scans belong
+ * to the set of folders and are shared by the sessions that have it open, so
+ * naming the workspace keeps them.
+ * @param {string} sessionId - Session id
+ * @param {Workspace} next - Workspace to open
+ * @returns {Workspace} The workspace, now open
+ */
+function useWorkspace(sessionId, next) {
+    sessionWorkspaces.set(sessionId, next);
+    if (!projects.has(next.key)) projects.set(next.key, openProject(next.roots.map(root => root.path)));
+    closeUnused();
+    return next;
+}
+
+/**
+ * Forgets the workspace of a session that ended
+ * @param {string} sessionId - Session id
+ */
+function endSession(sessionId) {
+    sessionWorkspaces.delete(sessionId);
+    closeUnused();
+}
+
+/**
+ * Closes the projects no live session has open, apart from the initial one, and
+ * the folders no open project has. Sessions that expired are forgotten here.
+ */
+function closeUnused() {
+    for (const sessionId of sessionWorkspaces.keys()) {
+        if (!sessions.get(sessionId)) sessionWorkspaces.delete(sessionId);
+    }
+
+    const keys = new Set([initialKey, ...Array.from(sessionWorkspaces.values(), workspace => workspace.key)]);
+    for (const [key, project] of projects) {
+        if (!keys.has(key)) {
+            closeProject(project);
+            projects.delete(key);
+        }
+    }
+
+    for (const [path, state] of rootStates) {
+        if (projectsWith(path).length === 0) {
+            closeRoot(state);
+            rootStates.delete(path);
+        }
+    }
+}
+
+/**
+ * Opens a set of folders, reusing those another project already has open
+ * @param {string[]} paths - Absolute directories, in the order they are shown
+ * @returns {ProjectState}
+ */
+function openProject(paths) {
+    for (const path of paths) {
+        if (!rootStates.has(path)) rootStates.set(path, openRoot(path));
+    }
+
+    const workspace = new Workspace(paths);
+    /** @type {ProjectState} */
+    const project = {
+        workspace,
+        history: new History(config.undoLimit),
+        duplicates: null,
+        activity: createActivityLog(workspace),
+        snapshots: createSnapshotStore(workspace),
+        seq: 0
+    };
+    project.duplicates = createDuplicateScanner(project);
+    return project;
+}
+
+/**
+ * Stops a project's duplicate scan and saves its activity
+ * @param {ProjectState} project - Project no session has open any more
+ */
+function closeProject(project) {
+    project.duplicates.cancel();
+    project.activity.close().catch(err => console.error('Error saving activity:', err));
+}
+
+/**
+ * Sets up a folder of the workspace: its tree, trash and git status, and a
+ * watcher that patches the tree as files change
+ * @param {string} path - Absolute directory
+ * @returns {RootState}
+ */
+function openRoot(path) {
+    /** @type {RootState} */
+    const state = {
+        path,
+        treeCache: createTreeCache(path),
+        trash: createTrash(path),
+        gitStatus: new GitStatus(path),
+        watcher: null,
+        gitRefreshTimer: undefined
+    };
+
+    state.watcher = new ProjectWatcher(path, {
+        mode: config.watchMode,
+        pollInterval: config.watchPollInterval,
+        delay: config.watchDelay,
+        maxDelay: config.watchMaxDelay,
+        skip: entry => state.treeCache.ignore.isExcluded(entry)
+            && !GIT_STATUS_PATHS.some(gitPath => entry === gitPath || entry.startsWith(`${gitPath}/`)),
+        // Like the tree, polling notices ignored directories come and go without reading what is in them
+        shallow: entry => state.treeCache.ignore.status(entry, true) === 'ignored',
+        onChanges: paths => flushChanges(state, paths),
+        onStatus: () => {
+            if (rootStates.get(path) !== state) return;
+            for (const project of projectsWith(path)) {
+                broadcastToProject(project, { type: 'watcherStatus', watcher: watcherStatus(project.workspace) });
+            }
+        }
+    });
+    state.watcher.start();
+    broadcastUsage(state);
+    return state;
+}
+
+/**
+ * Stops watching a folder no open project has
+ * @param {RootState} state - State of the folder
+ */
+function closeRoot(state) {
+    clearTimeout(state.gitRefreshTimer);
+    state.watcher?.close();
+}
+
+/**
+ * Returns the state of a folder of an open workspace
+ * @param {import('./server/workspace.js').WorkspaceRoot} root - Folder of the workspace
+ * @returns {RootState}
+ */
+function stateOf(root) {
+    return rootStates.get(root.path);
+}
+
+/**
+ * Lists the folders of a workspace for walking them, once their ignore rules are loaded
+ * @param {Workspace} current - Workspace to walk
+ * @returns {Promise<import('./server/walk.js').WalkRoot[]>}
+ */
+async function walkRoots(current) {
+    const caches = current.roots.map(root => stateOf(root).treeCache);
+    await Promise.all(caches.map(cache => cache.ready()));
+    return current.roots.map((root, index) => ({
+        path: root.path,
+        ignore: caches[index].ignore,
+        prefix: current.prefixOf(root)
+    }));
+}
+
+/**
+ * Applies a batch of watcher events to a folder's tree cache and sends the resulting
+ * patch, or the rebuilt tree when the batch is too large to patch, to the clients of
+ * every project with the folder. Flushes are chained so patches go out in sequence order.
+ * @param {RootState} state - Folder the events were seen in
+ * @param {Set<string>} paths - Changed paths relative to the folder
+ */
+function flushChanges(state, paths) {
+    const cache = state.treeCache;
+
+    // The tree's ignore rules decide which events are shown; changes inside .git
+    // (commits, staging, checkouts) only affect the git status
+    const changes = [];
+    let gitChanged = false;
+    for (const path of paths) {
+        if (path === '.git' || path.startsWith('.git/')) {
+            gitChanged = true;
+        } else if (!cache.ignore.isExcluded(path)) {
+            changes.push(path);
+        }
+    }
+
+    // Changes below ignored directories only count towards disk usage
+    const shown = changes.filter(path => cache.isWatched(path));
+    if (gitChanged || shown.length > 0) scheduleGitRefresh(state);
+    if (shown.length > 0) {
+        console.log(`${shown.length} file(s) changed`);
+        for (const project of projectsWith(state.path)) {
+            const root = project.workspace.rootAt(state.path);
+            const files = shown.slice(0, MAX_REPORTED_CHANGES).map(path => project.workspace.outward(root, path));
+            broadcastToProject(project, { type: 'fileChange', files, count: shown.length });
+        }
+    }
+    if (changes.length === 0) return;
+
+    flushing = flushing.then(async () => {
         try {
-            // Send file change notification
-            broadcastToClients({
-                type: 'fileChange',
-                file: filename
-            });
-            
-            // Send updated structure
-            const structure = await getDirectoryStructure(projectRoot);
-            broadcastToClients({
-                type: 'structure',
-                content: {
-                    name: parse(projectRoot).base,
-                    path: '/',
-                    type: 'directory',
-                    children: structure
+            // The folder may have been closed since the events were collected
+            if (rootStates.get(state.path) !== state || !cache.tree) return;
+
+            if (changes.length > config.watchRebuildThreshold) {
+                await cache.rebuild();
+                for (const project of projectsWith(state.path)) {
+                    await recordActivity(project, state.path, [
+                        { time: Date.now(), type: 'rescan', path: '/', delta: 0, count: changes.length }
+                    ]);
+                    await broadcastStructure(project);
                 }
+                broadcastUsage(state);
+                return;
+            }
+
+            // Sizes and types before the patch, for the activity log
+            const before = new Map(changes.map(path => [path, entryState(cache, path)]));
+            const ops = await cache.refresh(changes);
+            if (ops === null) {
+                // Ignore rules changed; clients get the rebuilt tree
+                await Promise.all(projectsWith(state.path).map(broadcastStructure));
+                return;
+            }
+            if (ops.length === 0) return;
+
+            const events = activityFromPatch(ops, {
+                before: path => before.get(path),
+                after: path => entryState(cache, path)
             });
+            for (const project of projectsWith(state.path)) {
+                broadcastToProject(project, {
+                    type: 'patch',
+                    seq: ++project.seq,
+                    ops: project.workspace.outwardOps(project.workspace.rootAt(state.path), ops)
+                });
+                await recordActivity(project, state.path, events);
+            }
         } catch (err) {
             console.error('Error broadcasting changes:', err);
         }
     });
+}
 
-    watcher.on('error', (err) => {
-        console.error('File watcher error:', err);
-    });
+/**
+ * Sends a folder's disk usage totals as a patch once its usage scan is done.
+ * The tree goes out without them, so it shows before the scan has walked
+ * everything; the patch is chained with the watcher's to keep the sequence.
+ * @param {RootState} state - Folder whose tree was just built
+ */
+function broadcastUsage(state) {
+    const cache = state.treeCache;
+    cache.ready().then(() => cache.usage.ready()).then(() => {
+        flushing = flushing.then(() => {
+            try {
+                // The folder may have been closed meanwhile
+                if (rootStates.get(state.path) !== state) return;
+                const ops = cache.usageOps();
+                if (ops.length === 0) return;
+
+                for (const project of projectsWith(state.path)) {
+                    broadcastToProject(project, {
+                        type: 'patch',
+                        seq: ++project.seq,
+                        ops: project.workspace.outwardOps(project.workspace.rootAt(state.path), ops)
+                    });
+                }
+            } catch (err) {
+                console.error('Error broadcasting disk usage:', err);
+            }
+        });
+    }, err => console.error('Error scanning disk usage:', err));
 }
 
-// Handle WebSocket connections
-wss.on('connection', async (ws) => {
-    console.log('Client connected');
+/**
+ * Adds a folder's events to a project's activity log and sends them to the project's clients
+ * @param {ProjectState} project - Project with the folder
+ * @param {string} path - Absolute directory of the folder the events were seen in
+ * @param {import('./server/activity.js').ActivityEvent[]} events - New events, oldest first,
+ *     with paths relative to the folder
+ */
+async function recordActivity(project, path, events) {
+    if (events.length === 0) return;
+    const root = project.workspace.rootAt(path);
+    const outward = events.map(event => project.workspace.outwardFields(root, event, ['path', 'from']));
+    await project.activity.ready();
+    project.activity.record(outward);
+    broadcastToProject(project, { type: 'activity', events: outward });
+}
+
+/**
+ * Describes an entry of the cached tree for the activity log
+ * @param {TreeCache} cache - Tree cache of the project
+ * @param {string} path - Relative path
+ * @returns {import('./server/activity.js').EntryState | undefined} Undefined for unknown entries
+ */
+function entryState(cache, path) {
+    const node = cache.nodes.get(path);
+    const usage = cache.usage.get(path);
+    if (!node && !usage) return undefined;
+    return { size: usage?.size ?? node?.size ?? 0, type: node?.type };
+}
+
+/**
+ * Reads a folder's git status again after a short delay, restarting the delay on every call
+ * @param {RootState} state - Folder whose status changed
+ */
+function scheduleGitRefresh(state) {
+    clearTimeout(state.gitRefreshTimer);
+    state.gitRefreshTimer = setTimeout(() => refreshGitStatus(state), GIT_REFRESH_DELAY);
+}
 
-    // Send initial structure
+/**
+ * Reads the git status of a folder and, if it changed, sends the status of every
+ * project with the folder to its clients
+ * @param {RootState} state - Folder to read
+ */
+async function refreshGitStatus(state) {
     try {
-        const structure = await getDirectoryStructure(projectRoot);
-        ws.send(JSON.stringify({
-            type: 'structure',
-            content: {
-                name: parse(projectRoot).base,
-                path: '/',
-                type: 'directory',
-                children: structure
-            }
-        }));
+        const changed = await state.gitStatus.refresh();
+        // The folder may have been closed while git was running
+        if (!changed || rootStates.get(state.path) !== state) return;
+        for (const project of projectsWith(state.path)) {
+            broadcastToProject(project, { type: 'gitStatus', git: gitSnapshot(project.workspace) });
+        }
     } catch (err) {
-        console.error('Error sending initial structure:', err);
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Failed to load project structure'
-        }));
+        console.error('Error refreshing git status:', err);
     }
+}
+
+/**
+ * Combines the git status of a workspace's folders
+ * @param {Workspace} current - Workspace whose folders are open
+ * @returns {Object | null}
+ */
+function gitSnapshot(current) {
+    return current.combineGit(current.roots.map(root => stateOf(root).gitStatus.snapshot()));
+}
+
+/**
+ * Combines how a workspace's folders are watched
+ * @param {Workspace} current - Workspace whose folders are open
+ * @returns {Object | null}
+ */
+function watcherStatus(current) {
+    return current.combineWatchers(current.roots.map(root => stateOf(root).watcher?.status ?? null));
+}
+
+/**
+ * Creates the tree cache of a workspace folder
+ * @param {string} root - Absolute directory
+ * @returns {TreeCache}
+ */
+function createTreeCache(root) {
+    return new TreeCache(root, {
+        depth: config.structureDepth,
+        pageSize: config.pageSize,
+        followLinks: config.followSymlinks
+    });
+}
+
+/**
+ * Creates the trash of a workspace folder
+ * @param {string} root - Absolute directory
+ * @returns {Trash}
+ */
+function createTrash(root) {
+    return new Trash(root, join(config.trashDir, projectKey([root])), {
+        retentionDays: config.trashRetentionDays,
+        maxItems: config.trashMaxItems
+    });
+}
+
+/**
+ * Creates the duplicate scanner of a project, which sends its progress to the project's clients
+ * @param {ProjectState} project - Project to scan
+ * @returns {DuplicateScanner}
+ */
+function createDuplicateScanner(project) {
+    // The same rules as the tree, so scans skip what the tree marks as ignored
+    return new DuplicateScanner(() => walkRoots(project.workspace), {
+        onProgress: progress => broadcastToProject(project, { type: 'duplicatesProgress', progress }),
+        onDone: state => broadcastToProject(project, { type: 'duplicatesDone', ...state })
+    });
+}
+
+/**
+ * Creates the activity log of a set of folders
+ * @param {Workspace} current - Workspace of the folders
+ * @returns {ActivityLog}
+ */
+function createActivityLog(current) {
+    return new ActivityLog(join(config.activityDir, `${current.key}.json`), { limit: config.activityLimit });
+}
+
+/**
+ * Creates the snapshot store of a set of folders
+ * @param {Workspace} current - Workspace of the folders
+ * @returns {SnapshotStore}
+ */
+function createSnapshotStore(current) {
+    return new SnapshotStore(join(config.snapshotDir, current.key));
+}
+
+/**
+ * Lists the recent projects that can still be opened: those inside the allowed roots
+ * @returns {Promise<import('./server/recent-projects.js').RecentProject[]>}
+ */
+function listRecentProjects() {
+    return recentProjects.list(project => config.allowedRoots.some(root => isWithin(root, project)));
+}
+
+/**
+ * Builds the structure message: a workspace and its cached tree with the
+ * git status and how changes to it are watched
+ * @param {Workspace} current - Workspace of the session the message is for
+ * @returns {Promise<Object>}
+ */
+async function structureMessage(current) {
+    const states = current.roots.map(stateOf);
+    await Promise.all(states.flatMap(state => [state.treeCache.ready(), state.gitStatus.ready()]));
+    return {
+        type: 'structure',
+        project: current.label,
+        workspace: current.describe(),
+        seq: projects.get(current.key).seq,
+        content: current.combineTrees(states.map(state => state.treeCache.snapshot().content)),
+        git: current.combineGit(states.map(state => state.gitStatus.snapshot())),
+        watcher: current.combineWatchers(states.map(state => state.watcher?.status ?? null))
+    };
+}
+
+/**
+ * Sends the full cached structure to every client of a project. Structures count
+ * in the patch sequence, so clients drop patches that predate them.
+ * @param {ProjectState} project - Project whose tree was rebuilt
+ */
+async function broadcastStructure(project) {
+    project.seq++;
+    const clients = Array.from(wss.clients).filter(client => client.projectKey === project.workspace.key);
+    await Promise.all(clients.map(sendStructure));
+}
+
+/**
+ * Sends the full cached structure to the clients of a session, after it opened a workspace
+ * @param {string} sessionId - Session id
+ */
+async function sendSessionStructure(sessionId) {
+    const clients = Array.from(wss.clients).filter(client => client.sessionId === sessionId);
+    await Promise.all(clients.map(sendStructure));
+}
+
+/**
+ * Sends the full cached structure of its session's workspace to a single client,
+ * which from then on gets that workspace's patches
+ * @param {import('ws').WebSocket} ws - Client to send to
+ */
+async function sendStructure(ws) {
+    const current = workspaceOf(ws.sessionId);
+    const message = await structureMessage(current);
+    if (ws.readyState !== 1) return;
+    ws.projectKey = current.key;
+    ws.send(JSON.stringify(message));
+}
+
+// Handle WebSocket connections
+wss.on('connection', async (ws, req) => {
+    const { session } = req;
+    ws.sessionId = session.id;
+    // Patches are sent once the client has a tree to apply them to
+    ws.projectKey = null;
+    console.log(`Client connected as ${session.username}`);
+
+    // Connections end with their session; timer delays are capped at about 24 days
+    const expiryTimer = setTimeout(() => ws.close(SESSION_CLOSED, 'Session expired'),
+        Math.min(session.expires - Date.now(), 2 ** 31 - 1));
+    ws.on('close', () => {
+        clearTimeout(expiryTimer);
+        ws.search?.controller.abort();
+    });
 
     ws.on('message', async (message) => {
+        if (!sessions.get(session.id)) {
+            ws.close(SESSION_CLOSED, 'Session expired');
+            return;
+        }
+
         try {
             const data = JSON.parse(message);
-            if (data.type === 'getStructure') {
-                const structure = await getDirectoryStructure(projectRoot);
-                ws.send(JSON.stringify({
-                    type: 'structure',
-                    content: {
-                        name: parse(projectRoot).base,
-                        path: '/',
-                        type: 'directory',
-                        children: structure
+            if (data.type === 'getStructure' || data.type === 'resync') {
+                // A resync is requested by clients that missed a patch
+                await sendStructure(ws);
+            } else if (data.type === 'fileOperation') {
+                // Same operations as the REST routes; the reply echoes the request id
+                try {
+                    if (session.role !== 'read-write') {
+                        throw new Error('Read-only users cannot make changes');
                     }
+                    const result = await performOperation(projectOf(session.id), data.operation, data.args, session.username);
+                    ws.send(JSON.stringify({ type: 'fileOperationResult', id: data.id, success: true, ...result }));
+                } catch (err) {
+                    ws.send(JSON.stringify({ type: 'fileOperationResult', id: data.id, success: false, error: err.message }));
+                }
+            } else if (data.type === 'search') {
+                // One search per connection; a new query cancels the previous one
+                ws.search?.controller.abort();
+                const search = { id: data.id, controller: new AbortController() };
+                ws.search = search;
+
+                try {
+                    const summary = await runContentSearch(workspaceOf(session.id), data.query, data.options || {}, search.controller.signal, file => {
+                        ws.send(JSON.stringify({ type: 'searchResult', id: search.id, ...file }));
+                    });
+                    ws.send(JSON.stringify({ type: 'searchDone', id: search.id, ...summary }));
+                } catch (err) {
+                    ws.send(JSON.stringify({ type: 'searchError', id: search.id, error: err.message }));
+                } finally {
+                    if (ws.search === search) ws.search = null;
+                }
+            } else if (data.type === 'cancelSearch') {
+                if (ws.search?.id === data.id) ws.search.controller.abort();
+            } else if (data.type === 'getChildren') {
+                // Pages start at a whole, non-negative index; none given means the first page
+                const offset = data.offset === undefined ? 0 : Number(data.offset);
+                if (!Number.isInteger(offset) || offset < 0) {
+                    ws.send(JSON.stringify({ type: 'error', message: `Invalid offset: ${data.offset}` }));
+                    return;
+                }
+
+                const current = workspaceOf(session.id);
+                const { root, path } = current.locate(data.path);
+                const cache = stateOf(root).treeCache;
+                await cache.ready();
+                const page = await cache.loadChildren(path, offset);
+                ws.send(JSON.stringify({
+                    type: 'children',
+                    ...page,
+                    seq: projects.get(current.key).seq,
+                    path: current.outward(root, page.path),
+                    children: page.children.map(child => current.outwardNode(root, child))
                 }));
             }
         } catch (err) {
@@ -296,15 +1505,26 @@ wss.on('connection', async (ws) => {
     ws.on('error', (err) => {
         console.error('WebSocket error:', err);
     });
+
+    // Send initial structure; handlers are attached first so requests sent meanwhile are not lost
+    try {
+        await sendStructure(ws);
+    } catch (err) {
+        console.error('Error sending initial structure:', err);
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: 'Failed to load project structure'
+        }));
+    }
 });
 
-// Initial watcher setup
-setupWatcher();
+// Open the initial project, where sessions start
+projects.set(initialKey, openProject([initialRoot]));
 
 // Start the server
 const port = 3001;
 server.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
     console.log(`WebSocket server running at ws://localhost:${port}`);
-    console.log(`Watching directory: ${projectRoot}`);
+    console.log(`Watching directory: ${initialRoot}`);
 });
@@ -0,0 +1,201 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { httpError } from './errors.js';
+
+/**
+ * @typedef {Object} ActivityEvent
+ * @property {number} time - When the change was seen, in milliseconds since the epoch
+ * @property {'add' | 'remove' | 'modify' | 'rename' | 'rescan'} type - What happened; `rescan`
+ *     stands for a batch too large to record path by path
+ * @property {string} path - Path of the entry, its new path for renames, '/' for rescans
+ * @property {string} [from] - Old path of a renamed entry
+ * @property {'directory' | 'file' | 'symlink'} [kind] - Type of the entry, when known
+ * @property {number} delta - Change of the entry's size in bytes; directories count everything below them
+ * @property {number} [count] - Number of changed paths of a rescan
+ */
+
+/**
+ * @typedef {Object} ActivityQuery
+ * @property {string} [path] - Only events of this entry and the ones below it
+ * @property {number} [from] - Only events at or after this time
+ * @property {number} [to] - Only events at or before this time
+ * @property {number} [limit] - Most events returned
+ */
+
+/**
+ * @typedef {{ size: number, type?: string }} EntryState
+ */
+
+// Changes of modified entries that are not only new totals of the files below them
+const CONTENT_FIELDS = ['size', 'mtime', 'ctime', 'mode', 'owner', 'group'];
+const SAVE_DELAY = 1000;
+
+/**
+ * Turns the operations of a tree patch into activity events. Directories are
+ * recorded when they appear, disappear or move, not when their contents change.
+ * @param {import('./tree-cache.js').PatchOp[]} ops - Operations of one patch
+ * @param {Object} states
+ * @param {(path: string) => EntryState | undefined} states.before - Entry before the patch
+ * @param {(path: string) => EntryState | undefined} states.after - Entry after the patch
+ * @param {number} [time=Date.now()] - When the changes were seen
+ * @returns {ActivityEvent[]}
+ */
+export function activityFromPatch(ops, { before, after }, time = Date.now()) {
+    const size = state => state?.size ?? 0;
+    const events = [];
+
+    for (const op of ops) {
+        if (op.op === 'add') {
+            events.push({ time, type: 'add', path: op.path, kind: op.node.type, delta: size(after(op.path)) });
+        } else if (op.op === 'remove') {
+            const state = before(op.path);
+            events.push({ time, type: 'remove', path: op.path, kind: state?.type, delta: -size(state) });
+        } else if (op.op === 'rename') {
+            events.push({
+                time, type: 'rename', path: op.to, from: op.from, kind: op.node.type,
+                delta: size(after(op.to)) - size(before(op.from))
+            });
+        } else if (op.op === 'modify') {
+            const state = after(op.path);
+            if (state?.type === 'directory' || !CONTENT_FIELDS.some(field => field in op.changes)) continue;
+            events.push({ time, type: 'modify', path: op.path, kind: state?.type, delta: size(state) - size(before(op.path)) });
+        }
+    }
+    return events;
+}
+
+/**
+ * Reads an activity query from request parameters. Times are milliseconds
+ * since the epoch or dates `Date` understands; paths are relative to the project.
+ * @param {Record<string, string | undefined>} params - Query string parameters
+ * @param {number} maxLimit - Most events one request may ask for
+ * @returns {ActivityQuery}
+ */
+export function parseActivityQuery({ path, from, to, limit }, maxLimit) {
+    const time = (name, value) => {
+        if (value === undefined || value === '') return undefined;
+        const parsed = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        if (Number.isNaN(parsed)) throw httpError(400, `Invalid ${name} time: ${value}`);
+        return parsed;
+    };
+
+    return {
+        path: (path ?? '').replace(/^\/+|\/+$/g, '') || '/',
+        from: time('from', from),
+        to: time('to', to),
+        limit: Math.min(Math.max(Math.floor(Number(limit)) || maxLimit, 1), maxLimit)
+    };
+}
+
+/**
+ * Checks whether an event concerns an entry or anything below it
+ * @param {ActivityEvent} event - Event to check
+ * @param {string} path - Relative path; '/' matches everything
+ * @returns {boolean}
+ */
+function concerns(event, path) {
+    if (path === '/') return true;
+    const within = candidate => candidate === path || candidate?.startsWith(`${path}/`);
+    return within(event.path) || within(event.from);
+}
+
+/**
+ * Bounded log of the changes seen in a project, oldest first, kept as a JSON
+ * file. Recording saves the file shortly after, so bursts of changes are
+ * written once.
+ */
+export class ActivityLog {
+    /**
+     * @param {string} file - Path of the JSON file; its directory is created when saving
+     * @param {Object} [options]
+     * @param {number} [options.limit=5000] - Events kept; the oldest are dropped first
+     */
+    constructor(file, { limit = 5000 } = {}) {
+        this.file = file;
+        this.limit = limit;
+        /** @type {ActivityEvent[]} */
+        this.events = [];
+        this.saveTimer = null;
+        /** @type {Promise<ActivityLog> | null} */
+        this.loading = null;
+    }
+
+    /**
+     * Reads the log on first use; concurrent callers share the same read
+     * @returns {Promise<ActivityLog>}
+     */
+    ready() {
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+        return this.loading;
+    }
+
+    /**
+     * Reads the log from disk, keeping events recorded meanwhile. A missing
+     * file is an empty log; an unreadable one is replaced, as losing the
+     * history beats losing the project's activity from now on.
+     * @returns {Promise<ActivityLog>}
+     */
+    async load() {
+        let stored = [];
+        try {
+            stored = JSON.parse(await readFile(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error(`Error reading ${this.file}, starting a new activity log:`, err);
+        }
+
+        this.events = [...(Array.isArray(stored) ? stored : []), ...this.events].slice(-this.limit);
+        return this;
+    }
+
+    /**
+     * Writes the log to disk
+     */
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await mkdir(dirname(this.file), { recursive: true });
+        await writeFile(this.file, JSON.stringify(this.events));
+    }
+
+    /**
+     * Adds events and schedules a save
+     * @param {ActivityEvent[]} events - New events, oldest first
+     */
+    record(events) {
+        if (events.length === 0) return;
+        this.events.push(...events);
+        if (this.events.length > this.limit) {
+            this.events.splice(0, this.events.length - this.limit);
+        }
+
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => {
+                this.save().catch(err => console.error('Error saving activity:', err));
+            }, SAVE_DELAY);
+        }
+    }
+
+    /**
+     * Finds events, newest first
+     * @param {ActivityQuery} [query]
+     * @returns {ActivityEvent[]}
+     */
+    query({ path = '/', from = -Infinity, to = Infinity, limit = Infinity } = {}) {
+        const found = [];
+        for (let i = this.events.length - 1; i >= 0 && found.length < limit; i--) {
+            const event = this.events[i];
+            if (event.time >= from && event.time <= to && concerns(event, path)) found.push(event);
+        }
+        return found;
+    }
+
+    /**
+     * Saves events not written yet; the log can be dropped afterwards
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.saveTimer) await this.save();
+    }
+}
@@ -0,0 +1,242 @@
+import { cp, lstat, mkdir } from 'fs/promises';
+import { dirname, join, relative } from 'path';
+import { httpError } from './errors.js';
+import { fullHash } from './duplicates.js';
+import { runGit } from './git.js';
+import { IgnoreRules } from './ignore.js';
+import { resolveReal } from './paths.js';
+import { getDirectoryStructure } from './tree-cache.js';
+
+/**
+ * @typedef {'left' | 'right' | 'same' | 'different'} CompareStatus
+ */
+
+/**
+ * @typedef {Object} CompareSide
+ * @property {'directory' | 'file' | 'symlink'} type - Entry type on this side
+ * @property {number | null} size - File size in bytes, null for directories
+ * @property {number} mtime - Last content change, in milliseconds since the epoch
+ * @property {string} [link] - Target of a symbolic link
+ */
+
+/**
+ * @typedef {Object} CompareNode
+ * @property {string} name - Entry name
+ * @property {string} path - Path relative to both roots ('/' for the roots themselves)
+ * @property {'directory' | 'file' | 'symlink'} type - Entry type, the left one when both sides have it
+ * @property {number | null} size - Larger size of the two sides, for size-based views
+ * @property {CompareStatus} status - Only on one side, identical on both, or differing
+ * @property {CompareSide | null} left - Entry in the left directory
+ * @property {CompareSide | null} right - Entry in the right directory
+ * @property {CompareNode[]} [children] - Entries of directories, merged from both sides
+ */
+
+const ROOT_PATH = '/';
+
+/**
+ * Reads a directory the way the project tree does, leaving out ignored and
+ * excluded entries
+ * @param {string} root - Absolute directory
+ * @returns {Promise<import('./tree-cache.js').TreeNode[]>}
+ */
+async function scanSide(root) {
+    const ignore = new IgnoreRules(root);
+    await ignore.load();
+    const strip = nodes => nodes
+        .filter(node => !node.ignored)
+        .map(node => (node.children ? { ...node, children: strip(node.children) } : node));
+    return strip(await getDirectoryStructure(root, root, { ignore }));
+}
+
+/**
+ * Keeps the fields of a tree node that a comparison shows
+ * @param {import('./tree-cache.js').TreeNode} node - Node of one side
+ * @returns {CompareSide}
+ */
+function sideOf(node) {
+    const side = { type: node.type, size: node.size, mtime: node.mtime };
+    if (node.link !== undefined) side.link = node.link;
+    return side;
+}
+
+/**
+ * Turns the subtree of an entry found on one side only into comparison nodes
+ * @param {import('./tree-cache.js').TreeNode} node - Node of that side
+ * @param {'left' | 'right'} status - Side the entry is on
+ * @returns {CompareNode}
+ */
+function oneSided(node, status) {
+    const side = sideOf(node);
+    const merged = {
+        name: node.name,
+        path: node.path,
+        type: node.type,
+        size: node.size,
+        status,
+        left: status === 'left' ? side : null,
+        right: status === 'right' ? side : null
+    };
+    if (node.children) merged.children = node.children.map(child => oneSided(child, status));
+    return merged;
+}
+
+/**
+ * Checks whether two files or links on either side are the same. Files of
+ * equal size are compared by content.
+ * @param {import('./tree-cache.js').TreeNode} left - Left node
+ * @param {import('./tree-cache.js').TreeNode} right - Right node
+ * @param {{ left: string, right: string }} roots - Absolute directories compared
+ * @returns {Promise<boolean>}
+ */
+async function sameEntry(left, right, roots) {
+    if (left.type === 'symlink') return left.link === right.link;
+    if (left.size !== right.size) return false;
+
+    const [leftHash, rightHash] = await Promise.all([
+        fullHash(join(roots.left, left.path)),
+        fullHash(join(roots.right, right.path))
+    ]);
+    return leftHash === rightHash;
+}
+
+/**
+ * Merges the entries of a directory on both sides
+ * @param {import('./tree-cache.js').TreeNode[]} left - Left entries
+ * @param {import('./tree-cache.js').TreeNode[]} right - Right entries
+ * @param {{ left: string, right: string }} roots - Absolute directories compared
+ * @returns {Promise<CompareNode[]>} Entries sorted by name
+ */
+async function mergeEntries(left, right, roots) {
+    const leftByName = new Map(left.map(node => [node.name, node]));
+    const rightByName = new Map(right.map(node => [node.name, node]));
+    const names = Array.from(new Set([...leftByName.keys(), ...rightByName.keys()])).sort();
+
+    const merged = [];
+    for (const name of names) {
+        const leftNode = leftByName.get(name);
+        const rightNode = rightByName.get(name);
+        if (!rightNode) {
+            merged.push(oneSided(leftNode, 'left'));
+            continue;
+        }
+        if (!leftNode) {
+            merged.push(oneSided(rightNode, 'right'));
+            continue;
+        }
+
+        const node = {
+            name,
+            path: leftNode.path,
+            type: leftNode.type,
+            size: Math.max(leftNode.size ?? 0, rightNode.size ?? 0),
+            status: 'different',
+            left: sideOf(leftNode),
+            right: sideOf(rightNode)
+        };
+
+        if (leftNode.type !== rightNode.type) {
+            // A file on one side and a folder on the other: nothing below is compared
+        } else if (leftNode.type === 'directory') {
+            node.size = null;
+            node.children = await mergeEntries(leftNode.children || [], rightNode.children || [], roots);
+            node.status = node.children.every(child => child.status === 'same') ? 'same' : 'different';
+        } else if (await sameEntry(leftNode, rightNode, roots)) {
+            node.status = 'same';
+        }
+        merged.push(node);
+    }
+    return merged;
+}
+
+/**
+ * Compares two directories entry by entry
+ * @param {string} left - Absolute left directory
+ * @param {string} right - Absolute right directory
+ * @returns {Promise<CompareNode>} Root of the merged tree
+ */
+export async function compareDirectories(left, right) {
+    const [leftEntries, rightEntries] = await Promise.all([scanSide(left), scanSide(right)]);
+    const children = await mergeEntries(leftEntries, rightEntries, { left, right });
+    return {
+        name: '/',
+        path: ROOT_PATH,
+        type: 'directory',
+        size: null,
+        status: children.every(child => child.status === 'same') ? 'same' : 'different',
+        left: { type: 'directory', size: null, mtime: null },
+        right: { type: 'directory', size: null, mtime: null },
+        children
+    };
+}
+
+/**
+ * Shows the differences between a file on either side as a unified diff
+ * @param {string} left - Absolute left directory
+ * @param {string} right - Absolute right directory
+ * @param {string} path - File path relative to both directories
+ * @param {number} maxLength - Longest diff sent, in characters
+ * @returns {Promise<{ path: string, diff: string, truncated: boolean }>}
+ */
+export async function compareFiles(left, right, path, maxLength) {
+    const files = await Promise.all([resolveReal(left, path, { entry: true }), resolveReal(right, path, { entry: true })]);
+    const stats = await Promise.all(files.map(file => lstat(file).catch(() => null)));
+    if (!stats.every(entry => entry?.isFile())) {
+        throw httpError(400, `${path} is not a file on both sides`);
+    }
+
+    // Exit code 1 only means the files differ
+    const output = await runGit(dirname(files[0]), [
+        'diff', '--no-index', '--no-color', '--no-ext-diff', '--src-prefix=left/', '--dst-prefix=right/', '--', ...files
+    ], { exitCodes: [0, 1] });
+    return { path, diff: output.slice(0, maxLength), truncated: output.length > maxLength };
+}
+
+/**
+ * Copies entries from one side to the other, replacing what is there: an entry
+ * on the target goes to the trash whole, so folders are not merged and the
+ * replaced entry can be restored. Entries missing on the source side are left
+ * alone on the target.
+ * @param {string} source - Absolute directory copied from
+ * @param {string} target - Absolute directory copied to
+ * @param {string[]} paths - Entries to copy, relative to both directories
+ * @param {Object} options
+ * @param {import('./trash.js').Trash} options.trash - Trash whose root holds the target directory
+ * @param {string | null} [options.actor=null] - Who copies the entries
+ * @returns {Promise<{ copied: string[], skipped: string[] }>}
+ */
+export async function syncEntries(source, target, paths, { trash, actor = null }) {
+    if (!Array.isArray(paths) || paths.length === 0 || !paths.every(path => typeof path === 'string' && path)) {
+        throw httpError(400, 'Missing entries to copy');
+    }
+
+    // Every entry is checked before any is replaced, so a request is applied whole or not at all
+    const entries = [];
+    for (const path of paths) {
+        const from = await resolveReal(source, path, { entry: true });
+        const to = await resolveReal(target, path, { entry: true });
+        if (relative(source, from) === '' || relative(target, to) === '') {
+            throw httpError(400, 'The compared directories themselves cannot be copied');
+        }
+
+        const [fromStats, toStats] = await Promise.all([lstat(from).catch(() => null), lstat(to).catch(() => null)]);
+        if (fromStats && toStats && toStats.isDirectory() !== fromStats.isDirectory()) {
+            throw httpError(409, `${path} is a file on one side and a folder on the other`);
+        }
+        entries.push({ path, from, to, fromStats, toStats });
+    }
+
+    const copied = [];
+    const skipped = [];
+    for (const { path, from, to, fromStats, toStats } of entries) {
+        if (!fromStats) {
+            skipped.push(path);
+            continue;
+        }
+
+        if (toStats) await trash.add(to, actor);
+        await mkdir(dirname(to), { recursive: true });
+        await cp(from, to, { recursive: true, force: true, verbatimSymlinks: true });
+        copied.push(path);
+    }
+    return { copied, skipped };
+}
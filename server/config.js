@@ -0,0 +1,110 @@
+import { homedir } from 'os';
+import { delimiter, join, resolve } from 'path';
+
+/**
+ * Reads a numeric setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or not a number
+ * @returns {number}
+ */
+function readNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] && !Number.isNaN(value) ? value : fallback;
+}
+
+/**
+ * Reads a string setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {string} fallback - Value used when the variable is unset or empty
+ * @returns {string}
+ */
+function readString(name, fallback) {
+    return process.env[name] || fallback;
+}
+
+/**
+ * Reads a yes/no setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {boolean} fallback - Value used when the variable is unset or empty
+ * @returns {boolean}
+ */
+function readBoolean(name, fallback) {
+    const value = (process.env[name] || '').trim().toLowerCase();
+    return value ? ['1', 'true', 'yes', 'on'].includes(value) : fallback;
+}
+
+/**
+ * Reads a list setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {string[]} fallback - Value used when the variable is unset or empty
+ * @param {string} [separator=','] - Separator between list items
+ * @returns {string[]}
+ */
+function readList(name, fallback, separator = ',') {
+    const items = (process.env[name] || '').split(separator).map(item => item.trim()).filter(Boolean);
+    return items.length ? items : fallback;
+}
+
+// Directory for per-user settings files, following the XDG convention
+const configHome = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+
+/**
+ * Server settings, each overridable through an environment variable
+ */
+export const config = {
+    // Directory levels sent with the initial structure; deeper levels load when expanded
+    structureDepth: readNumber('WFM_STRUCTURE_DEPTH', Infinity),
+    // Maximum number of entries sent per directory in one message
+    pageSize: readNumber('WFM_PAGE_SIZE', 500),
+    // How file changes are detected: 'native' events, 'poll' for file systems that do not
+    // deliver them, or 'auto' to fall back to polling when native watching fails
+    watchMode: readString('WFM_WATCH_MODE', 'auto'),
+    // Milliseconds between checks for changes when polling
+    watchPollInterval: readNumber('WFM_WATCH_POLL_INTERVAL', 2000),
+    // Milliseconds without file events after which a batch of changes is applied
+    watchDelay: readNumber('WFM_WATCH_DELAY', 100),
+    // Longest time in milliseconds changes are held back while events keep coming
+    watchMaxDelay: readNumber('WFM_WATCH_MAX_DELAY', 1000),
+    // Changed paths in one batch above which the tree is rescanned instead of patched
+    watchRebuildThreshold: readNumber('WFM_WATCH_REBUILD_THRESHOLD', 1000),
+    // Whether links to directories inside the project are shown with their contents
+    followSymlinks: readBoolean('WFM_FOLLOW_SYMLINKS', false),
+    // Maximum number of bytes returned by one file preview request
+    previewMaxBytes: readNumber('WFM_PREVIEW_MAX_BYTES', 1024 * 1024),
+    // Directory holding each project's trash, kept outside the project so git and searches never see it
+    trashDir: resolve(readString('WFM_TRASH_DIR', join(configHome, 'web-fs-manager', 'trash'))),
+    // Days deleted entries stay in the project trash
+    trashRetentionDays: readNumber('WFM_TRASH_RETENTION_DAYS', 30),
+    // Maximum number of entries kept in the project trash, oldest are purged first
+    trashMaxItems: readNumber('WFM_TRASH_MAX_ITEMS', 1000),
+    // Number of file operations that can be undone
+    undoLimit: readNumber('WFM_UNDO_LIMIT', 50),
+    // Matching lines after which a content search stops
+    searchMaxResults: readNumber('WFM_SEARCH_MAX_RESULTS', 1000),
+    // Files larger than this many bytes are left out of content searches
+    searchMaxFileBytes: readNumber('WFM_SEARCH_MAX_FILE_BYTES', 2 * 1024 * 1024),
+    // Entries listed in each largest-files and largest-directories report
+    usageReportSize: readNumber('WFM_USAGE_REPORT_SIZE', 20),
+    // Commits per page of a file's git history
+    gitLogPageSize: readNumber('WFM_GIT_LOG_PAGE_SIZE', 50),
+    // Directories that projects may be opened from, separated like PATH entries
+    allowedRoots: readList('WFM_ALLOWED_ROOTS', [homedir()], delimiter).map(root => resolve(root)),
+    // Browser origins allowed to call the API besides the server's own
+    allowedOrigins: readList('WFM_ALLOWED_ORIGINS', ['http://localhost:3000', 'http://localhost:3001']),
+    // JSON file holding the projects opened before
+    recentProjectsFile: resolve(readString('WFM_RECENT_PROJECTS_FILE', join(configHome, 'web-fs-manager', 'recent-projects.json'))),
+    // Number of recent projects remembered besides pinned ones
+    recentProjectsLimit: readNumber('WFM_RECENT_PROJECTS_LIMIT', 10),
+    // Directory holding each project's log of changes
+    activityDir: resolve(readString('WFM_ACTIVITY_DIR', join(configHome, 'web-fs-manager', 'activity'))),
+    // Change events kept per project, the oldest are dropped first
+    activityLimit: readNumber('WFM_ACTIVITY_LIMIT', 5000),
+    // Directory holding each project's snapshots
+    snapshotDir: resolve(readString('WFM_SNAPSHOT_DIR', join(configHome, 'web-fs-manager', 'snapshots'))),
+    // Directory holding the saved workspaces, one file each
+    workspaceDir: resolve(readString('WFM_WORKSPACE_DIR', join(configHome, 'web-fs-manager', 'workspaces'))),
+    // JSON file holding the users and their hashed passwords and tokens
+    usersFile: resolve(readString('WFM_USERS_FILE', '.wfm-users.json')),
+    // Minutes a login stays valid
+    sessionTtlMinutes: readNumber('WFM_SESSION_TTL_MINUTES', 12 * 60)
+};
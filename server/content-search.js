@@ -0,0 +1,216 @@
+import { readFile, stat } from 'fs/promises';
+import { join } from 'path';
+import { detectContent, SAMPLE_SIZE } from './file-content.js';
+import { globToRegex } from './ignore.js';
+import { httpError } from './errors.js';
+import { listRoots, walkFiles } from './walk.js';
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {boolean} [regex=false] - Whether the query is a regular expression rather than literal text
+ * @property {boolean} [caseSensitive=false] - Whether letter case must match
+ * @property {string[]} [include=[]] - Globs of files to search; all files when empty
+ * @property {string[]} [exclude=[]] - Globs of files and directories to skip
+ * @property {boolean} [includeIgnored=false] - Whether to search entries matched by ignore rules
+ * @property {import('./ignore.js').IgnoreRules} [ignore] - The project's ignore rules, for a single project root
+ * @property {number} [maxMatches=1000] - Matches after which the search stops
+ * @property {number} [maxFileBytes=2097152] - Larger files are skipped
+ * @property {number} [contextLines=2] - Lines shown before and after each match
+ * @property {AbortSignal} [signal] - Stops the search
+ */
+
+/**
+ * @typedef {Object} LineMatch
+ * @property {number} line - Line number, from 1
+ * @property {number} column - Position of the match in the line, from 0
+ * @property {number} length - Length of the match
+ * @property {string} text - The matching line
+ * @property {string[]} before - Lines before the match
+ * @property {string[]} after - Lines after the match
+ */
+
+/**
+ * @typedef {Object} FileMatches
+ * @property {string} path - File path relative to the project root
+ * @property {LineMatch[]} matches - Matching lines in file order
+ */
+
+/**
+ * @typedef {Object} SearchSummary
+ * @property {number} files - Files with matches
+ * @property {number} matches - Matching lines found
+ * @property {boolean} truncated - Whether the search stopped at `maxMatches`
+ * @property {boolean} cancelled - Whether the search was stopped through its signal
+ */
+
+// Lines longer than this are cut around the match
+const MAX_LINE_LENGTH = 500;
+
+/**
+ * Builds the regular expression a query stands for
+ * @param {string} query - Search text
+ * @param {SearchOptions} options - `regex` and `caseSensitive` apply
+ * @returns {RegExp}
+ * @throws {Error} With status 400 for empty queries and invalid regular expressions
+ */
+export function createPattern(query, { regex = false, caseSensitive = false } = {}) {
+    if (typeof query !== 'string' || !query) {
+        throw httpError(400, 'Missing search query');
+    }
+
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    try {
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    } catch (err) {
+        throw httpError(400, err.message);
+    }
+}
+
+/**
+ * Compiles globs into a test for paths. Globs with a slash match the path from
+ * the project root, others the entry name, as in .gitignore files.
+ * @param {string[]} globs - Glob patterns
+ * @returns {(path: string) => boolean}
+ */
+export function createGlobFilter(globs) {
+    const tests = globs.map(glob => glob.trim()).filter(Boolean).map(glob => {
+        const anchored = glob.replace(/\/$/, '').includes('/');
+        const regex = globToRegex(glob.replace(/^\//, '').replace(/\/$/, ''));
+        return path => regex.test(anchored ? path : path.slice(path.lastIndexOf('/') + 1));
+    });
+    return path => tests.some(test => test(path));
+}
+
+/**
+ * Splits a comma-separated list of globs, as sent in query strings
+ * @param {string | string[] | undefined} value - List or array
+ * @returns {string[]}
+ */
+export function parseGlobList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return typeof value === 'string' ? value.split(',') : [];
+}
+
+/**
+ * Cuts a long line down to the part around a match
+ * @param {string} text - Line text
+ * @param {number} column - Start of the match
+ * @returns {{ text: string, column: number }}
+ */
+function clipLine(text, column) {
+    if (text.length <= MAX_LINE_LENGTH) return { text, column };
+    const start = Math.max(0, column - MAX_LINE_LENGTH / 2);
+    return { text: text.slice(start, start + MAX_LINE_LENGTH), column: column - start };
+}
+
+/**
+ * Finds the lines of a text that match a pattern
+ * @param {string} text - File content
+ * @param {RegExp} pattern - Pattern with the global flag
+ * @param {number} contextLines - Lines included before and after each match
+ * @param {number} limit - Matches to return at most
+ * @returns {LineMatch[]}
+ */
+export function findMatches(text, pattern, contextLines, limit) {
+    const lines = text.split(/\r?\n/);
+    // A final newline ends the last line rather than starting another
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    const matches = [];
+    const clip = line => line.length > MAX_LINE_LENGTH ? line.slice(0, MAX_LINE_LENGTH) : line;
+
+    for (let i = 0; i < lines.length && matches.length < limit; i++) {
+        pattern.lastIndex = 0;
+        const match = pattern.exec(lines[i]);
+        if (!match) continue;
+
+        const clipped = clipLine(lines[i], match.index);
+        matches.push({
+            line: i + 1,
+            column: clipped.column,
+            length: Math.min(match[0].length, clipped.text.length - clipped.column),
+            text: clipped.text,
+            before: lines.slice(Math.max(0, i - contextLines), i).map(clip),
+            after: lines.slice(i + 1, i + 1 + contextLines).map(clip)
+        });
+    }
+
+    return matches;
+}
+
+/**
+ * Decodes file content as the encoding detected for it
+ * @param {Buffer} buffer - File content
+ * @param {string} encoding - Encoding name
+ * @returns {string}
+ */
+function decode(buffer, encoding) {
+    try {
+        return new TextDecoder(encoding).decode(buffer);
+    } catch (err) {
+        return buffer.toString('latin1');
+    }
+}
+
+/**
+ * Searches the text files of a project, reporting the matches of each file as it
+ * is searched. Binary files, files over the size limit, excluded entries and, unless
+ * asked for, ignored entries are skipped. Symbolic links are not followed.
+ * Globs match paths relative to each root.
+ * @param {string | import('./walk.js').WalkRoot[]} root - Absolute project root, or the folders of a workspace
+ * @param {string} query - Search text
+ * @param {SearchOptions} options
+ * @param {(file: FileMatches) => void} onFile - Called for each file with matches
+ * @returns {Promise<SearchSummary>}
+ * @throws {Error} With status 400 for invalid queries
+ */
+export async function searchContent(root, query, options, onFile) {
+    const {
+        include = [],
+        exclude = [],
+        includeIgnored = false,
+        ignore,
+        maxMatches = 1000,
+        maxFileBytes = 2 * 1024 * 1024,
+        contextLines = 2,
+        signal
+    } = options;
+
+    const pattern = createPattern(query, options);
+    const isIncluded = include.some(glob => glob.trim()) ? createGlobFilter(include) : () => true;
+    const isExcluded = createGlobFilter(exclude);
+    const summary = { files: 0, matches: 0, truncated: false, cancelled: false };
+
+    const stopped = () => {
+        if (signal?.aborted) summary.cancelled = true;
+        return summary.cancelled || summary.truncated;
+    };
+
+    const searchFile = async (absolute, path) => {
+        if ((await stat(absolute)).size > maxFileBytes) return;
+        const buffer = await readFile(absolute);
+
+        const info = detectContent(buffer.subarray(0, SAMPLE_SIZE), path, buffer.length > SAMPLE_SIZE);
+        if (info.kind !== 'text') return;
+
+        const matches = findMatches(decode(buffer, info.encoding), pattern, contextLines, maxMatches - summary.matches);
+        if (matches.length === 0 || stopped()) return;
+
+        summary.files++;
+        summary.matches += matches.length;
+        if (summary.matches >= maxMatches) summary.truncated = true;
+        onFile({ path, matches });
+    };
+
+    for (const { path: dir, ignore: rules, prefix = '' } of listRoots(root, ignore)) {
+        await walkFiles(dir, { ignore: rules, includeIgnored, skip: isExcluded, stopped }, async (path) => {
+            if (!isIncluded(path)) return;
+            try {
+                await searchFile(join(dir, path), prefix + path);
+            } catch (err) {
+                // Files that vanish or cannot be read are skipped
+            }
+        });
+    }
+    stopped();
+    return summary;
+}
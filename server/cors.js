@@ -0,0 +1,20 @@
+/**
+ * Checks whether a request origin may use the API. Requests without an Origin
+ * header do not come from a browser page and are allowed, as are pages served
+ * by this server itself.
+ * @param {string | undefined} origin - Value of the Origin header
+ * @param {string | undefined} host - Value of the Host header
+ * @param {string[]} allowedOrigins - Other origins that are allowed
+ * @returns {boolean}
+ */
+export function isAllowedOrigin(origin, host, allowedOrigins) {
+    if (!origin) return true;
+    if (allowedOrigins.includes(origin)) return true;
+
+    try {
+        return new URL(origin).host === host;
+    } catch (err) {
+        // Opaque origins such as "null"
+        return false;
+    }
+}
@@ -0,0 +1,350 @@
+import { lstat, readdir } from 'fs/promises';
+import { extname, join } from 'path';
+
+/**
+ * @typedef {Object} Usage
+ * @property {number} size - Apparent size in bytes; for directories the total of all files below them
+ * @property {number} disk - Bytes of the blocks allocated on disk, totalled the same way
+ * @property {number} [files] - Files below a directory, at any depth; not set on files
+ */
+
+/**
+ * @typedef {Object} UsageEntry
+ * @property {string} path - Path relative to the project root
+ * @property {'directory' | 'file'} type - Entry type
+ * @property {number} size - Apparent size in bytes
+ * @property {number} disk - Bytes allocated on disk
+ * @property {number} [files] - Files below a directory
+ * @property {boolean} [ignored] - Set on entries matched by ignore rules
+ */
+
+/**
+ * @typedef {Object} ExtensionUsage
+ * @property {string} extension - Lower-case extension with its dot, empty for files without one
+ * @property {number} files - Number of files
+ * @property {number} size - Apparent size of the files in bytes
+ * @property {number} disk - Bytes the files take on disk
+ */
+
+const ROOT_PATH = '/';
+
+// stat reports allocated space in 512-byte blocks, whatever the file system's block size
+const BLOCK_SIZE = 512;
+
+/**
+ * Returns the parent path of a relative path
+ * @param {string} path - Relative path
+ * @returns {string} Parent path, '/' for top-level entries
+ */
+function parentOf(path) {
+    const index = path.lastIndexOf('/');
+    return index > 0 ? path.slice(0, index) : ROOT_PATH;
+}
+
+/**
+ * Joins a directory path and an entry name
+ * @param {string} dir - Relative directory path, '/' for the root
+ * @param {string} name - Entry name
+ * @returns {string}
+ */
+function childOf(dir, name) {
+    return dir === ROOT_PATH ? name : `${dir}/${name}`;
+}
+
+/**
+ * Returns the extension a file is reported under
+ * @param {string} path - File path
+ * @returns {string}
+ */
+function extensionOf(path) {
+    return extname(path.slice(path.lastIndexOf('/') + 1)).toLowerCase();
+}
+
+/**
+ * Disk usage of a project: sizes, allocated space and file counts of every
+ * directory, totalled over everything below it, plus totals per file extension.
+ * Ignored entries count, as they take up space all the same; excluded ones do
+ * not. Symbolic links count as the small files they are and are not followed.
+ *
+ * The totals are built by one full scan and then kept up to date from
+ * watcher events, adjusting only the ancestors of what changed.
+ */
+export class DiskUsage {
+    /**
+     * @param {string} root - Absolute project root
+     * @param {import('./ignore.js').IgnoreRules} ignore - The project's ignore rules
+     */
+    constructor(root, ignore) {
+        this.root = root;
+        this.ignore = ignore;
+        /** @type {Map<string, { type: 'directory' | 'file', size: number, disk: number, files?: number, children?: Set<string> }>} */
+        this.entries = new Map();
+        /** @type {Map<string, { files: number, size: number, disk: number }>} */
+        this.extensions = new Map();
+        /** @type {Promise<void> | null} */
+        this.loading = null;
+        // Set once the first scan is done; totals are partial until then
+        this.loaded = false;
+        /** @type {Map<string, Usage> | null} Totals before the changes of the running update */
+        this.previous = null;
+    }
+
+    /**
+     * Scans the project on first use; concurrent callers share the same scan
+     * @returns {Promise<void>}
+     */
+    ready() {
+        if (!this.loading) {
+            this.entries.clear();
+            this.extensions.clear();
+            this.entries.set(ROOT_PATH, { type: 'directory', size: 0, disk: 0, files: 0, children: new Set() });
+            this.loading = this.scanDirectory(ROOT_PATH).then(() => {
+                this.loaded = true;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Returns the usage of an entry
+     * @param {string} path - Relative path, '/' for the root
+     * @returns {Usage | null} Null for unknown paths
+     */
+    get(path) {
+        const entry = this.entries.get(path);
+        if (!entry) return null;
+        return entry.type === 'directory'
+            ? { size: entry.size, disk: entry.disk, files: entry.files }
+            : { size: entry.size, disk: entry.disk };
+    }
+
+    /**
+     * Checks the given paths against the file system and adjusts the totals
+     * @param {Iterable<string>} paths - Paths relative to the project root, as reported by the watcher
+     * @returns {Promise<Map<string, Usage>>} New usage of the entries whose usage changed;
+     *     entries that are gone are left out
+     */
+    async update(paths) {
+        await this.ready();
+        this.previous = new Map();
+
+        try {
+            const changed = Array.from(new Set(paths))
+                .filter(path => !this.ignore.isExcluded(path))
+                .sort((a, b) => a.split('/').length - b.split('/').length);
+            for (const path of changed) {
+                await this.reconcile(path);
+            }
+
+            const result = new Map();
+            for (const [path, before] of this.previous) {
+                const after = this.get(path);
+                if (after && (after.size !== before?.size || after.disk !== before?.disk || after.files !== before?.files)) {
+                    result.set(path, after);
+                }
+            }
+            return result;
+        } finally {
+            this.previous = null;
+        }
+    }
+
+    /**
+     * Lists the largest entries of a kind, largest first
+     * @param {'directory' | 'file'} type - Kind of entries
+     * @param {number} limit - Number of entries to return
+     * @returns {UsageEntry[]}
+     */
+    largest(type, limit) {
+        const top = [];
+        for (const [path, entry] of this.entries) {
+            if (entry.type !== type || path === ROOT_PATH) continue;
+            if (top.length === limit && entry.size <= top[top.length - 1].size) continue;
+
+            let index = top.findIndex(other => other.size < entry.size);
+            if (index < 0) index = top.length;
+            top.splice(index, 0, { path, size: entry.size });
+            if (top.length > limit) top.pop();
+        }
+        return top.map(({ path }) => this.describe(path));
+    }
+
+    /**
+     * Totals per file extension, largest first
+     * @returns {ExtensionUsage[]}
+     */
+    byExtension() {
+        return Array.from(this.extensions, ([extension, totals]) => ({ extension, ...totals }))
+            .sort((a, b) => b.size - a.size || a.extension.localeCompare(b.extension));
+    }
+
+    /**
+     * Builds the report entry of a path
+     * @param {string} path - Known relative path
+     * @returns {UsageEntry}
+     */
+    describe(path) {
+        const entry = this.entries.get(path);
+        const description = { path, type: entry.type, ...this.get(path) };
+        if (this.ignore.status(path, entry.type === 'directory') === 'ignored') description.ignored = true;
+        return description;
+    }
+
+    /**
+     * Compares a single path with the file system and adjusts the totals
+     * @param {string} path - Relative path
+     */
+    async reconcile(path) {
+        if (path === ROOT_PATH) {
+            await this.rescanChildren(ROOT_PATH);
+            return;
+        }
+
+        const parent = this.entries.get(parentOf(path));
+        if (!parent) {
+            // Adding the parent brings this entry along
+            await this.reconcile(parentOf(path));
+            return;
+        }
+        if (parent.type !== 'directory') return;
+
+        const stats = await lstat(join(this.root, path)).catch(() => null);
+        const entry = this.entries.get(path);
+        if (!stats) {
+            if (entry) this.removeEntry(path);
+            return;
+        }
+
+        const type = stats.isDirectory() ? 'directory' : 'file';
+        if (entry && entry.type !== type) {
+            this.removeEntry(path);
+        } else if (entry && type === 'file') {
+            this.adjust(path, { size: stats.size - entry.size, disk: stats.blocks * BLOCK_SIZE - entry.disk, files: 0 });
+            return;
+        } else if (entry) {
+            await this.rescanChildren(path);
+            return;
+        }
+
+        await this.addEntry(path, stats);
+    }
+
+    /**
+     * Picks up the entries of a directory created or deleted without their own event
+     * @param {string} path - Relative directory path
+     */
+    async rescanChildren(path) {
+        const entry = this.entries.get(path);
+        const names = await readdir(join(this.root, path === ROOT_PATH ? '' : path)).catch(() => []);
+        const present = new Set(names.filter(name => !this.ignore.isExcluded(childOf(path, name))));
+
+        for (const name of [...entry.children]) {
+            if (!present.has(name)) this.removeEntry(childOf(path, name));
+        }
+        for (const name of present) {
+            if (entry.children.has(name)) continue;
+            const stats = await lstat(join(this.root, childOf(path, name))).catch(() => null);
+            if (stats) await this.addEntry(childOf(path, name), stats);
+        }
+    }
+
+    /**
+     * Reads the entries of a directory into the totals, recursively
+     * @param {string} path - Relative path of a directory already registered
+     */
+    async scanDirectory(path) {
+        let names;
+        try {
+            names = await readdir(join(this.root, path === ROOT_PATH ? '' : path));
+        } catch (err) {
+            return;
+        }
+
+        for (const name of names) {
+            const child = childOf(path, name);
+            if (this.ignore.isExcluded(child)) continue;
+            const stats = await lstat(join(this.root, child)).catch(() => null);
+            if (stats) await this.addEntry(child, stats);
+        }
+    }
+
+    /**
+     * Registers a new entry, scanning it when it is a directory, and adds it to the totals
+     * @param {string} path - Relative path
+     * @param {import('fs').Stats} stats - Its lstat result
+     */
+    async addEntry(path, stats) {
+        this.entries.get(parentOf(path)).children.add(path.slice(path.lastIndexOf('/') + 1));
+
+        if (stats.isDirectory()) {
+            this.entries.set(path, { type: 'directory', size: 0, disk: 0, files: 0, children: new Set() });
+            // Totals of the new directory grow as its files are added
+            await this.scanDirectory(path);
+            return;
+        }
+
+        this.entries.set(path, { type: 'file', size: 0, disk: 0 });
+        this.adjust(path, { size: stats.size, disk: stats.blocks * BLOCK_SIZE, files: 1 });
+    }
+
+    /**
+     * Forgets an entry and everything below it, taking it out of the totals
+     * @param {string} path - Relative path of a known entry
+     */
+    removeEntry(path) {
+        const entry = this.entries.get(path);
+        if (entry.type === 'directory') {
+            for (const name of [...entry.children]) this.removeEntry(childOf(path, name));
+        } else {
+            this.adjust(path, { size: -entry.size, disk: -entry.disk, files: -1 });
+        }
+
+        this.entries.delete(path);
+        this.entries.get(parentOf(path))?.children.delete(path.slice(path.lastIndexOf('/') + 1));
+    }
+
+    /**
+     * Applies a change of a file to the file itself, its ancestors and its extension
+     * @param {string} path - Relative file path
+     * @param {{ size: number, disk: number, files: number }} delta - Change of each total;
+     *     `files` is 1 for new files, -1 for removed ones and 0 otherwise
+     */
+    adjust(path, delta) {
+        if (delta.size === 0 && delta.disk === 0 && delta.files === 0) return;
+
+        const file = this.entries.get(path);
+        this.remember(path);
+        file.size += delta.size;
+        file.disk += delta.disk;
+
+        for (let dir = parentOf(path); ; dir = parentOf(dir)) {
+            const entry = this.entries.get(dir);
+            this.remember(dir);
+            entry.size += delta.size;
+            entry.disk += delta.disk;
+            entry.files += delta.files;
+            if (dir === ROOT_PATH) break;
+        }
+
+        const extension = extensionOf(path);
+        const totals = this.extensions.get(extension) || { files: 0, size: 0, disk: 0 };
+        totals.files += delta.files;
+        totals.size += delta.size;
+        totals.disk += delta.disk;
+        if (totals.files === 0) {
+            this.extensions.delete(extension);
+        } else {
+            this.extensions.set(extension, totals);
+        }
+    }
+
+    /**
+     * Records the usage of an entry before the running update first changes it
+     * @param {string} path - Relative path
+     */
+    remember(path) {
+        if (this.previous && !this.previous.has(path)) {
+            this.previous.set(path, this.get(path));
+        }
+    }
+}
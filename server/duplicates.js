@@ -0,0 +1,279 @@
+import { createReadStream } from 'fs';
+import { open, stat } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { pipeline } from 'stream/promises';
+import { listRoots, walkFiles } from './walk.js';
+
+/**
+ * @typedef {Object} DuplicateGroup
+ * @property {number} size - Size of each copy in bytes
+ * @property {string} hash - SHA-1 of the content
+ * @property {string[]} paths - Paths of the copies relative to the project root, sorted
+ * @property {number} wasted - Bytes taken by all copies but one
+ */
+
+/**
+ * @typedef {Object} DuplicateProgress
+ * @property {'scanning' | 'hashing'} phase - Listing files, or comparing their contents
+ * @property {number} files - Files listed so far
+ * @property {number} checkedBytes - Bytes of the compared files checked so far
+ * @property {number} totalBytes - Bytes of the files that may be duplicates, known once hashing starts
+ */
+
+/**
+ * @typedef {Object} DuplicateReport
+ * @property {DuplicateGroup[]} groups - Sets of identical files, most wasted bytes first
+ * @property {number} wastedBytes - Bytes that removing all but one copy of each set would free
+ * @property {number} files - Files compared
+ * @property {boolean} cancelled - Whether the scan was stopped through its signal
+ */
+
+// Bytes hashed first; only files whose beginnings match are read in full
+export const PARTIAL_HASH_BYTES = 4096;
+
+/**
+ * Hashes the beginning of a file
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<string>}
+ */
+async function partialHash(filePath) {
+    const handle = await open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(PARTIAL_HASH_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, PARTIAL_HASH_BYTES, 0);
+        return createHash('sha1').update(buffer.subarray(0, bytesRead)).digest('hex');
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Hashes a whole file without holding it in memory
+ * @param {string} filePath - Absolute file path
+ * @param {AbortSignal} [signal] - Stops reading
+ * @returns {Promise<string>}
+ */
+export async function fullHash(filePath, signal) {
+    const hash = createHash('sha1');
+    await pipeline(createReadStream(filePath), hash, { signal });
+    return hash.digest('hex');
+}
+
+/**
+ * Groups paths by a key computed for each of them. Paths whose key cannot be
+ * computed, e.g. because the file vanished, are dropped.
+ * @param {string[]} paths - Paths to group
+ * @param {(path: string) => Promise<string>} keyOf - Computes a path's key
+ * @param {() => boolean} stopped - Checked before each path
+ * @returns {Promise<Map<string, string[]>>}
+ */
+async function groupBy(paths, keyOf, stopped) {
+    const groups = new Map();
+    for (const path of paths) {
+        if (stopped()) break;
+        let key;
+        try {
+            key = await keyOf(path);
+        } catch (err) {
+            continue;
+        }
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(path);
+    }
+    return groups;
+}
+
+/**
+ * Finds files with identical content. Files are grouped by size first, then by a
+ * hash of their first bytes, and only the remaining candidates are hashed in
+ * full, so most files are never read. Empty files, excluded entries and, unless
+ * asked for, ignored entries are left out. Symbolic links are not followed.
+ * @param {string | import('./walk.js').WalkRoot[]} root - Absolute project root, or the folders of a
+ *     workspace, whose files are compared with each other's
+ * @param {Object} [options]
+ * @param {import('./ignore.js').IgnoreRules} [options.ignore] - The project's ignore rules, for a single project root
+ * @param {boolean} [options.includeIgnored=false] - Whether to compare entries matched by ignore rules
+ * @param {number} [options.minSize=1] - Smaller files are left out
+ * @param {AbortSignal} [options.signal] - Stops the scan
+ * @param {(progress: DuplicateProgress) => void} [options.onProgress] - Called as files are listed and read
+ * @returns {Promise<DuplicateReport>}
+ */
+export async function findDuplicates(root, { ignore, includeIgnored = false, minSize = 1, signal, onProgress = () => {} } = {}) {
+    const progress = { phase: 'scanning', files: 0, checkedBytes: 0, totalBytes: 0 };
+    const stopped = () => Boolean(signal?.aborted);
+    const report = () => onProgress({ ...progress });
+
+    /** @type {Map<number, string[]>} */
+    const bySize = new Map();
+    // Absolute path of every listed file by the path it is reported under
+    const files = new Map();
+    for (const { path: dir, ignore: rules, prefix = '' } of listRoots(root, ignore)) {
+        await walkFiles(dir, { ignore: rules, includeIgnored, stopped }, async (path) => {
+            let size;
+            try {
+                ({ size } = await stat(join(dir, path)));
+            } catch (err) {
+                return;
+            }
+            progress.files++;
+            if (progress.files % 100 === 0) report();
+            if (size < Math.max(minSize, 1)) return;
+            if (!bySize.has(size)) bySize.set(size, []);
+            bySize.get(size).push(prefix + path);
+            files.set(prefix + path, join(dir, path));
+        });
+    }
+
+    const candidates = [...bySize].filter(([, paths]) => paths.length > 1);
+    progress.phase = 'hashing';
+    progress.totalBytes = candidates.reduce((sum, [size, paths]) => sum + size * paths.length, 0);
+    report();
+
+    const groups = [];
+    for (const [size, paths] of candidates) {
+        if (stopped()) break;
+        const byStart = await groupBy(paths, path => partialHash(files.get(path)), stopped);
+
+        for (const [startHash, sameStart] of byStart) {
+            // Files no larger than the partial hash are compared in full by it already
+            const byContent = sameStart.length > 1 && size > PARTIAL_HASH_BYTES
+                ? await groupBy(sameStart, path => fullHash(files.get(path), signal), stopped)
+                : new Map([[startHash, sameStart]]);
+
+            for (const [hash, same] of byContent) {
+                if (same.length < 2) continue;
+                groups.push({
+                    size,
+                    hash,
+                    paths: same.sort(),
+                    wasted: size * (same.length - 1)
+                });
+            }
+        }
+
+        progress.checkedBytes += size * paths.length;
+        report();
+    }
+
+    groups.sort((a, b) => b.wasted - a.wasted || a.paths[0].localeCompare(b.paths[0]));
+    return {
+        groups,
+        wastedBytes: groups.reduce((sum, group) => sum + group.wasted, 0),
+        files: progress.files,
+        cancelled: stopped()
+    };
+}
+
+/**
+ * @typedef {Object} DuplicateScanState
+ * @property {boolean} running - Whether a scan is in progress
+ * @property {DuplicateProgress | null} progress - Progress of the running scan
+ * @property {DuplicateReport | null} report - Result of the last finished scan
+ * @property {string | null} error - Why the last scan failed
+ * @property {string | null} finishedAt - ISO timestamp of the end of the last scan
+ */
+
+/**
+ * Runs duplicate scans of a project in the background, one at a time, and keeps
+ * the result of the last one so clients can fetch it later
+ */
+export class DuplicateScanner {
+    /**
+     * @param {string | (() => Promise<import('./walk.js').WalkRoot[]>)} root - Absolute project root, or a
+     *     function providing the folders of a workspace with their ignore rules
+     * @param {Object} [options]
+     * @param {() => Promise<import('./ignore.js').IgnoreRules>} [options.ignore] - Provides the project's ignore rules
+     * @param {(progress: DuplicateProgress) => void} [options.onProgress] - Called as a scan progresses
+     * @param {(state: DuplicateScanState) => void} [options.onDone] - Called when a scan ends
+     * @param {number} [options.progressInterval=250] - Milliseconds between progress updates
+     */
+    constructor(root, { ignore = async () => undefined, onProgress = () => {}, onDone = () => {}, progressInterval = 250 } = {}) {
+        this.root = root;
+        this.ignore = ignore;
+        this.onProgress = onProgress;
+        this.onDone = onDone;
+        this.progressInterval = progressInterval;
+        this.controller = null;
+        this.progress = null;
+        this.report = null;
+        this.error = null;
+        this.finishedAt = null;
+        this.scan = Promise.resolve();
+    }
+
+    /**
+     * Starts a scan unless one is running
+     * @param {Object} [options]
+     * @param {boolean} [options.includeIgnored=false] - Whether to compare ignored entries
+     * @param {number} [options.minSize=1] - Smaller files are left out
+     * @returns {boolean} Whether a scan was started
+     */
+    start({ includeIgnored = false, minSize = 1 } = {}) {
+        if (this.controller) return false;
+
+        const controller = new AbortController();
+        this.controller = controller;
+        this.progress = { phase: 'scanning', files: 0, checkedBytes: 0, totalBytes: 0 };
+        this.error = null;
+        let lastUpdate = 0;
+
+        this.scan = (async () => {
+            try {
+                const root = typeof this.root === 'function' ? await this.root() : this.root;
+                this.report = await findDuplicates(root, {
+                    ignore: await this.ignore(),
+                    includeIgnored,
+                    minSize,
+                    signal: controller.signal,
+                    onProgress: progress => {
+                        this.progress = progress;
+                        if (Date.now() - lastUpdate < this.progressInterval) return;
+                        lastUpdate = Date.now();
+                        this.onProgress(progress);
+                    }
+                });
+            } catch (err) {
+                this.error = err.message;
+            } finally {
+                this.controller = null;
+                this.progress = null;
+                this.finishedAt = new Date().toISOString();
+                this.onDone(this.state());
+            }
+        })();
+        this.onProgress(this.progress);
+        return true;
+    }
+
+    /**
+     * Stops the running scan; its partial result is kept with `cancelled` set
+     * @returns {boolean} Whether a scan was running
+     */
+    cancel() {
+        if (!this.controller) return false;
+        this.controller.abort();
+        return true;
+    }
+
+    /**
+     * Waits for the running scan, if any, to end
+     * @returns {Promise<void>}
+     */
+    idle() {
+        return this.scan;
+    }
+
+    /**
+     * @returns {DuplicateScanState}
+     */
+    state() {
+        return {
+            running: this.controller !== null,
+            progress: this.progress,
+            report: this.report,
+            error: this.error,
+            finishedAt: this.finishedAt
+        };
+    }
+}
@@ -0,0 +1,32 @@
+// HTTP status codes for file system errors that are the caller's fault
+const CODE_STATUS = {
+    ENOENT: 404,
+    EEXIST: 409,
+    ENOTEMPTY: 409,
+    ENOTDIR: 400,
+    EISDIR: 400,
+    EINVAL: 400,
+    EACCES: 403,
+    EPERM: 403
+};
+
+/**
+ * Creates an error carrying the HTTP status it should be reported with
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error & { status: number }}
+ */
+export function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Returns the HTTP status for an error thrown while handling a request
+ * @param {Error & { status?: number, code?: string }} err - The error
+ * @returns {number}
+ */
+export function errorStatus(err) {
+    return err.status || CODE_STATUS[err.code] || 500;
+}
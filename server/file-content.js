@@ -0,0 +1,194 @@
+import { extname } from 'path';
+
+/**
+ * @typedef {Object} ContentInfo
+ * @property {'text' | 'image' | 'binary'} kind - How the content can be displayed
+ * @property {string} mime - MIME type used for the response
+ * @property {string | null} encoding - Text encoding, null for images and binary data
+ */
+
+// Number of leading bytes inspected to tell text from binary
+export const SAMPLE_SIZE = 8192;
+
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.bmp': 'image/bmp',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml'
+};
+
+const TEXT_TYPES = {
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.css': 'text/css',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.cjs': 'text/javascript',
+    '.json': 'application/json',
+    '.md': 'text/markdown',
+    '.markdown': 'text/markdown',
+    '.xml': 'application/xml',
+    '.csv': 'text/csv',
+    '.yaml': 'text/yaml',
+    '.yml': 'text/yaml'
+};
+
+// Leading bytes of common binary formats, checked before the extension
+const SIGNATURES = [
+    { bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], mime: 'image/png' },
+    { bytes: [0xff, 0xd8, 0xff], mime: 'image/jpeg' },
+    { bytes: [0x47, 0x49, 0x46, 0x38], mime: 'image/gif' },
+    { bytes: [0x52, 0x49, 0x46, 0x46], at: 8, tail: [0x57, 0x45, 0x42, 0x50], mime: 'image/webp' },
+    { bytes: [0x25, 0x50, 0x44, 0x46, 0x2d], mime: 'application/pdf' },
+    { bytes: [0x50, 0x4b, 0x03, 0x04], mime: 'application/zip' },
+    { bytes: [0x1f, 0x8b], mime: 'application/gzip' },
+    { bytes: [0x42, 0x5a, 0x68], mime: 'application/x-bzip2' },
+    { bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], mime: 'application/x-xz' },
+    { bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], mime: 'application/x-7z-compressed' },
+    { bytes: [0x7f, 0x45, 0x4c, 0x46], mime: 'application/x-executable' },
+    { bytes: [0x00, 0x61, 0x73, 0x6d], mime: 'application/wasm' },
+    { bytes: [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66, 0x6f, 0x72, 0x6d, 0x61, 0x74, 0x20, 0x33, 0x00], mime: 'application/vnd.sqlite3' },
+    { bytes: [0x49, 0x44, 0x33], mime: 'audio/mpeg' },
+    { bytes: [0x4f, 0x67, 0x67, 0x53], mime: 'application/ogg' },
+    { bytes: [0x66, 0x74, 0x79, 0x70], offset: 4, mime: 'video/mp4' }
+];
+
+/**
+ * Checks whether a sample holds the given bytes at an offset
+ * @param {Buffer} sample - Bytes to inspect
+ * @param {number[]} bytes - Expected bytes
+ * @param {number} [offset=0] - Where the bytes start
+ * @returns {boolean}
+ */
+function hasBytes(sample, bytes, offset = 0) {
+    return sample.length >= offset + bytes.length && bytes.every((byte, i) => sample[offset + i] === byte);
+}
+
+/**
+ * Works out the MIME type of a file from its first bytes, falling back to its
+ * extension where the bytes are not recognized
+ * @param {Buffer} sample - Leading bytes of the file
+ * @param {string} name - File name
+ * @param {boolean} [truncated=false] - Whether the sample stops before the end of the file
+ * @returns {string}
+ */
+export function sniffMime(sample, name, truncated = false) {
+    const signature = SIGNATURES.find(({ bytes, offset, at, tail }) =>
+        hasBytes(sample, bytes, offset) && (!tail || hasBytes(sample, tail, at)));
+    if (signature) return signature.mime;
+
+    // tar archives mark their first header block
+    if (hasBytes(sample, [0x75, 0x73, 0x74, 0x61, 0x72], 257)) return 'application/x-tar';
+
+    return detectContent(sample, name, truncated).mime;
+}
+
+/**
+ * Returns the share of bytes that are control characters other than common whitespace
+ * @param {Buffer} sample - Bytes to inspect
+ * @returns {number} Ratio between 0 and 1
+ */
+function controlRatio(sample) {
+    if (sample.length === 0) return 0;
+
+    let control = 0;
+    for (const byte of sample) {
+        if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d && byte !== 0x0c) {
+            control++;
+        }
+    }
+    return control / sample.length;
+}
+
+/**
+ * Checks whether a sample is valid UTF-8, ignoring a sequence cut off at its end
+ * @param {Buffer} sample - Bytes to inspect
+ * @param {boolean} truncated - Whether the sample stops before the end of the file
+ * @returns {boolean}
+ */
+function isUtf8(sample, truncated) {
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    // A multi-byte character may straddle the end of the sample
+    for (let cut = 0; cut <= (truncated ? 3 : 0); cut++) {
+        try {
+            decoder.decode(sample.subarray(0, sample.length - cut));
+            return true;
+        } catch (err) {
+            // Try again without the last byte
+        }
+    }
+    return false;
+}
+
+/**
+ * Works out how a file's content should be presented, from its name and first bytes
+ * @param {Buffer} sample - Leading bytes of the file
+ * @param {string} name - File name, used for the extension
+ * @param {boolean} [truncated=false] - Whether the sample stops before the end of the file
+ * @returns {ContentInfo}
+ */
+export function detectContent(sample, name, truncated = false) {
+    const ext = extname(name).toLowerCase();
+
+    if (IMAGE_TYPES[ext]) {
+        return { kind: 'image', mime: IMAGE_TYPES[ext], encoding: null };
+    }
+
+    const textMime = TEXT_TYPES[ext] || 'text/plain';
+
+    // Byte order marks settle the question
+    if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+        return { kind: 'text', mime: textMime, encoding: 'utf-8' };
+    }
+    if (sample[0] === 0xff && sample[1] === 0xfe) {
+        return { kind: 'text', mime: textMime, encoding: 'utf-16le' };
+    }
+    if (sample[0] === 0xfe && sample[1] === 0xff) {
+        return { kind: 'text', mime: textMime, encoding: 'utf-16be' };
+    }
+
+    if (sample.includes(0) || controlRatio(sample) > 0.1) {
+        return { kind: 'binary', mime: 'application/octet-stream', encoding: null };
+    }
+
+    return {
+        kind: 'text',
+        mime: textMime,
+        encoding: isUtf8(sample, truncated) ? 'utf-8' : 'windows-1252'
+    };
+}
+
+/**
+ * Parses a Range header into the byte span to send, never longer than `cap`
+ * @param {string | undefined} header - Value of the Range header
+ * @param {number} size - File size in bytes
+ * @param {number} cap - Maximum number of bytes sent in one response
+ * @returns {{ start: number, end: number } | null} Inclusive byte span, null if the range cannot be satisfied
+ */
+export function parseRange(header, size, cap) {
+    if (!header) {
+        return { start: 0, end: Math.min(size, cap) - 1 };
+    }
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) return null;
+
+    return { start, end: Math.min(end, start + cap - 1) };
+}
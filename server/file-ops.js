@@ -0,0 +1,153 @@
+import { cp, lstat, mkdir, rename, stat, writeFile } from 'fs/promises';
+import { basename, dirname, join, relative } from 'path';
+import { httpError } from './errors.js';
+import { isWithin, resolveReal } from './paths.js';
+
+/**
+ * @typedef {Object} OperationResult
+ * @property {string} path - Path of the affected entry relative to the root, after the operation
+ * @property {string} [trashId] - Trash item holding a deleted entry
+ */
+
+/**
+ * @typedef {Object} OperationContext
+ * @property {import('./trash.js').Trash} trash - Trash that deleted entries are moved to
+ * @property {string | null} [actor] - Who runs the operation
+ */
+
+/**
+ * Checks that a name can be used for a single directory entry
+ * @param {string} name - Proposed name
+ */
+function validateName(name) {
+    if (typeof name !== 'string' || name.trim() === '' || name === '.' || name === '..' ||
+        /[\\/\0]/.test(name)) {
+        throw httpError(400, `Invalid name: ${name}`);
+    }
+}
+
+/**
+ * Fails if a path already exists, as a link to nothing counts too
+ * @param {string} path - Absolute path
+ */
+async function ensureFree(path) {
+    const existing = await lstat(path).catch(() => null);
+    if (existing) {
+        throw httpError(409, `${basename(path)} already exists`);
+    }
+}
+
+/**
+ * Resolves a path that must exist and must not be the root itself. Links are
+ * entries of their own, whether or not their target exists.
+ * @param {string} root - Absolute project root
+ * @param {string} path - Relative path
+ * @returns {Promise<string>} Absolute path
+ */
+async function resolveExisting(root, path) {
+    const absolute = await resolveReal(root, path, { entry: true });
+    if (relative(root, absolute) === '') {
+        throw httpError(400, 'The project root cannot be changed');
+    }
+    await lstat(absolute);
+    return absolute;
+}
+
+/**
+ * Resolves the directory an entry is moved or copied into, and the entry's new path
+ * @param {string} root - Absolute project root
+ * @param {string} source - Absolute source path
+ * @param {string} destination - Relative destination directory
+ * @returns {Promise<string>} Absolute target path
+ */
+async function resolveTarget(root, source, destination) {
+    const directory = await resolveReal(root, destination);
+    const stats = await stat(directory);
+    if (!stats.isDirectory()) {
+        throw httpError(400, 'Destination is not a directory');
+    }
+    if (isWithin(source, directory)) {
+        throw httpError(400, 'Cannot place a directory inside itself');
+    }
+
+    const target = join(directory, basename(source));
+    await ensureFree(target);
+    return target;
+}
+
+/**
+ * File operations by name, each taking the project root, the request arguments
+ * and the context they run in
+ * @type {Record<string, (root: string, args: Object, context: OperationContext) => Promise<OperationResult>>}
+ */
+export const operations = {
+    async create(root, { path, type = 'file' }) {
+        const target = await resolveReal(root, path);
+        validateName(basename(target));
+        await ensureFree(target);
+
+        if (type === 'directory') {
+            await mkdir(target);
+        } else if (type === 'file') {
+            // 'wx' fails instead of truncating if the file appeared meanwhile
+            await writeFile(target, '', { flag: 'wx' });
+        } else {
+            throw httpError(400, `Unknown entry type: ${type}`);
+        }
+
+        return { path: relative(root, target) };
+    },
+
+    async rename(root, { path, name }) {
+        const source = await resolveExisting(root, path);
+        validateName(name);
+
+        const target = join(dirname(source), name);
+        await ensureFree(target);
+        await rename(source, target);
+
+        return { path: relative(root, target) };
+    },
+
+    async move(root, { path, destination }) {
+        const source = await resolveExisting(root, path);
+        const target = await resolveTarget(root, source, destination);
+        await rename(source, target);
+
+        return { path: relative(root, target) };
+    },
+
+    async copy(root, { path, destination }) {
+        const source = await resolveExisting(root, path);
+        const target = await resolveTarget(root, source, destination);
+        await cp(source, target, { recursive: true, errorOnExist: true, force: false });
+
+        return { path: relative(root, target) };
+    },
+
+    async delete(root, { path }, { trash, actor = null }) {
+        const target = await resolveExisting(root, path);
+        const item = await trash.add(target, actor);
+
+        return { path: item.path, trashId: item.id };
+    },
+
+    async restore(root, { id }, { trash }) {
+        return trash.restore(id);
+    }
+};
+
+/**
+ * Runs a file operation by name
+ * @param {string} root - Absolute project root
+ * @param {string} name - Operation name: create, rename, move, copy, delete or restore
+ * @param {Object} args - Operation arguments
+ * @param {OperationContext} context - Trash and actor
+ * @returns {Promise<OperationResult>}
+ */
+export async function runOperation(root, name, args, context) {
+    if (!Object.hasOwn(operations, name)) {
+        throw httpError(400, `Unknown operation: ${name}`);
+    }
+    return operations[name](root, args ?? {}, context);
+}
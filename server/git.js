@@ -0,0 +1,320 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { httpError } from './errors.js';
+
+/**
+ * @typedef {'conflicted' | 'modified' | 'staged' | 'untracked' | 'ignored'} FileStatus
+ */
+
+/**
+ * @typedef {Object} RepositoryStatus
+ * @property {string | null} branch - Checked out branch, null when HEAD is detached
+ * @property {string | null} upstream - Upstream branch, e.g. `origin/main`
+ * @property {number} ahead - Commits on the branch that are not on its upstream
+ * @property {number} behind - Commits on the upstream that are not on the branch
+ * @property {Record<string, FileStatus>} files - Status of changed entries by project-relative path.
+ *     Untracked and ignored directories are listed once and cover everything below them.
+ * @property {Record<string, FileStatus>} directories - Most important status of the entries
+ *     inside each directory, `/` for the project root
+ */
+
+/**
+ * @typedef {Object} Commit
+ * @property {string} hash - Full commit hash
+ * @property {string} author - Author name
+ * @property {string} email - Author email
+ * @property {string} date - Author date, ISO 8601
+ * @property {string} subject - First line of the message
+ */
+
+/**
+ * @typedef {Object} BlameLine
+ * @property {string} hash - Commit that last changed the line; all zeros for uncommitted lines
+ * @property {number} line - Line number in the current file, from 1
+ * @property {string} content - Line text
+ */
+
+const execFileAsync = promisify(execFile);
+
+// Statuses from most to least important, for directories summing up their contents
+export const STATUS_PRIORITY = ['conflicted', 'modified', 'staged', 'untracked', 'ignored'];
+
+// Largest git output read, in bytes
+const MAX_OUTPUT = 64 * 1024 * 1024;
+
+// Separates fields of `git log` output
+const FIELD_SEPARATOR = '\x1f';
+
+/**
+ * Runs a git command. Optional locks are disabled so that reading the status does
+ * not rewrite the index, which the watcher would report as yet another change.
+ * @param {string} cwd - Directory to run git in
+ * @param {string[]} args - Arguments after `git`
+ * @param {Object} [options]
+ * @param {number[]} [options.exitCodes=[0]] - Exit codes that are not failures, such as 1 from `git diff --no-index`
+ * @returns {Promise<string>} Standard output
+ * @throws {Error} With status 400 and git's message when the command fails
+ */
+export async function runGit(cwd, args, { exitCodes = [0] } = {}) {
+    try {
+        const { stdout } = await execFileAsync('git', args, {
+            cwd,
+            maxBuffer: MAX_OUTPUT,
+            env: { ...process.env, GIT_OPTIONAL_LOCKS: '0' }
+        });
+        return stdout;
+    } catch (err) {
+        if (err.code === 'ENOENT') throw httpError(500, 'Git is not installed');
+        if (exitCodes.includes(err.code)) return err.stdout;
+        // Git's first line says what went wrong, e.g. "fatal: not a git repository"
+        const message = (err.stderr || err.message).trim().split('\n')[0];
+        throw httpError(400, message.replace(/^(fatal|error): /, ''));
+    }
+}
+
+/**
+ * Maps the XY field of a changed entry to a status; unstaged changes outweigh staged ones
+ * @param {string} xy - Index and work tree status letters, `.` for unchanged
+ * @returns {FileStatus}
+ */
+function changeStatus(xy) {
+    return xy[1] !== '.' ? 'modified' : 'staged';
+}
+
+/**
+ * Keeps the more important of two statuses
+ * @param {FileStatus | undefined} current - Status so far
+ * @param {FileStatus} status - Status to merge in
+ * @returns {FileStatus}
+ */
+export function mergeStatus(current, status) {
+    if (!current) return status;
+    return STATUS_PRIORITY.indexOf(status) < STATUS_PRIORITY.indexOf(current) ? status : current;
+}
+
+/**
+ * Parses `git status --porcelain=v2 --branch -z` output
+ * @param {string} output - Command output
+ * @param {string} [prefix=''] - Path of the project inside the repository, with a trailing slash
+ * @returns {RepositoryStatus}
+ */
+export function parseStatus(output, prefix = '') {
+    /** @type {RepositoryStatus} */
+    const status = { branch: null, upstream: null, ahead: 0, behind: 0, files: {}, directories: {} };
+    const fields = output.split('\0');
+
+    for (let i = 0; i < fields.length; i++) {
+        const field = fields[i];
+        if (!field) continue;
+
+        if (field.startsWith('# ')) {
+            const [, key, ...values] = field.split(' ');
+            if (key === 'branch.head' && values[0] !== '(detached)') status.branch = values[0];
+            if (key === 'branch.upstream') status.upstream = values[0];
+            if (key === 'branch.ab') {
+                status.ahead = Math.abs(Number(values[0]));
+                status.behind = Math.abs(Number(values[1]));
+            }
+            continue;
+        }
+
+        // The path is the last space-separated part; it may itself contain spaces
+        let path;
+        let fileStatus;
+        if (field[0] === '1' || field[0] === '2' || field[0] === 'u') {
+            const parts = field.split(' ');
+            const pathStart = { 1: 8, 2: 9, u: 10 }[field[0]];
+            path = parts.slice(pathStart).join(' ');
+            fileStatus = field[0] === 'u' ? 'conflicted' : changeStatus(parts[1]);
+            // Renames and copies are followed by the original path
+            if (field[0] === '2') i++;
+        } else if (field[0] === '?' || field[0] === '!') {
+            path = field.slice(2);
+            fileStatus = field[0] === '?' ? 'untracked' : 'ignored';
+        } else {
+            continue;
+        }
+
+        if (!path.startsWith(prefix)) continue;
+        path = path.slice(prefix.length).replace(/\/$/, '');
+        if (!path) continue;
+
+        status.files[path] = mergeStatus(status.files[path], fileStatus);
+        if (fileStatus === 'ignored') continue;
+
+        // Every ancestor directory reflects the change, up to the project root
+        const parts = path.split('/');
+        for (let depth = parts.length - 1; depth >= 0; depth--) {
+            const dir = depth === 0 ? '/' : parts.slice(0, depth).join('/');
+            status.directories[dir] = mergeStatus(status.directories[dir], fileStatus);
+        }
+    }
+
+    return status;
+}
+
+/**
+ * Parses `git log -z` output written with the format `%H%x1f%an%x1f%ae%x1f%aI%x1f%s`
+ * @param {string} output - Command output
+ * @returns {Commit[]}
+ */
+export function parseLog(output) {
+    return output.split('\0').filter(Boolean).map(record => {
+        const [hash, author, email, date, subject] = record.split(FIELD_SEPARATOR);
+        return { hash, author, email, date, subject };
+    });
+}
+
+/**
+ * Parses `git blame --porcelain` output. Commit details are given once per commit
+ * rather than repeated for each line.
+ * @param {string} output - Command output
+ * @returns {{ commits: Record<string, Omit<Commit, 'hash'>>, lines: BlameLine[] }}
+ */
+export function parseBlame(output) {
+    const commits = {};
+    const lines = [];
+    let current = null;
+
+    for (const row of output.split('\n')) {
+        if (row.startsWith('\t')) {
+            lines.push({ hash: current.hash, line: current.line, content: row.slice(1) });
+            continue;
+        }
+
+        const header = row.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+        if (header) {
+            current = { hash: header[1], line: Number(header[2]) };
+            if (!commits[current.hash]) {
+                commits[current.hash] = { author: '', email: '', date: '', subject: '' };
+            }
+            continue;
+        }
+
+        const space = row.indexOf(' ');
+        if (!current || space < 0) continue;
+        const key = row.slice(0, space);
+        const value = row.slice(space + 1);
+        const commit = commits[current.hash];
+        if (key === 'author') commit.author = value;
+        if (key === 'author-mail') commit.email = value.replace(/^<|>$/g, '');
+        if (key === 'author-time') commit.date = new Date(Number(value) * 1000).toISOString();
+        if (key === 'summary') commit.subject = value;
+    }
+
+    return { commits, lines };
+}
+
+/**
+ * Shows the uncommitted changes of a file against HEAD
+ * @param {string} root - Absolute project root
+ * @param {string} path - File path relative to the root
+ * @param {number} maxLength - Longest diff sent, in characters
+ * @returns {Promise<{ path: string, diff: string, truncated: boolean }>}
+ */
+export async function fileDiff(root, path, maxLength) {
+    const output = await runGit(root, ['diff', '--no-color', '--no-ext-diff', 'HEAD', '--', path]);
+    return { path, diff: output.slice(0, maxLength), truncated: output.length > maxLength };
+}
+
+/**
+ * Lists one page of the commits that changed a file, newest first, following renames
+ * @param {string} root - Absolute project root
+ * @param {string} path - File path relative to the root
+ * @param {Object} page
+ * @param {number} [page.offset=0] - Commits to skip
+ * @param {number} page.limit - Commits to return at most
+ * @returns {Promise<{ path: string, commits: Commit[], offset: number, hasMore: boolean }>}
+ */
+export async function fileLog(root, path, { offset = 0, limit }) {
+    // One commit more than asked for tells whether there is another page
+    const output = await runGit(root, [
+        'log', '-z', '--follow', `--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%s`,
+        `--skip=${offset}`, `--max-count=${limit + 1}`, '--', path
+    ]);
+    const commits = parseLog(output);
+    return { path, commits: commits.slice(0, limit), offset, hasMore: commits.length > limit };
+}
+
+/**
+ * Shows which commit last changed each line of a file
+ * @param {string} root - Absolute project root
+ * @param {string} path - File path relative to the root
+ * @returns {Promise<{ path: string, commits: Record<string, Omit<Commit, 'hash'>>, lines: BlameLine[] }>}
+ */
+export async function fileBlame(root, path) {
+    const output = await runGit(root, ['blame', '--porcelain', '--', path]);
+    return { path, ...parseBlame(output) };
+}
+
+/**
+ * Git status of a project, kept up to date by calling `refresh` when the project
+ * or its repository changes
+ */
+export class GitStatus {
+    /**
+     * @param {string} root - Absolute project root
+     */
+    constructor(root) {
+        this.root = root;
+        /** @type {RepositoryStatus | null} */
+        this.status = null;
+        this.loading = null;
+        this.refreshing = Promise.resolve(false);
+    }
+
+    /**
+     * Resolves once the first status has been read
+     * @returns {Promise<boolean>}
+     */
+    ready() {
+        if (!this.loading) {
+            this.loading = this.refresh();
+        }
+        return this.loading;
+    }
+
+    /**
+     * Reads the status again. Refreshes run one after another.
+     * @returns {Promise<boolean>} Whether the status changed
+     */
+    refresh() {
+        this.refreshing = this.refreshing.then(async () => {
+            const previous = JSON.stringify(this.status);
+            this.status = await this.read();
+            return JSON.stringify(this.status) !== previous;
+        });
+        return this.refreshing;
+    }
+
+    /**
+     * Asks git for the status of the project
+     * @returns {Promise<RepositoryStatus | null>} Null if the project is not inside a repository
+     */
+    async read() {
+        let prefix;
+        try {
+            prefix = (await runGit(this.root, ['rev-parse', '--show-prefix'])).trim();
+        } catch (err) {
+            return null;
+        }
+
+        try {
+            const output = await runGit(this.root, [
+                'status', '--porcelain=v2', '--branch', '-z', '--ignored=matching', '--', '.'
+            ]);
+            return parseStatus(output, prefix);
+        } catch (err) {
+            console.error('Error reading git status:', err.message);
+            return this.status;
+        }
+    }
+
+    /**
+     * Returns the last status read
+     * @returns {RepositoryStatus | null}
+     */
+    snapshot() {
+        return this.status;
+    }
+}
@@ -0,0 +1,106 @@
+import { basename, dirname } from 'path';
+import { httpError } from './errors.js';
+
+/**
+ * @typedef {Object} Operation
+ * @property {string} operation - Operation name, as accepted by runOperation
+ * @property {Object} args - Operation arguments
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} operation - Operation that was run
+ * @property {Object} args - Its arguments
+ * @property {string} path - Path of the affected entry after the operation
+ * @property {string} at - ISO timestamp of the operation
+ * @property {string | null} actor - Who ran the operation
+ * @property {Operation} inverse - Operation that reverts it
+ */
+
+/**
+ * Works out the operation that reverts a completed one
+ * @param {string} operation - Operation name
+ * @param {Object} args - Operation arguments
+ * @param {Object} result - Operation result
+ * @returns {Operation | null} Null if the operation cannot be reverted
+ */
+export function inverseOf(operation, args, result) {
+    switch (operation) {
+        case 'create':
+        case 'copy':
+            // Created entries go to the trash rather than away for good
+            return { operation: 'delete', args: { path: result.path } };
+        case 'rename':
+            return { operation: 'rename', args: { path: result.path, name: basename(args.path) } };
+        case 'move':
+            return { operation: 'move', args: { path: result.path, destination: dirname(args.path) } };
+        case 'delete':
+            return { operation: 'restore', args: { id: result.trashId } };
+        case 'restore':
+            return { operation: 'delete', args: { path: result.path } };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Bounded stack of the most recent file operations, for undo
+ */
+export class History {
+    /**
+     * @param {number} [limit=50] - Number of operations kept
+     */
+    constructor(limit = 50) {
+        this.limit = limit;
+        /** @type {HistoryEntry[]} */
+        this.entries = [];
+    }
+
+    /**
+     * Records a completed operation
+     * @param {string} operation - Operation name
+     * @param {Object} args - Operation arguments
+     * @param {Object} result - Operation result
+     * @param {string | null} [actor=null] - Who ran the operation
+     */
+    record(operation, args, result, actor = null) {
+        const inverse = inverseOf(operation, args, result);
+        if (!inverse || this.limit <= 0) return;
+
+        this.entries.push({ operation, args, path: result.path, at: new Date().toISOString(), actor, inverse });
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+    }
+
+    /**
+     * Lists the recorded operations, most recent first
+     * @returns {HistoryEntry[]}
+     */
+    list() {
+        return [...this.entries].reverse();
+    }
+
+    /**
+     * Reverts the most recent operation. The entry is dropped even if reverting
+     * fails, so one stale entry cannot block undoing older ones.
+     * @param {(operation: string, args: Object) => Promise<Object>} run - Runs an operation
+     * @returns {Promise<{ undone: HistoryEntry, result: Object }>}
+     */
+    async undo(run) {
+        const entry = this.entries.pop();
+        if (!entry) {
+            throw httpError(409, 'Nothing to undo');
+        }
+
+        const result = await run(entry.inverse.operation, entry.inverse.args);
+        return { undone: entry, result };
+    }
+
+    /**
+     * Forgets all recorded operations
+     */
+    clear() {
+        this.entries = [];
+    }
+}
@@ -0,0 +1,241 @@
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * @typedef {Object} IgnoreRule
+ * @property {string} base - Directory of the file the rule comes from, relative to the root ('' for the root)
+ * @property {RegExp} regex - Compiled pattern
+ * @property {boolean} negate - Whether the rule re-includes matching entries (`!pattern`)
+ * @property {boolean} dirOnly - Whether the rule only matches directories (`pattern/`)
+ * @property {boolean} anchored - Whether the pattern matches the path relative to `base`
+ *     rather than just the entry name
+ */
+
+// Project-level ignore file, same syntax as .gitignore and applied after all .gitignore files
+export const IGNORE_FILE = '.wfmignore';
+const GITIGNORE = '.gitignore';
+
+// Entries never shown, not even with ignored entries visible
+const EXCLUDED = new Set(['.git']);
+
+// Rules that apply before any ignore file, which can re-include entries with `!`
+const DEFAULT_RULES = 'node_modules/';
+
+/**
+ * Escapes a character for use in a regular expression
+ * @param {string} char - Character to escape
+ * @returns {string}
+ */
+function escapeRegex(char) {
+    return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Compiles a gitignore glob into a regular expression matching whole paths
+ * @param {string} glob - Pattern without negation, leading or trailing slash
+ * @returns {RegExp}
+ */
+export function globToRegex(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            const double = glob[i + 1] === '*';
+            const atSegmentStart = i === 0 || glob[i - 1] === '/';
+            const atSegmentEnd = i + 2 === glob.length || glob[i + 2] === '/';
+
+            if (double && atSegmentStart && atSegmentEnd) {
+                if (i + 2 === glob.length) {
+                    // Trailing `**`: everything below
+                    source += '.*';
+                    i += 1;
+                } else {
+                    // `**/`: zero or more directories
+                    source += '(?:.*/)?';
+                    i += 2;
+                }
+            } else {
+                // Any other `*` or `**` stays within one path segment
+                source += '[^/]*';
+                if (double) i += 1;
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end < 0) {
+                source += '\\[';
+                continue;
+            }
+            let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            if (set[0] === '!') set = `^${set.slice(1)}`;
+            source += `[${set}]`;
+            i = end;
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegex(glob[++i]);
+        } else {
+            source += escapeRegex(char);
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parses the content of an ignore file
+ * @param {string} text - File content
+ * @param {string} [base=''] - Directory of the file, relative to the root
+ * @returns {IgnoreRule[]}
+ */
+export function parseRules(text, base = '') {
+    const rules = [];
+
+    for (let line of text.split(/\r?\n/)) {
+        // Trailing spaces are dropped unless escaped with a backslash
+        line = line.replace(/(?<!\\) +$/, '');
+        if (!line || line.startsWith('#')) continue;
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.slice(1);
+        } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+            line = line.slice(1);
+        }
+
+        let dirOnly = false;
+        if (line.endsWith('/')) {
+            dirOnly = true;
+            line = line.slice(0, -1);
+        }
+
+        // A slash at the start or in the middle ties the pattern to the file's directory
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+        if (!line) continue;
+
+        rules.push({ base, regex: globToRegex(line), negate, dirOnly, anchored });
+    }
+
+    return rules;
+}
+
+/**
+ * Reads a file, returning an empty string if it does not exist
+ * @param {string} path - Absolute path
+ * @returns {Promise<string>}
+ */
+async function readOptional(path) {
+    try {
+        return await readFile(path, 'utf8');
+    } catch (err) {
+        return '';
+    }
+}
+
+/**
+ * Ignore rules of one project: built-in defaults, every `.gitignore` that has been
+ * loaded, and the project's `.wfmignore`. As in git, deeper `.gitignore` files take
+ * precedence over shallower ones, the last matching rule wins, and nothing inside
+ * an ignored directory can be re-included.
+ */
+export class IgnoreRules {
+    /**
+     * @param {string} root - Absolute project root
+     */
+    constructor(root) {
+        this.root = root;
+        this.defaults = parseRules(DEFAULT_RULES);
+        /** @type {IgnoreRule[]} */
+        this.projectRules = [];
+        /** @type {Map<string, IgnoreRule[]>} */
+        this.directoryRules = new Map();
+    }
+
+    /**
+     * Reads the project ignore file and the root `.gitignore`, dropping rules loaded before
+     */
+    async load() {
+        this.directoryRules.clear();
+        this.projectRules = parseRules(await readOptional(join(this.root, IGNORE_FILE)));
+        await this.loadDirectory('');
+    }
+
+    /**
+     * Reads the `.gitignore` of a directory, once
+     * @param {string} dir - Directory relative to the root, '' for the root
+     */
+    async loadDirectory(dir) {
+        if (this.directoryRules.has(dir)) return;
+        const text = await readOptional(join(this.root, dir, GITIGNORE));
+        this.directoryRules.set(dir, parseRules(text, dir));
+    }
+
+    /**
+     * Checks whether a path is one of the files rules are read from
+     * @param {string} path - Path relative to the root
+     * @returns {boolean}
+     */
+    isRuleFile(path) {
+        return path === IGNORE_FILE || path === GITIGNORE || path.endsWith(`/${GITIGNORE}`);
+    }
+
+    /**
+     * Checks whether a path is never shown, regardless of ignore rules
+     * @param {string} path - Path relative to the root
+     * @returns {boolean}
+     */
+    isExcluded(path) {
+        return path.split('/').some(part => EXCLUDED.has(part));
+    }
+
+    /**
+     * Works out whether a path is shown, ignored or excluded altogether
+     * @param {string} path - Path relative to the root
+     * @param {boolean} isDirectory - Whether the path is a directory
+     * @returns {'excluded' | 'ignored' | null} Null for entries that are not ignored
+     */
+    status(path, isDirectory) {
+        if (this.isExcluded(path)) return 'excluded';
+
+        // An ignored ancestor ignores everything below it
+        const parts = path.split('/');
+        for (let i = 1; i <= parts.length; i++) {
+            const last = i === parts.length;
+            if (this.matches(parts.slice(0, i).join('/'), last ? isDirectory : true)) return 'ignored';
+        }
+        return null;
+    }
+
+    /**
+     * Applies the rules to a single path, without looking at its ancestors
+     * @param {string} path - Path relative to the root
+     * @param {boolean} isDirectory - Whether the path is a directory
+     * @returns {boolean}
+     */
+    matches(path, isDirectory) {
+        const ruleSets = [this.defaults];
+
+        // .gitignore files of the root and every ancestor directory, shallowest first
+        const parts = path.split('/');
+        for (let i = 0; i < parts.length; i++) {
+            const rules = this.directoryRules.get(parts.slice(0, i).join('/'));
+            if (rules) ruleSets.push(rules);
+        }
+        ruleSets.push(this.projectRules);
+
+        let ignored = false;
+        for (const rules of ruleSets) {
+            for (const rule of rules) {
+                if (rule.dirOnly && !isDirectory) continue;
+
+                const relativePath = rule.base ? path.slice(rule.base.length + 1) : path;
+                const target = rule.anchored ? relativePath : parts[parts.length - 1];
+                if (rule.regex.test(target)) ignored = !rule.negate;
+            }
+        }
+        return ignored;
+    }
+}
@@ -0,0 +1,77 @@
+import { readFile } from 'fs/promises';
+
+/**
+ * @typedef {Object} Metadata
+ * @property {number} mtime - Last content change, in milliseconds since the epoch
+ * @property {number} ctime - Last status change, such as a rename or new permissions
+ * @property {number | null} birthtime - Creation time, null where the file system does not record it
+ * @property {number} mode - Permission bits, including setuid, setgid and sticky
+ * @property {string} owner - Name of the owning user, or its id when it has no name
+ * @property {string} group - Name of the owning group, or its id when it has no name
+ * @property {number} ino - Inode number
+ * @property {number} nlink - Number of hard links
+ */
+
+/**
+ * @typedef {Object} OwnerNames
+ * @property {Map<number, string>} users - User names by id
+ * @property {Map<number, string>} groups - Group names by id
+ */
+
+const PASSWD_FILE = '/etc/passwd';
+const GROUP_FILE = '/etc/group';
+
+/** @type {Promise<OwnerNames> | null} */
+let ownerNames = null;
+
+/**
+ * Reads the names of an /etc/passwd or /etc/group style file
+ * @param {string} content - File content, one `name:password:id:...` entry per line
+ * @returns {Map<number, string>} Names by id; the first entry for an id wins
+ */
+export function parseIdNames(content) {
+    const names = new Map();
+    for (const line of content.split('\n')) {
+        if (!line || line.startsWith('#')) continue;
+        const [name, , id] = line.split(':');
+        const number = Number(id);
+        if (name && id !== '' && Number.isInteger(number) && !names.has(number)) {
+            names.set(number, name);
+        }
+    }
+    return names;
+}
+
+/**
+ * Loads the user and group names of the system once; systems without the
+ * files get ids in place of names
+ * @returns {Promise<OwnerNames>}
+ */
+export function loadOwnerNames() {
+    if (!ownerNames) {
+        const read = file => readFile(file, 'utf8').then(parseIdNames, () => new Map());
+        ownerNames = Promise.all([read(PASSWD_FILE), read(GROUP_FILE)])
+            .then(([users, groups]) => ({ users, groups }));
+    }
+    return ownerNames;
+}
+
+/**
+ * Picks the metadata sent with tree nodes from a stat result
+ * @param {import('fs').Stats} stats - Stat result of the entry
+ * @param {OwnerNames} [names] - Names of users and groups
+ * @returns {Metadata}
+ */
+export function statMetadata(stats, names) {
+    return {
+        mtime: Math.round(stats.mtimeMs),
+        ctime: Math.round(stats.ctimeMs),
+        // File systems without creation times report the epoch
+        birthtime: stats.birthtimeMs > 0 ? Math.round(stats.birthtimeMs) : null,
+        mode: stats.mode & 0o7777,
+        owner: names?.users.get(stats.uid) ?? String(stats.uid),
+        group: names?.groups.get(stats.gid) ?? String(stats.gid),
+        ino: stats.ino,
+        nlink: stats.nlink
+    };
+}
@@ -0,0 +1,97 @@
+import { realpath } from 'fs/promises';
+import { resolve, relative, isAbsolute, sep, dirname, basename, join } from 'path';
+import { httpError } from './errors.js';
+
+/**
+ * Checks whether a path equals or lies below another
+ * @param {string} parent - Absolute parent path
+ * @param {string} path - Absolute path to test
+ * @returns {boolean}
+ */
+export function isWithin(parent, path) {
+    const relativePath = relative(parent, path);
+    return relativePath !== '..' && !relativePath.startsWith(`..${sep}`) && !isAbsolute(relativePath);
+}
+
+/**
+ * Rejects path strings that can never name a file, such as ones holding null bytes
+ * @param {*} path - Path from a request
+ * @returns {string} The path as a string
+ */
+function checkPath(path) {
+    const value = String(path);
+    if (value.includes('\0')) {
+        throw httpError(403, 'Invalid path');
+    }
+    return value;
+}
+
+/**
+ * Resolves a tree path against a root directory, refusing paths that leave it
+ * @param {string} root - Absolute root directory
+ * @param {string} [path=''] - Path relative to the root; leading slashes are ignored
+ * @returns {string} Absolute path
+ */
+export function resolveInside(root, path = '') {
+    const resolvedPath = resolve(root, checkPath(path).replace(/^\/+/, ''));
+
+    if (!isWithin(root, resolvedPath)) {
+        throw httpError(403, 'Path is outside the project');
+    }
+    return resolvedPath;
+}
+
+/**
+ * Resolves symbolic links in a path that may not exist yet, by resolving its
+ * longest existing ancestor
+ * @param {string} path - Absolute path
+ * @returns {Promise<string>}
+ */
+async function realpathOfExisting(path) {
+    try {
+        return await realpath(path);
+    } catch (err) {
+        if (err.code !== 'ENOENT' || dirname(path) === path) throw err;
+        return join(await realpathOfExisting(dirname(path)), basename(path));
+    }
+}
+
+/**
+ * Resolves a tree path like `resolveInside`, and also refuses paths that leave the
+ * root through symbolic links
+ * @param {string} root - Absolute root directory
+ * @param {string} [path=''] - Path relative to the root; leading slashes are ignored
+ * @param {Object} [options]
+ * @param {boolean} [options.entry=false] - Only check the parent directory, for operations
+ *     on the entry itself, such as renaming or deleting a link
+ * @returns {Promise<string>} Absolute path, with links left as they are
+ */
+export async function resolveReal(root, path = '', { entry = false } = {}) {
+    const absolute = resolveInside(root, path);
+    const checked = entry && absolute !== root ? dirname(absolute) : absolute;
+
+    const [realRoot, realPath] = await Promise.all([realpath(root), realpathOfExisting(checked)]);
+    if (!isWithin(realRoot, realPath)) {
+        throw httpError(403, 'Path is outside the project');
+    }
+    return absolute;
+}
+
+/**
+ * Resolves an absolute path that must lie within one of the allowed roots,
+ * following symbolic links
+ * @param {string[]} roots - Absolute allowed root directories
+ * @param {string} path - Absolute path from a request
+ * @returns {Promise<{ path: string, root: string }>} The real path and the root containing it
+ */
+export async function resolveAllowed(roots, path) {
+    const realPath = await realpathOfExisting(resolve(checkPath(path)));
+
+    for (const root of roots) {
+        const realRoot = await realpath(root).catch(() => null);
+        if (realRoot && isWithin(realRoot, realPath)) {
+            return { path: realPath, root: realRoot };
+        }
+    }
+    throw httpError(403, 'Path is outside the allowed directories');
+}
@@ -0,0 +1,158 @@
+import { mkdir, readFile, stat, writeFile } from 'fs/promises';
+import { basename, dirname } from 'path';
+import { httpError } from './errors.js';
+
+/**
+ * @typedef {Object} RecentProject
+ * @property {string} path - Absolute project directory
+ * @property {string} name - Name shown in the list; the directory name unless one was given
+ * @property {boolean} custom - Whether the name was given by a user
+ * @property {number} openedAt - When the project was last opened, in milliseconds since the epoch
+ * @property {boolean} pinned - Pinned projects are listed first and never dropped
+ * @property {boolean} [exists] - Whether the directory is still there; only set by `list`
+ */
+
+/**
+ * @typedef {Object} StoredProject
+ * @property {string} path - Absolute project directory
+ * @property {string} [name] - Name given by a user
+ * @property {number} openedAt - When the project was last opened
+ * @property {boolean} [pinned] - Whether the project is pinned
+ */
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Projects opened before, kept as a JSON file. Only the most recent `limit`
+ * projects are remembered, pinned ones aside.
+ */
+export class RecentProjects {
+    /**
+     * @param {string} file - Path of the JSON file; its directory is created when saving
+     * @param {Object} [options]
+     * @param {number} [options.limit=10] - Number of unpinned projects kept
+     */
+    constructor(file, { limit = 10 } = {}) {
+        this.file = file;
+        this.limit = limit;
+        /** @type {StoredProject[]} */
+        this.projects = [];
+    }
+
+    /**
+     * Reads the store from disk; a missing file is an empty store, entries
+     * that are not projects are dropped
+     * @returns {Promise<RecentProjects>}
+     */
+    async load() {
+        let stored = [];
+        try {
+            stored = JSON.parse(await readFile(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+
+        this.projects = (Array.isArray(stored) ? stored : [])
+            .filter(project => typeof project?.path === 'string' && Number.isFinite(project.openedAt));
+        return this;
+    }
+
+    /**
+     * Writes the store to disk
+     */
+    async save() {
+        await mkdir(dirname(this.file), { recursive: true });
+        await writeFile(this.file, JSON.stringify(this.projects, null, 2));
+    }
+
+    /**
+     * Records that a project was opened, forgetting the oldest unpinned
+     * projects beyond the limit
+     * @param {string} path - Absolute project directory
+     * @param {number} [now=Date.now()] - Time it was opened
+     */
+    opened(path, now = Date.now()) {
+        const project = this.find(path, false) || { path };
+        project.openedAt = now;
+        this.projects = [project, ...this.projects.filter(other => other !== project)];
+
+        const unpinned = this.projects.filter(other => !other.pinned).sort((a, b) => b.openedAt - a.openedAt);
+        const dropped = new Set(unpinned.slice(this.limit));
+        this.projects = this.projects.filter(other => !dropped.has(other));
+    }
+
+    /**
+     * Pins or unpins a project
+     * @param {string} path - Absolute project directory
+     * @param {boolean} pinned - Whether the project stays at the top of the list
+     */
+    pin(path, pinned) {
+        const project = this.find(path);
+        if (pinned) {
+            project.pinned = true;
+        } else {
+            delete project.pinned;
+        }
+    }
+
+    /**
+     * Gives a project a name of its own
+     * @param {string} path - Absolute project directory
+     * @param {string} name - Name to show; empty to go back to the directory name
+     */
+    rename(path, name) {
+        if (typeof name !== 'string' || name.trim().length > MAX_NAME_LENGTH) {
+            throw httpError(400, `Names are text of at most ${MAX_NAME_LENGTH} characters`);
+        }
+
+        const project = this.find(path);
+        if (name.trim()) {
+            project.name = name.trim();
+        } else {
+            delete project.name;
+        }
+    }
+
+    /**
+     * Forgets a project
+     * @param {string} path - Absolute project directory
+     */
+    remove(path) {
+        const project = this.find(path);
+        this.projects = this.projects.filter(other => other !== project);
+    }
+
+    /**
+     * Lists the projects, pinned ones first, then the most recently opened
+     * @param {(path: string) => boolean} [isAllowed] - Leaves out projects it rejects
+     * @returns {Promise<RecentProject[]>} Projects, with whether their directory still exists
+     */
+    async list(isAllowed = () => true) {
+        const projects = this.projects
+            .filter(project => isAllowed(project.path))
+            .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || b.openedAt - a.openedAt);
+
+        return Promise.all(projects.map(async project => ({
+            path: project.path,
+            name: project.name || basename(project.path) || project.path,
+            custom: Boolean(project.name),
+            openedAt: project.openedAt,
+            pinned: Boolean(project.pinned),
+            exists: await stat(project.path).then(stats => stats.isDirectory(), () => false)
+        })));
+    }
+
+    /**
+     * Looks up a stored project
+     * @param {string} path - Absolute project directory
+     * @param {boolean} [required=true] - Whether a missing project is an error
+     * @returns {StoredProject | undefined}
+     */
+    find(path, required = true) {
+        const project = this.projects.find(other => other.path === path);
+        if (!project && required) {
+            throw httpError(404, `Not a recent project: ${path}`);
+        }
+        return project;
+    }
+}
@@ -0,0 +1,111 @@
+import { randomBytes } from 'crypto';
+
+/**
+ * @typedef {import('./users.js').User} User
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id - Session id, sent to the browser as a cookie
+ * @property {string} username - Signed in user
+ * @property {import('./users.js').Role} role - The user's role at sign in
+ * @property {number} expires - Expiry time in milliseconds since the epoch
+ */
+
+export const SESSION_COOKIE = 'wfm_session';
+
+/**
+ * Parses a Cookie header
+ * @param {string | undefined} header - Value of the Cookie header
+ * @returns {Record<string, string>}
+ */
+export function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    header.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index < 0) return;
+        const name = pair.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        } catch (err) {
+            // Malformed values are ignored
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Builds the Set-Cookie header for a session, or one that clears the cookie
+ * @param {Session | null} session - Session to send, null to clear
+ * @returns {string}
+ */
+export function sessionCookie(session) {
+    const maxAge = session ? Math.max(Math.floor((session.expires - Date.now()) / 1000), 0) : 0;
+    return `${SESSION_COOKIE}=${session ? session.id : ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+/**
+ * In-memory sessions. They end after a fixed lifetime or on logout, and do not
+ * survive a server restart.
+ */
+export class SessionStore {
+    /**
+     * @param {number} [ttl=12 * 60 * 60 * 1000] - Session lifetime in milliseconds
+     */
+    constructor(ttl = 12 * 60 * 60 * 1000) {
+        this.ttl = ttl;
+        /** @type {Map<string, Session>} */
+        this.sessions = new Map();
+    }
+
+    /**
+     * Starts a session for a user
+     * @param {User} user - Authenticated user
+     * @returns {Session}
+     */
+    create(user) {
+        const session = {
+            id: randomBytes(32).toString('base64url'),
+            username: user.username,
+            role: user.role,
+            expires: Date.now() + this.ttl
+        };
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    /**
+     * Looks up a live session, forgetting it if it has expired
+     * @param {string | undefined} id - Session id
+     * @returns {Session | null}
+     */
+    get(id) {
+        const session = id ? this.sessions.get(id) : undefined;
+        if (!session) return null;
+
+        if (session.expires <= Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Looks up the session named by a request's cookie
+     * @param {import('http').IncomingMessage} req - HTTP request or WebSocket upgrade
+     * @returns {Session | null}
+     */
+    fromRequest(req) {
+        return this.get(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    }
+
+    /**
+     * Ends a session
+     * @param {string} id - Session id
+     */
+    destroy(id) {
+        this.sessions.delete(id);
+    }
+}
@@ -0,0 +1,289 @@
+import { lstat, mkdir, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { join } from 'path';
+import { httpError } from './errors.js';
+import { fullHash } from './duplicates.js';
+import { listRoots, walkFiles } from './walk.js';
+
+/**
+ * @typedef {Object} SnapshotEntry
+ * @property {'file' | 'directory'} type - Entry type
+ * @property {number} [size] - Size of a file in bytes
+ * @property {number} [mtime] - When a file was last modified, in milliseconds since the epoch
+ * @property {string} [hash] - SHA-1 of a file's content, for snapshots taken with hashes
+ */
+
+/**
+ * @typedef {Object} SnapshotInfo
+ * @property {string} id - Identifier of the snapshot, 'live' for the current tree
+ * @property {string} name - Name given when capturing
+ * @property {number} createdAt - When the snapshot was taken, in milliseconds since the epoch
+ * @property {boolean} hashes - Whether files were hashed
+ * @property {boolean} includeIgnored - Whether ignored entries were captured
+ * @property {number} files - Number of files
+ * @property {number} directories - Number of directories
+ * @property {number} size - Bytes of all files
+ */
+
+/**
+ * @typedef {SnapshotInfo & { entries: Record<string, SnapshotEntry> }} Snapshot
+ */
+
+/**
+ * @typedef {Object} SnapshotChange
+ * @property {string} path - Path relative to the project root
+ * @property {'file' | 'directory'} type - Entry type in the later snapshot
+ * @property {string[]} fields - Fields that differ: type, size, mtime or hash
+ * @property {SnapshotEntry} before - Entry in the earlier snapshot
+ * @property {SnapshotEntry} after - Entry in the later snapshot
+ */
+
+/**
+ * @typedef {Object} SnapshotDiff
+ * @property {({ path: string } & SnapshotEntry)[]} added - Entries only in the later snapshot
+ * @property {({ path: string } & SnapshotEntry)[]} removed - Entries only in the earlier snapshot
+ * @property {SnapshotChange[]} changed - Files whose content differs
+ */
+
+/**
+ * @typedef {Object} CaptureOptions
+ * @property {import('./ignore.js').IgnoreRules} [ignore] - The project's ignore rules, for a single project root
+ * @property {boolean} [hashes=false] - Whether to hash the content of files
+ * @property {boolean} [includeIgnored=false] - Whether to capture ignored entries
+ */
+
+const META_FILE = 'meta.json';
+const ENTRIES_FILE = 'entries.json';
+const MAX_NAME_LENGTH = 100;
+
+// Id standing for the project as it is now, which can be compared like a stored snapshot
+export const LIVE_ID = 'live';
+
+// Capture times are kept strictly increasing so snapshots sort in capture order
+let lastCapture = 0;
+
+/**
+ * Records every entry of a project. Excluded entries are always left out,
+ * ignored ones unless asked for; symbolic links are not followed. The folders of
+ * a workspace are recorded as directories, with their entries below them.
+ * @param {string | import('./walk.js').WalkRoot[]} root - Absolute project root, or the folders of a workspace
+ * @param {CaptureOptions} options
+ * @returns {Promise<Record<string, SnapshotEntry>>} Entries by path relative to the root
+ */
+export async function captureEntries(root, { ignore, hashes = false, includeIgnored = false }) {
+    const entries = {};
+    for (const { path: dir, ignore: rules, prefix = '' } of listRoots(root, ignore)) {
+        if (prefix) entries[prefix.slice(0, -1)] = { type: 'directory' };
+        await walkFiles(dir, { ignore: rules, includeIgnored, directories: true }, async (path, isDirectory) => {
+            if (isDirectory) {
+                entries[prefix + path] = { type: 'directory' };
+                return;
+            }
+
+            try {
+                const stats = await lstat(join(dir, path));
+                const entry = { type: 'file', size: stats.size, mtime: stats.mtimeMs };
+                if (hashes) entry.hash = await fullHash(join(dir, path));
+                entries[prefix + path] = entry;
+            } catch (err) {
+                // Files can vanish while the project is walked
+            }
+        });
+    }
+    return entries;
+}
+
+/**
+ * Sums up captured entries
+ * @param {Record<string, SnapshotEntry>} entries - Entries by path
+ * @returns {{ files: number, directories: number, size: number }}
+ */
+function countEntries(entries) {
+    const totals = { files: 0, directories: 0, size: 0 };
+    for (const entry of Object.values(entries)) {
+        if (entry.type === 'directory') {
+            totals.directories++;
+        } else {
+            totals.files++;
+            totals.size += entry.size;
+        }
+    }
+    return totals;
+}
+
+/**
+ * Compares two sets of entries. Files count as changed when their size
+ * differs, or their hashes when both sides have them, or else their
+ * modification times.
+ * @param {Record<string, SnapshotEntry>} before - Entries of the earlier snapshot
+ * @param {Record<string, SnapshotEntry>} after - Entries of the later snapshot
+ * @returns {SnapshotDiff} Entries sorted by path
+ */
+export function compareSnapshots(before, after) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [path, entry] of Object.entries(after)) {
+        const previous = before[path];
+        if (!previous) {
+            added.push({ path, ...entry });
+            continue;
+        }
+
+        const fields = [];
+        if (previous.type !== entry.type) {
+            fields.push('type');
+        } else if (entry.type === 'file') {
+            const hashed = previous.hash !== undefined && entry.hash !== undefined;
+            if (previous.size !== entry.size) fields.push('size');
+            if (hashed && previous.hash !== entry.hash) fields.push('hash');
+            // Times alone say nothing when the contents are known to match
+            if (previous.mtime !== entry.mtime && (!hashed || fields.length > 0)) fields.push('mtime');
+        }
+        if (fields.length > 0) changed.push({ path, type: entry.type, fields, before: previous, after: entry });
+    }
+    for (const [path, entry] of Object.entries(before)) {
+        if (!after[path]) removed.push({ path, ...entry });
+    }
+
+    const byPath = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+    return { added: added.sort(byPath), removed: removed.sort(byPath), changed: changed.sort(byPath) };
+}
+
+/**
+ * Named snapshots of a project, kept outside of it. Every snapshot gets its
+ * own directory holding a metadata file and the captured entries, so the
+ * list can be read without loading every entry.
+ */
+export class SnapshotStore {
+    /**
+     * @param {string} dir - Directory holding the project's snapshots; created when capturing
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    /**
+     * Resolves the directory of a snapshot
+     * @param {string} id - Snapshot id
+     * @returns {string}
+     */
+    itemDir(id) {
+        if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+            throw httpError(400, `Invalid snapshot: ${id}`);
+        }
+        return join(this.dir, id);
+    }
+
+    /**
+     * Captures a project and stores the snapshot
+     * @param {string | import('./walk.js').WalkRoot[]} root - Absolute project root, or the folders of a workspace
+     * @param {CaptureOptions & { name?: string }} options - Capture options and the name of the
+     *     snapshot; the capture time when empty
+     * @returns {Promise<SnapshotInfo>}
+     */
+    async create(root, { name = '', ignore, hashes = false, includeIgnored = false }) {
+        if (typeof name !== 'string' || name.trim().length > MAX_NAME_LENGTH) {
+            throw httpError(400, `Names are text of at most ${MAX_NAME_LENGTH} characters`);
+        }
+
+        const entries = await captureEntries(root, { ignore, hashes, includeIgnored });
+        lastCapture = Math.max(Date.now(), lastCapture + 1);
+        const id = `${lastCapture.toString(36)}-${randomBytes(4).toString('hex')}`;
+        const info = {
+            id,
+            name: name.trim() || `Snapshot of ${new Date(lastCapture).toISOString()}`,
+            createdAt: lastCapture,
+            hashes: Boolean(hashes),
+            includeIgnored: Boolean(includeIgnored),
+            ...countEntries(entries)
+        };
+
+        const dir = this.itemDir(id);
+        await mkdir(dir, { recursive: true });
+        await writeFile(join(dir, ENTRIES_FILE), JSON.stringify(entries));
+        // Written last: a snapshot is listed once it is complete
+        await writeFile(join(dir, META_FILE), JSON.stringify(info, null, 2));
+        return info;
+    }
+
+    /**
+     * Compares two snapshots, or a snapshot with the project as it is now. The
+     * live tree is captured the way the earlier snapshot was, so both sides
+     * hold the same kind of entries.
+     * @param {string} fromId - Id of the earlier snapshot
+     * @param {string} toId - Id of the later snapshot, or LIVE_ID
+     * @param {Object} project
+     * @param {string | import('./walk.js').WalkRoot[]} project.root - Absolute project root, or the folders of a workspace
+     * @param {import('./ignore.js').IgnoreRules} [project.ignore] - The project's ignore rules, for a single project root
+     * @returns {Promise<SnapshotDiff & { from: SnapshotInfo, to: SnapshotInfo }>}
+     */
+    async compare(fromId, toId, { root, ignore }) {
+        const { entries: before, ...from } = await this.get(fromId);
+
+        let after;
+        let to;
+        if (toId === LIVE_ID) {
+            after = await captureEntries(root, { ignore, hashes: from.hashes, includeIgnored: from.includeIgnored });
+            to = {
+                id: LIVE_ID,
+                name: 'Live tree',
+                createdAt: Date.now(),
+                hashes: from.hashes,
+                includeIgnored: from.includeIgnored,
+                ...countEntries(after)
+            };
+        } else {
+            ({ entries: after, ...to } = await this.get(toId));
+        }
+
+        return { from, to, ...compareSnapshots(before, after) };
+    }
+
+    /**
+     * Lists the snapshots, newest first
+     * @returns {Promise<SnapshotInfo[]>}
+     */
+    async list() {
+        const ids = await readdir(this.dir).catch(() => []);
+        const snapshots = await Promise.all(ids.map(async id => {
+            try {
+                return JSON.parse(await readFile(join(this.dir, id, META_FILE), 'utf8'));
+            } catch (err) {
+                // Not a snapshot, or one that is half written
+                return null;
+            }
+        }));
+
+        return snapshots.filter(Boolean).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Reads a snapshot with its entries
+     * @param {string} id - Snapshot id
+     * @returns {Promise<Snapshot>}
+     */
+    async get(id) {
+        const dir = this.itemDir(id);
+        try {
+            const info = JSON.parse(await readFile(join(dir, META_FILE), 'utf8'));
+            const entries = JSON.parse(await readFile(join(dir, ENTRIES_FILE), 'utf8'));
+            return { ...info, entries };
+        } catch (err) {
+            throw httpError(404, `No such snapshot: ${id}`);
+        }
+    }
+
+    /**
+     * Deletes a snapshot
+     * @param {string} id - Snapshot id
+     */
+    async remove(id) {
+        const dir = this.itemDir(id);
+        if (!(await readFile(join(dir, META_FILE)).catch(() => null))) {
+            throw httpError(404, `No such snapshot: ${id}`);
+        }
+        await rm(dir, { recursive: true, force: true });
+    }
+}
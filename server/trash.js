@@ -0,0 +1,191 @@
+import { cp, lstat, mkdir, readdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { basename, dirname, join, relative } from 'path';
+import { httpError } from './errors.js';
+import { resolveReal } from './paths.js';
+
+/**
+ * @typedef {Object} TrashItem
+ * @property {string} id - Identifier of the item in the trash
+ * @property {string} path - Original path relative to the project root
+ * @property {string} name - Original entry name
+ * @property {'file' | 'directory' | 'symlink'} type - Entry type; links are deleted, never their target
+ * @property {number} size - Size in bytes, 0 for directories and links
+ * @property {string} deletedAt - ISO timestamp of the deletion
+ * @property {string | null} deletedBy - Who deleted the entry
+ */
+
+const META_FILE = 'meta.json';
+const ENTRY_NAME = 'entry';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Deletion times are kept strictly increasing so items sort in deletion order
+let lastDeletion = 0;
+
+/**
+ * Moves an entry, copying it when source and target are on different devices
+ * @param {string} source - Absolute source path
+ * @param {string} target - Absolute target path
+ */
+async function moveEntry(source, target) {
+    try {
+        await rename(source, target);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        await cp(source, target, { recursive: true, errorOnExist: true, force: false, verbatimSymlinks: true });
+        await rm(source, { recursive: true });
+    }
+}
+
+/**
+ * Trash of a project, kept outside of it. Every deleted entry gets its own
+ * directory holding the entry itself and a metadata file, so items can be
+ * listed and restored independently of each other.
+ */
+export class Trash {
+    /**
+     * @param {string} root - Absolute project root
+     * @param {string} dir - Directory holding the project's deleted entries; created on first use
+     * @param {Object} [options]
+     * @param {number} [options.retentionDays=30] - Items older than this are purged
+     * @param {number} [options.maxItems=1000] - Oldest items beyond this count are purged
+     */
+    constructor(root, dir, { retentionDays = 30, maxItems = 1000 } = {}) {
+        this.root = root;
+        this.dir = dir;
+        this.retentionDays = retentionDays;
+        this.maxItems = maxItems;
+    }
+
+    /**
+     * Resolves the directory of a trash item
+     * @param {string} id - Item id
+     * @returns {string}
+     */
+    itemDir(id) {
+        if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+            throw httpError(400, `Invalid trash item: ${id}`);
+        }
+        return join(this.dir, id);
+    }
+
+    /**
+     * Moves an entry into the trash
+     * @param {string} path - Absolute path of the entry, inside the project root
+     * @param {string | null} [actor=null] - Who deleted the entry
+     * @returns {Promise<TrashItem>}
+     */
+    async add(path, actor = null) {
+        const stats = await lstat(path);
+        const type = stats.isSymbolicLink() ? 'symlink' : stats.isDirectory() ? 'directory' : 'file';
+        lastDeletion = Math.max(Date.now(), lastDeletion + 1);
+        const id = `${lastDeletion.toString(36)}-${randomBytes(4).toString('hex')}`;
+        const item = {
+            id,
+            path: relative(this.root, path),
+            name: basename(path),
+            type,
+            size: type === 'file' ? stats.size : 0,
+            deletedAt: new Date(lastDeletion).toISOString(),
+            deletedBy: actor
+        };
+
+        const dir = this.itemDir(id);
+        await mkdir(dir, { recursive: true });
+        try {
+            await moveEntry(path, join(dir, ENTRY_NAME));
+        } catch (err) {
+            // Without its entry the item could never be restored
+            await rm(dir, { recursive: true, force: true });
+            throw err;
+        }
+        await writeFile(join(dir, META_FILE), JSON.stringify(item, null, 2));
+
+        await this.prune();
+        return item;
+    }
+
+    /**
+     * Lists the items in the trash, newest first
+     * @returns {Promise<TrashItem[]>}
+     */
+    async list() {
+        const ids = await readdir(this.dir).catch(() => []);
+        const items = await Promise.all(ids.map(async id => {
+            try {
+                return JSON.parse(await readFile(join(this.dir, id, META_FILE), 'utf8'));
+            } catch (err) {
+                // Not a trash item, or one that is half written
+                return null;
+            }
+        }));
+
+        return items
+            .filter(Boolean)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    /**
+     * Reads the metadata of one item
+     * @param {string} id - Item id
+     * @returns {Promise<TrashItem>}
+     */
+    async get(id) {
+        try {
+            return JSON.parse(await readFile(join(this.itemDir(id), META_FILE), 'utf8'));
+        } catch (err) {
+            if (err.status) throw err;
+            throw httpError(404, 'Item is no longer in the trash');
+        }
+    }
+
+    /**
+     * Moves an item back to its original path
+     * @param {string} id - Item id
+     * @returns {Promise<{ path: string }>} The restored path, relative to the project root
+     */
+    async restore(id) {
+        const item = await this.get(id);
+        const target = await resolveReal(this.root, item.path, { entry: true });
+
+        if (await lstat(target).catch(() => null)) {
+            throw httpError(409, `${item.path} already exists`);
+        }
+
+        await mkdir(dirname(target), { recursive: true });
+        await moveEntry(join(this.itemDir(id), ENTRY_NAME), target);
+        await rm(this.itemDir(id), { recursive: true, force: true });
+
+        return { path: item.path };
+    }
+
+    /**
+     * Permanently removes one item, or every item when no id is given
+     * @param {string} [id] - Item id
+     * @returns {Promise<number>} Number of items removed
+     */
+    async purge(id) {
+        if (id !== undefined) {
+            await this.get(id);
+            await rm(this.itemDir(id), { recursive: true, force: true });
+            return 1;
+        }
+
+        const items = await this.list();
+        await rm(this.dir, { recursive: true, force: true });
+        return items.length;
+    }
+
+    /**
+     * Purges items that are past the retention period or beyond the item limit
+     * @returns {Promise<number>} Number of items removed
+     */
+    async prune() {
+        const cutoff = Date.now() - this.retentionDays * DAY;
+        const expired = (await this.list())
+            .filter((item, index) => index >= this.maxItems || Date.parse(item.deletedAt) < cutoff);
+
+        await Promise.all(expired.map(item => rm(this.itemDir(item.id), { recursive: true, force: true })));
+        return expired.length;
+    }
+}
@@ -0,0 +1,641 @@
+import { lstat, readdir, readlink, stat } from 'fs/promises';
+import { join, relative, parse, dirname, basename } from 'path';
+import { IgnoreRules } from './ignore.js';
+import { DiskUsage } from './disk-usage.js';
+import { loadOwnerNames, statMetadata } from './metadata.js';
+import { resolveReal } from './paths.js';
+
+/**
+ * @typedef {Object} TreeNode
+ * @property {string} name - Entry name
+ * @property {string} path - Path relative to the project root ('/' for the root itself)
+ * @property {'directory' | 'file' | 'symlink'} type - Entry type; links are never followed to decide it
+ * @property {number | null} size - File size in bytes, for links that of the link itself; in payloads,
+ *     directories carry the total size of all files below them, in the cache they hold null
+ * @property {number} [disk] - Bytes allocated on disk, totalled like `size`; only set on payload copies
+ * @property {number} [files] - Number of files below a directory, at any depth; only set on payload copies
+ * @property {number} mtime - Last content change, in milliseconds since the epoch
+ * @property {number} ctime - Last status change
+ * @property {number | null} birthtime - Creation time, null where the file system does not record it
+ * @property {number} mode - Permission bits
+ * @property {string} owner - Owning user name, or id
+ * @property {string} group - Owning group name, or id
+ * @property {number} ino - Inode number
+ * @property {number} nlink - Number of hard links
+ * @property {string} [link] - Target of a symbolic link, as stored in the link; the other
+ *     fields describe the link itself
+ * @property {'directory' | 'file' | null} [target] - Type of the entry a link points to, null
+ *     when the link is broken
+ * @property {boolean} [followed] - Set on links to directories that are scanned like directories
+ * @property {boolean} [cycle] - Set on links to a directory they are inside of, which are not followed
+ * @property {TreeNode[]} [children] - Child entries of a directory, missing while it has not been scanned
+ * @property {number} [total] - Number of children in the cache; only set on payload copies,
+ *     where `children` may hold a single page of them
+ * @property {boolean} [ignored] - Set on entries matched by ignore rules; ignored directories
+ *     are only scanned on request
+ */
+
+/**
+ * @typedef {Object} PatchOp
+ * @property {'add' | 'remove' | 'modify' | 'rename'} op - Operation kind
+ * @property {string} [path] - Target path (add/remove/modify)
+ * @property {string} [parent] - Parent path of an added node
+ * @property {TreeNode} [node] - Added or renamed node, including its subtree
+ * @property {Object} [changes] - Changed fields of a modified node
+ * @property {string} [from] - Old path of a renamed node
+ * @property {string} [to] - New path of a renamed node
+ */
+
+const ROOT_PATH = '/';
+
+/**
+ * @typedef {Object} ScanOptions
+ * @property {(node: TreeNode, stats: import('fs').Stats) => void} [visit] - Called for every node created
+ * @property {number} [depth=Infinity] - Levels to read; directories on the last level are left unscanned
+ * @property {IgnoreRules} [ignore] - Rules that mark entries as ignored or leave them out
+ * @property {import('./metadata.js').OwnerNames} [owners] - Names shown for owning users and groups
+ * @property {boolean} [followLinks] - Whether links to directories inside the project are scanned
+ * @property {Set<string>} [ancestors] - Device and inode keys of the directory being read and those
+ *     above it, so followed links cannot lead back into them; required with `followLinks`
+ */
+
+/**
+ * Identifies a directory by its device and inode, whatever path it is reached through
+ * @param {import('fs').Stats} stats - Stat result of the directory
+ * @returns {string}
+ */
+function inodeKey(stats) {
+    return `${stats.dev}:${stats.ino}`;
+}
+
+/**
+ * Returns the tree type of an entry
+ * @param {import('fs').Stats} stats - lstat result of the entry
+ * @returns {'directory' | 'file' | 'symlink'}
+ */
+function entryType(stats) {
+    if (stats.isSymbolicLink()) return 'symlink';
+    return stats.isDirectory() ? 'directory' : 'file';
+}
+
+/**
+ * Reads where a link points to
+ * @param {string} path - Absolute path of the link
+ * @returns {Promise<{ link: string, target: 'directory' | 'file' | null, stats: import('fs').Stats | null }>}
+ *     The stored target, the type of the entry it leads to and its stats, both null when the link is broken
+ */
+async function readLink(path) {
+    const [link, stats] = await Promise.all([readlink(path), stat(path).catch(() => null)]);
+    return { link, target: stats ? (stats.isDirectory() ? 'directory' : 'file') : null, stats };
+}
+
+/**
+ * Recursively reads a directory into tree nodes
+ * @param {string} dir - Absolute directory path
+ * @param {string} root - Absolute project root, used to build relative paths
+ * @param {ScanOptions} [options]
+ * @returns {Promise<TreeNode[]>}
+ */
+export async function getDirectoryStructure(dir, root, options = {}) {
+    const { ignore } = options;
+    try {
+        const items = await readdir(dir);
+        const structure = [];
+        if (ignore) await ignore.loadDirectory(relative(root, dir));
+
+        for (const item of items) {
+            try {
+                const path = join(dir, item);
+                if (ignore?.isExcluded(relative(root, path))) continue;
+
+                const node = await createNode(path, root, { ...options, depth: (options.depth ?? Infinity) - 1 });
+                structure.push(node);
+            } catch (err) {
+                console.error(`Error processing ${item}:`, err);
+            }
+        }
+
+        return structure;
+    } catch (err) {
+        console.error(`Error reading directory ${dir}:`, err);
+        return [];
+    }
+}
+
+/**
+ * Creates a tree node for a single path, scanning its subtree when it is a directory
+ * that is not ignored, or a link that is followed to one
+ * @param {string} path - Absolute path of the entry
+ * @param {string} root - Absolute project root
+ * @param {ScanOptions} [options] - `depth` counts the levels read below this entry
+ * @returns {Promise<TreeNode>}
+ */
+async function createNode(path, root, options = {}) {
+    const { visit, depth = Infinity, ignore, owners, followLinks, ancestors } = options;
+    const stats = await lstat(path);
+
+    const node = {
+        name: basename(path),
+        path: relative(root, path),
+        type: entryType(stats),
+        size: stats.isDirectory() ? null : stats.size,
+        ...statMetadata(stats, owners)
+    };
+
+    // The directory whose entries become the node's children
+    let directory = stats.isDirectory() ? stats : null;
+    if (stats.isSymbolicLink()) {
+        const { link, target, stats: targetStats } = await readLink(path);
+        node.link = link;
+        node.target = target;
+
+        // Links leaving the project are not followed, as its files cannot be opened through them
+        const inside = target === 'directory' && followLinks
+            && await resolveReal(root, node.path).then(() => true, () => false);
+        if (inside && ancestors.has(inodeKey(targetStats))) {
+            node.cycle = true;
+        } else if (inside) {
+            node.followed = true;
+            directory = targetStats;
+        }
+    }
+
+    if (ignore?.status(node.path, Boolean(directory)) === 'ignored') {
+        node.ignored = true;
+    }
+
+    if (visit) visit(node, stats);
+
+    if (directory && depth > 0 && !node.ignored) {
+        node.children = await getDirectoryStructure(path, root, {
+            ...options,
+            depth,
+            ancestors: followLinks ? new Set(ancestors).add(inodeKey(directory)) : undefined
+        });
+    }
+
+    return node;
+}
+
+/**
+ * Copies fresh values onto a cached node
+ * @param {TreeNode} node - Cached node
+ * @param {Object} fields - Current values by field name
+ * @returns {Object} The fields whose values changed
+ */
+function updateNode(node, fields) {
+    const changes = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (node[key] !== value) {
+            node[key] = value;
+            changes[key] = value;
+        }
+    }
+    return changes;
+}
+
+/**
+ * Returns the parent path of a relative node path
+ * @param {string} path - Relative node path
+ * @returns {string} Parent path, '/' for top-level entries
+ */
+export function parentPath(path) {
+    const parent = dirname(path);
+    return parent === '.' ? ROOT_PATH : parent;
+}
+
+/**
+ * Returns how deep a node sits below the project root
+ * @param {string} path - Relative node path
+ * @returns {number} 0 for the root, 1 for top-level entries
+ */
+function levelOf(path) {
+    return path === ROOT_PATH ? 0 : path.split('/').length;
+}
+
+/**
+ * In-memory copy of the project tree that turns watcher events into patches.
+ *
+ * Every batch of changes that produces at least one operation bumps `seq`,
+ * so clients can detect a missed patch and ask for a full resync.
+ *
+ * With a finite `depth` only the first levels are scanned up front; deeper
+ * directories are read when a client asks for them. Payloads never carry more
+ * than `pageSize` children per directory, the rest is fetched page by page.
+ *
+ * Symbolic links are entries of their own. With `followLinks`, links to
+ * directories inside the project are scanned as well, unless they lead back
+ * into a directory they are inside of. Changes below followed links are only
+ * picked up when the tree is rebuilt, as the watcher reports them at their
+ * real path.
+ */
+export class TreeCache {
+    /**
+     * @param {string} root - Absolute project root
+     * @param {Object} [options]
+     * @param {number} [options.depth=Infinity] - Directory levels scanned and sent up front
+     * @param {number} [options.pageSize=Infinity] - Maximum number of children sent per directory
+     * @param {boolean} [options.followLinks=false] - Whether links to directories inside the project are scanned
+     */
+    constructor(root, { depth = Infinity, pageSize = Infinity, followLinks = false } = {}) {
+        this.root = root;
+        this.depth = depth;
+        this.pageSize = pageSize;
+        this.followLinks = followLinks;
+        this.seq = 0;
+        /** @type {TreeNode | null} */
+        this.tree = null;
+        /** @type {Map<string, TreeNode>} */
+        this.nodes = new Map();
+        /** @type {Map<string, number>} */
+        this.inodes = new Map();
+        /** @type {Promise<TreeNode> | null} */
+        this.loading = null;
+        this.ignore = new IgnoreRules(root);
+        this.usage = new DiskUsage(root, this.ignore);
+        /** @type {import('./metadata.js').OwnerNames | undefined} */
+        this.owners = undefined;
+    }
+
+    /**
+     * Builds the tree on first use; concurrent callers share the same scan
+     * @returns {Promise<TreeNode>}
+     */
+    ready() {
+        if (!this.loading) {
+            this.loading = this.build();
+        }
+        return this.loading;
+    }
+
+    /**
+     * Scans the project down to the configured depth and replaces the cached
+     * tree. Disk usage is scanned in the background, as it walks everything;
+     * see usageOps for sending the totals once they are known.
+     * @returns {Promise<TreeNode>}
+     */
+    async build() {
+        this.nodes.clear();
+        this.inodes.clear();
+        await this.ignore.load();
+        this.owners = await loadOwnerNames();
+        this.usage.ready();
+
+        const children = await getDirectoryStructure(this.root, this.root, await this.scanOptions(this.depth, ROOT_PATH));
+        this.tree = {
+            name: parse(this.root).base,
+            path: ROOT_PATH,
+            type: 'directory',
+            children
+        };
+        this.nodes.set(ROOT_PATH, this.tree);
+
+        return this.tree;
+    }
+
+    /**
+     * Scans the whole project again, disk usage included, for when too much
+     * changed at once to patch; clients need the full structure afterwards,
+     * and the totals once the new usage scan is done
+     */
+    async rebuild() {
+        this.usage = new DiskUsage(this.root, this.ignore);
+        this.loading = this.build();
+        await this.loading;
+        this.seq++;
+    }
+
+    /**
+     * Returns the cached tree along with the sequence number it corresponds to
+     * @returns {{ seq: number, content: TreeNode }}
+     */
+    snapshot() {
+        return { seq: this.seq, content: this.view(this.tree) };
+    }
+
+    /**
+     * Reports the disk usage totals of the cached nodes, which are sent
+     * without them until the usage scan is done
+     * @returns {PatchOp[]} Modify operations carrying the totals, empty while the scan is running
+     */
+    usageOps() {
+        const ops = [];
+        if (!this.usage.loaded) return ops;
+
+        const usage = new Map();
+        for (const path of this.nodes.keys()) {
+            const totals = this.usage.get(path);
+            if (totals) usage.set(path, totals);
+        }
+        this.addUsageChanges(usage, ops);
+        if (ops.length > 0) this.seq++;
+        return ops;
+    }
+
+    /**
+     * Returns one page of a directory's children, scanning the directory first if needed
+     * @param {string} path - Relative directory path
+     * @param {number} [offset=0] - Index of the first child to return
+     * @returns {Promise<{ seq: number, path: string, offset: number, total: number, children: TreeNode[] }>}
+     */
+    async loadChildren(path, offset = 0) {
+        const node = this.nodes.get(path);
+        if (!node || (node.type !== 'directory' && !node.followed)) {
+            throw new Error(`Not a directory: ${path}`);
+        }
+
+        if (!node.children) {
+            node.children = await getDirectoryStructure(join(this.root, path), this.root, await this.scanOptions(1, path));
+        }
+
+        return {
+            seq: this.seq,
+            path,
+            offset,
+            total: node.children.length,
+            children: node.children
+                .slice(offset, offset + this.pageSize)
+                .map(child => this.view(child))
+        };
+    }
+
+    /**
+     * Copies a node for sending to clients, limited to `depth` levels and one page per directory
+     * @param {TreeNode} node - Cached node
+     * @param {number} [depth] - Levels of children to include, defaults to what is left of the scan depth
+     * @returns {TreeNode}
+     */
+    view(node, depth = this.depth - levelOf(node.path)) {
+        const { children, ...rest } = node;
+        const usage = this.usage.loaded ? this.usage.get(node.path) : null;
+        if (usage && (node.type === 'directory') === (usage.files !== undefined)) {
+            Object.assign(rest, node.type === 'directory' ? usage : { disk: usage.disk });
+        }
+        if (!children) return rest;
+
+        const copy = { ...rest, total: children.length };
+        if (depth > 0) {
+            copy.children = children
+                .slice(0, this.pageSize)
+                .map(child => this.view(child, depth - 1));
+        }
+        return copy;
+    }
+
+    /**
+     * Options for scanning directories into this cache
+     * @param {number} depth - Levels to read
+     * @param {string} path - Relative path of the directory read
+     * @returns {Promise<ScanOptions>}
+     */
+    async scanOptions(depth, path) {
+        return {
+            visit: (node, stats) => this.track(node, stats),
+            depth,
+            ignore: this.ignore,
+            owners: this.owners,
+            followLinks: this.followLinks,
+            ancestors: this.followLinks ? await this.ancestorKeys(path) : undefined
+        };
+    }
+
+    /**
+     * Collects the device and inode keys of a directory and those above it, up to the root
+     * @param {string} path - Relative directory path
+     * @returns {Promise<Set<string>>}
+     */
+    async ancestorKeys(path) {
+        const parts = path === ROOT_PATH ? [] : path.split('/');
+        const keys = new Set();
+        for (let i = 0; i <= parts.length; i++) {
+            keys.add(inodeKey(await stat(join(this.root, ...parts.slice(0, i)))));
+        }
+        return keys;
+    }
+
+    /**
+     * Checks whether a watcher event for a path can affect the tree. Ignored entries
+     * only matter while their parent directory is loaded.
+     * @param {string} path - Path relative to the project root
+     * @returns {boolean}
+     */
+    isWatched(path) {
+        const node = this.nodes.get(path);
+        const status = this.ignore.status(path, node?.type === 'directory' || Boolean(node?.followed));
+        if (status === 'excluded') return false;
+        if (status === 'ignored') return this.nodes.has(path) || Boolean(this.nodes.get(parentPath(path))?.children);
+        return true;
+    }
+
+    /**
+     * Re-checks the given paths against the file system and updates the cache.
+     * Disk usage is updated for all paths; the tree only for those it watches.
+     * @param {Iterable<string>} paths - Paths relative to the project root, as reported by the watcher
+     * @returns {Promise<PatchOp[] | null>} Operations applied to the cache, empty if nothing changed,
+     *     or null if ignore rules changed and the tree was rebuilt
+     */
+    async refresh(paths) {
+        const removed = [];
+        const added = [];
+        const ops = [];
+
+        const usage = await this.usage.update(paths);
+        const changed = Array.from(new Set(paths)).filter(path => this.isWatched(path));
+
+        // Changed rules may show or hide entries anywhere below them
+        if (changed.some(path => this.ignore.isRuleFile(path))) {
+            this.loading = this.build();
+            await this.loading;
+            this.seq++;
+            return null;
+        }
+
+        // Parents first, so a new directory is added before anything inside it
+        const sorted = changed.sort((a, b) => a.split('/').length - b.split('/').length);
+
+        for (const path of sorted) {
+            await this.reconcile(path, { removed, added, ops });
+        }
+
+        this.pairRenames(removed, added, ops);
+        this.addUsageChanges(usage, ops);
+
+        if (ops.length > 0) this.seq++;
+        return ops;
+    }
+
+    /**
+     * Compares a single path with the file system and records the resulting operations
+     * @param {string} path - Relative path
+     * @param {{ removed: PatchOp[], added: PatchOp[], ops: PatchOp[] }} batch - Operations collected so far
+     */
+    async reconcile(path, batch) {
+        const cached = this.nodes.get(path);
+        const stats = await lstat(join(this.root, path)).catch(() => null);
+
+        if (!stats) {
+            if (cached) this.removeNode(cached, batch);
+            return;
+        }
+
+        if (!cached) {
+            const parent = this.nodes.get(parentPath(path));
+            if (parent) {
+                // Entries of directories nobody has opened yet are read on demand
+                if (parent.children) await this.addNode(parent, path, batch);
+            } else {
+                // Parent is unknown too, adding it brings this entry along
+                await this.reconcile(parentPath(path), batch);
+            }
+            return;
+        }
+
+        const type = entryType(stats);
+        // A link that now leads elsewhere is scanned again, with what it leads to
+        const retargeted = type === 'symlink' && cached.type === 'symlink'
+            && await readLink(join(this.root, path)).then(
+                ({ link, target }) => link !== cached.link || target !== cached.target,
+                () => true
+            );
+        if (type !== cached.type || retargeted) {
+            const parent = this.nodes.get(parentPath(path));
+            this.removeNode(cached, batch);
+            await this.addNode(parent, path, batch);
+            return;
+        }
+
+        const changes = updateNode(cached, {
+            ...(type === 'directory' ? {} : { size: stats.size }),
+            ...statMetadata(stats, this.owners)
+        });
+        if (Object.keys(changes).length > 0) {
+            batch.ops.push({ op: 'modify', path, changes });
+        }
+
+        if (type !== 'directory') {
+            this.inodes.set(path, stats.ino);
+            return;
+        }
+
+        // Directory: pick up entries created or deleted without their own event
+        if (!cached.children) return;
+        const names = await readdir(join(this.root, path === ROOT_PATH ? '' : path)).catch(() => []);
+        const present = new Set(names.filter(name => !this.ignore.isExcluded(path === ROOT_PATH ? name : join(path, name))));
+        for (const child of [...cached.children]) {
+            if (!present.has(child.name)) this.removeNode(child, batch);
+        }
+        const known = new Set(cached.children.map(child => child.name));
+        for (const name of present) {
+            if (!known.has(name)) {
+                await this.addNode(cached, path === ROOT_PATH ? name : join(path, name), batch);
+            }
+        }
+    }
+
+    /**
+     * Scans a new entry and attaches it to its parent
+     * @param {TreeNode} parent - Cached parent node
+     * @param {string} path - Relative path of the new entry
+     * @param {{ added: PatchOp[], ops: PatchOp[] }} batch - Operations collected so far
+     */
+    async addNode(parent, path, batch) {
+        let node;
+        try {
+            const options = await this.scanOptions(this.depth - levelOf(path), parentPath(path));
+            node = await createNode(join(this.root, path), this.root, options);
+        } catch (err) {
+            // Gone again before we could read it
+            return;
+        }
+
+        parent.children.push(node);
+        const op = { op: 'add', parent: parent.path, path, node: this.view(node) };
+        batch.added.push(op);
+        batch.ops.push(op);
+    }
+
+    /**
+     * Detaches a node and forgets its subtree
+     * @param {TreeNode} node - Cached node to remove
+     * @param {{ removed: PatchOp[], ops: PatchOp[] }} batch - Operations collected so far
+     */
+    removeNode(node, batch) {
+        const parent = this.nodes.get(parentPath(node.path));
+        if (parent) {
+            parent.children = parent.children.filter(child => child !== node);
+        }
+
+        const op = { op: 'remove', path: node.path, ino: this.inodes.get(node.path) };
+        this.forget(node);
+        batch.removed.push(op);
+        batch.ops.push(op);
+    }
+
+    /**
+     * Replaces remove/add pairs that refer to the same inode with a single rename
+     * @param {PatchOp[]} removed - Remove operations of the batch
+     * @param {PatchOp[]} added - Add operations of the batch
+     * @param {PatchOp[]} ops - All operations of the batch, rewritten in place
+     */
+    pairRenames(removed, added, ops) {
+        for (const remove of removed) {
+            const add = remove.ino !== undefined && added.find(op => this.inodes.get(op.path) === remove.ino);
+            if (add) {
+                ops.splice(ops.indexOf(remove), 1);
+                // The node travels along for clients that only know one side of the move
+                ops.splice(ops.indexOf(add), 1, {
+                    op: 'rename', from: remove.path, to: add.path, parent: add.parent, node: add.node
+                });
+                added.splice(added.indexOf(add), 1);
+            }
+        }
+
+        for (const op of ops) delete op.ino;
+    }
+
+    /**
+     * Reports new disk usage of cached nodes, merged into modify operations the
+     * batch already holds for them
+     * @param {Map<string, import('./disk-usage.js').Usage>} usage - Changed usage by path
+     * @param {PatchOp[]} ops - All operations of the batch, extended in place
+     */
+    addUsageChanges(usage, ops) {
+        // Nodes sent whole by this batch already carry their usage
+        const sent = ops.filter(op => op.op === 'add' || op.op === 'rename').map(op => op.path ?? op.to);
+        const isSent = path => sent.some(root => path === root || path.startsWith(`${root}/`));
+
+        for (const [path, { files, ...totals }] of usage) {
+            const node = this.nodes.get(path);
+            // Usage recorded for an entry of another type belongs to a replaced entry
+            if (!node || isSent(path) || (node.type === 'directory') !== (files !== undefined)) continue;
+
+            const changes = node.type === 'directory' ? { ...totals, files } : { disk: totals.disk };
+            const existing = ops.find(op => op.op === 'modify' && op.path === path);
+            if (existing) {
+                Object.assign(existing.changes, changes);
+            } else {
+                ops.push({ op: 'modify', path, changes });
+            }
+        }
+    }
+
+    /**
+     * Registers a node in the lookup tables
+     * @param {TreeNode} node - Node to register
+     * @param {import('fs').Stats} stats - Stats of the entry
+     */
+    track(node, stats) {
+        this.nodes.set(node.path, node);
+        this.inodes.set(node.path, stats.ino);
+    }
+
+    /**
+     * Removes a node and its descendants from the lookup tables
+     * @param {TreeNode} node - Node to forget
+     */
+    forget(node) {
+        this.nodes.delete(node.path);
+        this.inodes.delete(node.path);
+        node.children?.forEach(child => this.forget(child));
+    }
+}
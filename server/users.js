@@ -0,0 +1,181 @@
+import { readFile, writeFile } from 'fs/promises';
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { httpError } from './errors.js';
+
+/**
+ * @typedef {'read-only' | 'read-write'} Role
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} username - Login name
+ * @property {Role} role - What the user may do
+ */
+
+/**
+ * @typedef {Object} StoredUser
+ * @property {Role} role - What the user may do
+ * @property {string} password - scrypt hash of the password, as `scrypt$salt$hash` in hex
+ * @property {string[]} tokens - SHA-256 hashes of the user's access tokens, in hex
+ */
+
+export const ROLES = ['read-only', 'read-write'];
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Hash in the form `scrypt$salt$hash`
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} stored - Hash created by hashPassword
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'hex'), expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hashes an access token. Tokens are long and random, so a plain digest is enough.
+ * @param {string} token - Access token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Local user store, kept as a JSON file of hashed passwords and tokens
+ */
+export class UserStore {
+    /**
+     * @param {string} file - Path of the JSON file
+     */
+    constructor(file) {
+        this.file = file;
+        /** @type {Record<string, StoredUser>} */
+        this.users = {};
+    }
+
+    /**
+     * Reads the store from disk; a missing file is an empty store
+     * @returns {Promise<UserStore>}
+     */
+    async load() {
+        try {
+            this.users = JSON.parse(await readFile(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            this.users = {};
+        }
+        return this;
+    }
+
+    /**
+     * Writes the store to disk, readable by the owner only
+     */
+    async save() {
+        await writeFile(this.file, JSON.stringify(this.users, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * Lists the users without their secrets
+     * @returns {User[]}
+     */
+    list() {
+        return Object.entries(this.users).map(([username, user]) => ({ username, role: user.role }));
+    }
+
+    /**
+     * Adds a user or replaces the password and role of an existing one
+     * @param {string} username - Login name
+     * @param {string} password - Plain text password
+     * @param {Role} [role='read-only'] - What the user may do
+     */
+    async setUser(username, password, role = 'read-only') {
+        if (!username || /[\s:]/.test(username)) {
+            throw httpError(400, `Invalid username: ${username}`);
+        }
+        if (!ROLES.includes(role)) {
+            throw httpError(400, `Unknown role: ${role}`);
+        }
+        if (!password) {
+            throw httpError(400, 'A password is required');
+        }
+
+        this.users[username] = {
+            role,
+            password: await hashPassword(password),
+            tokens: this.users[username]?.tokens || []
+        };
+    }
+
+    /**
+     * Removes a user
+     * @param {string} username - Login name
+     * @returns {boolean} Whether the user existed
+     */
+    removeUser(username) {
+        if (!Object.hasOwn(this.users, username)) return false;
+        delete this.users[username];
+        return true;
+    }
+
+    /**
+     * Creates an access token for a user. Only its hash is stored.
+     * @param {string} username - Login name
+     * @returns {string} The token, shown once
+     */
+    createToken(username) {
+        const user = this.users[username];
+        if (!user) {
+            throw httpError(404, `Unknown user: ${username}`);
+        }
+
+        const token = randomBytes(32).toString('base64url');
+        user.tokens.push(hashToken(token));
+        return token;
+    }
+
+    /**
+     * Checks a username and password
+     * @param {string} username - Login name
+     * @param {string} password - Plain text password
+     * @returns {Promise<User | null>}
+     */
+    async authenticate(username, password) {
+        const user = Object.hasOwn(this.users, username) ? this.users[username] : null;
+        if (!user || typeof password !== 'string') return null;
+
+        return await verifyPassword(password, user.password) ? { username, role: user.role } : null;
+    }
+
+    /**
+     * Finds the user an access token belongs to
+     * @param {string} token - Access token
+     * @returns {User | null}
+     */
+    authenticateToken(token) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const hash = hashToken(token);
+        const entry = Object.entries(this.users).find(([, user]) => user.tokens.includes(hash));
+        return entry ? { username: entry[0], role: entry[1].role } : null;
+    }
+}
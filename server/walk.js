@@ -0,0 +1,74 @@
+import { readdir } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * @typedef {Object} WalkOptions
+ * @property {import('./ignore.js').IgnoreRules} [ignore] - The project's ignore rules
+ * @property {boolean} [includeIgnored=false] - Whether to enter entries matched by ignore rules
+ * @property {(path: string, isDirectory: boolean) => boolean} [skip] - Leaves out entries, and
+ *     everything below directories, it returns true for
+ * @property {() => boolean} [stopped] - Checked before each entry; the walk ends once it returns true
+ * @property {boolean} [directories=false] - Whether directories are visited too, before their contents
+ */
+
+/**
+ * @typedef {Object} WalkRoot
+ * @property {string} path - Absolute directory
+ * @property {import('./ignore.js').IgnoreRules} [ignore] - Its ignore rules
+ * @property {string} [prefix=''] - Put in front of the paths of its entries, such as `app/`
+ *     for a folder of a workspace
+ */
+
+/**
+ * Lists the directories a walk covers: a project root with the given ignore
+ * rules, or the folders of a workspace with their own
+ * @param {string | WalkRoot[]} roots - Absolute project root, or several roots
+ * @param {import('./ignore.js').IgnoreRules} [ignore] - Ignore rules of a single project root
+ * @returns {WalkRoot[]}
+ */
+export function listRoots(roots, ignore) {
+    return typeof roots === 'string' ? [{ path: roots, ignore, prefix: '' }] : roots;
+}
+
+/**
+ * Visits the files of a project in name order, depth first. Excluded entries and,
+ * unless asked for, ignored ones are left out. Symbolic links are not followed.
+ * Directories that cannot be read are skipped.
+ * @param {string} root - Absolute project root
+ * @param {WalkOptions} options
+ * @param {(path: string, isDirectory: boolean) => Promise<void> | void} visit - Called with each file's
+ *     path relative to the root
+ */
+export async function walkFiles(root, { ignore, includeIgnored = false, skip, stopped = () => false, directories = false }, visit) {
+    const walk = async (dir) => {
+        if (ignore) await ignore.loadDirectory(dir);
+        let entries;
+        try {
+            entries = await readdir(join(root, dir), { withFileTypes: true });
+        } catch (err) {
+            return;
+        }
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            if (stopped()) return;
+
+            const path = dir ? `${dir}/${entry.name}` : entry.name;
+            const isDirectory = entry.isDirectory();
+            if (!isDirectory && !entry.isFile()) continue;
+
+            const status = ignore?.status(path, isDirectory);
+            if (status === 'excluded' || (status === 'ignored' && !includeIgnored)) continue;
+            if (skip?.(path, isDirectory)) continue;
+
+            if (isDirectory) {
+                if (directories) await visit(path, true);
+                await walk(path);
+            } else {
+                await visit(path, false);
+            }
+        }
+    };
+
+    await walk('');
+}
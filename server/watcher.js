@@ -0,0 +1,227 @@
+import { watch } from 'fs';
+import { lstat, readdir } from 'fs/promises';
+import { join, sep } from 'path';
+
+/**
+ * @typedef {'auto' | 'native' | 'poll'} WatchMode
+ */
+
+/**
+ * @typedef {Object} WatcherStatus
+ * @property {'native' | 'poll'} mode - How changes are detected
+ * @property {string | null} warning - Why changes may be late or missed, null when all is well
+ */
+
+/**
+ * @typedef {Object} Batcher
+ * @property {(path: string) => void} add - Adds a changed path to the pending batch
+ * @property {() => void} flush - Hands the pending batch over at once
+ * @property {() => void} cancel - Drops the pending batch
+ */
+
+// Error codes of a system out of file watches (inotify's max_user_watches) or descriptors
+const LIMIT_ERRORS = new Set(['ENOSPC', 'EMFILE']);
+
+/**
+ * Collects paths into batches. A batch is handed over once no path has been
+ * added for `delay` ms, or `maxDelay` ms after it started, so that a steady
+ * stream of events still produces updates.
+ * @param {Object} options
+ * @param {number} options.delay - Quiet time that ends a batch, in milliseconds
+ * @param {number} options.maxDelay - Longest time a batch is held, in milliseconds
+ * @param {(paths: Set<string>) => void} options.onFlush - Receives each batch; every path appears once
+ * @returns {Batcher}
+ */
+export function createBatcher({ delay, maxDelay, onFlush }) {
+    let pending = new Set();
+    let quietTimer = null;
+    let maxTimer = null;
+
+    const cancel = () => {
+        clearTimeout(quietTimer);
+        clearTimeout(maxTimer);
+        quietTimer = maxTimer = null;
+        pending = new Set();
+    };
+
+    const flush = () => {
+        const paths = pending;
+        cancel();
+        if (paths.size > 0) onFlush(paths);
+    };
+
+    const add = path => {
+        pending.add(path);
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(flush, delay);
+        if (!maxTimer) maxTimer = setTimeout(flush, maxDelay);
+    };
+
+    return { add, flush, cancel };
+}
+
+/**
+ * Reads a signature of every entry below the root that changes whenever the
+ * entry does
+ * @param {string} root - Absolute directory
+ * @param {(path: string) => boolean} skip - Leaves out entries, and everything below them, it accepts
+ * @param {(path: string) => boolean} [shallow] - Keeps directories it accepts but leaves out everything below them
+ * @returns {Promise<Map<string, string>>} Signatures by path relative to the root
+ */
+export async function snapshotTree(root, skip, shallow = () => false) {
+    const entries = new Map();
+
+    const visit = async dir => {
+        const names = await readdir(join(root, dir)).catch(() => []);
+        for (const name of names) {
+            const path = dir ? `${dir}/${name}` : name;
+            if (skip(path)) continue;
+
+            const stats = await lstat(join(root, path)).catch(() => null);
+            if (!stats) continue;
+            entries.set(path, `${stats.mode}:${stats.ino}:${stats.size}:${stats.mtimeMs}`);
+            if (stats.isDirectory() && !shallow(path)) await visit(path);
+        }
+    };
+
+    await visit('');
+    return entries;
+}
+
+/**
+ * Lists the paths whose signatures differ between two snapshots
+ * @param {Map<string, string>} before - Earlier snapshot
+ * @param {Map<string, string>} after - Later snapshot
+ * @returns {string[]} Added, removed and changed paths
+ */
+export function diffSnapshots(before, after) {
+    const changed = [];
+    for (const [path, signature] of after) {
+        if (before.get(path) !== signature) changed.push(path);
+    }
+    for (const path of before.keys()) {
+        if (!after.has(path)) changed.push(path);
+    }
+    return changed;
+}
+
+/**
+ * Watches a project directory for changes and reports them in batches.
+ *
+ * The native recursive watcher is used where it works. In `auto` mode the
+ * watcher falls back to polling when native watching is not available or the
+ * system runs out of watches, and reports why through `onStatus`. Polling
+ * compares snapshots of the tree, so it also works on network mounts and in
+ * containers where native events do not arrive.
+ */
+export class ProjectWatcher {
+    /**
+     * @param {string} root - Absolute project directory
+     * @param {Object} options
+     * @param {WatchMode} [options.mode='auto'] - How changes are detected
+     * @param {number} [options.pollInterval=2000] - Milliseconds between polls
+     * @param {number} [options.delay=100] - Quiet time that ends a batch, in milliseconds
+     * @param {number} [options.maxDelay=1000] - Longest time a batch is held, in milliseconds
+     * @param {(path: string) => boolean} [options.skip] - Directories polling leaves out, with everything below them
+     * @param {(path: string) => boolean} [options.shallow] - Directories polling watches without what is below them
+     * @param {(paths: Set<string>) => void} options.onChanges - Receives batches of changed paths, relative
+     *     to the root with `/` separators
+     * @param {(status: WatcherStatus) => void} [options.onStatus] - Called when the mode or warning changes
+     */
+    constructor(root, { mode = 'auto', pollInterval = 2000, delay = 100, maxDelay = 1000, skip = () => false, shallow = () => false, onChanges, onStatus }) {
+        this.root = root;
+        this.requestedMode = mode;
+        this.pollInterval = pollInterval;
+        this.skip = skip;
+        this.shallow = shallow;
+        this.onStatus = onStatus;
+        this.batcher = createBatcher({ delay, maxDelay, onFlush: onChanges });
+        /** @type {WatcherStatus} */
+        this.status = { mode: mode === 'poll' ? 'poll' : 'native', warning: null };
+        /** @type {import('fs').FSWatcher | null} */
+        this.native = null;
+        this.pollTimer = null;
+        this.closed = false;
+    }
+
+    /**
+     * Starts watching
+     */
+    start() {
+        if (this.status.mode === 'poll') {
+            this.startPolling();
+            return;
+        }
+
+        try {
+            this.native = watch(this.root, { recursive: true }, (eventType, filename) => {
+                if (filename) this.batcher.add(filename.split(sep).join('/'));
+            });
+            this.native.on('error', err => this.handleError(err));
+        } catch (err) {
+            this.handleError(err);
+        }
+    }
+
+    /**
+     * Reacts to a failing native watcher: switches to polling in `auto` mode,
+     * otherwise carries on with a warning
+     * @param {Error & { code?: string }} err - Error thrown or emitted by the native watcher
+     */
+    handleError(err) {
+        console.error('File watcher error:', err);
+        if (this.closed || this.status.mode === 'poll') return;
+
+        const limit = LIMIT_ERRORS.has(err.code);
+        const reason = limit
+            ? 'The system ran out of file watches (raise fs.inotify.max_user_watches)'
+            : `Watching for changes failed (${err.message})`;
+
+        if (this.requestedMode === 'native') {
+            this.setStatus({ mode: 'native', warning: `${reason}; some changes may not show up` });
+            return;
+        }
+
+        this.native?.close();
+        this.native = null;
+        this.setStatus({ mode: 'poll', warning: `${reason}; checking for changes every ${this.pollInterval / 1000} s instead` });
+        this.startPolling();
+    }
+
+    /**
+     * Takes a first snapshot, then compares the tree with it at every interval
+     */
+    async startPolling() {
+        let previous = await snapshotTree(this.root, this.skip, this.shallow);
+
+        const poll = async () => {
+            if (this.closed) return;
+            const current = await snapshotTree(this.root, this.skip, this.shallow);
+            diffSnapshots(previous, current).forEach(path => this.batcher.add(path));
+            previous = current;
+            // Scheduled after each poll, so slow polls never overlap
+            if (!this.closed) this.pollTimer = setTimeout(poll, this.pollInterval);
+        };
+
+        if (!this.closed) this.pollTimer = setTimeout(poll, this.pollInterval);
+    }
+
+    /**
+     * Records a new status and reports it
+     * @param {WatcherStatus} status - Current mode and warning
+     */
+    setStatus(status) {
+        this.status = status;
+        this.onStatus?.(status);
+    }
+
+    /**
+     * Stops watching and drops changes not reported yet
+     */
+    close() {
+        this.closed = true;
+        this.native?.close();
+        clearTimeout(this.pollTimer);
+        this.batcher.cancel();
+    }
+}
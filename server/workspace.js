@@ -0,0 +1,442 @@
+import { mkdir, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { basename, join } from 'path';
+import { httpError } from './errors.js';
+import { mergeStatus } from './git.js';
+
+/**
+ * @typedef {Object} WorkspaceRoot
+ * @property {string} name - Name shown for the folder; with several folders, the first
+ *     segment of the paths of everything inside it
+ * @property {string} path - Absolute directory
+ */
+
+/**
+ * @typedef {Object} SavedWorkspace
+ * @property {string} name - Name the workspace was saved under
+ * @property {string[]} roots - Absolute directories of its folders, in the order shown
+ * @property {number} savedAt - When the workspace was saved, in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} RootBranch
+ * @property {string} name - Name of the folder in the workspace
+ * @property {string | null} branch - Checked out branch, null when HEAD is detached
+ * @property {string | null} upstream - Upstream branch
+ * @property {number} ahead - Commits on the branch that are not on its upstream
+ * @property {number} behind - Commits on the upstream that are not on the branch
+ */
+
+/**
+ * @typedef {import('./git.js').RepositoryStatus & { roots?: RootBranch[] }} WorkspaceGitStatus
+ */
+
+/**
+ * @typedef {Object} UsageReport
+ * @property {import('./disk-usage.js').Usage | null} total - Usage of everything shown
+ * @property {import('./disk-usage.js').UsageEntry[]} largestFiles - Largest files, largest first
+ * @property {import('./disk-usage.js').UsageEntry[]} largestDirectories - Largest directories, largest first
+ * @property {import('./disk-usage.js').ExtensionUsage[]} extensions - Usage by file extension
+ */
+
+const ROOT_PATH = '/';
+const MAX_NAME_LENGTH = 100;
+const FILE_EXTENSION = '.json';
+
+/**
+ * Names a project, or the folders of a workspace, in files kept outside of it
+ * @param {string[]} paths - Absolute directories
+ * @returns {string} Hash of the directories
+ */
+export function projectKey(paths) {
+    return createHash('sha1').update(paths.join('\n')).digest('hex');
+}
+
+/**
+ * Names the folders of a workspace after their directories, numbering folders
+ * whose directories share a name
+ * @param {string[]} paths - Absolute directories
+ * @returns {string[]} Names in the same order, all different
+ */
+export function rootNames(paths) {
+    const names = [];
+    for (const path of paths) {
+        const base = basename(path) || 'root';
+        let name = base;
+        for (let count = 2; names.includes(name); count++) name = `${base} (${count})`;
+        names.push(name);
+    }
+    return names;
+}
+
+/**
+ * The folders open in the file manager. A workspace of one folder is shown as
+ * that folder, with paths relative to it as always; with several folders, each
+ * is a top-level entry of the tree and its name leads the paths inside it.
+ */
+export class Workspace {
+    /**
+     * @param {string[]} paths - Absolute directories of the folders, different from each other
+     * @param {string | null} [name=null] - Name the workspace is saved under
+     */
+    constructor(paths, name = null) {
+        if (paths.length === 0) {
+            throw httpError(400, 'A workspace needs at least one folder');
+        }
+        const names = rootNames(paths);
+        this.name = name;
+        /** @type {WorkspaceRoot[]} */
+        this.roots = paths.map((path, index) => ({ name: names[index], path }));
+    }
+
+    /**
+     * Whether the workspace has more than one folder, so paths start with a folder name
+     * @returns {boolean}
+     */
+    get multiRoot() {
+        return this.roots.length > 1;
+    }
+
+    /**
+     * Text shown for the workspace: its name, or else its only directory or the names of its folders
+     * @returns {string}
+     */
+    get label() {
+        if (this.name) return this.name;
+        return this.multiRoot ? this.roots.map(root => root.name).join(' + ') : this.roots[0].path;
+    }
+
+    /**
+     * Names the workspace in files kept outside of it. A workspace of one folder
+     * shares its key with that project.
+     * @returns {string} Hash of the folder directories
+     */
+    get key() {
+        return projectKey(this.roots.map(root => root.path));
+    }
+
+    /**
+     * Describes the workspace for clients
+     * @returns {{ name: string | null, label: string, roots: WorkspaceRoot[] }}
+     */
+    describe() {
+        return { name: this.name, label: this.label, roots: this.roots.map(root => ({ ...root })) };
+    }
+
+    /**
+     * Returns what the paths of a folder's entries start with
+     * @param {WorkspaceRoot} root - Folder of the workspace
+     * @returns {string} The folder name and a slash, empty for a workspace of one folder
+     */
+    prefixOf(root) {
+        return this.multiRoot ? `${root.name}/` : '';
+    }
+
+    /**
+     * Finds the folder of the workspace at a directory
+     * @param {string} path - Absolute directory
+     * @returns {WorkspaceRoot | undefined} Undefined when the directory is not a folder of the workspace
+     */
+    rootAt(path) {
+        return this.roots.find(root => root.path === path);
+    }
+
+    /**
+     * Finds the folder a workspace path lies in
+     * @param {string} path - Path as shown in the tree
+     * @returns {{ root: WorkspaceRoot, path: string }} The folder and the path relative to it,
+     *     '/' for the folder itself
+     */
+    locate(path) {
+        if (!this.multiRoot) return { root: this.roots[0], path };
+        if (typeof path !== 'string' || !path) throw httpError(400, 'Missing path');
+
+        const trimmed = path.replace(/^\/+/, '');
+        const index = trimmed.indexOf('/');
+        const name = index < 0 ? trimmed : trimmed.slice(0, index);
+        if (!name) {
+            throw httpError(400, 'Choose an entry inside one of the workspace folders');
+        }
+        const root = this.roots.find(candidate => candidate.name === name);
+        if (!root) {
+            throw httpError(404, `No workspace folder named ${name}`);
+        }
+        return { root, path: (index < 0 ? '' : trimmed.slice(index + 1)) || ROOT_PATH };
+    }
+
+    /**
+     * Turns a path relative to a folder into a workspace path
+     * @param {WorkspaceRoot} root - Folder of the workspace
+     * @param {string} path - Path relative to the folder, '/' for the folder itself
+     * @returns {string}
+     */
+    outward(root, path) {
+        if (!this.multiRoot) return path;
+        return path === ROOT_PATH ? root.name : `${root.name}/${path}`;
+    }
+
+    /**
+     * Copies an object with some of its fields turned into workspace paths
+     * @template T
+     * @param {WorkspaceRoot} root - Folder the paths are relative to
+     * @param {T} object - Object holding paths
+     * @param {string[]} fields - Fields holding paths; missing ones are left out
+     * @returns {T}
+     */
+    outwardFields(root, object, fields) {
+        if (!this.multiRoot) return object;
+        const copy = { ...object };
+        for (const field of fields) {
+            if (typeof copy[field] === 'string') copy[field] = this.outward(root, copy[field]);
+        }
+        return copy;
+    }
+
+    /**
+     * Copies a tree node and everything below it with workspace paths
+     * @param {WorkspaceRoot} root - Folder the node belongs to
+     * @param {import('./tree-cache.js').TreeNode} node - Node with paths relative to the folder
+     * @returns {import('./tree-cache.js').TreeNode}
+     */
+    outwardNode(root, node) {
+        if (!this.multiRoot) return node;
+        const copy = { ...node, path: this.outward(root, node.path) };
+        if (node.children) copy.children = node.children.map(child => this.outwardNode(root, child));
+        return copy;
+    }
+
+    /**
+     * Copies patch operations of a folder's tree with workspace paths
+     * @param {WorkspaceRoot} root - Folder the operations apply to
+     * @param {import('./tree-cache.js').PatchOp[]} ops - Operations with paths relative to the folder
+     * @returns {import('./tree-cache.js').PatchOp[]}
+     */
+    outwardOps(root, ops) {
+        if (!this.multiRoot) return ops;
+        return ops.map(op => {
+            const copy = this.outwardFields(root, op, ['path', 'parent', 'from', 'to']);
+            if (op.node) copy.node = this.outwardNode(root, op.node);
+            return copy;
+        });
+    }
+
+    /**
+     * Finds the folder of a file operation and makes its arguments relative to
+     * it. Entries cannot be moved or copied from one folder to another.
+     * @param {Object} [args] - Operation arguments with workspace paths
+     * @returns {{ root: WorkspaceRoot, args: Object }}
+     */
+    locateOperation(args = {}) {
+        let root = null;
+        const local = { ...args };
+        for (const field of ['path', 'destination', 'id']) {
+            if (typeof args[field] !== 'string') continue;
+            const located = this.locate(args[field]);
+            if (root && located.root !== root) {
+                throw httpError(400, 'Entries can only be moved or copied within one workspace folder');
+            }
+            root = located.root;
+            local[field] = located.path;
+        }
+        return { root: root ?? this.roots[0], args: local };
+    }
+
+    /**
+     * Joins the trees of the folders. A workspace of one folder shows that
+     * folder's tree; otherwise the folders are the children of a root that
+     * stands for the workspace and totals their usage.
+     * @param {import('./tree-cache.js').TreeNode[]} trees - Tree of each folder, in folder order
+     * @returns {import('./tree-cache.js').TreeNode}
+     */
+    combineTrees(trees) {
+        if (!this.multiRoot) return trees[0];
+
+        const children = trees.map((tree, index) => ({
+            ...this.outwardNode(this.roots[index], tree),
+            name: this.roots[index].name
+        }));
+        const total = field => children.reduce((sum, child) => sum + (child[field] ?? 0), 0);
+        return {
+            name: this.label,
+            path: ROOT_PATH,
+            type: 'directory',
+            size: total('size'),
+            disk: total('disk'),
+            files: total('files'),
+            total: children.length,
+            children
+        };
+    }
+
+    /**
+     * Joins the git status of the folders. With several folders, the branch of
+     * each repository is listed in `roots` and the workspace root shows the most
+     * important status of all of them.
+     * @param {(import('./git.js').RepositoryStatus | null)[]} statuses - Status of each folder, in folder order
+     * @returns {WorkspaceGitStatus | null} Null when no folder is in a repository
+     */
+    combineGit(statuses) {
+        if (!this.multiRoot) return statuses[0];
+
+        const combined = { branch: null, upstream: null, ahead: 0, behind: 0, files: {}, directories: {}, roots: [] };
+        statuses.forEach((status, index) => {
+            if (!status) return;
+            const root = this.roots[index];
+            const { branch, upstream, ahead, behind } = status;
+            combined.roots.push({ name: root.name, branch, upstream, ahead, behind });
+
+            for (const [path, fileStatus] of Object.entries(status.files)) {
+                combined.files[this.outward(root, path)] = fileStatus;
+            }
+            for (const [path, directoryStatus] of Object.entries(status.directories)) {
+                combined.directories[this.outward(root, path)] = directoryStatus;
+                if (path === ROOT_PATH) {
+                    combined.directories[ROOT_PATH] = mergeStatus(combined.directories[ROOT_PATH], directoryStatus);
+                }
+            }
+        });
+        return combined.roots.length > 0 ? combined : null;
+    }
+
+    /**
+     * Joins how changes to the folders are watched: polling if any folder is
+     * polled, and the first warning, naming its folder
+     * @param {(import('./watcher.js').WatcherStatus | null)[]} statuses - Status of each folder's watcher
+     * @returns {import('./watcher.js').WatcherStatus | null} Null while no folder is watched
+     */
+    combineWatchers(statuses) {
+        if (!this.multiRoot) return statuses[0];
+
+        const watched = statuses.map((status, index) => ({ status, root: this.roots[index] }))
+            .filter(({ status }) => status);
+        if (watched.length === 0) return null;
+
+        const warned = watched.find(({ status }) => status.warning);
+        return {
+            mode: watched.some(({ status }) => status.mode === 'poll') ? 'poll' : 'native',
+            warning: warned ? `${warned.root.name}: ${warned.status.warning}` : null
+        };
+    }
+
+    /**
+     * Joins the disk usage reports of the folders
+     * @param {UsageReport[]} reports - Report of each folder, in folder order
+     * @param {number} limit - Entries kept in the largest files and directories
+     * @returns {UsageReport}
+     */
+    combineUsage(reports, limit) {
+        if (!this.multiRoot) return reports[0];
+
+        const largest = field => reports
+            .flatMap((report, index) => report[field].map(entry => this.outwardFields(this.roots[index], entry, ['path'])))
+            .sort((a, b) => b.size - a.size)
+            .slice(0, limit);
+
+        const extensions = new Map();
+        for (const { extension, ...totals } of reports.flatMap(report => report.extensions)) {
+            const known = extensions.get(extension) ?? { extension, files: 0, size: 0, disk: 0 };
+            known.files += totals.files;
+            known.size += totals.size;
+            known.disk += totals.disk;
+            extensions.set(extension, known);
+        }
+
+        const totals = reports.map(report => report.total).filter(Boolean);
+        return {
+            total: {
+                size: totals.reduce((sum, total) => sum + total.size, 0),
+                disk: totals.reduce((sum, total) => sum + total.disk, 0),
+                files: totals.reduce((sum, total) => sum + (total.files ?? 0), 0)
+            },
+            largestFiles: largest('largestFiles'),
+            largestDirectories: largest('largestDirectories'),
+            extensions: [...extensions.values()]
+                .sort((a, b) => b.size - a.size || a.extension.localeCompare(b.extension))
+        };
+    }
+}
+
+/**
+ * Named workspaces, kept outside of their folders with one JSON file each
+ */
+export class WorkspaceStore {
+    /**
+     * @param {string} dir - Directory holding the workspace files; created when saving
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    /**
+     * Resolves the file of a workspace, named by a hash of the name so any name
+     * fits in a file name; the name itself is kept in the file
+     * @param {string} name - Workspace name
+     * @returns {string}
+     */
+    fileOf(name) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            throw httpError(400, `Workspace names are text of 1 to ${MAX_NAME_LENGTH} characters`);
+        }
+        return join(this.dir, `${createHash('sha1').update(name.trim()).digest('hex')}${FILE_EXTENSION}`);
+    }
+
+    /**
+     * Lists the saved workspaces by name
+     * @returns {Promise<SavedWorkspace[]>}
+     */
+    async list() {
+        const files = await readdir(this.dir).catch(() => []);
+        const workspaces = await Promise.all(files
+            .filter(file => file.endsWith(FILE_EXTENSION))
+            .map(async file => {
+                try {
+                    return JSON.parse(await readFile(join(this.dir, file), 'utf8'));
+                } catch (err) {
+                    // Not a workspace, or one that is half written
+                    return null;
+                }
+            }));
+
+        return workspaces.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Reads a saved workspace
+     * @param {string} name - Workspace name
+     * @returns {Promise<SavedWorkspace>}
+     */
+    async get(name) {
+        const file = this.fileOf(name);
+        try {
+            return JSON.parse(await readFile(file, 'utf8'));
+        } catch (err) {
+            throw httpError(404, `No such workspace: ${name}`);
+        }
+    }
+
+    /**
+     * Saves the folders of a workspace under a name, replacing a workspace of the same name
+     * @param {string} name - Workspace name
+     * @param {string[]} roots - Absolute directories of the folders
+     * @returns {Promise<SavedWorkspace>}
+     */
+    async save(name, roots) {
+        const file = this.fileOf(name);
+        const workspace = { name: name.trim(), roots, savedAt: Date.now() };
+        await mkdir(this.dir, { recursive: true });
+        await writeFile(file, JSON.stringify(workspace, null, 2));
+        return workspace;
+    }
+
+    /**
+     * Deletes a saved workspace
+     * @param {string} name - Workspace name
+     */
+    async remove(name) {
+        const file = this.fileOf(name);
+        if (!(await readFile(file).catch(() => null))) {
+            throw httpError(404, `No such workspace: ${name}`);
+        }
+        await rm(file, { force: true });
+    }
+}
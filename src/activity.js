@@ -0,0 +1,109 @@
+import { formatRelativeTime } from './metadata.js';
+import { parentPath } from './tree-patch.js';
+
+/**
+ * @typedef {import('../server/activity.js').ActivityEvent} ActivityEvent
+ */
+
+/**
+ * Heat classes of recently changed entries, hottest first, with the age in
+ * milliseconds up to which an entry gets them
+ */
+export const HEAT_LEVELS = [
+    { className: 'heat-3', age: 60 * 1000 },
+    { className: 'heat-2', age: 60 * 60 * 1000 },
+    { className: 'heat-1', age: 24 * 60 * 60 * 1000 }
+];
+
+const VERBS = { add: 'Added', remove: 'Removed', modify: 'Modified', rename: 'Renamed' };
+
+/**
+ * Sorts recently changed entries into heat classes by the time of their last
+ * change. Folders are as hot as the hottest change below them.
+ * @param {ActivityEvent[]} events - Events, in any order
+ * @param {number} [now=Date.now()] - Time the ages are measured from; later events are left out
+ * @returns {Map<string, Set<string>>} Paths by heat class name, every class present
+ */
+export function heatLevels(events, now = Date.now()) {
+    const latest = new Map();
+    const touch = (path, time) => {
+        for (let current = path; current; current = parentPath(current)) {
+            if ((latest.get(current) ?? -Infinity) >= time) break;
+            latest.set(current, time);
+            if (current === '/') break;
+        }
+    };
+
+    for (const event of events) {
+        // Rescans say the project changed, not where
+        if (event.time > now || event.type === 'rescan' || event.type === 'remove') continue;
+        touch(event.path, event.time);
+    }
+
+    const levels = new Map(HEAT_LEVELS.map(({ className }) => [className, new Set()]));
+    for (const [path, time] of latest) {
+        const level = HEAT_LEVELS.find(({ age }) => now - time < age);
+        if (level) levels.get(level.className).add(path);
+    }
+    return levels;
+}
+
+/**
+ * Describes an event in one line, e.g. "Modified src/app.js (+1.2 KB)"
+ * @param {ActivityEvent} event - Event to describe
+ * @param {(bytes: number) => string} formatSize - Formats byte counts
+ * @returns {string}
+ */
+export function describeEvent(event, formatSize) {
+    if (event.type === 'rescan') {
+        return `Rescanned the project after ${event.count} changes`;
+    }
+
+    const path = event.type === 'rename' ? `${event.from} → ${event.path}` : event.path;
+    const delta = event.delta ? ` (${event.delta > 0 ? '+' : '−'}${formatSize(Math.abs(event.delta))})` : '';
+    return `${VERBS[event.type] ?? event.type} ${path}${delta}`;
+}
+
+/**
+ * Renders change events as a list. Entries that still exist can be clicked;
+ * events after the scrub time are dimmed.
+ * @param {HTMLElement} list - List element to render into
+ * @param {ActivityEvent[]} events - Events, newest first
+ * @param {Object} options
+ * @param {(bytes: number) => string} options.formatSize - Formats byte counts
+ * @param {(event: ActivityEvent) => void} options.onSelect - Called when an event is clicked
+ * @param {number | null} [options.time=null] - Scrub time; null shows the present
+ * @param {number} [options.now=Date.now()] - Current time, for relative times
+ */
+export function showTimeline(list, events, { formatSize, onSelect, time = null, now = Date.now() }) {
+    list.innerHTML = '';
+
+    if (events.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'timeline-empty';
+        empty.textContent = 'No changes seen yet';
+        list.appendChild(empty);
+        return;
+    }
+
+    events.forEach(event => {
+        const item = document.createElement('li');
+        item.className = `timeline-event ${event.type}`;
+        item.classList.toggle('later', time !== null && event.time > time);
+
+        const description = document.createElement('span');
+        description.className = 'timeline-description';
+        description.textContent = describeEvent(event, formatSize);
+        const when = document.createElement('span');
+        when.className = 'timeline-time';
+        when.textContent = formatRelativeTime(event.time, now);
+        when.title = new Date(event.time).toLocaleString();
+        item.append(description, when);
+
+        if (event.type !== 'remove' && event.type !== 'rescan') {
+            item.classList.add('selectable');
+            item.onclick = () => onSelect(event);
+        }
+        list.appendChild(item);
+    });
+}
@@ -0,0 +1,17 @@
+// Dispatched on window when the server rejects a request for lack of a session
+export const SESSION_EXPIRED_EVENT = 'session-expired';
+
+/**
+ * Calls the server API. A 401 response means the session has ended; it is
+ * announced with a `session-expired` event and returned like any other response.
+ * @param {string} url - API URL
+ * @param {RequestInit} [options] - Fetch options
+ * @returns {Promise<Response>}
+ */
+export async function apiFetch(url, options) {
+    const response = await fetch(url, options);
+    if (response.status === 401) {
+        window.dispatchEvent(new CustomEvent(SESSION_EXPIRED_EVENT));
+    }
+    return response;
+}
@@ -0,0 +1,166 @@
+import { formatRelativeTime } from './metadata.js';
+import { renderDiff } from './git-panel.js';
+
+/**
+ * @typedef {import('../server/compare.js').CompareNode} CompareNode
+ * @typedef {import('../server/compare.js').CompareSide} CompareSide
+ */
+
+/**
+ * Tree classes of compared entries, by status
+ */
+export const COMPARE_CLASSES = {
+    left: 'compare-left',
+    right: 'compare-right',
+    same: 'compare-same',
+    different: 'compare-different'
+};
+
+const STATUS_LABELS = {
+    left: 'Only on the left',
+    right: 'Only on the right',
+    same: 'Identical',
+    different: 'Different'
+};
+
+/**
+ * Calls a function for every node of a merged tree
+ * @param {CompareNode} node - Root of the subtree
+ * @param {(node: CompareNode) => void} visit - Called for each node, parents first
+ */
+function eachNode(node, visit) {
+    visit(node);
+    node.children?.forEach(child => eachNode(child, visit));
+}
+
+/**
+ * Collects the paths to mark in the tree for a comparison
+ * @param {CompareNode | null} tree - Root of the merged tree
+ * @returns {Map<string, Set<string>>} Paths by class name, every class present
+ */
+export function compareMarks(tree) {
+    const marks = new Map(Object.values(COMPARE_CLASSES).map(className => [className, new Set()]));
+    if (tree) eachNode(tree, node => marks.get(COMPARE_CLASSES[node.status]).add(node.path));
+    return marks;
+}
+
+/**
+ * Counts the compared entries that are not directories, by status
+ * @param {CompareNode} tree - Root of the merged tree
+ * @returns {Record<import('../server/compare.js').CompareStatus, number>}
+ */
+export function countStatuses(tree) {
+    const counts = { left: 0, right: 0, same: 0, different: 0 };
+    eachNode(tree, node => {
+        if (!node.children) counts[node.status]++;
+    });
+    return counts;
+}
+
+/**
+ * Summarizes a comparison, e.g. "2 only left, 1 different, 40 identical"
+ * @param {CompareNode} tree - Root of the merged tree
+ * @returns {string}
+ */
+export function describeComparison(tree) {
+    const counts = countStatuses(tree);
+    const parts = [];
+    if (counts.left) parts.push(`${counts.left} only left`);
+    if (counts.right) parts.push(`${counts.right} only right`);
+    if (counts.different) parts.push(`${counts.different} different`);
+    parts.push(`${counts.same} identical`);
+    return parts.join(', ');
+}
+
+/**
+ * Picks the directories shown collapsed at first: all but those with differences
+ * @param {CompareNode} tree - Root of the merged tree
+ * @returns {Set<string>}
+ */
+export function initialCollapsed(tree) {
+    const collapsed = new Set();
+    eachNode(tree, node => {
+        if (node.children && node.path !== '/' && node.status !== 'different') collapsed.add(node.path);
+    });
+    return collapsed;
+}
+
+/**
+ * Describes one side of a compared entry
+ * @param {CompareSide | null} side - Entry on that side
+ * @param {(bytes: number) => string} formatSize - Formats byte counts
+ * @param {number} now - Current time, for relative times
+ * @returns {string}
+ */
+function describeSide(side, formatSize, now) {
+    if (!side) return 'missing';
+    const parts = [side.type];
+    if (side.link !== undefined) parts.push(`to ${side.link}`);
+    else if (side.type === 'file') parts.push(formatSize(side.size));
+    if (side.mtime != null) parts.push(`modified ${formatRelativeTime(side.mtime, now)}`);
+    return parts.join(', ');
+}
+
+/**
+ * Shows a compared entry in the info panel: its status, both sides, buttons to
+ * copy it across and, for files that differ, their diff
+ * @param {HTMLElement} container - Panel element to render into
+ * @param {CompareNode} node - Compared entry
+ * @param {Object} options
+ * @param {(bytes: number) => string} options.formatSize - Formats byte counts
+ * @param {boolean} options.canSync - Whether the user may copy entries
+ * @param {(to: 'left' | 'right') => void} options.onSync - Called to copy the entry to a side
+ * @param {(path: string) => Promise<{ diff: string, truncated: boolean }>} options.loadDiff - Fetches the
+ *     diff of a file
+ * @param {number} [options.now=Date.now()] - Current time, for relative times
+ */
+export function showComparisonInfo(container, node, { formatSize, canSync, onSync, loadDiff, now = Date.now() }) {
+    container.innerHTML = '';
+    const info = document.createElement('div');
+    info.className = 'file-info';
+
+    const title = document.createElement('h3');
+    title.textContent = node.name;
+    info.appendChild(title);
+
+    const row = (label, value) => {
+        const element = document.createElement('p');
+        element.textContent = `${label}: ${value}`;
+        info.appendChild(element);
+        return element;
+    };
+    row('Status', STATUS_LABELS[node.status]).className = `compare-status ${COMPARE_CLASSES[node.status]}`;
+    row('Left', describeSide(node.left, formatSize, now));
+    row('Right', describeSide(node.right, formatSize, now));
+    row('Path', node.path);
+    container.appendChild(info);
+
+    // The roots are compared, never copied over each other
+    if (canSync && node.status !== 'same' && node.path !== '/') {
+        const actions = document.createElement('div');
+        actions.className = 'compare-actions';
+        const button = (label, to) => {
+            const element = document.createElement('button');
+            element.className = 'btn';
+            element.textContent = label;
+            element.onclick = () => onSync(to);
+            actions.appendChild(element);
+        };
+        if (node.left) button('Copy to right →', 'right');
+        if (node.right) button('← Copy to left', 'left');
+        container.appendChild(actions);
+    }
+
+    if (node.status === 'different' && node.left?.type === 'file' && node.right?.type === 'file') {
+        const diff = document.createElement('div');
+        diff.className = 'file-preview compare-diff';
+        diff.textContent = 'Loading diff…';
+        container.appendChild(diff);
+
+        loadDiff(node.path)
+            .then(result => renderDiff(diff, result.diff || 'The files no longer differ', result.truncated))
+            .catch(err => {
+                diff.textContent = `Diff unavailable: ${err.message}`;
+            });
+    }
+}
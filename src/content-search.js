@@ -0,0 +1,73 @@
+/**
+ * @typedef {import('../server/content-search.js').FileMatches} FileMatches
+ * @typedef {import('../server/content-search.js').LineMatch} LineMatch
+ * @typedef {import('../server/content-search.js').SearchSummary} SearchSummary
+ */
+
+/**
+ * @typedef {Object} ContentSearch
+ * @property {(query: string, options: Object) => void} start - Starts a search, cancelling the one running
+ * @property {() => void} cancel - Cancels the running search, if any
+ * @property {(message: Object) => void} handleMessage - Takes a searchResult, searchDone or searchError message
+ * @property {() => boolean} isRunning - Whether results are still arriving
+ */
+
+/**
+ * Splits a matching line into the text before, of and after the match
+ * @param {LineMatch} match - Line match
+ * @returns {[string, string, string]}
+ */
+export function splitMatch(match) {
+    const end = match.column + match.length;
+    return [match.text.slice(0, match.column), match.text.slice(match.column, end), match.text.slice(end)];
+}
+
+/**
+ * Runs full-text searches over the WebSocket. Results of earlier searches that
+ * arrive after a new one started are dropped.
+ * @param {Object} handlers
+ * @param {(message: Object) => boolean} handlers.send - Sends a message, returns false when disconnected
+ * @param {(file: FileMatches) => void} handlers.onResult - Called with each file's matches as they arrive
+ * @param {(summary: SearchSummary) => void} handlers.onDone - Called when a search finishes
+ * @param {(error: string) => void} handlers.onError - Called when a search fails
+ * @returns {ContentSearch}
+ */
+export function createContentSearch({ send, onResult, onDone, onError }) {
+    let lastId = 0;
+    let currentId = null;
+
+    function start(query, options) {
+        cancel();
+        if (!query) return;
+
+        const id = ++lastId;
+        if (!send({ type: 'search', id, query, options })) {
+            onError('Not connected');
+            return;
+        }
+        currentId = id;
+    }
+
+    function cancel() {
+        if (currentId === null) return;
+        send({ type: 'cancelSearch', id: currentId });
+        currentId = null;
+    }
+
+    function handleMessage(message) {
+        if (message.id !== currentId) return;
+
+        if (message.type === 'searchResult') {
+            onResult({ path: message.path, matches: message.matches });
+        } else if (message.type === 'searchDone') {
+            currentId = null;
+            const { files, matches, truncated, cancelled } = message;
+            onDone({ files, matches, truncated, cancelled });
+        } else if (message.type === 'searchError') {
+            currentId = null;
+            onError(message.error);
+        }
+    }
+
+    return { start, cancel, handleMessage, isRunning: () => currentId !== null };
+}
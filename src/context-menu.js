@@ -0,0 +1,67 @@
+/**
+ * @typedef {Object} MenuItem
+ * @property {string} label - Text shown for the item
+ * @property {() => void} action - Called when the item is chosen
+ * @property {boolean} [danger] - Styles the item as destructive
+ */
+
+/** @type {HTMLElement | null} */
+let openMenu = null;
+
+/**
+ * Closes the open context menu, if any
+ */
+export function closeContextMenu() {
+    if (!openMenu) return;
+
+    openMenu.remove();
+    openMenu = null;
+    document.removeEventListener('mousedown', handleOutsideClick, true);
+    document.removeEventListener('keydown', handleKeydown, true);
+}
+
+function handleOutsideClick(event) {
+    if (openMenu && !openMenu.contains(event.target)) closeContextMenu();
+}
+
+function handleKeydown(event) {
+    if (event.key === 'Escape') closeContextMenu();
+}
+
+/**
+ * Shows a context menu at the given page position, replacing any open menu
+ * @param {number} x - Horizontal position in pixels
+ * @param {number} y - Vertical position in pixels
+ * @param {MenuItem[]} items - Menu entries, in order
+ * @returns {HTMLElement} The menu element
+ */
+export function showContextMenu(x, y, items) {
+    closeContextMenu();
+
+    const menu = document.createElement('ul');
+    menu.className = 'context-menu';
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'context-menu-item' + (item.danger ? ' danger' : '');
+        li.textContent = item.label;
+        li.onclick = () => {
+            closeContextMenu();
+            item.action();
+        };
+        menu.appendChild(li);
+    });
+
+    document.body.appendChild(menu);
+
+    // Keep the menu on screen near the right and bottom edges
+    const { width, height } = menu.getBoundingClientRect();
+    menu.style.left = `${Math.max(Math.min(x, window.innerWidth - width), 0)}px`;
+    menu.style.top = `${Math.max(Math.min(y, window.innerHeight - height), 0)}px`;
+
+    openMenu = menu;
+    document.addEventListener('mousedown', handleOutsideClick, true);
+    document.addEventListener('keydown', handleKeydown, true);
+
+    return menu;
+}
@@ -0,0 +1,114 @@
+/**
+ * @typedef {import('../server/disk-usage.js').UsageEntry} UsageEntry
+ * @typedef {import('../server/disk-usage.js').ExtensionUsage} ExtensionUsage
+ */
+
+/**
+ * @typedef {Object} UsageReport
+ * @property {import('../server/disk-usage.js').Usage} total - Usage of the whole project
+ * @property {UsageEntry[]} largestFiles - Largest files first
+ * @property {UsageEntry[]} largestDirectories - Largest directories first
+ * @property {ExtensionUsage[]} extensions - Totals per extension, largest first
+ */
+
+/**
+ * Works out which share of a total a size is
+ * @param {number} size - Part of the total
+ * @param {number} total - Total size
+ * @returns {number} Percentage from 0 to 100, rounded to one decimal
+ */
+export function usageShare(size, total) {
+    return total > 0 ? Math.round(size / total * 1000) / 10 : 0;
+}
+
+/**
+ * Names an extension for the breakdown
+ * @param {string} extension - Extension with its dot, or empty
+ * @returns {string}
+ */
+export function extensionLabel(extension) {
+    return extension || '(no extension)';
+}
+
+/**
+ * Builds a table of usage rows, each with a bar showing its share of the total
+ * @param {string} title - Section heading
+ * @param {{ label: string, detail: string, size: number, onClick?: () => void }[]} rows - Table rows
+ * @param {number} total - Size the shares are relative to
+ * @param {(bytes: number) => string} formatSize - Formats byte counts
+ * @returns {HTMLElement}
+ */
+function usageSection(title, rows, total, formatSize) {
+    const section = document.createElement('section');
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.className = 'usage-table';
+    rows.forEach(({ label, detail, size, onClick }) => {
+        const row = table.insertRow();
+
+        const name = row.insertCell();
+        name.className = 'usage-name';
+        name.textContent = label;
+        name.title = label;
+        if (onClick) {
+            name.classList.add('usage-link');
+            name.onclick = onClick;
+        }
+
+        const amount = row.insertCell();
+        amount.className = 'usage-size';
+        amount.textContent = formatSize(size);
+        amount.title = detail;
+
+        const share = row.insertCell();
+        share.className = 'usage-share';
+        const bar = document.createElement('div');
+        bar.className = 'usage-bar';
+        bar.style.width = `${usageShare(size, total)}%`;
+        share.title = `${usageShare(size, total)}%`;
+        share.appendChild(bar);
+    });
+    section.appendChild(table);
+    return section;
+}
+
+/**
+ * Renders a disk usage report: the largest directories and files, and the
+ * breakdown by extension
+ * @param {HTMLElement} container - Element to render into
+ * @param {UsageReport} report - Report from the server
+ * @param {Object} options
+ * @param {(bytes: number) => string} options.formatSize - Formats byte counts
+ * @param {(entry: UsageEntry) => void} options.onSelect - Called when an entry is clicked
+ */
+export function showUsageReport(container, report, { formatSize, onSelect }) {
+    const { total, largestFiles, largestDirectories, extensions } = report;
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'usage-summary';
+    summary.textContent = `${formatSize(total.size)} in ${total.files} files, ${formatSize(total.disk)} on disk`;
+    container.appendChild(summary);
+
+    const entryRow = entry => ({
+        label: entry.ignored ? `${entry.path} (ignored)` : entry.path,
+        detail: entry.type === 'directory'
+            ? `${entry.files} files, ${formatSize(entry.disk)} on disk`
+            : `${formatSize(entry.disk)} on disk`,
+        size: entry.size,
+        onClick: () => onSelect(entry)
+    });
+
+    container.append(
+        usageSection('Largest folders', largestDirectories.map(entryRow), total.size, formatSize),
+        usageSection('Largest files', largestFiles.map(entryRow), total.size, formatSize),
+        usageSection('By extension', extensions.map(extension => ({
+            label: `${extensionLabel(extension.extension)} (${extension.files})`,
+            detail: `${extension.files} files, ${formatSize(extension.disk)} on disk`,
+            size: extension.size
+        })), total.size, formatSize)
+    );
+}
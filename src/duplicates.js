@@ -0,0 +1,45 @@
+/**
+ * @typedef {import('../server/duplicates.js').DuplicateProgress} DuplicateProgress
+ * @typedef {import('../server/duplicates.js').DuplicateReport} DuplicateReport
+ */
+
+/**
+ * Collects the paths of all copies in a duplicate report
+ * @param {DuplicateReport | null} report - Scan result
+ * @returns {Set<string>}
+ */
+export function duplicatePaths(report) {
+    return new Set(report ? report.groups.flatMap(group => group.paths) : []);
+}
+
+/**
+ * Describes how far a duplicate scan has got
+ * @param {DuplicateProgress} progress - Scan progress
+ * @param {(bytes: number) => string} formatSize - Formats byte counts
+ * @returns {string}
+ */
+export function describeProgress(progress, formatSize) {
+    if (progress.phase === 'scanning') {
+        return `Listing files… ${progress.files} found`;
+    }
+    const percent = progress.totalBytes
+        ? Math.floor(progress.checkedBytes / progress.totalBytes * 100)
+        : 100;
+    return `Comparing files… ${percent}% of ${formatSize(progress.totalBytes)}`;
+}
+
+/**
+ * Summarizes a finished duplicate scan
+ * @param {DuplicateReport} report - Scan result
+ * @param {(bytes: number) => string} formatSize - Formats byte counts
+ * @returns {string}
+ */
+export function describeReport(report, formatSize) {
+    const prefix = report.cancelled ? 'Cancelled, partial result: ' : '';
+    if (report.groups.length === 0) {
+        return `${prefix}no duplicates among ${report.files} files`;
+    }
+    const copies = report.groups.reduce((sum, group) => sum + group.paths.length, 0);
+    return `${prefix}${copies} copies in ${report.groups.length} sets, ` +
+        `${formatSize(report.wastedBytes)} wasted (${report.files} files compared)`;
+}
@@ -0,0 +1,255 @@
+import hljs from 'highlight.js/lib/common';
+import { apiFetch } from './api.js';
+import { showPreview } from './preview.js';
+
+/**
+ * @typedef {import('../server/git.js').Commit} Commit
+ */
+
+// Tabs of the file panel; the preview is always first
+const TABS = [
+    { id: 'preview', label: 'Preview' },
+    { id: 'diff', label: 'Diff' },
+    { id: 'log', label: 'History' },
+    { id: 'blame', label: 'Blame' }
+];
+
+// Hash git blame gives lines that are not committed yet
+const UNCOMMITTED = '0'.repeat(40);
+
+/** @type {AbortController | null} */
+let currentRequest = null;
+
+/**
+ * Formats a commit date for lists
+ * @param {string} date - ISO 8601 date
+ * @returns {string}
+ */
+export function formatCommitDate(date) {
+    return date ? date.slice(0, 10) : '';
+}
+
+/**
+ * Groups blame lines into runs of consecutive lines from the same commit
+ * @param {import('../server/git.js').BlameLine[]} lines - Blame lines in file order
+ * @returns {{ hash: string, lines: import('../server/git.js').BlameLine[] }[]}
+ */
+export function groupBlame(lines) {
+    const groups = [];
+    for (const line of lines) {
+        const last = groups[groups.length - 1];
+        if (last && last.hash === line.hash) {
+            last.lines.push(line);
+        } else {
+            groups.push({ hash: line.hash, lines: [line] });
+        }
+    }
+    return groups;
+}
+
+/**
+ * Fetches a git view of a file
+ * @param {string} view - diff, log or blame
+ * @param {string} path - File path relative to the project root
+ * @param {AbortSignal} signal - Cancels the request
+ * @param {Record<string, string | number>} [params] - Further query parameters
+ * @returns {Promise<Object>}
+ */
+async function fetchGit(view, path, signal, params = {}) {
+    const query = new URLSearchParams({ path, ...params });
+    const response = await apiFetch(`/api/git/${view}?${query}`, { signal });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+    return data;
+}
+
+/**
+ * Shows a message in place of a tab's content
+ * @param {HTMLElement} container - Tab content element
+ * @param {string} text - Message
+ */
+function showMessage(container, text) {
+    container.innerHTML = '';
+    const message = document.createElement('p');
+    message.className = 'preview-message';
+    message.textContent = text;
+    container.appendChild(message);
+}
+
+/**
+ * Renders the working tree diff of a file
+ * @param {HTMLElement} container - Tab content element
+ * @param {string} path - File path
+ * @param {AbortSignal} signal - Cancels the request
+ */
+async function showDiff(container, path, signal) {
+    const { diff, truncated } = await fetchGit('diff', path, signal);
+    if (!diff) {
+        showMessage(container, 'No uncommitted changes');
+        return;
+    }
+    renderDiff(container, diff, truncated);
+}
+
+/**
+ * Shows a unified diff with syntax highlighting
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} diff - Diff text
+ * @param {boolean} truncated - Whether the diff was cut short
+ */
+export function renderDiff(container, diff, truncated) {
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    code.className = 'hljs';
+    code.innerHTML = hljs.highlight(diff, { language: 'diff', ignoreIllegals: true }).value;
+    pre.appendChild(code);
+    container.innerHTML = '';
+    container.appendChild(pre);
+
+    if (truncated) {
+        const note = document.createElement('p');
+        note.className = 'preview-message';
+        note.textContent = 'The diff is too long to show in full';
+        container.appendChild(note);
+    }
+}
+
+/**
+ * Renders a file's commit history, one page at a time
+ * @param {HTMLElement} container - Tab content element
+ * @param {string} path - File path
+ * @param {AbortSignal} signal - Cancels the requests
+ */
+async function showLog(container, path, signal) {
+    const list = document.createElement('ul');
+    list.className = 'commit-list';
+
+    const loadMore = document.createElement('button');
+    loadMore.className = 'btn';
+    loadMore.textContent = 'Load more';
+
+    const loadPage = async (offset) => {
+        const page = await fetchGit('log', path, signal, { offset });
+        page.commits.forEach(commit => {
+            const item = document.createElement('li');
+            const hash = document.createElement('code');
+            hash.textContent = commit.hash.slice(0, 8);
+            const subject = document.createElement('span');
+            subject.textContent = ` ${commit.subject}`;
+            const meta = document.createElement('div');
+            meta.className = 'commit-meta';
+            meta.textContent = `${commit.author}, ${formatCommitDate(commit.date)}`;
+            item.append(hash, subject, meta);
+            list.appendChild(item);
+        });
+        loadMore.hidden = !page.hasMore;
+        return offset + page.commits.length;
+    };
+
+    let offset = await loadPage(0);
+    if (offset === 0) {
+        showMessage(container, 'No commits yet');
+        return;
+    }
+
+    loadMore.onclick = async () => {
+        loadMore.disabled = true;
+        try {
+            offset = await loadPage(offset);
+        } catch (err) {
+            if (err.name !== 'AbortError') showMessage(container, `History unavailable: ${err.message}`);
+        } finally {
+            loadMore.disabled = false;
+        }
+    };
+
+    container.innerHTML = '';
+    container.append(list, loadMore);
+}
+
+/**
+ * Renders line-by-line blame, labelling each run of lines with its commit
+ * @param {HTMLElement} container - Tab content element
+ * @param {string} path - File path
+ * @param {AbortSignal} signal - Cancels the request
+ */
+async function showBlame(container, path, signal) {
+    const { commits, lines } = await fetchGit('blame', path, signal);
+
+    const table = document.createElement('table');
+    table.className = 'blame';
+    groupBlame(lines).forEach(group => {
+        const commit = commits[group.hash];
+        group.lines.forEach((line, index) => {
+            const row = table.insertRow();
+            const info = row.insertCell();
+            info.className = 'blame-commit';
+            if (index === 0) {
+                info.textContent = group.hash === UNCOMMITTED
+                    ? 'Not committed'
+                    : `${group.hash.slice(0, 8)} ${commit.author}, ${formatCommitDate(commit.date)}`;
+                info.title = commit.subject;
+            }
+            const number = row.insertCell();
+            number.className = 'blame-line';
+            number.textContent = line.line;
+            const content = row.insertCell();
+            content.className = 'blame-content';
+            content.textContent = line.content;
+        });
+    });
+
+    container.innerHTML = '';
+    container.appendChild(table);
+}
+
+const renderers = { diff: showDiff, log: showLog, blame: showBlame };
+
+/**
+ * Shows a file with tabs for its preview, uncommitted changes, history and blame
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} path - File path relative to the project root
+ * @param {Object} [previewOptions] - Passed on to the preview tab
+ */
+export function showFileTabs(container, path, previewOptions = {}) {
+    container.innerHTML = '';
+
+    const tabBar = document.createElement('div');
+    tabBar.className = 'tab-bar';
+    const content = document.createElement('div');
+    content.className = 'file-preview';
+    container.append(tabBar, content);
+
+    const select = async (tab) => {
+        tabBar.querySelectorAll('.tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+
+        if (currentRequest) currentRequest.abort();
+        currentRequest = null;
+        if (tab === 'preview') {
+            showPreview(content, path, previewOptions);
+            return;
+        }
+
+        const request = new AbortController();
+        currentRequest = request;
+        showMessage(content, 'Loading…');
+        try {
+            await renderers[tab](content, path, request.signal);
+        } catch (err) {
+            if (err.name !== 'AbortError') showMessage(content, `Unavailable: ${err.message}`);
+        }
+    };
+
+    TABS.forEach(({ id, label }) => {
+        const button = document.createElement('button');
+        button.className = 'tab';
+        button.dataset.tab = id;
+        button.textContent = label;
+        button.onclick = () => select(id);
+        tabBar.appendChild(button);
+    });
+
+    select('preview');
+}
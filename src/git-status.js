@@ -0,0 +1,68 @@
+/**
+ * @typedef {import('../server/git.js').RepositoryStatus} RepositoryStatus
+ * @typedef {import('../server/git.js').FileStatus} FileStatus
+ * @typedef {import('../server/tree-cache.js').TreeNode} TreeNode
+ */
+
+// Letters shown after node labels, as in `git status --short`
+const BADGES = {
+    conflicted: 'U',
+    modified: 'M',
+    staged: 'A',
+    untracked: '?',
+    ignored: '!'
+};
+
+/**
+ * Finds the git status of a node. Directories show the most important status of
+ * their contents; entries inside untracked or ignored directories share their status.
+ * @param {RepositoryStatus | null} git - Repository status, null outside a repository
+ * @param {TreeNode} data - Node data
+ * @returns {FileStatus | undefined}
+ */
+export function statusOf(git, data) {
+    if (!git) return undefined;
+
+    const own = git.files[data.path];
+    if (own) return own;
+    if (data.type === 'directory' && git.directories[data.path]) {
+        return git.directories[data.path];
+    }
+
+    let index = data.path.lastIndexOf('/');
+    while (index > 0) {
+        const ancestor = git.files[data.path.slice(0, index)];
+        if (ancestor === 'untracked' || ancestor === 'ignored') return ancestor;
+        index = data.path.lastIndexOf('/', index - 1);
+    }
+    return undefined;
+}
+
+/**
+ * Returns the short marker for a status
+ * @param {FileStatus | undefined} status - Git status
+ * @returns {string}
+ */
+export function statusBadge(status) {
+    return status ? BADGES[status] : '';
+}
+
+/**
+ * Describes the branch and how far it is from its upstream, e.g. `main ↑2 ↓1`.
+ * Workspaces of several folders list the branch of each repository, e.g.
+ * `app: main ↑2 · docs: gh-pages`.
+ * @param {RepositoryStatus | null} git - Repository status
+ * @returns {string}
+ */
+export function describeBranch(git) {
+    if (!git) return '';
+    if (git.roots) return git.roots.map(root => `${root.name}: ${describeBranch(root)}`).join(' · ');
+
+    let text = git.branch || 'detached HEAD';
+    if (git.upstream) {
+        if (git.ahead) text += ` ↑${git.ahead}`;
+        if (git.behind) text += ` ↓${git.behind}`;
+        if (!git.ahead && !git.behind) text += ` (up to date with ${git.upstream})`;
+    }
+    return text;
+}
@@ -1,11 +1,100 @@
 import * as d3 from 'd3';
+import { applyPatch, appendChildren, hasEntries, isPartial, parentPath } from './tree-patch.js';
+import { createTreeView } from './views/tree.js';
+import { createRadialView } from './views/radial.js';
+import { createTreemapView } from './views/treemap.js';
+import { createSunburstView } from './views/sunburst.js';
+import { showPreview } from './preview.js';
+import { showFileTabs } from './git-panel.js';
+import { showContextMenu } from './context-menu.js';
+import { apiFetch, SESSION_EXPIRED_EVENT } from './api.js';
+import { describeBranch, statusBadge, statusOf } from './git-status.js';
+import { searchTree } from './search.js';
+import { createContentSearch, splitMatch } from './content-search.js';
+import { describeProgress, describeReport, duplicatePaths } from './duplicates.js';
+import { showUsageReport } from './disk-usage.js';
+import { showRecentProjects } from './recent-projects.js';
+import { showSavedWorkspaces, showWorkspaceRoots } from './workspaces.js';
+import { heatLevels, HEAT_LEVELS, showTimeline } from './activity.js';
+import { describeDiff, diffMarks, fillSnapshotSelect, showSnapshotDiff, showSnapshotList } from './snapshots.js';
+import { compareMarks, describeComparison, initialCollapsed, showComparisonInfo } from './compare.js';
+import { metadataRows, sortTree } from './metadata.js';
+import { createComparator, createNodeFilter, DEFAULT_SETTINGS, filterTree, loadSettings, parseSize, saveSettings } from './tree-settings.js';
 
 let root = null;
-let svg = null;
-let treeLayout = null;
-const margin = { top: 40, right: 90, bottom: 50, left: 90 };
-const width = 800;
-const height = 600;
+let selectedPath = null;
+
+// Visualizations of the hierarchy, created the first time they are shown
+const viewFactories = {
+    tree: () => createTreeView('#tree-container', { onClick: handleNodeClick, onContextMenu: showNodeMenu, label: nodeLabel, gitStatus }),
+    radial: () => createRadialView('#tree-container', { onClick: handleNodeClick, onContextMenu: showNodeMenu, label: nodeLabel, formatSize, gitStatus }),
+    treemap: () => createTreemapView('#tree-container', { onClick: selectNode, onContextMenu: showNodeMenu, formatSize, gitStatus }),
+    sunburst: () => createSunburstView('#tree-container', { onClick: selectNode, onContextMenu: showNodeMenu, formatSize, gitStatus })
+};
+const views = {};
+let activeView = 'tree';
+
+// Collapsed directories by path, kept across structure updates of the same project
+const collapsedPaths = new Set();
+// Directory levels shown expanded when a project is first displayed
+const initialExpandDepth = 1;
+// Whether entries matched by ignore rules are drawn (greyed out) or left out
+let showIgnored = false;
+// Path of the project shown, or the label of a workspace of several folders, from the last structure message
+let projectPath = null;
+// Folders of the open workspace, from the last structure message
+let workspaceRoots = [];
+// Sort and filter settings, saved per project, and the paths the filter leaves visible (null when none is set)
+let treeSettings = { ...DEFAULT_SETTINGS };
+let filteredPaths = null;
+// Git status of the project, null when it is not inside a repository
+let gitState = null;
+
+// Filename search: results best first, the hit shown last and the paths marked in the views
+const MAX_SEARCH_RESULTS = 50;
+const SEARCH_DELAY = 150;
+let searchResults = [];
+let searchIndex = -1;
+let searchPaths = new Set();
+let searchTimer = null;
+// Content search matches, one per matching line in the order they arrived, and the one shown
+let contentMatches = [];
+let contentIndex = -1;
+const contentSearch = createContentSearch({
+    send: message => {
+        if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+        ws.send(JSON.stringify(message));
+        return true;
+    },
+    onResult: addContentResults,
+    onDone: renderContentCount,
+    onError: error => {
+        document.getElementById('search-count').textContent = `Search failed: ${error}`;
+    }
+});
+
+// Result of the project's last duplicate scan and the paths of all copies, marked in the views
+let duplicateReport = null;
+let duplicateCopies = new Set();
+
+// Recent changes of the project, newest first, for the timeline and the heat map
+const MAX_ACTIVITY_EVENTS = 500;
+let activityEvents = [];
+// Moment the timeline is scrubbed to; null follows the present
+let activityTime = null;
+let showHeat = false;
+
+// Two directories being compared; while set, the views show their merged tree instead of the project
+let comparison = null;
+
+// Stored snapshots of the project and the comparison marked in the tree
+let snapshotList = [];
+let snapshotDiff = null;
+
+// Signed in user, null while signed out
+let currentUser = null;
+// WebSocket close code the server uses when a session ends
+const SESSION_CLOSED = 4001;
 
 // WebSocket connection management
 let ws = null;
@@ -13,8 +102,16 @@ let reconnectAttempts = 0;
 const maxReconnectAttempts = 5;
 const reconnectDelay = 1000;
 
-// Project selection
-let currentPath = '/';
+// Sequence number of the last structure or patch applied, null until the first structure arrives
+let lastSeq = null;
+let awaitingResync = false;
+
+// Directories whose children were fetched on demand, restored after a full structure update
+const loadedPaths = new Set();
+const pendingChildren = new Set();
+
+// Project selection; an empty path stands for the list of allowed root directories
+let currentPath = '';
 
 // Expose functions to window for HTML onclick handlers
 window.showProjectSelector = showProjectSelector;
@@ -23,11 +120,141 @@ window.selectDirectory = selectDirectory;
 window.navigateTo = navigateTo;
 window.selectProject = selectProject;
 window.selectCurrentDirectory = selectCurrentDirectory;
+window.addWorkspaceRoot = addWorkspaceRoot;
+window.saveWorkspace = saveWorkspace;
+window.fitToScreen = fitToScreen;
+window.focusSelected = focusSelected;
+window.switchView = switchView;
+window.showTrash = showTrash;
+window.hideTrash = hideTrash;
+window.emptyTrash = emptyTrash;
+window.showDiskUsage = showDiskUsage;
+window.hideDiskUsage = hideDiskUsage;
+window.showDuplicates = showDuplicates;
+window.hideDuplicates = hideDuplicates;
+window.scanDuplicates = scanDuplicates;
+window.cancelDuplicateScan = cancelDuplicateScan;
+window.undoLastOperation = undoLastOperation;
+window.showSnapshots = showSnapshots;
+window.hideSnapshots = hideSnapshots;
+window.captureSnapshot = captureSnapshot;
+window.compareSnapshots = compareSnapshots;
+window.exportSnapshotDiff = exportSnapshotDiff;
+window.clearSnapshotDiff = clearSnapshotDiff;
+window.showCompare = showCompare;
+window.hideCompare = hideCompare;
+window.startComparison = startComparison;
+window.refreshComparison = refreshComparison;
+window.closeComparison = closeComparison;
+window.toggleOnlyDifferences = toggleOnlyDifferences;
+window.toggleIgnored = toggleIgnored;
+window.setSortField = setSortField;
+window.setDirectoriesFirst = setDirectoriesFirst;
+window.updateFilter = updateFilter;
+window.clearFilter = clearFilter;
+window.toggleFilterPanel = toggleFilterPanel;
+window.toggleTimeline = toggleTimeline;
+window.toggleHeat = toggleHeat;
+window.scrubTimeline = scrubTimeline;
+window.runSearch = runSearch;
+window.searchInput = searchInput;
+window.searchKeydown = searchKeydown;
+window.nextSearchHit = nextSearchHit;
+window.login = login;
+window.logout = logout;
+
+/**
+ * Starts the app for an existing session, or shows the login screen
+ */
+async function start() {
+    try {
+        const response = await fetch('/api/session');
+        if (response.ok) {
+            signedIn(await response.json());
+        } else {
+            showLogin();
+        }
+    } catch (err) {
+        console.error('Error checking session:', err);
+        showLogin('Cannot reach the server');
+    }
+}
+
+function showLogin(message = '') {
+    document.getElementById('login-error').textContent = message;
+    document.getElementById('login-modal').classList.add('visible');
+}
+
+async function login(event) {
+    event.preventDefault();
+    const form = event.target;
+    const token = form.token.value.trim();
+
+    try {
+        // A 401 here means wrong credentials, not an expired session, so plain fetch is used
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(token ? { token } : { username: form.username.value, password: form.password.value })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        form.reset();
+        signedIn(data);
+    } catch (err) {
+        document.getElementById('login-error').textContent = err.message;
+    }
+}
+
+/**
+ * Shows who is signed in and connects to the server
+ * @param {{ username: string, role: string }} user - Signed in user
+ */
+function signedIn(user) {
+    currentUser = user;
+    document.getElementById('login-modal').classList.remove('visible');
+    document.getElementById('user-info').textContent = `${user.username} (${user.role})`;
+    document.body.classList.toggle('read-only', !canWrite());
+
+    reconnectAttempts = 0;
+    connectWebSocket();
+}
+
+async function logout() {
+    try {
+        await apiFetch('/api/logout', { method: 'POST' });
+    } catch (err) {
+        console.error('Error signing out:', err);
+    }
+    signedOut();
+}
+
+/**
+ * Drops the connection and returns to the login screen
+ * @param {string} [message] - Shown on the login screen
+ */
+function signedOut(message) {
+    currentUser = null;
+    disconnectWebSocket();
+    document.getElementById('user-info').textContent = '';
+    showLogin(message);
+}
+
+function canWrite() {
+    return currentUser?.role === 'read-write';
+}
+
+window.addEventListener(SESSION_EXPIRED_EVENT, () => {
+    if (currentUser) signedOut('Your session has expired. Please sign in again.');
+});
 
 async function showProjectSelector() {
     const modal = document.getElementById('project-modal');
     modal.classList.add('visible');
     await loadDirectories(currentPath);
+    renderWorkspaceRoots();
+    await loadSavedWorkspaces();
     await loadRecentProjects();
     updateSelectButton();
 }
@@ -39,13 +266,13 @@ function hideProjectSelector() {
 
 async function loadDirectories(path) {
     try {
-        const response = await fetch(`/api/directories?path=${encodeURIComponent(path)}`);
+        const response = await apiFetch(`/api/directories?path=${encodeURIComponent(path)}`);
         const data = await response.json();
-
-        console.log('~~~~ data:', data);
+        if (!response.ok) throw new Error(data.error);
 
         currentPath = data.current;
-        updateBreadcrumb(currentPath);
+        updateBreadcrumb(currentPath, data.root);
+        updateSelectButton();
 
         const directoryList = document.getElementById('directory-list');
         directoryList.innerHTML = '';
@@ -62,62 +289,176 @@ async function loadDirectories(path) {
         });
     } catch (err) {
         console.error('Error loading directories:', err);
-        showStatus('Error loading directories', 'error');
+        showStatus(`Error loading directories: ${err.message}`, 'error');
     }
 }
 
 async function loadRecentProjects() {
     try {
-        const response = await fetch('/api/recent-projects');
+        const response = await apiFetch('/api/recent-projects');
         const projects = await response.json();
+        if (!response.ok) throw new Error(projects.error);
+        renderRecentProjects(projects);
+    } catch (err) {
+        console.error('Error loading recent projects:', err);
+        showStatus('Error loading recent projects', 'error');
+    }
+}
 
-        const recentList = document.getElementById('recent-projects-list');
-        recentList.innerHTML = '';
+/**
+ * Shows the recent projects with their pin, rename and remove actions
+ * @param {import('./recent-projects.js').RecentProject[]} projects - Projects to show
+ */
+function renderRecentProjects(projects) {
+    const recentList = document.getElementById('recent-projects-list');
+    showRecentProjects(recentList, projects, {
+        onOpen: project => selectProject(project.path),
+        onPin: project => recentProjectAction('pin', { path: project.path, pinned: !project.pinned }),
+        onRename: project => {
+            const name = prompt('Name shown for this project (empty for the folder name):', project.custom ? project.name : '');
+            if (name !== null) recentProjectAction('rename', { path: project.path, name });
+        },
+        onRemove: project => recentProjectAction('remove', { path: project.path })
+    });
+}
 
-        projects.forEach(project => {
-            const li = document.createElement('li');
-            li.className = 'directory-item';
-            li.innerHTML = `
-                <i>📂</i>
-                ${project}
-            `;
-            li.onclick = () => selectProject(project);
-            recentList.appendChild(li);
+/**
+ * Changes an entry of the recent projects list, then shows the updated list
+ * @param {'pin' | 'rename' | 'remove'} action - What to do
+ * @param {Object} body - Project path and the action's parameters
+ */
+async function recentProjectAction(action, body) {
+    try {
+        const response = await apiFetch(`/api/recent-projects/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
         });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        renderRecentProjects(result);
     } catch (err) {
-        console.error('Error loading recent projects:', err);
-        showStatus('Error loading recent projects', 'error');
+        console.error(`Error running recent projects ${action}:`, err);
+        showStatus(`${action} failed: ${err.message}`, 'error');
     }
 }
 
-function updateBreadcrumb(path) {
-    const breadcrumb = document.getElementById('path-breadcrumb');
-    breadcrumb.innerHTML = '';
+/**
+ * Shows the folders of the open workspace, each removable while there are several
+ */
+function renderWorkspaceRoots() {
+    showWorkspaceRoots(document.getElementById('workspace-roots-list'), workspaceRoots, {
+        onRemove: folder => workspaceAction('/api/workspace/remove', { path: folder.path }, 'Folder removed: ' + folder.path)
+    });
+}
 
-    const parts = path.split('/').filter(Boolean);
-    let currentPath = '';
+async function loadSavedWorkspaces() {
+    try {
+        const response = await apiFetch('/api/workspaces');
+        const saved = await response.json();
+        if (!response.ok) throw new Error(saved.error);
+        renderSavedWorkspaces(saved);
+    } catch (err) {
+        console.error('Error loading workspaces:', err);
+        showStatus('Error loading workspaces', 'error');
+    }
+}
 
-    // Add root
-    const rootItem = document.createElement('span');
-    rootItem.className = 'breadcrumb-item';
-    rootItem.textContent = '/';
-    rootItem.onclick = () => navigateTo('/');
-    breadcrumb.appendChild(rootItem);
+/**
+ * Shows the saved workspaces with their open and delete actions
+ * @param {import('./workspaces.js').SavedWorkspace[]} saved - Workspaces to show
+ */
+function renderSavedWorkspaces(saved) {
+    showSavedWorkspaces(document.getElementById('saved-workspaces-list'), saved, {
+        onOpen: async workspace => {
+            if (await workspaceAction('/api/workspaces/open', { name: workspace.name }, 'Workspace opened: ' + workspace.name)) {
+                hideProjectSelector();
+            }
+        },
+        onRemove: async workspace => {
+            if (!confirm(`Delete the workspace "${workspace.name}"? Its folders are left as they are.`)) return;
+            const list = await workspaceAction('/api/workspaces/remove', { name: workspace.name }, 'Workspace deleted: ' + workspace.name);
+            if (list) renderSavedWorkspaces(list);
+        }
+    });
+}
 
-    parts.forEach((part, index) => {
-        if (index > 0) {
+/**
+ * Changes the open workspace or the saved ones. The server sends the new tree
+ * to every client; the response holds the workspace or the saved list.
+ * @param {string} url - Endpoint to post to
+ * @param {Object} body - Request body
+ * @param {string} message - Status shown once done
+ * @returns {Promise<Object | null>} The response, null when the request failed
+ */
+async function workspaceAction(url, body, message) {
+    try {
+        const response = await apiFetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        if (result.roots) {
+            workspaceRoots = result.roots;
+            renderWorkspaceRoots();
+        }
+        showStatus(message);
+        return result;
+    } catch (err) {
+        console.error(`Error posting to ${url}:`, err);
+        showStatus(`Workspace change failed: ${err.message}`, 'error');
+        return null;
+    }
+}
+
+async function addWorkspaceRoot() {
+    await workspaceAction('/api/workspace/add', { path: currentPath }, 'Folder added: ' + currentPath);
+}
+
+async function saveWorkspace(event) {
+    event.preventDefault();
+    const input = document.getElementById('workspace-name');
+    const saved = await workspaceAction('/api/workspaces/save', { name: input.value }, 'Workspace saved: ' + input.value.trim());
+    if (saved) {
+        input.value = '';
+        renderSavedWorkspaces(saved);
+    }
+}
+
+/**
+ * Shows the path being browsed, starting from the allowed root that contains it
+ * @param {string} path - Absolute directory path, empty for the list of roots
+ * @param {string} root - Allowed root containing the path, empty for the list of roots
+ */
+function updateBreadcrumb(path, root) {
+    const breadcrumb = document.getElementById('path-breadcrumb');
+    breadcrumb.innerHTML = '';
+
+    const addItem = (text, target) => {
+        if (breadcrumb.childElementCount > 0) {
             const separator = document.createElement('span');
             separator.className = 'breadcrumb-separator';
             separator.textContent = '/';
             breadcrumb.appendChild(separator);
         }
 
-        currentPath += '/' + part;
         const item = document.createElement('span');
         item.className = 'breadcrumb-item';
-        item.textContent = part;
-        item.onclick = () => navigateTo(currentPath);
+        item.textContent = text;
+        item.onclick = () => navigateTo(target);
         breadcrumb.appendChild(item);
+    };
+
+    addItem('Allowed directories', '');
+    if (!root) return;
+
+    addItem(root, root);
+    let itemPath = root;
+    path.slice(root.length).split('/').filter(Boolean).forEach(part => {
+        itemPath += (itemPath.endsWith('/') ? '' : '/') + part;
+        addItem(part, itemPath);
     });
 }
 
@@ -131,7 +472,7 @@ async function navigateTo(path) {
 
 async function selectProject(path) {
     try {
-        const response = await fetch('/api/set-project', {
+        const response = await apiFetch('/api/set-project', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -140,7 +481,8 @@ async function selectProject(path) {
         });
 
         if (!response.ok) {
-            throw new Error('Failed to set project');
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to set project');
         }
 
         document.getElementById('current-project').textContent = path;
@@ -148,13 +490,551 @@ async function selectProject(path) {
         showStatus('Project changed: ' + path);
     } catch (err) {
         console.error('Error selecting project:', err);
-        showStatus('Error selecting project', 'error');
+        showStatus(`Error selecting project: ${err.message}`, 'error');
+    }
+}
+
+async function showTrash() {
+    document.getElementById('trash-modal').classList.add('visible');
+    await loadTrash();
+}
+
+function hideTrash() {
+    document.getElementById('trash-modal').classList.remove('visible');
+}
+
+async function loadTrash() {
+    try {
+        const response = await apiFetch('/api/trash');
+        const items = await response.json();
+        if (!response.ok) throw new Error(items.error);
+
+        const trashList = document.getElementById('trash-list');
+        trashList.innerHTML = '';
+
+        if (items.length === 0) {
+            trashList.innerHTML = '<li class="trash-empty">The trash is empty</li>';
+            return;
+        }
+
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.className = 'trash-item';
+
+            const details = document.createElement('div');
+            details.className = 'trash-details';
+            details.innerHTML = `
+                <span class="trash-name"></span>
+                <span class="trash-meta"></span>
+            `;
+            details.querySelector('.trash-name').textContent = `${item.type === 'directory' ? '📁' : item.type === 'symlink' ? '🔗' : '📄'} ${item.path}`;
+            details.querySelector('.trash-meta').textContent =
+                `Deleted ${new Date(item.deletedAt).toLocaleString()}${item.deletedBy ? ` by ${item.deletedBy}` : ''}`;
+
+            const restore = document.createElement('button');
+            restore.className = 'btn requires-write';
+            restore.textContent = 'Restore';
+            restore.onclick = () => trashAction('restore', item.id);
+
+            const purge = document.createElement('button');
+            purge.className = 'btn btn-danger requires-write';
+            purge.textContent = 'Delete forever';
+            purge.onclick = () => {
+                if (confirm(`Permanently delete ${item.name}?`)) trashAction('purge', item.id);
+            };
+
+            li.append(details, restore, purge);
+            trashList.appendChild(li);
+        });
+    } catch (err) {
+        console.error('Error loading trash:', err);
+        showStatus('Error loading trash', 'error');
+    }
+}
+
+/**
+ * Restores or purges trash items, then refreshes the list
+ * @param {'restore' | 'purge'} action - What to do
+ * @param {string} [id] - Item id; purging without one empties the trash
+ */
+async function trashAction(action, id) {
+    try {
+        const response = await apiFetch(`/api/trash/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+
+        showStatus(action === 'restore' ? `Restored ${result.path}` : `Deleted ${result.removed} item(s) forever`);
+    } catch (err) {
+        console.error(`Error running trash ${action}:`, err);
+        showStatus(`${action} failed: ${err.message}`, 'error');
+    }
+    await loadTrash();
+}
+
+function emptyTrash() {
+    if (confirm('Permanently delete everything in the trash?')) trashAction('purge');
+}
+
+async function showDiskUsage() {
+    document.getElementById('usage-modal').classList.add('visible');
+    const container = document.getElementById('usage-report');
+    container.textContent = 'Loading…';
+
+    try {
+        const response = await apiFetch('/api/usage');
+        const report = await response.json();
+        if (!response.ok) throw new Error(report.error);
+
+        showUsageReport(container, report, {
+            formatSize,
+            onSelect: entry => {
+                hideDiskUsage();
+                revealPath(entry.path, {}, entry.type);
+            }
+        });
+    } catch (err) {
+        console.error('Error loading disk usage:', err);
+        container.textContent = `Disk usage unavailable: ${err.message}`;
+    }
+}
+
+function hideDiskUsage() {
+    document.getElementById('usage-modal').classList.remove('visible');
+}
+
+async function showDuplicates() {
+    document.getElementById('duplicates-modal').classList.add('visible');
+    await loadDuplicates();
+}
+
+function hideDuplicates() {
+    document.getElementById('duplicates-modal').classList.remove('visible');
+}
+
+/**
+ * Fetches the state of the project's duplicate scan
+ */
+async function loadDuplicates() {
+    try {
+        const response = await apiFetch('/api/duplicates');
+        const state = await response.json();
+        if (!response.ok) throw new Error(state.error);
+        updateDuplicates(state);
+    } catch (err) {
+        console.error('Error loading duplicates:', err);
+    }
+}
+
+/**
+ * Starts a duplicate scan; progress and the result arrive over the WebSocket
+ */
+async function scanDuplicates() {
+    try {
+        const response = await apiFetch('/api/duplicates/scan', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            // Ignored entries are compared only while they are shown
+            body: JSON.stringify({ includeIgnored: showIgnored })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+    } catch (err) {
+        console.error('Error starting duplicate scan:', err);
+        showStatus(`Duplicate scan failed: ${err.message}`, 'error');
+    }
+}
+
+async function cancelDuplicateScan() {
+    try {
+        await apiFetch('/api/duplicates/cancel', { method: 'POST' });
+    } catch (err) {
+        console.error('Error cancelling duplicate scan:', err);
+    }
+}
+
+/**
+ * Shows the progress of a running duplicate scan
+ * @param {import('./duplicates.js').DuplicateProgress} progress - Scan progress
+ */
+function renderDuplicateProgress(progress) {
+    document.getElementById('duplicates-scan').hidden = true;
+    document.getElementById('duplicates-cancel').hidden = false;
+    document.getElementById('duplicates-summary').textContent = describeProgress(progress, formatSize);
+}
+
+/**
+ * Takes the state of the project's duplicate scan, marking the copies it found
+ * @param {import('../server/duplicates.js').DuplicateScanState} state - Scan state
+ */
+function updateDuplicates(state) {
+    duplicateReport = state.report || null;
+    duplicateCopies = duplicatePaths(duplicateReport);
+    renderTree();
+
+    if (state.running) {
+        renderDuplicateProgress(state.progress);
+    } else {
+        document.getElementById('duplicates-scan').hidden = false;
+        document.getElementById('duplicates-cancel').hidden = true;
+        document.getElementById('duplicates-summary').textContent = state.error
+            ? `Scan failed: ${state.error}`
+            : duplicateReport ? describeReport(duplicateReport, formatSize) : 'No scan has run yet';
+    }
+    renderDuplicateGroups();
+}
+
+async function showSnapshots() {
+    document.getElementById('snapshots-modal').classList.add('visible');
+    await loadSnapshots();
+}
+
+function hideSnapshots() {
+    document.getElementById('snapshots-modal').classList.remove('visible');
+}
+
+/**
+ * Fetches the project's snapshots and offers them for comparison
+ */
+async function loadSnapshots() {
+    try {
+        const response = await apiFetch('/api/snapshots');
+        const snapshots = await response.json();
+        if (!response.ok) throw new Error(snapshots.error);
+        snapshotList = snapshots;
+    } catch (err) {
+        console.error('Error loading snapshots:', err);
+        showStatus('Error loading snapshots', 'error');
+    }
+
+    showSnapshotList(document.getElementById('snapshot-list'), snapshotList, { formatSize, onRemove: removeSnapshot });
+    fillSnapshotSelect(document.getElementById('snapshot-from'), snapshotList);
+    fillSnapshotSelect(document.getElementById('snapshot-to'), snapshotList, { value: 'live', label: 'Live tree' });
+    document.getElementById('snapshot-compare').disabled = snapshotList.length === 0;
+}
+
+/**
+ * Captures the project as it is now
+ */
+async function captureSnapshot() {
+    const name = document.getElementById('snapshot-name');
+    const button = document.getElementById('snapshot-capture');
+    button.disabled = true;
+    showStatus('Capturing snapshot…');
+
+    try {
+        const response = await apiFetch('/api/snapshots/create', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: name.value,
+                hashes: document.getElementById('snapshot-hashes').checked,
+                includeIgnored: document.getElementById('snapshot-ignored').checked
+            })
+        });
+        const snapshot = await response.json();
+        if (!response.ok) throw new Error(snapshot.error);
+
+        name.value = '';
+        showStatus(`Captured ${snapshot.name}`);
+        await loadSnapshots();
+    } catch (err) {
+        console.error('Error capturing snapshot:', err);
+        showStatus(`Snapshot failed: ${err.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Deletes a snapshot after asking
+ * @param {import('./snapshots.js').SnapshotInfo} snapshot - Snapshot to delete
+ */
+async function removeSnapshot(snapshot) {
+    if (!confirm(`Delete the snapshot ${snapshot.name}?`)) return;
+
+    try {
+        const response = await apiFetch('/api/snapshots/remove', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: snapshot.id })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        await loadSnapshots();
+    } catch (err) {
+        console.error('Error removing snapshot:', err);
+        showStatus(`Could not delete the snapshot: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * Compares the chosen snapshots and marks the differences in the tree
+ */
+async function compareSnapshots() {
+    const from = document.getElementById('snapshot-from').value;
+    const to = document.getElementById('snapshot-to').value;
+    if (!from) return;
+
+    document.getElementById('snapshot-summary').textContent = 'Comparing…';
+    try {
+        const params = new URLSearchParams({ from, to });
+        const response = await apiFetch(`/api/snapshots/compare?${params}`);
+        const diff = await response.json();
+        if (!response.ok) throw new Error(diff.error);
+        snapshotDiff = diff;
+    } catch (err) {
+        console.error('Error comparing snapshots:', err);
+        snapshotDiff = null;
+        renderSnapshotDiff();
+        document.getElementById('snapshot-summary').textContent = `Comparison failed: ${err.message}`;
+        return;
+    }
+    renderSnapshotDiff();
+    renderTree();
+}
+
+/**
+ * Shows the current comparison in the snapshots dialog
+ */
+function renderSnapshotDiff() {
+    const list = document.getElementById('snapshot-diff');
+    document.getElementById('snapshot-export').disabled = !snapshotDiff;
+    document.getElementById('snapshot-clear').disabled = !snapshotDiff;
+
+    if (!snapshotDiff) {
+        list.innerHTML = '';
+        document.getElementById('snapshot-summary').textContent = '';
+        return;
+    }
+
+    document.getElementById('snapshot-summary').textContent =
+        `${snapshotDiff.from.name} → ${snapshotDiff.to.name}: ${describeDiff(snapshotDiff)}`;
+    showSnapshotDiff(list, snapshotDiff, {
+        formatSize,
+        onSelect: entry => {
+            hideSnapshots();
+            revealPath(entry.path, {}, entry.type);
+        }
+    });
+}
+
+/**
+ * Saves the current comparison as a JSON file
+ */
+function exportSnapshotDiff() {
+    if (!snapshotDiff) return;
+
+    const blob = new Blob([JSON.stringify(snapshotDiff, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `snapshot-diff-${snapshotDiff.from.id}-${snapshotDiff.to.id}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function clearSnapshotDiff() {
+    snapshotDiff = null;
+    renderSnapshotDiff();
+    renderTree();
+}
+
+function showCompare() {
+    const left = document.getElementById('compare-left');
+    const right = document.getElementById('compare-right');
+    left.value = comparison?.left ?? (left.value || workspaceRoots[0]?.path || '');
+    right.value = comparison?.right ?? right.value;
+    document.getElementById('compare-modal').classList.add('visible');
+}
+
+function hideCompare() {
+    document.getElementById('compare-modal').classList.remove('visible');
+}
+
+/**
+ * Compares the two directories entered in the compare dialog
+ * @param {Event} [event] - Submit event of the form
+ */
+async function startComparison(event) {
+    event?.preventDefault();
+    const left = document.getElementById('compare-left').value.trim();
+    const right = document.getElementById('compare-right').value.trim();
+    if (await loadComparison(left, right)) hideCompare();
+}
+
+/**
+ * Compares the directories of the current comparison again, keeping what is expanded
+ */
+function refreshComparison() {
+    if (comparison) loadComparison(comparison.left, comparison.right);
+}
+
+/**
+ * Fetches the merged tree of two directories and shows it in place of the project
+ * @param {string} left - Absolute left directory
+ * @param {string} right - Absolute right directory
+ * @returns {Promise<boolean>} Whether the comparison is shown
+ */
+async function loadComparison(left, right) {
+    showStatus('Comparing…');
+    try {
+        const params = new URLSearchParams({ left, right });
+        const response = await apiFetch(`/api/compare?${params}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+
+        const same = comparison?.left === result.left && comparison?.right === result.right;
+        result.tree.name = `${result.left} ↔ ${result.right}`;
+        comparison = {
+            left: result.left,
+            right: result.right,
+            tree: result.tree,
+            root: d3.hierarchy(result.tree),
+            collapsed: same ? comparison.collapsed : initialCollapsed(result.tree),
+            selected: same ? comparison.selected : null,
+            onlyDifferences: document.getElementById('compare-only-differences').checked
+        };
+    } catch (err) {
+        console.error('Error comparing directories:', err);
+        showStatus(`Comparison failed: ${err.message}`, 'error');
+        return false;
+    }
+
+    document.getElementById('compare-bar').hidden = false;
+    document.getElementById('compare-summary').textContent =
+        `${comparison.left} ↔ ${comparison.right}: ${describeComparison(comparison.tree)}`;
+    const selected = comparison.selected && comparison.root.descendants().find(d => d.data.path === comparison.selected);
+    if (selected) {
+        showComparedEntry(selected.data);
+    } else {
+        document.getElementById('file-details').innerHTML = '';
+    }
+    renderTree();
+    showStatus('Comparison updated');
+    return true;
+}
+
+/**
+ * Shows a compared entry, with its diff, in the info panel
+ * @param {import('./compare.js').CompareNode} data - Node data
+ */
+function showComparedEntry(data) {
+    const { left, right } = comparison;
+    showComparisonInfo(document.getElementById('file-details'), data, {
+        formatSize,
+        canSync: canWrite(),
+        onSync: to => syncCompared(data, to),
+        loadDiff: async path => {
+            const params = new URLSearchParams({ left, right, path });
+            const response = await apiFetch(`/api/compare/diff?${params}`);
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error);
+            return result;
+        }
+    });
+}
+
+/**
+ * Copies a compared entry over to one side, then compares again
+ * @param {import('./compare.js').CompareNode} data - Node data
+ * @param {'left' | 'right'} to - Side copied to
+ */
+async function syncCompared(data, to) {
+    const { left, right } = comparison;
+    const target = to === 'left' ? left : right;
+    if (!confirm(`Copy ${data.path} to ${target}? What is there now goes to the trash, folders included.`)) return;
+
+    try {
+        const response = await apiFetch('/api/compare/sync', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ left, right, to, paths: [data.path] })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        showStatus(`Copied ${result.copied.length} entr${result.copied.length === 1 ? 'y' : 'ies'} to the ${to}`);
+    } catch (err) {
+        console.error('Error copying differences:', err);
+        showStatus(`Copy failed: ${err.message}`, 'error');
+        return;
+    }
+    await loadComparison(left, right);
+}
+
+/**
+ * Leaves compare mode and shows the project again
+ */
+function closeComparison() {
+    comparison = null;
+    document.getElementById('compare-bar').hidden = true;
+    document.getElementById('file-details').innerHTML = '';
+    renderTree();
+    if (root) currentView().fit();
+}
+
+/**
+ * Hides identical entries of the compared tree
+ * @param {boolean} checked - Whether only differences are shown
+ */
+function toggleOnlyDifferences(checked) {
+    if (!comparison) return;
+    comparison.onlyDifferences = checked;
+    renderTree();
+}
+
+/**
+ * Lists the sets of identical files, most wasted space first
+ */
+function renderDuplicateGroups() {
+    const list = document.getElementById('duplicates-list');
+    list.innerHTML = '';
+
+    (duplicateReport?.groups || []).forEach(group => {
+        const item = document.createElement('li');
+        item.className = 'duplicate-group';
+
+        const meta = document.createElement('div');
+        meta.className = 'trash-meta';
+        meta.textContent = `${group.paths.length} × ${formatSize(group.size)}, ${formatSize(group.wasted)} wasted`;
+        item.appendChild(meta);
+
+        group.paths.forEach(path => {
+            const link = document.createElement('button');
+            link.className = 'duplicate-path';
+            link.textContent = path;
+            link.title = 'Show in the tree';
+            link.onclick = () => {
+                hideDuplicates();
+                revealPath(path);
+            };
+            item.appendChild(link);
+        });
+
+        list.appendChild(item);
+    });
+}
+
+async function undoLastOperation() {
+    try {
+        const response = await apiFetch('/api/undo', { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+
+        showStatus(`Undid ${result.operation}: ${result.path}`);
+    } catch (err) {
+        console.error('Error undoing operation:', err);
+        showStatus(`Undo failed: ${err.message}`, err.message === 'Nothing to undo' ? 'warning' : 'error');
     }
 }
 
 function updateSelectButton() {
     const selectBtn = document.getElementById('select-dir-btn');
-    selectBtn.textContent = `Select "${currentPath}"`;
+    selectBtn.disabled = !currentPath;
+    selectBtn.textContent = currentPath ? `Select "${currentPath}"` : 'Choose a directory';
+    document.getElementById('add-root-btn').disabled = !currentPath;
 }
 
 async function selectCurrentDirectory() {
@@ -175,11 +1055,39 @@ function connectWebSocket() {
         try {
             const data = JSON.parse(event.data);
             if (data.type === 'structure') {
-                updateTree(data.content);
+                lastSeq = data.seq;
+                awaitingResync = false;
+                pendingChildren.clear();
+                workspaceRoots = data.workspace.roots;
+                updateGitStatus(data.git);
+                showWatcherStatus(data.watcher);
+                updateTree(data.content, data.project);
+                restoreLoadedPaths();
                 showStatus('Structure Updated');
+            } else if (data.type === 'patch') {
+                handlePatch(data);
+            } else if (data.type === 'searchResult' || data.type === 'searchDone' || data.type === 'searchError') {
+                contentSearch.handleMessage(data);
+            } else if (data.type === 'duplicatesProgress') {
+                renderDuplicateProgress(data.progress);
+            } else if (data.type === 'duplicatesDone') {
+                updateDuplicates(data);
+            } else if (data.type === 'gitStatus') {
+                updateGitStatus(data.git);
+                renderTree();
+            } else if (data.type === 'children') {
+                handleChildren(data);
             } else if (data.type === 'fileChange') {
-                showStatus(`File Changed: ${data.file}`);
-                highlightNode(data.file);
+                if (data.count === 1) {
+                    showStatus(`File Changed: ${data.files[0]}`);
+                    highlightNode(data.files[0]);
+                } else {
+                    showStatus(`${data.count} files changed`);
+                }
+            } else if (data.type === 'activity') {
+                addActivity(data.events);
+            } else if (data.type === 'watcherStatus') {
+                showWatcherStatus(data.watcher);
             } else if (data.type === 'error') {
                 showStatus(`Error: ${data.message}`, 'error');
             }
@@ -189,12 +1097,30 @@ function connectWebSocket() {
         }
     };
 
-    ws.onclose = () => {
+    ws.onclose = async (event) => {
         console.log('WebSocket connection closed');
+        ws = null;
+        contentSearch.cancel();
+
+        if (event.code === SESSION_CLOSED) {
+            signedOut(event.reason === 'Signed out' ? '' : 'Your session has expired. Please sign in again.');
+            return;
+        }
+
+        // A rejected upgrade looks like a lost connection; the session check tells them apart
+        const session = await fetch('/api/session').catch(() => null);
+        if (session?.status === 401) {
+            signedOut('Your session has expired. Please sign in again.');
+            return;
+        }
+        if (!currentUser) return;
+
         if (reconnectAttempts < maxReconnectAttempts) {
             reconnectAttempts++;
             showStatus(`Connection lost. Reconnecting (${reconnectAttempts}/${maxReconnectAttempts})...`, 'warning');
-            setTimeout(connectWebSocket, reconnectDelay);
+            setTimeout(() => {
+                if (currentUser) connectWebSocket();
+            }, reconnectDelay);
         } else {
             showStatus('Connection lost. Please refresh the page.', 'error');
         }
@@ -206,12 +1132,92 @@ function connectWebSocket() {
     };
 }
 
+/**
+ * Closes the connection without reconnecting
+ */
+function disconnectWebSocket() {
+    if (!ws) return;
+    ws.onclose = null;
+    ws.close();
+    ws = null;
+}
+
 function requestStructure() {
     if (ws && ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({ type: 'getStructure' }));
     }
 }
 
+function requestChildren(path, offset = 0) {
+    if (pendingChildren.has(path)) return;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        pendingChildren.add(path);
+        ws.send(JSON.stringify({ type: 'getChildren', path, offset }));
+    }
+}
+
+function handleChildren(data) {
+    pendingChildren.delete(data.path);
+    if (!root || !appendChildren(root, data)) {
+        loadedPaths.delete(data.path);
+        return;
+    }
+
+    loadedPaths.add(data.path);
+    refreshFilter();
+    refreshSearch();
+    renderTree();
+    restoreLoadedPaths();
+
+    if (selectedPath === data.path) {
+        updateFileInfo(root.descendants().find(d => d.data.path === data.path).data);
+    }
+}
+
+/**
+ * Re-requests directories the user had opened that are missing from the
+ * current hierarchy. Nested directories follow once their parent arrives.
+ */
+function restoreLoadedPaths() {
+    if (!root) return;
+
+    root.descendants().forEach(d => {
+        if (loadedPaths.has(d.data.path) && hasEntries(d.data) && !d.data.children) {
+            requestChildren(d.data.path);
+        }
+    });
+}
+
+function requestResync() {
+    if (awaitingResync) return;
+    awaitingResync = true;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'resync' }));
+    }
+}
+
+function handlePatch(data) {
+    // Patches that arrive before the requested structure are covered by it
+    if (awaitingResync || lastSeq === null || data.seq <= lastSeq) return;
+
+    if (data.seq !== lastSeq + 1 || !root) {
+        console.warn(`Missed patches (have ${lastSeq}, got ${data.seq}), requesting resync`);
+        requestResync();
+        return;
+    }
+
+    if (!applyPatch(root, data.ops)) {
+        console.warn('Patch does not match the local tree, requesting resync');
+        requestResync();
+        return;
+    }
+
+    lastSeq = data.seq;
+    refreshFilter();
+    refreshSearch();
+    renderTree();
+}
+
 function showStatus(message, type = 'info') {
     const status = document.getElementById('status');
     status.textContent = message;
@@ -229,79 +1235,717 @@ function showStatus(message, type = 'info') {
     setTimeout(() => status.classList.remove('visible'), 3000);
 }
 
-function updateTree(data) {
+function updateTree(data, project) {
     try {
+        const projectChanged = !root || projectPath !== project;
         root = d3.hierarchy(data);
 
-        const treeLayout = d3.tree()
-            .size([height - margin.top - margin.bottom, width - margin.left - margin.right]);
+        if (projectChanged) {
+            projectPath = project;
+            document.getElementById('current-project').textContent = project;
+            treeSettings = loadSettings(localStorage, project);
+            showTreeSettings();
+            collapsedPaths.clear();
+            loadDuplicates();
+            loadActivity();
+            snapshotDiff = null;
+            renderSnapshotDiff();
+            root.descendants()
+                .filter(d => d.depth >= initialExpandDepth && d.children)
+                .forEach(d => collapsedPaths.add(d.data.path));
+        }
+
+        refreshFilter();
+        refreshSearch();
+        renderTree();
+    } catch (err) {
+        console.error('Error updating tree:', err);
+        showStatus('Error updating visualization', 'error');
+    }
+}
+
+/**
+ * Returns the active view, creating it on first use
+ * @returns {import('./views/tree.js').View}
+ */
+function currentView() {
+    if (!views[activeView]) {
+        views[activeView] = viewFactories[activeView]();
+    }
+    return views[activeView];
+}
 
-        treeLayout(root);
+function renderTree() {
+    if (!root && !comparison) return;
 
-        if (!svg) {
-            svg = d3.select('#tree-container')
-                .append('svg')
-                .attr('width', '100%')
-                .attr('height', '100%')
-                .attr('viewBox', `0 0 ${width} ${height}`)
-                .append('g')
-                .attr('transform', `translate(${margin.left},${margin.top})`);
+    try {
+        const view = currentView();
+        const shown = comparison ? comparison.root : root;
+        sortTree(shown.data, createComparator(treeSettings));
+        if (comparison) {
+            view.render(shown, comparison.collapsed, isCompared);
+        } else {
+            view.render(shown, collapsedPaths, isVisible);
         }
 
-        // Clear existing nodes and links
-        svg.selectAll('.link').remove();
-        svg.selectAll('.node').remove();
-
-        // Add links
-        const links = svg.selectAll('.link')
-            .data(root.links())
-            .enter()
-            .append('path')
-            .attr('class', 'link')
-            .attr('d', d3.linkHorizontal()
-                .x(d => d.y)
-                .y(d => d.x));
-
-        // Add nodes
-        const nodes = svg.selectAll('.node')
-            .data(root.descendants())
-            .enter()
-            .append('g')
-            .attr('class', 'node')
-            .attr('transform', d => `translate(${d.y},${d.x})`);
-
-        nodes.append('circle')
-            .attr('r', 6);
-
-        nodes.append('text')
-            .attr('dy', '.31em')
-            .attr('x', d => d.children ? -8 : 8)
-            .style('text-anchor', d => d.children ? 'end' : 'start')
-            .text(d => d.data.name);
-
-        // Add click handler
-        nodes.on('click', (event, d) => {
-            updateFileInfo(d.data);
-            nodes.classed('selected', false);
-            d3.select(event.currentTarget).classed('selected', true);
-        });
+        const highlighted = comparison ? comparison.selected : selectedPath;
+        if (highlighted) view.highlight(highlighted);
+
+        // Marks of one tree are cleared while the other is shown
+        const projectMarks = treeMarks();
+        const compared = compareMarks(comparison?.tree ?? null);
+        const marks = comparison ? compared : projectMarks;
+        [...projectMarks.keys(), ...compared.keys()].forEach(className => view.mark(className, marks.get(className) ?? new Set()));
     } catch (err) {
         console.error('Error updating tree:', err);
         showStatus('Error updating visualization', 'error');
     }
 }
 
-function updateFileInfo(data) {
+/**
+ * Collects the paths each mark class of the project tree applies to
+ * @returns {Map<string, Set<string>>}
+ */
+function treeMarks() {
+    const marks = new Map([['match', searchPaths], ['duplicate', duplicateCopies], ...diffMarks(snapshotDiff)]);
+    const heat = showHeat ? heatLevels(activityEvents, activityTime ?? Date.now()) : new Map();
+    HEAT_LEVELS.forEach(({ className }) => marks.set(className, heat.get(className) ?? new Set()));
+    return marks;
+}
+
+/**
+ * Decides whether a node of the compared tree is drawn
+ * @param {import('./compare.js').CompareNode} data - Node data
+ * @returns {boolean}
+ */
+function isCompared(data) {
+    return !comparison.onlyDifferences || data.status !== 'same';
+}
+
+/**
+ * Decides whether a node is drawn
+ * @param {import('./views/tree.js').TreeNode} data - Node data
+ * @returns {boolean}
+ */
+function isVisible(data) {
+    return isShown(data) && (!filteredPaths || filteredPaths.has(data.path));
+}
+
+/**
+ * Decides whether a node is drawn when no filter is set
+ * @param {import('./views/tree.js').TreeNode} data - Node data
+ * @returns {boolean}
+ */
+function isShown(data) {
+    return showIgnored || !data.ignored;
+}
+
+function toggleIgnored(checked) {
+    showIgnored = checked;
+    refreshFilter();
+    refreshSearch();
+    renderTree();
+}
+
+/**
+ * Works out which nodes the filter leaves visible, after the tree or the
+ * filter changes
+ */
+function refreshFilter() {
+    const matches = createNodeFilter(treeSettings);
+    filteredPaths = root && matches ? filterTree(root.data, matches, isShown) : null;
+    document.getElementById('filter-button').classList.toggle('active', Boolean(matches));
+}
+
+/**
+ * Saves changed sort and filter settings for the project and redraws the tree
+ * @param {Partial<import('./tree-settings.js').TreeSettings>} changes - Settings to change
+ */
+function changeTreeSettings(changes) {
+    treeSettings = { ...treeSettings, ...changes };
+    if (projectPath) saveSettings(localStorage, projectPath, treeSettings);
+    refreshFilter();
+    refreshSearch();
+    renderTree();
+}
+
+/**
+ * Shows the sort and filter settings in their controls
+ */
+function showTreeSettings() {
+    document.getElementById('sort-field').value = treeSettings.sort;
+    document.getElementById('directories-first').checked = treeSettings.directoriesFirst;
+    for (const key of ['type', 'extensions', 'minSize', 'maxSize', 'from', 'to']) {
+        document.getElementById(`filter-${key}`).value = treeSettings[key];
+    }
+    showFilterErrors();
+}
+
+/**
+ * Marks size fields the filter cannot read
+ */
+function showFilterErrors() {
+    for (const key of ['minSize', 'maxSize']) {
+        const input = document.getElementById(`filter-${key}`);
+        input.classList.toggle('invalid', input.value.trim() !== '' && parseSize(input.value) === null);
+    }
+}
+
+function setSortField(field) {
+    changeTreeSettings({ sort: field });
+}
+
+function setDirectoriesFirst(checked) {
+    changeTreeSettings({ directoriesFirst: checked });
+}
+
+/**
+ * Reads the filter controls into the settings
+ */
+function updateFilter() {
+    const filter = {};
+    for (const key of ['type', 'extensions', 'minSize', 'maxSize', 'from', 'to']) {
+        filter[key] = document.getElementById(`filter-${key}`).value;
+    }
+    changeTreeSettings(filter);
+    showFilterErrors();
+}
+
+function clearFilter() {
+    const { type, extensions, minSize, maxSize, from, to } = DEFAULT_SETTINGS;
+    changeTreeSettings({ type, extensions, minSize, maxSize, from, to });
+    showTreeSettings();
+}
+
+function toggleFilterPanel() {
+    document.getElementById('filter-panel').classList.toggle('visible');
+}
+
+function switchView(name) {
+    if (!viewFactories[name]) return;
+
+    activeView = name;
+    Object.entries(views).forEach(([key, view]) => {
+        view.element.style.display = key === name ? '' : 'none';
+    });
+
+    renderTree();
+}
+
+/**
+ * Toggles directories in the views that show collapse state, then selects the node
+ * @param {Object} data - Node data
+ */
+function handleNodeClick(data) {
+    const collapsed = comparison ? comparison.collapsed : collapsedPaths;
+    if (hasEntries(data)) {
+        if (!data.children && !comparison) {
+            // Directories that were not sent with the structure load on first click
+            collapsedPaths.delete(data.path);
+            requestChildren(data.path);
+        } else if (collapsed.has(data.path)) {
+            collapsed.delete(data.path);
+        } else {
+            collapsed.add(data.path);
+        }
+    }
+
+    selectNode(data);
+    renderTree();
+}
+
+function selectNode(data) {
+    if (comparison) {
+        comparison.selected = data.path;
+        showComparedEntry(data);
+        currentView().highlight(data.path);
+        return;
+    }
+
+    selectedPath = data.path;
+    updateFileInfo(data);
+    currentView().highlight(data.path);
+}
+
+function fitToScreen() {
+    if (root || comparison) currentView().fit();
+}
+
+/**
+ * Expands the ancestors of the selected node and centers it
+ */
+function focusSelected() {
+    if (!root || !selectedPath) {
+        showStatus('Select a node to focus on', 'warning');
+        return;
+    }
+
+    expandAncestors(selectedPath);
+    renderTree();
+    currentView().focus(selectedPath);
+}
+
+/**
+ * Expands every directory above a node
+ * @param {string} path - Node path
+ */
+function expandAncestors(path) {
+    while (path !== '/') {
+        path = parentPath(path);
+        collapsedPaths.delete(path);
+    }
+}
+
+function searchInput() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, SEARCH_DELAY);
+}
+
+/**
+ * Checks whether the search box searches file contents rather than names
+ * @returns {boolean}
+ */
+function isContentSearch() {
+    return document.getElementById('search-mode').value === 'content';
+}
+
+/**
+ * Runs the query in the search box. Name searches expand the directories holding
+ * the best hits and show the first one; content searches start streaming results.
+ */
+function runSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = null;
+    searchIndex = -1;
+    contentMatches = [];
+    contentIndex = -1;
+    document.getElementById('content-options').hidden = !isContentSearch();
+
+    refreshSearch();
+    if (isContentSearch()) {
+        startContentSearch();
+        renderTree();
+        return;
+    }
+
+    contentSearch.cancel();
+    searchResults.slice(0, MAX_SEARCH_RESULTS).forEach(result => expandAncestors(result.data.path));
+    renderTree();
+    if (searchResults.length) showSearchHit(0);
+}
+
+/**
+ * Recomputes the results of the current name query, keeping the hit shown if it still matches
+ */
+function refreshSearch() {
+    const input = document.getElementById('search-input');
+    const mode = document.getElementById('search-mode').value;
+    const shown = searchResults[searchIndex]?.data.path;
+
+    try {
+        searchResults = root && mode !== 'content' ? searchTree(root.data, input.value, mode, isVisible) : [];
+        input.classList.remove('invalid');
+    } catch (err) {
+        // An unfinished regular expression matches nothing until it is valid
+        searchResults = [];
+        input.classList.add('invalid');
+    }
+
+    searchPaths = new Set(searchResults.map(result => result.data.path));
+    searchIndex = searchResults.findIndex(result => result.data.path === shown);
+    if (mode !== 'content') renderSearchResults();
+}
+
+/**
+ * Moves to the next or previous hit, wrapping around
+ * @param {number} step - 1 for the next hit, -1 for the previous one
+ */
+function nextSearchHit(step) {
+    const content = isContentSearch();
+    const count = content ? contentMatches.length : Math.min(searchResults.length, MAX_SEARCH_RESULTS);
+    if (!count) return;
+
+    const current = content ? contentIndex : searchIndex;
+    const index = current < 0 ? (step > 0 ? 0 : count - 1) : current + step;
+    (content ? showContentMatch : showSearchHit)((index % count + count) % count);
+}
+
+/**
+ * Selects a search hit and brings it into view
+ * @param {number} index - Position in the results
+ */
+function showSearchHit(index) {
+    const { data } = searchResults[index];
+    searchIndex = index;
+
+    expandAncestors(data.path);
+    renderTree();
+    selectNode(data);
+    currentView().focus(data.path);
+    renderSearchResults();
+}
+
+/**
+ * Enter and the arrow keys step through hits, Escape clears the search
+ * @param {KeyboardEvent} event - Key pressed in the search box
+ */
+function searchKeydown(event) {
+    if (event.key === 'Enter' || event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        // A query typed faster than the search delay runs first
+        if (searchTimer) {
+            runSearch();
+            return;
+        }
+        nextSearchHit(event.key === 'ArrowUp' || (event.key === 'Enter' && event.shiftKey) ? -1 : 1);
+    } else if (event.key === 'Escape') {
+        event.target.value = '';
+        runSearch();
+        event.target.blur();
+    }
+}
+
+function renderSearchResults() {
+    const count = document.getElementById('search-count');
+    const list = document.getElementById('search-results');
+    const query = document.getElementById('search-input').value;
+
+    list.innerHTML = '';
+    if (!query) {
+        count.textContent = '';
+        return;
+    }
+
+    const total = searchResults.length;
+    count.textContent = total === 0 ? 'No matches'
+        : `${searchIndex + 1 || '–'} of ${total}${total > MAX_SEARCH_RESULTS ? ` (first ${MAX_SEARCH_RESULTS} listed)` : ''}`;
+
+    searchResults.slice(0, MAX_SEARCH_RESULTS).forEach((result, index) => {
+        const item = document.createElement('li');
+        item.className = index === searchIndex ? 'active' : '';
+        item.title = result.data.path;
+        const name = document.createElement('span');
+        name.textContent = result.data.name;
+        const path = document.createElement('span');
+        path.className = 'search-path';
+        path.textContent = parentPath(result.data.path) === '/' ? '' : parentPath(result.data.path);
+        item.append(name, path);
+        item.onclick = () => showSearchHit(index);
+        list.appendChild(item);
+    });
+    list.querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Starts a content search with the query and options in the search box;
+ * the server cancels the previous search
+ */
+function startContentSearch() {
+    const value = id => document.getElementById(id).value;
+    const checked = id => document.getElementById(id).checked;
+
+    document.getElementById('search-results').innerHTML = '';
+    contentSearch.start(value('search-input'), {
+        regex: checked('search-regex'),
+        caseSensitive: checked('search-case'),
+        include: value('search-include'),
+        exclude: value('search-exclude'),
+        // Ignored files are searched while they are shown
+        includeIgnored: showIgnored
+    });
+    renderContentCount();
+}
+
+/**
+ * Appends the matches of one file to the results as they arrive
+ * @param {import('./content-search.js').FileMatches} file - File and its matching lines
+ */
+function addContentResults(file) {
+    const list = document.getElementById('search-results');
+
+    const header = document.createElement('li');
+    header.className = 'search-file';
+    header.textContent = file.path;
+    list.appendChild(header);
+
+    file.matches.forEach(match => {
+        const index = contentMatches.push({ path: file.path, match }) - 1;
+        const item = document.createElement('li');
+        item.className = 'search-match';
+        item.dataset.index = index;
+
+        const context = lines => lines.map(text => {
+            const line = document.createElement('div');
+            line.className = 'search-context';
+            line.textContent = text;
+            return line;
+        });
+        const [before, hit, after] = splitMatch(match);
+        const text = document.createElement('div');
+        const number = document.createElement('span');
+        number.className = 'search-line';
+        number.textContent = match.line;
+        const mark = document.createElement('mark');
+        mark.textContent = hit;
+        text.append(number, before, mark, after);
+
+        item.append(...context(match.before), text, ...context(match.after));
+        item.onclick = () => showContentMatch(index);
+        list.appendChild(item);
+    });
+
+    renderContentCount();
+}
+
+/**
+ * Shows how many matches a content search found so far
+ * @param {import('./content-search.js').SearchSummary} [summary] - Final counts, once the search is done
+ */
+function renderContentCount(summary) {
+    const count = document.getElementById('search-count');
+    if (!document.getElementById('search-input').value) {
+        count.textContent = '';
+        return;
+    }
+
+    const files = new Set(contentMatches.map(result => result.path)).size;
+    let text = contentMatches.length === 0 && !contentSearch.isRunning() ? 'No matches'
+        : `${contentMatches.length} matches in ${files} files`;
+    if (contentSearch.isRunning()) text += ' (searching…)';
+    if (summary?.truncated) text += ' (search stopped at the result limit)';
+    count.textContent = text;
+}
+
+/**
+ * Selects the file of a content match and opens its preview at the matching line
+ * @param {number} index - Position in the flattened matches
+ */
+function showContentMatch(index) {
+    const { path, match } = contentMatches[index];
+    contentIndex = index;
+
+    document.querySelectorAll('#search-results .search-match').forEach(item => {
+        item.classList.toggle('active', Number(item.dataset.index) === index);
+    });
+    document.querySelector('#search-results .search-match.active')?.scrollIntoView({ block: 'nearest' });
+
+    revealPath(path, { line: match.line });
+}
+
+/**
+ * Selects an entry, expanding the directories above it, and brings it into view
+ * @param {string} path - Path relative to the project root
+ * @param {Object} [previewOptions] - Passed on to the preview of files
+ * @param {'file' | 'directory'} [type='file'] - Entry type, for entries that are not loaded
+ */
+function revealPath(path, previewOptions = {}, type = 'file') {
+    // Entries in directories that were never loaded are shown without a tree node
+    const node = root?.descendants().find(d => d.data.path === path);
+    const data = node ? node.data : { name: path.split('/').pop(), path, type, size: null };
+
+    selectedPath = path;
+    expandAncestors(path);
+    renderTree();
+    updateFileInfo(data, previewOptions);
+    currentView().highlight(path);
+    currentView().focus(path);
+}
+
+function nodeLabel(data) {
+    const badge = statusBadge(gitStatus(data));
+    const name = badge ? `${data.name} ${badge}` : data.name;
+    if (!isPartial(data)) return name;
+    if (!data.children) return `${name} (…)`;
+    return `${name} (${data.children.length}/${data.total})`;
+}
+
+/**
+ * Returns the git status of a node in the current project
+ * @param {import('./views/tree.js').TreeNode} data - Node data
+ * @returns {string | undefined}
+ */
+function gitStatus(data) {
+    // Compared trees are not the project's
+    if (comparison) return null;
+    return statusOf(gitState, data);
+}
+
+/**
+ * Stores the project's git status and shows its branch
+ * @param {import('./git-status.js').RepositoryStatus | null | undefined} git - Status from the server
+ */
+function updateGitStatus(git) {
+    gitState = git ?? null;
+
+    const branch = document.getElementById('git-branch');
+    branch.textContent = describeBranch(gitState);
+    branch.hidden = !gitState;
+}
+
+/**
+ * Joins a directory path from the tree with an entry name
+ * @param {string} directory - Directory path, '/' for the project root
+ * @param {string} name - Entry name
+ * @returns {string}
+ */
+function childPath(directory, name) {
+    return directory === '/' ? name : `${directory}/${name}`;
+}
+
+/**
+ * Runs a file operation on the server. The tree itself is updated by the
+ * watcher's patches, so only the outcome is reported here.
+ * @param {string} operation - create, rename, move, copy or delete
+ * @param {Object} args - Operation arguments
+ * @returns {Promise<Object | null>} The server's result, null if the operation failed
+ */
+async function fileOperation(operation, args) {
+    try {
+        const response = await apiFetch(`/api/files/${operation}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(args)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Request failed (${response.status})`);
+
+        showStatus(operation === 'delete'
+            ? `Moved ${result.path} to the trash (Ctrl+Z to undo)`
+            : `${operation[0].toUpperCase()}${operation.slice(1)}: ${result.path}`);
+        return result;
+    } catch (err) {
+        console.error(`Error running ${operation}:`, err);
+        showStatus(`${operation} failed: ${err.message}`, 'error');
+        return null;
+    }
+}
+
+/**
+ * Shows the file operations available for a node
+ * @param {MouseEvent} event - The contextmenu event
+ * @param {Object} data - Node data
+ */
+function showNodeMenu(event, data) {
+    if (!canWrite() || comparison) return;
+
+    const isRoot = data.path === '/';
+    const items = [];
+
+    if (data.type === 'directory') {
+        items.push(
+            { label: 'New File…', action: () => createEntry(data.path, 'file') },
+            { label: 'New Folder…', action: () => createEntry(data.path, 'directory') }
+        );
+    }
+
+    if (!isRoot) {
+        items.push(
+            { label: 'Rename…', action: () => renameEntry(data) },
+            { label: 'Move to…', action: () => transferEntry('move', data) },
+            { label: 'Copy to…', action: () => transferEntry('copy', data) },
+            { label: 'Delete', danger: true, action: () => deleteEntry(data) }
+        );
+    }
+
+    if (items.length) showContextMenu(event.clientX, event.clientY, items);
+}
+
+function createEntry(directory, type) {
+    const name = prompt(type === 'directory' ? 'Folder name:' : 'File name:');
+    if (name) fileOperation('create', { path: childPath(directory, name), type });
+}
+
+function renameEntry(data) {
+    const name = prompt('New name:', data.name);
+    if (name && name !== data.name) fileOperation('rename', { path: data.path, name });
+}
+
+function transferEntry(operation, data) {
+    const destination = prompt(
+        `${operation === 'move' ? 'Move' : 'Copy'} ${data.name} to directory (relative to the project root):`,
+        parentPath(data.path)
+    );
+    if (destination !== null) fileOperation(operation, { path: data.path, destination });
+}
+
+function deleteEntry(data) {
+    const what = data.type === 'directory' ? `the folder ${data.name} and everything in it` : data.name;
+    if (confirm(`Move ${what} to the trash?`)) fileOperation('delete', { path: data.path });
+}
+
+/**
+ * Shows the details and preview of a node in the info panel
+ * @param {import('./views/tree.js').TreeNode} data - Node data
+ * @param {Object} [previewOptions] - Passed on to the preview, e.g. a line to scroll to
+ */
+function updateFileInfo(data, previewOptions = {}) {
     const fileDetails = document.getElementById('file-details');
     fileDetails.innerHTML = `
         <div class="file-info">
             <h3>${data.name}</h3>
             <p>Type: ${data.type || 'N/A'}</p>
-            <p>Size: ${formatSize(data.size) || 'N/A'}</p>
-            ${data.children ? `<p>Children: ${data.children.length}</p>` : ''}
+            <p>Size: ${formatSize(data.size) || 'N/A'}${data.disk !== undefined ? ` (${formatSize(data.disk)} on disk)` : ''}</p>
+            ${data.files !== undefined ? `<p>Files: ${data.files}</p>` : ''}
+            ${data.children ? `<p>Children: ${data.total ?? data.children.length}</p>` : ''}
             <p>Path: ${data.path || 'N/A'}</p>
+            ${gitStatus(data) ? `<p>Git: ${gitStatus(data)}</p>` : ''}
         </div>
     `;
+
+    const info = fileDetails.querySelector('.file-info');
+    metadataRows(data).forEach(({ label, value, title }) => {
+        const row = document.createElement('p');
+        row.textContent = `${label}: ${value}`;
+        if (title) row.title = title;
+        info.appendChild(row);
+    });
+    // Links to files preview what they point to
+    const isFile = data.type === 'file' || data.target === 'file';
+    if (isFile) showMimeType(info, data.path);
+
+    // Large directories arrive one page at a time
+    if (data.children && isPartial(data)) {
+        const loadMore = document.createElement('button');
+        loadMore.className = 'btn';
+        loadMore.textContent = `Load more (${data.children.length} of ${data.total} shown)`;
+        loadMore.onclick = () => requestChildren(data.path, data.children.length);
+        fileDetails.querySelector('.file-info').appendChild(loadMore);
+    }
+
+    if (isFile) {
+        // Files git knows about get tabs for their diff, history and blame
+        const status = gitStatus(data);
+        if (gitState && status !== 'untracked' && status !== 'ignored') {
+            const tabs = document.createElement('div');
+            fileDetails.appendChild(tabs);
+            showFileTabs(tabs, data.path, previewOptions);
+        } else {
+            const preview = document.createElement('div');
+            preview.className = 'file-preview';
+            fileDetails.appendChild(preview);
+            showPreview(preview, data.path, previewOptions);
+        }
+    }
+}
+
+/**
+ * Adds the MIME type sniffed by the server to the info panel once it arrives
+ * @param {HTMLElement} info - Info element of the panel
+ * @param {string} path - File path
+ */
+async function showMimeType(info, path) {
+    const row = document.createElement('p');
+    row.textContent = 'MIME type: …';
+    info.appendChild(row);
+
+    try {
+        const response = await apiFetch(`/api/metadata?${new URLSearchParams({ path })}`);
+        const metadata = await response.json();
+        if (!response.ok) throw new Error(metadata.error);
+        row.textContent = `MIME type: ${metadata.mime}`;
+    } catch (err) {
+        row.textContent = 'MIME type: unknown';
+    }
 }
 
 function formatSize(bytes) {
@@ -312,12 +1956,131 @@ function formatSize(bytes) {
     return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`;
 }
 
+/**
+ * Fetches the recent changes of the project
+ */
+async function loadActivity() {
+    activityEvents = [];
+    activityTime = null;
+    try {
+        const response = await apiFetch(`/api/activity?limit=${MAX_ACTIVITY_EVENTS}`);
+        const events = await response.json();
+        if (!response.ok) throw new Error(events.error);
+        // Changes seen while the request was running arrived as messages already
+        const oldestLive = activityEvents[activityEvents.length - 1]?.time ?? Infinity;
+        addActivity(events.filter(event => event.time < oldestLive).reverse(), false);
+    } catch (err) {
+        console.error('Error loading activity:', err);
+    }
+    renderTimeline();
+}
+
+/**
+ * Adds changes reported by the server
+ * @param {import('./activity.js').ActivityEvent[]} events - New events, oldest first
+ * @param {boolean} [newer=true] - Whether the events are newer than the ones known, or older
+ */
+function addActivity(events, newer = true) {
+    const added = events.slice().reverse();
+    activityEvents = (newer ? [...added, ...activityEvents] : [...activityEvents, ...added]).slice(0, MAX_ACTIVITY_EVENTS);
+    renderTimeline();
+    if (showHeat) renderTree();
+}
+
+/**
+ * Renders the timeline panel: the scrub slider, where it stands, and the events
+ */
+function renderTimeline() {
+    const panel = document.getElementById('timeline-panel');
+    if (!panel.classList.contains('visible')) return;
+
+    // The slider runs from the oldest event to the present, one step per event
+    const slider = document.getElementById('timeline-scrub');
+    const times = activityEvents.map(event => event.time).reverse();
+    slider.max = times.length;
+    slider.value = activityTime === null ? times.length : times.filter(time => time <= activityTime).length - 1;
+    slider.disabled = times.length === 0;
+    document.getElementById('timeline-position').textContent = activityTime === null
+        ? 'Now'
+        : new Date(activityTime).toLocaleString();
+
+    showTimeline(document.getElementById('timeline-events'), activityEvents, {
+        formatSize,
+        time: activityTime,
+        onSelect: event => revealPath(event.path, {}, event.kind === 'directory' ? 'directory' : 'file')
+    });
+}
+
+/**
+ * Moves the timeline to an event, or back to the present at the end of the slider
+ * @param {string} value - Slider position
+ */
+function scrubTimeline(value) {
+    const times = activityEvents.map(event => event.time).reverse();
+    const index = Number(value);
+    activityTime = index >= times.length ? null : times[index];
+    renderTimeline();
+    if (showHeat) renderTree();
+}
+
+function toggleTimeline() {
+    const visible = document.getElementById('timeline-panel').classList.toggle('visible');
+    document.getElementById('timeline-button').classList.toggle('active', visible);
+    renderTimeline();
+}
+
+/**
+ * Colors entries by how recently they changed
+ * @param {boolean} checked - Whether the heat map is shown
+ */
+function toggleHeat(checked) {
+    showHeat = checked;
+    renderTree();
+}
+
+/**
+ * Shows why file changes may arrive late or not at all, or hides the notice
+ * @param {import('../server/watcher.js').WatcherStatus | null} status - How the server watches the project
+ */
+function showWatcherStatus(status) {
+    const notice = document.getElementById('watcher-warning');
+    notice.textContent = status?.warning ?? '';
+    notice.hidden = !status?.warning;
+}
+
 function highlightNode(path) {
     if (!root) return;
 
-    const nodes = svg.selectAll('.node');
-    nodes.classed('selected', d => d.data.path === path);
+    currentView().highlight(path);
 }
 
-// Initialize WebSocket connection
-connectWebSocket();
+// Heat fades as changes age, so the map is redrawn while it follows the present
+setInterval(() => {
+    if (showHeat && activityTime === null) renderTree();
+}, 60 * 1000);
+
+// Size-based views depend on the container size
+window.addEventListener('resize', () => {
+    if (activeView === 'treemap' || activeView === 'sunburst') renderTree();
+});
+
+// Ctrl+Z (Cmd+Z on macOS) undoes the last file operation, unless a text field has focus
+document.addEventListener('keydown', (event) => {
+    if (event.key.toLowerCase() !== 'z' || !(event.ctrlKey || event.metaKey) || event.shiftKey) return;
+    if (event.target.closest('input, textarea, select, [contenteditable]') || !canWrite()) return;
+
+    event.preventDefault();
+    undoLastOperation();
+});
+
+// "/" jumps to the search box, unless a text field has focus
+document.addEventListener('keydown', (event) => {
+    if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest('input, textarea, select, [contenteditable]')) return;
+
+    event.preventDefault();
+    document.getElementById('search-input').focus();
+});
+
+// Sign in, then connect
+start();
@@ -0,0 +1,150 @@
+/**
+ * @typedef {import('../server/tree-cache.js').TreeNode} TreeNode
+ */
+
+/**
+ * @typedef {Object} SortField
+ * @property {string} label - Name shown in the sort menu
+ * @property {(data: TreeNode) => number | string | null} value - Value compared
+ * @property {boolean} [descending] - Whether larger values come first, as for sizes and times
+ */
+
+/**
+ * Fields the tree can be sorted by
+ * @type {Record<string, SortField>}
+ */
+export const SORT_FIELDS = {
+    name: { label: 'Name', value: data => data.name },
+    extension: { label: 'Extension', value: data => extensionOf(data) },
+    size: { label: 'Size', value: data => data.size, descending: true },
+    mtime: { label: 'Modified', value: data => data.mtime, descending: true },
+    ctime: { label: 'Changed', value: data => data.ctime, descending: true },
+    birthtime: { label: 'Created', value: data => data.birthtime, descending: true },
+    mode: { label: 'Permissions', value: data => data.mode },
+    owner: { label: 'Owner', value: data => data.owner },
+    group: { label: 'Group', value: data => data.group },
+    ino: { label: 'Inode', value: data => data.ino },
+    nlink: { label: 'Links', value: data => data.nlink, descending: true }
+};
+
+const PERMISSIONS = 'rwxrwxrwx';
+const TYPE_CHARS = { directory: 'd', symlink: 'l' };
+
+// Names sort like people read them: file2 before file10, case aside
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Units of relative times, largest first, with their length in seconds
+const TIME_UNITS = [
+    ['year', 365 * 24 * 60 * 60],
+    ['month', 30 * 24 * 60 * 60],
+    ['day', 24 * 60 * 60],
+    ['hour', 60 * 60],
+    ['minute', 60],
+    ['second', 1]
+];
+
+/**
+ * Renders permission bits the way `ls -l` does
+ * @param {number} mode - Permission bits, including setuid, setgid and sticky
+ * @param {'file' | 'directory' | 'symlink'} [type='file'] - Entry type, shown as the first character
+ * @returns {string} E.g. `drwxr-xr-x`
+ */
+export function formatMode(mode, type = 'file') {
+    const chars = [...PERMISSIONS].map((char, i) => mode & (0o400 >> i) ? char : '-');
+
+    // Special bits replace the execute flag of their class
+    const special = [[0o4000, 2, 's'], [0o2000, 5, 's'], [0o1000, 8, 't']];
+    for (const [bit, index, char] of special) {
+        if (mode & bit) chars[index] = chars[index] === 'x' ? char : char.toUpperCase();
+    }
+
+    return (TYPE_CHARS[type] ?? '-') + chars.join('');
+}
+
+/**
+ * Describes a time relative to now, e.g. "3 hours ago"
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {string}
+ */
+export function formatRelativeTime(time, now = Date.now()) {
+    const seconds = Math.round((now - time) / 1000);
+    const format = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+    for (const [unit, length] of TIME_UNITS) {
+        if (Math.abs(seconds) >= length || unit === 'second') {
+            return format.format(-Math.trunc(seconds / length), unit);
+        }
+    }
+}
+
+/**
+ * Returns the extension of a node's name; dot files have none
+ * @param {TreeNode} data - Node data
+ * @returns {string} Lower-case extension with its dot, empty if there is none
+ */
+export function extensionOf(data) {
+    const index = data.name.lastIndexOf('.');
+    return index > 0 ? data.name.slice(index).toLowerCase() : '';
+}
+
+/**
+ * Builds a comparator that orders nodes by a field. Strings compare
+ * naturally, missing values come last and ties are broken by name.
+ * @param {string} field - Key of SORT_FIELDS
+ * @returns {(a: TreeNode, b: TreeNode) => number}
+ */
+export function compareBy(field) {
+    const { value, descending } = SORT_FIELDS[field] || SORT_FIELDS.name;
+    const byName = (a, b) => collator.compare(a.name, b.name) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+    return (a, b) => {
+        const x = value(a);
+        const y = value(b);
+        if (x === y || (x == null && y == null)) return byName(a, b);
+        if (x == null) return 1;
+        if (y == null) return -1;
+
+        const order = typeof x === 'string' ? collator.compare(x, y) : x - y;
+        return (descending ? -order : order) || byName(a, b);
+    };
+}
+
+/**
+ * Sorts the loaded children of every directory in place
+ * @param {TreeNode} data - Root node data
+ * @param {(a: TreeNode, b: TreeNode) => number} compare - Comparator
+ */
+export function sortTree(data, compare) {
+    if (!data.children) return;
+    data.children.sort(compare);
+    data.children.forEach(child => sortTree(child, compare));
+}
+
+/**
+ * Lists the metadata of a node for the info panel
+ * @param {TreeNode} data - Node data
+ * @param {number} [now=Date.now()] - Current time, for relative times
+ * @returns {{ label: string, value: string, title?: string }[]} Rows for the fields the node has
+ */
+export function metadataRows(data, now = Date.now()) {
+    const rows = [];
+    const time = (label, value) => {
+        if (value == null) return;
+        rows.push({ label, value: formatRelativeTime(value, now), title: new Date(value).toLocaleString() });
+    };
+
+    if (data.link !== undefined) {
+        const note = data.target === null ? ' (broken)' : data.cycle ? ' (loops back)' : '';
+        rows.push({ label: 'Link to', value: data.link + note });
+    }
+    time('Modified', data.mtime);
+    time('Changed', data.ctime);
+    time('Created', data.birthtime);
+    if (data.mode !== undefined) {
+        rows.push({ label: 'Permissions', value: formatMode(data.mode, data.type), title: data.mode.toString(8).padStart(4, '0') });
+    }
+    if (data.owner !== undefined) rows.push({ label: 'Owner', value: `${data.owner}:${data.group}` });
+    if (data.ino !== undefined) rows.push({ label: 'Inode', value: String(data.ino) });
+    if (data.nlink !== undefined) rows.push({ label: 'Links', value: String(data.nlink) });
+    return rows;
+}
@@ -0,0 +1,235 @@
+import hljs from 'highlight.js/lib/common';
+import 'highlight.js/styles/github-dark.css';
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { apiFetch } from './api.js';
+
+// Bytes shown in a hex dump and characters run through the syntax highlighter
+const HEX_DUMP_BYTES = 4096;
+const HIGHLIGHT_LIMIT = 200000;
+
+/** @type {AbortController | null} */
+let currentRequest = null;
+
+/**
+ * Formats bytes as a classic hex dump: offset, 16 hex bytes and their printable characters
+ * @param {Uint8Array} bytes - Bytes to format
+ * @returns {string}
+ */
+export function hexDump(bytes) {
+    const lines = [];
+
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+        const row = bytes.subarray(offset, offset + 16);
+        const hex = Array.from(row, b => b.toString(16).padStart(2, '0')).join(' ');
+        const ascii = Array.from(row, b => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('');
+        lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Returns the extension of a path in lower case, without the dot
+ * @param {string} path - File path
+ * @returns {string}
+ */
+function extensionOf(path) {
+    const name = path.split('/').pop();
+    const index = name.lastIndexOf('.');
+    return index > 0 ? name.slice(index + 1).toLowerCase() : '';
+}
+
+/**
+ * Fetches one range of a file
+ * @param {string} path - File path relative to the project root
+ * @param {number} start - First byte to fetch
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<{ kind: string, mime: string, encoding: string, size: number, end: number, bytes: Uint8Array }>}
+ */
+async function fetchRange(path, start, signal) {
+    const response = await apiFetch(`/api/file?path=${encodeURIComponent(path)}`, {
+        headers: start > 0 ? { Range: `bytes=${start}-` } : {},
+        signal
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Request failed (${response.status})`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const size = Number(response.headers.get('X-File-Size'));
+
+    return {
+        kind: response.headers.get('X-File-Kind'),
+        mime: response.headers.get('Content-Type'),
+        encoding: response.headers.get('X-File-Encoding'),
+        size,
+        end: start + bytes.length,
+        bytes
+    };
+}
+
+/**
+ * Counts the lines of a text
+ * @param {string} text - Text
+ * @returns {number}
+ */
+export function countLines(text) {
+    let count = 1;
+    for (let i = text.indexOf('\n'); i >= 0; i = text.indexOf('\n', i + 1)) count++;
+    return count;
+}
+
+/**
+ * Marks a line of a rendered text preview and scrolls it into view
+ * @param {HTMLElement} container - Scrolling preview element
+ * @param {HTMLPreElement} pre - Rendered text
+ * @param {number} line - Line number, from 1
+ */
+function markLine(container, pre, line) {
+    const lineHeight = parseFloat(getComputedStyle(pre).lineHeight) || 18;
+    const marker = document.createElement('div');
+    marker.className = 'preview-line';
+    marker.style.top = `${(line - 1) * lineHeight}px`;
+    marker.style.height = `${lineHeight}px`;
+    pre.appendChild(marker);
+    container.scrollTop = pre.offsetTop + (line - 1) * lineHeight - container.clientHeight / 3;
+}
+
+/**
+ * Renders decoded text according to the file type
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} path - File path, used to pick the renderer
+ * @param {string} text - File content loaded so far
+ * @param {boolean} complete - Whether the whole file has been loaded
+ * @param {number} [line] - Line to mark; Markdown is then shown as source
+ */
+function renderText(container, path, text, complete, line) {
+    const ext = extensionOf(path);
+
+    if (complete && !line && (ext === 'md' || ext === 'markdown')) {
+        container.innerHTML = `<div class="markdown-preview">${DOMPurify.sanitize(marked.parse(text))}</div>`;
+        return;
+    }
+
+    let language = hljs.getLanguage(ext) ? ext : 'plaintext';
+    if (complete && ext === 'json') {
+        try {
+            text = JSON.stringify(JSON.parse(text), null, 2);
+            language = 'json';
+        } catch (err) {
+            // Not valid JSON, show it as it is
+        }
+    }
+
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    code.className = 'hljs';
+    if (language !== 'plaintext' && text.length <= HIGHLIGHT_LIMIT) {
+        code.innerHTML = hljs.highlight(text, { language, ignoreIllegals: true }).value;
+    } else {
+        code.textContent = text;
+    }
+    pre.appendChild(code);
+
+    container.innerHTML = '';
+    container.appendChild(pre);
+    if (line) markLine(container, pre, line);
+}
+
+/**
+ * Shows a preview of a file, replacing whatever preview was loading before
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} path - File path relative to the project root
+ * @param {Object} [options]
+ * @param {number} [options.line] - Line of a text file to scroll to and mark
+ */
+export async function showPreview(container, path, { line } = {}) {
+    if (currentRequest) currentRequest.abort();
+    const request = new AbortController();
+    currentRequest = request;
+
+    container.innerHTML = '<p class="preview-message">Loading preview…</p>';
+
+    try {
+        const first = await fetchRange(path, 0, request.signal);
+
+        if (first.kind === 'image') {
+            if (first.end < first.size) {
+                container.innerHTML = '<p class="preview-message">Image too large to preview</p>';
+                return;
+            }
+            const blob = new Blob([first.bytes], { type: first.mime });
+            const img = document.createElement('img');
+            img.className = 'image-preview';
+            img.src = URL.createObjectURL(blob);
+            img.onload = () => URL.revokeObjectURL(img.src);
+            container.innerHTML = '';
+            container.appendChild(img);
+            return;
+        }
+
+        if (first.kind === 'binary') {
+            const pre = document.createElement('pre');
+            pre.className = 'hex-dump';
+            pre.textContent = hexDump(first.bytes.subarray(0, HEX_DUMP_BYTES));
+            container.innerHTML = '';
+            container.appendChild(pre);
+            return;
+        }
+
+        // Text arrives in ranges; a streaming decoder handles characters split between them
+        const decoder = new TextDecoder(first.encoding || 'utf-8');
+        let text = decoder.decode(first.bytes, { stream: first.end < first.size });
+        let loaded = first.end;
+
+        // A line further down than the first range is loaded up to before rendering
+        while (line && loaded < first.size && countLines(text) <= line) {
+            const next = await fetchRange(path, loaded, request.signal);
+            loaded = next.end;
+            text += decoder.decode(next.bytes, { stream: loaded < first.size });
+        }
+
+        const render = () => {
+            const complete = loaded >= first.size;
+            renderText(container, path, text, complete, line);
+            if (complete) return;
+
+            const loadMore = document.createElement('button');
+            loadMore.className = 'btn';
+            loadMore.textContent = `Load more (${Math.round(loaded / first.size * 100)}% shown)`;
+            loadMore.onclick = async () => {
+                loadMore.disabled = true;
+                try {
+                    const next = await fetchRange(path, loaded, request.signal);
+                    loaded = next.end;
+                    text += decoder.decode(next.bytes, { stream: loaded < first.size });
+                    render();
+                } catch (err) {
+                    if (err.name !== 'AbortError') showError(container, err);
+                }
+            };
+            container.appendChild(loadMore);
+        };
+
+        render();
+    } catch (err) {
+        if (err.name !== 'AbortError') showError(container, err);
+    }
+}
+
+/**
+ * Replaces the preview with an error message
+ * @param {HTMLElement} container - Preview element
+ * @param {Error} err - Error that occurred
+ */
+function showError(container, err) {
+    console.error('Error loading preview:', err);
+    container.innerHTML = '';
+    const message = document.createElement('p');
+    message.className = 'preview-message';
+    message.textContent = `Preview unavailable: ${err.message}`;
+    container.appendChild(message);
+}
@@ -0,0 +1,74 @@
+import { formatRelativeTime } from './metadata.js';
+
+/**
+ * @typedef {import('../server/recent-projects.js').RecentProject} RecentProject
+ */
+
+/**
+ * Renders the recent projects, each with buttons to pin, rename and remove it.
+ * Projects whose directory is gone stay listed so they can be removed, but
+ * cannot be opened.
+ * @param {HTMLElement} list - List element to render into
+ * @param {RecentProject[]} projects - Projects, in the order to show them
+ * @param {Object} actions
+ * @param {(project: RecentProject) => void} actions.onOpen - Called when a project is clicked
+ * @param {(project: RecentProject) => void} actions.onPin - Called to pin or unpin a project
+ * @param {(project: RecentProject) => void} actions.onRename - Called to rename a project
+ * @param {(project: RecentProject) => void} actions.onRemove - Called to remove a project from the list
+ * @param {number} [now=Date.now()] - Current time, for when projects were opened
+ */
+export function showRecentProjects(list, projects, { onOpen, onPin, onRename, onRemove }, now = Date.now()) {
+    list.innerHTML = '';
+
+    if (projects.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'recent-empty';
+        empty.textContent = 'No recent projects';
+        list.appendChild(empty);
+        return;
+    }
+
+    projects.forEach(project => {
+        const item = document.createElement('li');
+        item.className = 'directory-item recent-project';
+        item.classList.toggle('pinned', project.pinned);
+        item.classList.toggle('missing', !project.exists);
+        item.title = project.exists ? project.path : `${project.path} no longer exists`;
+        if (project.exists) item.onclick = () => onOpen(project);
+
+        const icon = document.createElement('i');
+        icon.textContent = project.pinned ? '📌' : '📂';
+
+        const info = document.createElement('div');
+        info.className = 'recent-info';
+        const name = document.createElement('span');
+        name.className = 'recent-name';
+        name.textContent = project.name;
+        const detail = document.createElement('span');
+        detail.className = 'recent-detail';
+        detail.textContent = project.exists
+            ? `${project.path} · opened ${formatRelativeTime(project.openedAt, now)}`
+            : `${project.path} · missing`;
+        info.append(name, detail);
+
+        const actions = document.createElement('div');
+        actions.className = 'recent-actions';
+        const button = (label, title, action) => {
+            const element = document.createElement('button');
+            element.className = 'recent-action';
+            element.textContent = label;
+            element.title = title;
+            element.onclick = event => {
+                event.stopPropagation();
+                action(project);
+            };
+            actions.appendChild(element);
+        };
+        button(project.pinned ? 'Unpin' : 'Pin', project.pinned ? 'Unpin' : 'Keep at the top of the list', onPin);
+        button('Rename', 'Change the name shown', onRename);
+        button('Remove', 'Remove from the list', onRemove);
+
+        item.append(icon, info, actions);
+        list.appendChild(item);
+    });
+}
@@ -0,0 +1,147 @@
+/**
+ * @typedef {import('../server/tree-cache.js').TreeNode} TreeNode
+ */
+
+/**
+ * @typedef {'fuzzy' | 'glob' | 'regex'} SearchMode
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {TreeNode} data - Matching node
+ * @property {number} score - Higher is a better match
+ */
+
+// Characters after which a new word starts, e.g. `tree` in `src/tree-cache.js`
+const WORD_SEPARATORS = '/._- ';
+
+/**
+ * Matches a query against text as a case-insensitive subsequence. Consecutive
+ * characters, word starts and exact substrings score higher.
+ * @param {string} query - Characters to look for, in order
+ * @param {string} text - Text to search
+ * @returns {{ score: number, indices: number[] } | null} Null if the text does not contain the query
+ */
+export function fuzzyMatch(query, text) {
+    const lowerQuery = query.toLowerCase();
+    const lowerText = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let from = 0;
+
+    for (const char of lowerQuery) {
+        const index = lowerText.indexOf(char, from);
+        if (index < 0) return null;
+
+        score += 1;
+        if (indices.length && index === indices[indices.length - 1] + 1) score += 5;
+        const before = text[index - 1];
+        if (index === 0 || WORD_SEPARATORS.includes(before) ||
+            (before === before.toLowerCase() && text[index] !== text[index].toLowerCase())) {
+            score += 3;
+        }
+        // Skipped characters cost a little, so tighter matches rank first
+        score -= Math.min(index - from, 10) * 0.1;
+
+        indices.push(index);
+        from = index + 1;
+    }
+
+    if (lowerText.includes(lowerQuery)) score += lowerQuery.length * 2;
+    if (lowerText === lowerQuery) score += 10;
+    return { score, indices };
+}
+
+/**
+ * Compiles a glob into a regular expression: `*` and `?` stay within one path
+ * segment, `**` crosses segments and `[...]` is a character class
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // `**/` also matches no directory at all
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && glob.indexOf(']', i + 2) > 0) {
+            const end = glob.indexOf(']', i + 2);
+            const set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            source += `[${set[0] === '!' ? `^${set.slice(1)}` : set}]`;
+            i = end;
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Builds the scoring function of a search
+ * @param {string} query - Search text
+ * @param {SearchMode} mode - How the query is interpreted
+ * @returns {(data: TreeNode) => number | null} Returns null for nodes that do not match
+ * @throws {SyntaxError} If a regular expression is invalid
+ */
+function createMatcher(query, mode) {
+    if (mode === 'regex') {
+        const regex = new RegExp(query, 'i');
+        return data => regex.test(data.path) ? 0 : null;
+    }
+
+    if (mode === 'glob') {
+        // Patterns with a slash apply to the whole path, others to the name
+        const regex = globToRegExp(query);
+        const onPath = query.includes('/');
+        return data => regex.test(onPath ? data.path : data.name) ? 0 : null;
+    }
+
+    return data => {
+        // Matches within the name count double
+        const name = fuzzyMatch(query, data.name);
+        const path = fuzzyMatch(query, data.path);
+        if (!name && !path) return null;
+        return Math.max(name ? name.score * 2 : -Infinity, path ? path.score : -Infinity);
+    };
+}
+
+/**
+ * Searches the loaded part of a tree, best matches first; equally good matches
+ * are ordered by path, shallower first
+ * @param {TreeNode} tree - Root node data
+ * @param {string} query - Search text
+ * @param {SearchMode} [mode='fuzzy'] - How the query is interpreted
+ * @param {(data: TreeNode) => boolean} [isVisible] - Leaves out nodes, and everything below them, it rejects
+ * @returns {SearchResult[]}
+ * @throws {SyntaxError} If a regular expression is invalid
+ */
+export function searchTree(tree, query, mode = 'fuzzy', isVisible = () => true) {
+    if (!query) return [];
+
+    const match = createMatcher(query, mode);
+    const results = [];
+    const stack = [...(tree.children || [])];
+
+    while (stack.length) {
+        const data = stack.pop();
+        if (!isVisible(data)) continue;
+        const score = match(data);
+        if (score !== null) results.push({ data, score });
+        if (data.children) stack.push(...data.children);
+    }
+
+    const depth = path => path.split('/').length;
+    return results.sort((a, b) =>
+        b.score - a.score ||
+        depth(a.data.path) - depth(b.data.path) ||
+        a.data.path.localeCompare(b.data.path));
+}
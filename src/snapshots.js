@@ -0,0 +1,180 @@
+import { formatRelativeTime } from './metadata.js';
+
+/**
+ * @typedef {import('../server/snapshots.js').SnapshotInfo} SnapshotInfo
+ * @typedef {import('../server/snapshots.js').SnapshotDiff} SnapshotDiff
+ */
+
+/**
+ * Tree classes of the entries a comparison found, by kind of difference
+ */
+export const DIFF_CLASSES = {
+    added: 'snapshot-added',
+    removed: 'snapshot-removed',
+    changed: 'snapshot-changed'
+};
+
+const DIFF_LABELS = { added: 'Added', removed: 'Removed', changed: 'Changed' };
+
+/**
+ * Collects the paths to mark in the tree for a comparison
+ * @param {SnapshotDiff | null} diff - Comparison result
+ * @returns {Map<string, Set<string>>} Paths by class name, every class present
+ */
+export function diffMarks(diff) {
+    return new Map(Object.entries(DIFF_CLASSES).map(([kind, className]) => [
+        className,
+        new Set(diff ? diff[kind].map(entry => entry.path) : [])
+    ]));
+}
+
+/**
+ * Summarizes a comparison, e.g. "3 added, 1 removed, 2 changed"
+ * @param {SnapshotDiff} diff - Comparison result
+ * @returns {string}
+ */
+export function describeDiff(diff) {
+    const counts = Object.keys(DIFF_CLASSES)
+        .filter(kind => diff[kind].length > 0)
+        .map(kind => `${diff[kind].length} ${kind}`);
+    return counts.length > 0 ? counts.join(', ') : 'No differences';
+}
+
+/**
+ * Describes what a snapshot holds, e.g. "120 files, 4 MB · hashed · 2 hours ago"
+ * @param {SnapshotInfo} snapshot - Snapshot to describe
+ * @param {(bytes: number) => string} formatSize - Formats byte counts
+ * @param {number} [now=Date.now()] - Current time, for when the snapshot was taken
+ * @returns {string}
+ */
+export function describeSnapshot(snapshot, formatSize, now = Date.now()) {
+    const parts = [`${snapshot.files} files, ${formatSize(snapshot.size)}`];
+    if (snapshot.hashes) parts.push('hashed');
+    if (snapshot.includeIgnored) parts.push('with ignored');
+    parts.push(formatRelativeTime(snapshot.createdAt, now));
+    return parts.join(' · ');
+}
+
+/**
+ * Fills a select with snapshots, keeping its choice when it is still listed
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {SnapshotInfo[]} snapshots - Snapshots, newest first
+ * @param {{ value: string, label: string }} [extra] - Option listed first, such as the live tree
+ */
+export function fillSnapshotSelect(select, snapshots, extra) {
+    const previous = select.value;
+    select.innerHTML = '';
+
+    const options = extra ? [extra] : [];
+    snapshots.forEach(snapshot => options.push({ value: snapshot.id, label: snapshot.name }));
+    options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+
+    if (options.some(option => option.value === previous)) select.value = previous;
+}
+
+/**
+ * Renders the stored snapshots, each with a button to delete it
+ * @param {HTMLElement} list - List element to render into
+ * @param {SnapshotInfo[]} snapshots - Snapshots, newest first
+ * @param {Object} options
+ * @param {(bytes: number) => string} options.formatSize - Formats byte counts
+ * @param {(snapshot: SnapshotInfo) => void} options.onRemove - Called to delete a snapshot
+ * @param {number} [options.now=Date.now()] - Current time, for when snapshots were taken
+ */
+export function showSnapshotList(list, snapshots, { formatSize, onRemove, now = Date.now() }) {
+    list.innerHTML = '';
+
+    if (snapshots.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'trash-empty';
+        empty.textContent = 'No snapshots yet';
+        list.appendChild(empty);
+        return;
+    }
+
+    snapshots.forEach(snapshot => {
+        const item = document.createElement('li');
+        item.className = 'trash-item snapshot-item';
+
+        const details = document.createElement('div');
+        details.className = 'trash-details';
+        const name = document.createElement('span');
+        name.className = 'trash-name';
+        name.textContent = snapshot.name;
+        const meta = document.createElement('span');
+        meta.className = 'trash-meta';
+        meta.textContent = describeSnapshot(snapshot, formatSize, now);
+        meta.title = new Date(snapshot.createdAt).toLocaleString();
+        details.append(name, meta);
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-danger requires-write';
+        remove.textContent = 'Delete';
+        remove.onclick = () => onRemove(snapshot);
+
+        item.append(details, remove);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Renders the differences a comparison found, grouped by kind. Entries that
+ * are not gone can be clicked.
+ * @param {HTMLElement} list - List element to render into
+ * @param {SnapshotDiff} diff - Comparison result
+ * @param {Object} options
+ * @param {(bytes: number) => string} options.formatSize - Formats byte counts
+ * @param {(entry: { path: string, type: string }) => void} options.onSelect - Called when an entry is clicked
+ */
+export function showSnapshotDiff(list, diff, { formatSize, onSelect }) {
+    list.innerHTML = '';
+
+    Object.entries(DIFF_CLASSES).forEach(([kind, className]) => {
+        diff[kind].forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `snapshot-diff ${className}`;
+
+            const label = document.createElement('span');
+            label.className = 'snapshot-kind';
+            label.textContent = DIFF_LABELS[kind];
+            const path = document.createElement('span');
+            path.className = 'snapshot-path';
+            path.textContent = entry.type === 'directory' ? `${entry.path}/` : entry.path;
+            const detail = document.createElement('span');
+            detail.className = 'trash-meta';
+            detail.textContent = diffDetail(kind, entry, formatSize);
+            item.append(label, path, detail);
+
+            if (kind !== 'removed') {
+                item.classList.add('selectable');
+                item.onclick = () => onSelect(entry);
+            }
+            list.appendChild(item);
+        });
+    });
+}
+
+/**
+ * Describes the sizes of one difference
+ * @param {'added' | 'removed' | 'changed'} kind - Kind of difference
+ * @param {Object} entry - Entry of the comparison
+ * @param {(bytes: number) => string} formatSize - Formats byte counts
+ * @returns {string}
+ */
+function diffDetail(kind, entry, formatSize) {
+    if (kind !== 'changed') {
+        return entry.type === 'file' ? formatSize(entry.size) : '';
+    }
+    if (entry.fields.includes('type')) {
+        return `${entry.before.type} → ${entry.after.type}`;
+    }
+    if (entry.fields.includes('size')) {
+        return `${formatSize(entry.before.size)} → ${formatSize(entry.after.size)}`;
+    }
+    return entry.fields.includes('hash') ? 'contents' : 'modified time';
+}
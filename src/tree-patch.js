@@ -0,0 +1,195 @@
+import * as d3 from 'd3';
+
+/**
+ * @typedef {import('../server/tree-cache.js').PatchOp} PatchOp
+ * @typedef {import('../server/tree-cache.js').TreeNode} TreeNode
+ */
+
+/**
+ * Maps every node of a hierarchy by its path
+ * @param {d3.HierarchyNode} root - Root of the hierarchy
+ * @returns {Map<string, d3.HierarchyNode>}
+ */
+export function indexByPath(root) {
+    return new Map(root.descendants().map(d => [d.data.path, d]));
+}
+
+/**
+ * Returns the parent path of a node path
+ * @param {string} path - Node path
+ * @returns {string} Parent path, '/' for top-level entries
+ */
+export function parentPath(path) {
+    const index = path.lastIndexOf('/');
+    return index > 0 ? path.slice(0, index) : '/';
+}
+
+/**
+ * Checks whether a node has entries of its own: a directory, or a link the
+ * server follows to one
+ * @param {TreeNode} data - Node data
+ * @returns {boolean}
+ */
+export function hasEntries(data) {
+    return data.type === 'directory' || Boolean(data.followed);
+}
+
+/**
+ * Checks whether a directory node holds only part of its children, either
+ * because it has not been loaded yet or because further pages are pending
+ * @param {TreeNode} data - Node data
+ * @returns {boolean}
+ */
+export function isPartial(data) {
+    if (!hasEntries(data)) return false;
+    return !data.children || data.children.length < (data.total ?? 0);
+}
+
+/**
+ * Applies server patch operations to an existing d3 hierarchy in place,
+ * keeping the underlying data objects in sync. Operations on parts of the
+ * tree that have not been loaded are skipped.
+ * @param {d3.HierarchyNode} root - Root of the hierarchy
+ * @param {PatchOp[]} ops - Operations in the order the server produced them
+ * @returns {boolean} False if an operation contradicts the local tree and a resync is needed
+ */
+export function applyPatch(root, ops) {
+    const index = indexByPath(root);
+
+    /**
+     * Decides whether a missing path may legitimately be unknown to us
+     * @param {string} path - Path that was not found
+     * @returns {boolean}
+     */
+    const notLoaded = path => {
+        let ancestor = parentPath(path);
+        while (!index.has(ancestor)) ancestor = parentPath(ancestor);
+        return isPartial(index.get(ancestor).data);
+    };
+
+    const add = (parent, data) => {
+        const existing = index.get(data.path);
+        if (existing) remove(existing);
+
+        const child = d3.hierarchy(data);
+        attach(parent, child);
+        child.descendants().forEach(d => index.set(d.data.path, d));
+    };
+
+    const remove = node => {
+        detach(node);
+        node.descendants().forEach(d => index.delete(d.data.path));
+    };
+
+    for (const op of ops) {
+        if (op.op === 'add') {
+            const parent = index.get(op.parent);
+            if (!parent) {
+                if (notLoaded(op.parent)) continue;
+                return false;
+            }
+            if (!parent.data.children) continue;
+
+            add(parent, op.node);
+        } else if (op.op === 'remove') {
+            const node = index.get(op.path);
+            if (!node) {
+                if (!notLoaded(op.path)) return false;
+                // The node sat on a page we have not fetched, only the count changes
+                const parent = index.get(parentPath(op.path));
+                if (parent?.data.total) parent.data.total--;
+                continue;
+            }
+
+            remove(node);
+        } else if (op.op === 'modify') {
+            const node = index.get(op.path);
+            if (!node) {
+                if (notLoaded(op.path)) continue;
+                return false;
+            }
+
+            Object.assign(node.data, op.changes);
+        } else if (op.op === 'rename') {
+            const node = index.get(op.from);
+            const parent = index.get(op.parent);
+
+            // Only one side of the move is loaded: treat it as a plain add or remove
+            if (!node && !notLoaded(op.from)) return false;
+            if (!parent && !notLoaded(op.parent)) return false;
+            if (!node || !parent || !parent.data.children) {
+                if (node) remove(node);
+                if (parent?.data.children) add(parent, op.node);
+                continue;
+            }
+
+            detach(node);
+            node.descendants().forEach(d => {
+                index.delete(d.data.path);
+                d.data.path = op.to + d.data.path.slice(op.from.length);
+            });
+            node.data.name = op.to.split('/').pop();
+            attach(parent, node);
+            node.descendants().forEach(d => index.set(d.data.path, d));
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Adds a page of children received from the server to a directory node.
+ * Children that are already present are replaced.
+ * @param {d3.HierarchyNode} root - Root of the hierarchy
+ * @param {{ path: string, total: number, children: TreeNode[] }} page - Page sent by the server
+ * @returns {boolean} False if the directory is not part of the hierarchy
+ */
+export function appendChildren(root, page) {
+    const node = root.descendants().find(d => d.data.path === page.path);
+    if (!node) return false;
+
+    if (!node.data.children) node.data.children = [];
+
+    for (const data of page.children) {
+        const existing = node.children?.find(d => d.data.path === data.path);
+        if (existing) detach(existing);
+        attach(node, d3.hierarchy(data));
+    }
+
+    node.data.total = page.total;
+    return true;
+}
+
+/**
+ * Appends a node to a parent, fixing depths of the moved subtree
+ * @param {d3.HierarchyNode} parent - New parent
+ * @param {d3.HierarchyNode} node - Node to attach
+ */
+function attach(parent, node) {
+    node.parent = parent;
+    node.eachBefore(d => { d.depth = d.parent.depth + 1; });
+
+    if (!parent.children) parent.children = [];
+    parent.children.push(node);
+
+    if (!parent.data.children) parent.data.children = [];
+    parent.data.children.push(node.data);
+    if (parent.data.total !== undefined) parent.data.total++;
+}
+
+/**
+ * Removes a node from its parent. Like d3.hierarchy, a parent left
+ * without children loses its children array.
+ * @param {d3.HierarchyNode} node - Node to detach
+ */
+function detach(node) {
+    const parent = node.parent;
+    if (!parent) return;
+
+    parent.children = parent.children.filter(d => d !== node);
+    if (parent.children.length === 0) delete parent.children;
+
+    parent.data.children = parent.data.children.filter(d => d !== node.data);
+    if (parent.data.total !== undefined) parent.data.total--;
+    node.parent = null;
+}
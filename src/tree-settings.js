@@ -0,0 +1,148 @@
+import { compareBy, extensionOf } from './metadata.js';
+import { hasEntries } from './tree-patch.js';
+
+/**
+ * @typedef {import('../server/tree-cache.js').TreeNode} TreeNode
+ */
+
+/**
+ * @typedef {Object} TreeSettings
+ * @property {string} sort - Field siblings are ordered by, a key of SORT_FIELDS
+ * @property {boolean} directoriesFirst - Whether directories come before files
+ * @property {'all' | 'file' | 'directory' | 'symlink'} type - Kind of entries that match the filter
+ * @property {string} extensions - Extensions that match, separated by commas or spaces; all when empty
+ * @property {string} minSize - Smallest matching size, e.g. `10 KB`; no limit when empty
+ * @property {string} maxSize - Largest matching size; no limit when empty
+ * @property {string} from - Earliest matching modification day, `YYYY-MM-DD`; no limit when empty
+ * @property {string} to - Latest matching modification day, included; no limit when empty
+ */
+
+/** @type {TreeSettings} */
+export const DEFAULT_SETTINGS = {
+    sort: 'name',
+    directoriesFirst: true,
+    type: 'all',
+    extensions: '',
+    minSize: '',
+    maxSize: '',
+    from: '',
+    to: ''
+};
+
+const STORAGE_PREFIX = 'wfm:tree-settings:';
+const DAY = 24 * 60 * 60 * 1000;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+/**
+ * Reads the settings saved for a project
+ * @param {Storage} storage - Where settings are kept, usually localStorage
+ * @param {string} project - Project path
+ * @returns {TreeSettings} Saved settings over the defaults
+ */
+export function loadSettings(storage, project) {
+    try {
+        const saved = JSON.parse(storage.getItem(STORAGE_PREFIX + project));
+        return { ...DEFAULT_SETTINGS, ...(saved && typeof saved === 'object' ? saved : {}) };
+    } catch (err) {
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Saves the settings of a project
+ * @param {Storage} storage - Where settings are kept
+ * @param {string} project - Project path
+ * @param {TreeSettings} settings - Settings to keep
+ */
+export function saveSettings(storage, project, settings) {
+    try {
+        storage.setItem(STORAGE_PREFIX + project, JSON.stringify(settings));
+    } catch (err) {
+        // Storage may be full or disabled; the settings then last for the session
+    }
+}
+
+/**
+ * Parses a size such as `512`, `10kb` or `1.5 MB`
+ * @param {string} text - Size with an optional unit, in powers of 1024
+ * @returns {number | null} Bytes, null when empty or not a size
+ */
+export function parseSize(text) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([kmgt]?b)?\s*$/i.exec(text || '');
+    if (!match) return null;
+    return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Splits a list of extensions, adding missing dots
+ * @param {string} text - Extensions separated by commas or spaces, e.g. `js, .ts`
+ * @returns {string[]} Lower-case extensions with their dot
+ */
+export function parseExtensions(text) {
+    return (text || '').split(/[\s,]+/).filter(Boolean)
+        .map(extension => (extension.startsWith('.') ? extension : `.${extension}`).toLowerCase());
+}
+
+/**
+ * Builds the test of the filter settings
+ * @param {TreeSettings} settings - Filter settings
+ * @returns {((data: TreeNode) => boolean) | null} Null when no filter is set
+ */
+export function createNodeFilter(settings) {
+    const tests = [];
+
+    if (settings.type !== 'all') tests.push(data => data.type === settings.type);
+
+    const extensions = parseExtensions(settings.extensions);
+    if (extensions.length) tests.push(data => data.type === 'file' && extensions.includes(extensionOf(data)));
+
+    const minSize = parseSize(settings.minSize);
+    const maxSize = parseSize(settings.maxSize);
+    if (minSize !== null) tests.push(data => data.size != null && data.size >= minSize);
+    if (maxSize !== null) tests.push(data => data.size != null && data.size <= maxSize);
+
+    // Days are local days; the last one counts in full
+    const from = settings.from ? new Date(`${settings.from}T00:00`).getTime() : NaN;
+    const to = settings.to ? new Date(`${settings.to}T00:00`).getTime() + DAY : NaN;
+    if (!Number.isNaN(from)) tests.push(data => data.mtime != null && data.mtime >= from);
+    if (!Number.isNaN(to)) tests.push(data => data.mtime != null && data.mtime < to);
+
+    return tests.length ? data => tests.every(test => test(data)) : null;
+}
+
+/**
+ * Works out which nodes a filter leaves visible: the matches and their
+ * ancestors. Directories whose children are not loaded stay visible, as they
+ * may hold matches.
+ * @param {TreeNode} root - Root node data
+ * @param {(data: TreeNode) => boolean} matches - Filter test
+ * @param {(data: TreeNode) => boolean} [isVisible] - Leaves out nodes, and everything below them, it rejects
+ * @returns {Set<string>} Paths of the visible nodes, the root included
+ */
+export function filterTree(root, matches, isVisible = () => true) {
+    const visible = new Set([root.path]);
+
+    const visit = data => {
+        if (!isVisible(data)) return false;
+        let shown = matches(data) || (hasEntries(data) && !data.children);
+        for (const child of data.children || []) {
+            if (visit(child)) shown = true;
+        }
+        if (shown) visible.add(data.path);
+        return shown;
+    };
+
+    (root.children || []).forEach(visit);
+    return visible;
+}
+
+/**
+ * Builds the comparator of the sort settings
+ * @param {TreeSettings} settings - Sort settings
+ * @returns {(a: TreeNode, b: TreeNode) => number}
+ */
+export function createComparator(settings) {
+    const compare = compareBy(settings.sort);
+    if (!settings.directoriesFirst) return compare;
+    return (a, b) => (hasEntries(a) ? 0 : 1) - (hasEntries(b) ? 0 : 1) || compare(a, b);
+}
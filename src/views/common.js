@@ -0,0 +1,107 @@
+import * as d3 from 'd3';
+
+/**
+ * @typedef {import('../../server/tree-cache.js').TreeNode} TreeNode
+ */
+
+/**
+ * @typedef {Object} ZoomLayer
+ * @property {d3.Selection} layer - Group that receives the zoom transform
+ * @property {(bounds: [[number, number], [number, number]]) => void} fitBounds - Zooms so the bounds fill the view
+ * @property {(x: number, y: number) => void} centerOn - Pans a point to the middle of the view
+ */
+
+const DURATION = 300;
+const MAX_FIT_SCALE = 1.5;
+
+/**
+ * Sets the classes that tell kinds of entries apart: ignored entries, links
+ * and broken links
+ * @param {d3.Selection} selection - Elements bound to hierarchy nodes
+ */
+export function classifyEntries(selection) {
+    selection
+        .classed('ignored', d => Boolean(d.data.ignored))
+        .classed('symlink', d => d.data.type === 'symlink')
+        .classed('broken', d => d.data.type === 'symlink' && d.data.target === null);
+}
+
+/**
+ * Adds a pannable, zoomable layer to an SVG element
+ * @param {d3.Selection} svg - SVG selection
+ * @returns {ZoomLayer}
+ */
+export function createZoomLayer(svg) {
+    const layer = svg.append('g');
+
+    const zoom = d3.zoom()
+        .scaleExtent([0.05, 4])
+        .on('zoom', event => layer.attr('transform', event.transform));
+
+    svg.call(zoom).on('dblclick.zoom', null);
+
+    function fitBounds([[x0, y0], [x1, y1]]) {
+        const { width, height } = svg.node().getBoundingClientRect();
+        if (!width || !height) return;
+
+        const scale = Math.min(width / (x1 - x0), height / (y1 - y0), MAX_FIT_SCALE);
+        const transform = d3.zoomIdentity
+            .translate(width / 2, height / 2)
+            .scale(scale)
+            .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+
+        svg.transition().duration(DURATION).call(zoom.transform, transform);
+    }
+
+    function centerOn(x, y) {
+        const { width, height } = svg.node().getBoundingClientRect();
+        const scale = Math.max(d3.zoomTransform(svg.node()).k, 1);
+        const transform = d3.zoomIdentity
+            .translate(width / 2, height / 2)
+            .scale(scale)
+            .translate(-x, -y);
+
+        svg.transition().duration(DURATION).call(zoom.transform, transform);
+    }
+
+    return { layer, fitBounds, centerOn };
+}
+
+/**
+ * Returns the children of a node that a view shows
+ * @param {TreeNode} data - Node data
+ * @param {Set<string>} [collapsed] - Paths of directories whose children are left out
+ * @param {(data: TreeNode) => boolean} [isVisible] - Filters children; all are shown without it
+ * @returns {TreeNode[] | null}
+ */
+export function visibleChildren(data, collapsed, isVisible) {
+    if (!data.children || collapsed?.has(data.path)) return null;
+    return isVisible ? data.children.filter(isVisible) : data.children;
+}
+
+/**
+ * Builds a hierarchy whose node values are the summed file sizes below them,
+ * largest first. Directories whose children are not shown count with their
+ * total size.
+ * @param {TreeNode} data - Root node data
+ * @param {Set<string>} [collapsed] - Paths of directories whose children are left out
+ * @param {(data: TreeNode) => boolean} [isVisible] - Filters children; all are shown without it
+ * @returns {d3.HierarchyNode}
+ */
+export function sizedHierarchy(data, collapsed, isVisible) {
+    return d3.hierarchy(data, d => visibleChildren(d, collapsed, isVisible))
+        .sum(d => d.type === 'file' || !visibleChildren(d, collapsed, isVisible) ? d.size || 0 : 0)
+        .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Shortens a label to roughly fit the given width
+ * @param {string} text - Label text
+ * @param {number} width - Available width in pixels
+ * @returns {string} The label, truncated with an ellipsis if needed
+ */
+export function fitLabel(text, width) {
+    const maxChars = Math.floor(width / 7);
+    if (text.length <= maxChars) return text;
+    return maxChars > 1 ? `${text.slice(0, maxChars - 1)}…` : '';
+}
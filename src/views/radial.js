@@ -0,0 +1,139 @@
+import * as d3 from 'd3';
+import { hasEntries } from '../tree-patch.js';
+import { classifyEntries, createZoomLayer, sizedHierarchy } from './common.js';
+
+/**
+ * @typedef {import('./tree.js').View} View
+ * @typedef {import('../../server/tree-cache.js').TreeNode} TreeNode
+ */
+
+// Distance between rings and the range of node radii
+const RING_WIDTH = 120;
+const MIN_RADIUS = 3;
+const MAX_RADIUS = 18;
+
+/**
+ * Creates a radial tree whose node circles are scaled by the size below them
+ * @param {string} selector - Selector of the container element
+ * @param {Object} options
+ * @param {(data: TreeNode) => void} options.onClick - Called when a node is clicked
+ * @param {(data: TreeNode) => string} options.label - Returns the text shown next to a node
+ * @param {(value: number) => string} options.formatSize - Formats byte counts for tooltips
+ * @param {(event: MouseEvent, data: TreeNode) => void} [options.onContextMenu] - Called when a node is right-clicked
+ * @param {(data: TreeNode) => string | undefined} [options.gitStatus] - Returns a node's git status, shown as its color
+ * @returns {View}
+ */
+export function createRadialView(selector, { onClick, onContextMenu, label, formatSize, gitStatus }) {
+    const svg = d3.select(selector)
+        .append('svg')
+        .attr('class', 'view radial')
+        .attr('width', '100%')
+        .attr('height', '100%');
+
+    const { layer, fitBounds, centerOn } = createZoomLayer(svg);
+    const linkLayer = layer.append('g');
+    const nodeLayer = layer.append('g');
+
+    /** @type {d3.HierarchyNode | null} */
+    let visibleRoot = null;
+    let outerRadius = 0;
+
+    const project = d => [d.y * Math.cos(d.x - Math.PI / 2), d.y * Math.sin(d.x - Math.PI / 2)];
+
+    function render(root, collapsed, isVisible) {
+        const firstRender = visibleRoot === null;
+
+        visibleRoot = sizedHierarchy(root.data, collapsed, isVisible);
+        outerRadius = Math.max(visibleRoot.height, 1) * RING_WIDTH;
+
+        d3.tree()
+            .size([2 * Math.PI, outerRadius])
+            .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth)(visibleRoot);
+
+        const radiusScale = d3.scaleSqrt()
+            .domain([0, visibleRoot.value || 1])
+            .range([MIN_RADIUS, MAX_RADIUS]);
+
+        // Links
+        const links = linkLayer.selectAll('.link')
+            .data(visibleRoot.links(), d => d.target.data.path);
+
+        links.exit().remove();
+
+        links.enter()
+            .append('path')
+            .attr('class', 'link')
+            .merge(links)
+            .attr('d', d3.linkRadial()
+                .angle(d => d.x)
+                .radius(d => d.y));
+
+        // Nodes
+        const nodes = nodeLayer.selectAll('.node')
+            .data(visibleRoot.descendants(), d => d.data.path);
+
+        nodes.exit().remove();
+
+        const nodesEnter = nodes.enter()
+            .append('g')
+            .attr('class', 'node');
+
+        nodesEnter.append('circle');
+        nodesEnter.append('text')
+            .attr('dy', '.31em');
+        nodesEnter.append('title');
+
+        const allNodes = nodesEnter.merge(nodes)
+            .attr('transform', d => `rotate(${d.x * 180 / Math.PI - 90}) translate(${d.y},0)`)
+            .classed('collapsed', d => collapsed.has(d.data.path) || (hasEntries(d.data) && !d.data.children))
+            .call(classifyEntries)
+            .attr('data-git', d => gitStatus?.(d.data) ?? null)
+            .on('click', (event, d) => onClick(d.data))
+            .on('contextmenu', (event, d) => {
+                if (!onContextMenu) return;
+                event.preventDefault();
+                onContextMenu(event, d.data);
+            });
+
+        allNodes.select('circle')
+            .attr('r', d => radiusScale(d.value));
+
+        // Labels on the left half are flipped so they stay readable
+        allNodes.select('text')
+            .attr('x', d => (d.x < Math.PI) === !d.children ? 6 + radiusScale(d.value) : -6 - radiusScale(d.value))
+            .attr('text-anchor', d => (d.x < Math.PI) === !d.children ? 'start' : 'end')
+            .attr('transform', d => d.x >= Math.PI ? 'rotate(180)' : null)
+            .text(d => label(d.data));
+
+        allNodes.select('title')
+            .text(d => `${d.data.path}\n${formatSize(d.value)}`);
+
+        if (firstRender) fit();
+    }
+
+    function fit() {
+        if (!visibleRoot) return;
+
+        // Leave room for labels around the outermost ring
+        const extent = outerRadius + RING_WIDTH;
+        fitBounds([[-extent, -extent], [extent, extent]]);
+    }
+
+    function focus(path) {
+        const node = visibleRoot?.descendants().find(d => d.data.path === path);
+        if (!node) return false;
+
+        centerOn(...project(node));
+        return true;
+    }
+
+    function highlight(path) {
+        nodeLayer.selectAll('.node').classed('selected', d => d.data.path === path);
+    }
+
+    function mark(className, paths) {
+        nodeLayer.selectAll('.node').classed(className, d => paths.has(d.data.path));
+    }
+
+    return { element: svg.node(), render, fit, focus, highlight, mark };
+}
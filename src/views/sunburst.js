@@ -0,0 +1,192 @@
+import * as d3 from 'd3';
+import { classifyEntries, fitLabel, sizedHierarchy } from './common.js';
+import { parentPath } from '../tree-patch.js';
+
+/**
+ * @typedef {import('./tree.js').View} View
+ * @typedef {import('../../server/tree-cache.js').TreeNode} TreeNode
+ */
+
+// Number of rings shown around the center at once
+const RINGS = 3;
+const DURATION = 500;
+
+/**
+ * Creates a zoomable sunburst of file sizes. Clicking a directory zooms into it,
+ * clicking the center zooms back out.
+ * @param {string} selector - Selector of the container element
+ * @param {Object} options
+ * @param {(data: TreeNode) => void} options.onClick - Called when a segment is clicked
+ * @param {(value: number) => string} options.formatSize - Formats byte counts for tooltips
+ * @param {(event: MouseEvent, data: TreeNode) => void} [options.onContextMenu] - Called when a node is right-clicked
+ * @param {(data: TreeNode) => string | undefined} [options.gitStatus] - Returns a node's git status, shown as its color
+ * @returns {View}
+ */
+export function createSunburstView(selector, { onClick, onContextMenu, formatSize, gitStatus }) {
+    const svg = d3.select(selector)
+        .append('svg')
+        .attr('class', 'view sunburst')
+        .attr('width', '100%')
+        .attr('height', '100%');
+
+    const layer = svg.append('g');
+    const color = d3.scaleOrdinal(d3.schemeTableau10);
+
+    const center = layer.append('circle')
+        .attr('class', 'sunburst-center')
+        .on('click', () => {
+            if (focused?.parent) zoomTo(focused.parent, DURATION);
+        });
+
+    /** @type {d3.HierarchyNode | null} */
+    let hierarchy = null;
+    /** @type {d3.HierarchyNode | null} */
+    let focused = null;
+    let focusedPath = '/';
+    let selectedPath = null;
+    let radius = 0;
+    // Arc currently drawn by each path element, the start of its next transition
+    const drawnArcs = new WeakMap();
+
+    const arc = d3.arc()
+        .startAngle(d => d.x0)
+        .endAngle(d => d.x1)
+        .padAngle(d => Math.min((d.x1 - d.x0) / 2, 0.005))
+        .padRadius(() => radius * 1.5)
+        .innerRadius(d => d.y0 * radius)
+        .outerRadius(d => Math.max(d.y0 * radius, d.y1 * radius - 1));
+
+    const arcVisible = d => d.y1 <= RINGS + 1 && d.y0 >= 1 && d.x1 > d.x0;
+    const labelVisible = d => arcVisible(d) && (d.y1 - d.y0) * (d.x1 - d.x0) > 0.03;
+
+    function labelTransform(d) {
+        const x = (d.x0 + d.x1) / 2 * 180 / Math.PI;
+        const y = (d.y0 + d.y1) / 2 * radius;
+        return `rotate(${x - 90}) translate(${y},0) rotate(${x < 180 ? 0 : 180})`;
+    }
+
+    function render(root, collapsed, isVisible) {
+        const { width, height } = svg.node().getBoundingClientRect();
+        if (!width || !height) return;
+
+        radius = Math.min(width, height) / ((RINGS + 1) * 2);
+        layer.attr('transform', `translate(${width / 2},${height / 2})`);
+        center.attr('r', radius);
+
+        // Like the treemap, the sunburst ignores collapse state
+        hierarchy = sizedHierarchy(root.data, undefined, isVisible);
+        d3.partition().size([2 * Math.PI, hierarchy.height + 1])(hierarchy);
+
+        // Stay zoomed into the same directory, or its closest surviving ancestor
+        const byPath = new Map(hierarchy.descendants().map(d => [d.data.path, d]));
+        while (!byPath.has(focusedPath)) focusedPath = parentPath(focusedPath);
+        focused = byPath.get(focusedPath);
+
+        const segments = layer.selectAll('.segment')
+            .data(hierarchy.descendants().slice(1), d => d.data.path);
+
+        segments.exit().remove();
+
+        const segmentsEnter = segments.enter()
+            .append('g')
+            .attr('class', 'segment');
+
+        segmentsEnter.append('path');
+        segmentsEnter.append('text')
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'middle');
+        segmentsEnter.append('title');
+
+        const allSegments = segmentsEnter.merge(segments)
+            .classed('selected', d => d.data.path === selectedPath)
+            .call(classifyEntries)
+            .attr('data-git', d => gitStatus?.(d.data) ?? null)
+            .on('click', (event, d) => {
+                if (d.children) zoomTo(d, DURATION);
+                onClick(d.data);
+            })
+            .on('contextmenu', (event, d) => {
+                if (!onContextMenu) return;
+                event.preventDefault();
+                onContextMenu(event, d.data);
+            });
+
+        allSegments.select('path')
+            .attr('fill', d => {
+                const top = d.ancestors().find(a => a.depth === 1);
+                return d3.color(color(top.data.name)).darker(d.depth > 1 ? 0.3 : 0);
+            })
+            .style('cursor', d => d.children ? 'pointer' : 'default');
+
+        allSegments.select('title')
+            .text(d => `${d.data.path}\n${formatSize(d.value)}`);
+
+        zoomTo(focused, 0);
+    }
+
+    /**
+     * Zooms so that the given node fills the full circle
+     * @param {d3.HierarchyNode} target - Node to zoom into
+     * @param {number} duration - Transition duration in milliseconds
+     */
+    function zoomTo(target, duration) {
+        focused = target;
+        focusedPath = target.data.path;
+
+        hierarchy.each(d => {
+            d.current = {
+                x0: Math.max(0, Math.min(1, (d.x0 - target.x0) / (target.x1 - target.x0))) * 2 * Math.PI,
+                x1: Math.max(0, Math.min(1, (d.x1 - target.x0) / (target.x1 - target.x0))) * 2 * Math.PI,
+                y0: Math.max(0, d.y0 - target.depth),
+                y1: Math.max(0, d.y1 - target.depth)
+            };
+        });
+
+        const transition = layer.transition().duration(duration);
+        const segments = layer.selectAll('.segment');
+
+        segments.select('path')
+            .transition(transition)
+            .attr('fill-opacity', d => arcVisible(d.current) ? (d.children ? 0.8 : 0.6) : 0)
+            .attr('pointer-events', d => arcVisible(d.current) ? 'auto' : 'none')
+            .attrTween('d', function (d) {
+                const interpolate = d3.interpolate(drawnArcs.get(this) || d.current, d.current);
+                drawnArcs.set(this, d.current);
+                return t => arc(interpolate(t));
+            });
+
+        segments.select('text')
+            .text(d => fitLabel(d.data.name, (d.current.y1 - d.current.y0) * radius - 8))
+            .transition(transition)
+            .attr('fill-opacity', d => +labelVisible(d.current))
+            .attr('transform', d => labelTransform(d.current));
+
+        center.classed('zoomed', focused.depth > 0);
+    }
+
+    function highlight(path) {
+        selectedPath = path;
+        layer.selectAll('.segment').classed('selected', d => d.data.path === path);
+    }
+
+    function mark(className, paths) {
+        layer.selectAll('.segment').classed(className, d => paths.has(d.data.path));
+    }
+
+    function focus(path) {
+        const node = hierarchy?.descendants().find(d => d.data.path === path);
+        if (!node) return false;
+
+        zoomTo(node.children ? node : node.parent, DURATION);
+        return true;
+    }
+
+    return {
+        element: svg.node(),
+        render,
+        fit: () => hierarchy && zoomTo(hierarchy, DURATION),
+        focus,
+        highlight,
+        mark
+    };
+}
@@ -0,0 +1,196 @@
+import * as d3 from 'd3';
+import { hasEntries, parentPath } from '../tree-patch.js';
+import { classifyEntries, createZoomLayer, visibleChildren } from './common.js';
+
+/**
+ * @typedef {import('../../server/tree-cache.js').TreeNode} TreeNode
+ */
+
+/**
+ * Interface shared by all views of the project hierarchy
+ * @typedef {Object} View
+ * @property {SVGSVGElement} element - Root element of the view
+ * @property {(root: d3.HierarchyNode, collapsed: Set<string>, isVisible?: (data: TreeNode) => boolean) => void} render -
+ *     Draws the visible part of a hierarchy, leaving out collapsed directories' children and entries `isVisible` rejects
+ * @property {() => void} fit - Zooms so that the whole visible content fits the container
+ * @property {(path: string) => boolean} focus - Brings a node into view, returns false if it is not visible
+ * @property {(path: string) => void} highlight - Marks the node with the given path as selected
+ * @property {(className: string, paths: Set<string>) => void} mark - Sets a class on the nodes with the given paths
+ *     and removes it from all others, e.g. to mark search results
+ */
+
+// Vertical distance between sibling rows and horizontal distance between levels
+const NODE_HEIGHT = 24;
+const LEVEL_WIDTH = 180;
+const DURATION = 300;
+
+/**
+ * Creates the collapsible, zoomable node-link tree view
+ * @param {string} selector - Selector of the container element
+ * @param {Object} options
+ * @param {(data: TreeNode) => void} options.onClick - Called when a node is clicked
+ * @param {(data: TreeNode) => string} options.label - Returns the text shown next to a node
+ * @param {(event: MouseEvent, data: TreeNode) => void} [options.onContextMenu] - Called when a node is right-clicked
+ * @param {(data: TreeNode) => string | undefined} [options.gitStatus] - Returns a node's git status, shown as its color
+ * @returns {View}
+ */
+export function createTreeView(selector, { onClick, onContextMenu, label, gitStatus }) {
+    const svg = d3.select(selector)
+        .append('svg')
+        .attr('class', 'view')
+        .attr('width', '100%')
+        .attr('height', '100%');
+
+    const { layer, fitBounds, centerOn } = createZoomLayer(svg);
+    const linkLayer = layer.append('g');
+    const nodeLayer = layer.append('g');
+
+    /** @type {d3.HierarchyNode | null} */
+    let visibleRoot = null;
+    // Positions of the previous render, so nodes move from where they were
+    let positions = new Map();
+
+    /**
+     * Returns the position an entering or exiting node animates from or to:
+     * that of its closest ancestor with a known position
+     * @param {string} path - Node path
+     * @param {Map<string, {x: number, y: number}>} known - Positions to look up
+     * @returns {{x: number, y: number}}
+     */
+    function anchorOf(path, known) {
+        let current = path;
+        while (current !== '/') {
+            current = parentPath(current);
+            if (known.has(current)) return known.get(current);
+        }
+        return { x: 0, y: 0 };
+    }
+
+    function render(root, collapsed, isVisible) {
+        const firstRender = visibleRoot === null;
+
+        visibleRoot = d3.hierarchy(root.data, d => visibleChildren(d, collapsed, isVisible));
+        d3.tree().nodeSize([NODE_HEIGHT, LEVEL_WIDTH])(visibleRoot);
+
+        const current = new Map(visibleRoot.descendants().map(d => [d.data.path, { x: d.x, y: d.y }]));
+        const previous = positions;
+        positions = current;
+
+        const transition = svg.transition().duration(firstRender ? 0 : DURATION);
+        const link = d3.linkHorizontal().x(p => p.y).y(p => p.x);
+
+        // Links
+        const links = linkLayer.selectAll('.link')
+            .data(visibleRoot.links(), d => d.target.data.path);
+
+        links.exit()
+            .transition(transition)
+            .attr('d', d => {
+                const anchor = anchorOf(d.target.data.path, current);
+                return link({ source: anchor, target: anchor });
+            })
+            .remove();
+
+        links.enter()
+            .append('path')
+            .attr('class', 'link')
+            .attr('d', d => {
+                const anchor = anchorOf(d.target.data.path, previous);
+                return link({ source: anchor, target: anchor });
+            })
+            .merge(links)
+            .transition(transition)
+            .attr('d', link);
+
+        // Nodes
+        const nodes = nodeLayer.selectAll('.node')
+            .data(visibleRoot.descendants(), d => d.data.path);
+
+        nodes.exit()
+            .transition(transition)
+            .attr('transform', d => {
+                const anchor = anchorOf(d.data.path, current);
+                return `translate(${anchor.y},${anchor.x})`;
+            })
+            .style('opacity', 0)
+            .remove();
+
+        const nodesEnter = nodes.enter()
+            .append('g')
+            .attr('class', 'node')
+            .attr('transform', d => {
+                const anchor = anchorOf(d.data.path, previous);
+                return `translate(${anchor.y},${anchor.x})`;
+            })
+            .style('opacity', 0);
+
+        nodesEnter.append('circle')
+            .attr('r', 6);
+
+        nodesEnter.append('text')
+            .attr('dy', '.31em');
+
+        const allNodes = nodesEnter.merge(nodes)
+            .classed('collapsed', d => collapsed.has(d.data.path) || isUnloaded(d.data))
+            .call(classifyEntries)
+            .attr('data-git', d => gitStatus?.(d.data) ?? null)
+            .on('click', (event, d) => onClick(d.data))
+            .on('contextmenu', (event, d) => {
+                if (!onContextMenu) return;
+                event.preventDefault();
+                onContextMenu(event, d.data);
+            });
+
+        allNodes.transition(transition)
+            .attr('transform', d => `translate(${d.y},${d.x})`)
+            .style('opacity', 1);
+
+        allNodes.select('text')
+            .attr('x', d => d.children ? -8 : 8)
+            .style('text-anchor', d => d.children ? 'end' : 'start')
+            .text(d => label(d.data));
+
+        if (firstRender) fit();
+    }
+
+    function fit() {
+        if (!visibleRoot) return;
+
+        const descendants = visibleRoot.descendants();
+        const [minX, maxX] = d3.extent(descendants, d => d.x);
+        const [minY, maxY] = d3.extent(descendants, d => d.y);
+
+        // Leave room for labels on both sides and a row above and below
+        fitBounds([
+            [minY - LEVEL_WIDTH, minX - NODE_HEIGHT],
+            [maxY + LEVEL_WIDTH, maxX + NODE_HEIGHT]
+        ]);
+    }
+
+    function focus(path) {
+        const node = visibleRoot?.descendants().find(d => d.data.path === path);
+        if (!node) return false;
+
+        centerOn(node.y, node.x);
+        return true;
+    }
+
+    function highlight(path) {
+        nodeLayer.selectAll('.node').classed('selected', d => d.data.path === path);
+    }
+
+    function mark(className, paths) {
+        nodeLayer.selectAll('.node').classed(className, d => paths.has(d.data.path));
+    }
+
+    return { element: svg.node(), render, fit, focus, highlight, mark };
+}
+
+/**
+ * Checks whether a directory's children have not been fetched yet
+ * @param {TreeNode} data - Node data
+ * @returns {boolean}
+ */
+function isUnloaded(data) {
+    return hasEntries(data) && !data.children;
+}
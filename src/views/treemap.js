@@ -0,0 +1,122 @@
+import * as d3 from 'd3';
+import { classifyEntries, fitLabel, sizedHierarchy } from './common.js';
+
+/**
+ * @typedef {import('./tree.js').View} View
+ * @typedef {import('../../server/tree-cache.js').TreeNode} TreeNode
+ */
+
+// Height of the directory title strip and the smallest cell that still gets a label
+const HEADER_HEIGHT = 16;
+const MIN_LABEL_WIDTH = 30;
+
+/**
+ * Creates a squarified treemap of file sizes
+ * @param {string} selector - Selector of the container element
+ * @param {Object} options
+ * @param {(data: TreeNode) => void} options.onClick - Called when a cell is clicked
+ * @param {(value: number) => string} options.formatSize - Formats byte counts for tooltips
+ * @param {(event: MouseEvent, data: TreeNode) => void} [options.onContextMenu] - Called when a node is right-clicked
+ * @param {(data: TreeNode) => string | undefined} [options.gitStatus] - Returns a node's git status, shown as its color
+ * @returns {View}
+ */
+export function createTreemapView(selector, { onClick, onContextMenu, formatSize, gitStatus }) {
+    const svg = d3.select(selector)
+        .append('svg')
+        .attr('class', 'view treemap')
+        .attr('width', '100%')
+        .attr('height', '100%');
+
+    const color = d3.scaleOrdinal(d3.schemeTableau10);
+    let selectedPath = null;
+
+    function render(root, collapsed, isVisible) {
+        const { width, height } = svg.node().getBoundingClientRect();
+        if (!width || !height) return;
+
+        // Treemaps always show the whole tree, collapse state does not apply
+        const hierarchy = sizedHierarchy(root.data, undefined, isVisible);
+        d3.treemap()
+            .tile(d3.treemapSquarify)
+            .size([width, height])
+            .paddingOuter(2)
+            .paddingTop(HEADER_HEIGHT)
+            .paddingInner(1)
+            .round(true)(hierarchy);
+
+        // Empty files and directories have no area to draw
+        const cellData = hierarchy.descendants().filter(d => d.x1 - d.x0 > 0 && d.y1 - d.y0 > 0);
+
+        const cells = svg.selectAll('.cell')
+            .data(cellData, d => d.data.path);
+
+        cells.exit().remove();
+
+        const cellsEnter = cells.enter()
+            .append('g')
+            .attr('class', 'cell');
+
+        cellsEnter.append('rect');
+        cellsEnter.append('text')
+            .attr('x', 4)
+            .attr('y', 12);
+        cellsEnter.append('title');
+
+        const allCells = cellsEnter.merge(cells)
+            .attr('transform', d => `translate(${d.x0},${d.y0})`)
+            .classed('directory', d => d.data.type === 'directory')
+            .call(classifyEntries)
+            .attr('data-git', d => gitStatus?.(d.data) ?? null)
+            .classed('selected', d => d.data.path === selectedPath)
+            .on('click', (event, d) => {
+                event.stopPropagation();
+                onClick(d.data);
+            })
+            .on('contextmenu', (event, d) => {
+                if (!onContextMenu) return;
+                event.preventDefault();
+                onContextMenu(event, d.data);
+            });
+
+        allCells.select('rect')
+            .attr('width', d => d.x1 - d.x0)
+            .attr('height', d => d.y1 - d.y0)
+            .attr('fill', d => {
+                if (d.data.type === 'directory') return null;
+                const top = d.ancestors().find(a => a.depth === 1) || d;
+                return color(top.data.name);
+            });
+
+        allCells.select('text')
+            .text(d => {
+                const cellWidth = d.x1 - d.x0;
+                const fitsVertically = d.data.type === 'directory' || d.y1 - d.y0 > HEADER_HEIGHT;
+                return cellWidth > MIN_LABEL_WIDTH && fitsVertically ? fitLabel(d.data.name, cellWidth - 8) : '';
+            });
+
+        allCells.select('title')
+            .text(d => `${d.data.path}\n${formatSize(d.value)}`);
+
+        // Directories come first in the data, so their children are drawn on top
+        allCells.order();
+    }
+
+    function highlight(path) {
+        selectedPath = path;
+        svg.selectAll('.cell').classed('selected', d => d.data.path === path);
+    }
+
+    function mark(className, paths) {
+        svg.selectAll('.cell').classed(className, d => paths.has(d.data.path));
+    }
+
+    return {
+        element: svg.node(),
+        render,
+        // The treemap always fills the container
+        fit: () => {},
+        focus: path => !svg.selectAll('.cell').filter(d => d.data.path === path).empty(),
+        highlight,
+        mark
+    };
+}
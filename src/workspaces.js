@@ -0,0 +1,115 @@
+import { formatRelativeTime } from './metadata.js';
+
+/**
+ * @typedef {import('../server/workspace.js').WorkspaceRoot} WorkspaceRoot
+ * @typedef {import('../server/workspace.js').SavedWorkspace} SavedWorkspace
+ */
+
+/**
+ * Creates a small button of a list item that does not also click the item
+ * @param {string} label - Button text
+ * @param {string} title - Tooltip
+ * @param {() => void} action - Called on click
+ * @returns {HTMLButtonElement}
+ */
+function actionButton(label, title, action) {
+    const button = document.createElement('button');
+    button.className = 'recent-action';
+    button.textContent = label;
+    button.title = title;
+    button.onclick = event => {
+        event.stopPropagation();
+        action();
+    };
+    return button;
+}
+
+/**
+ * Creates the name and detail lines of a list item
+ * @param {string} name - Main line
+ * @param {string} detail - Smaller line below it
+ * @returns {HTMLDivElement}
+ */
+function itemInfo(name, detail) {
+    const info = document.createElement('div');
+    info.className = 'recent-info';
+    const title = document.createElement('span');
+    title.className = 'recent-name';
+    title.textContent = name;
+    const text = document.createElement('span');
+    text.className = 'recent-detail';
+    text.textContent = detail;
+    info.append(title, text);
+    return info;
+}
+
+/**
+ * Renders the folders of the open workspace, each with a button to take it out.
+ * The last folder cannot be removed.
+ * @param {HTMLElement} list - List element to render into
+ * @param {WorkspaceRoot[]} roots - Folders, in the order they are shown in the tree
+ * @param {Object} actions
+ * @param {(root: WorkspaceRoot) => void} actions.onRemove - Called to remove a folder from the workspace
+ */
+export function showWorkspaceRoots(list, roots, { onRemove }) {
+    list.innerHTML = '';
+
+    roots.forEach(root => {
+        const item = document.createElement('li');
+        item.className = 'directory-item workspace-root';
+        item.title = root.path;
+
+        const icon = document.createElement('i');
+        icon.textContent = '📂';
+
+        const actions = document.createElement('div');
+        actions.className = 'recent-actions';
+        if (roots.length > 1) {
+            actions.appendChild(actionButton('Remove', 'Remove from the workspace', () => onRemove(root)));
+        }
+
+        item.append(icon, itemInfo(root.name, root.path), actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Renders the saved workspaces, each with a button to delete it
+ * @param {HTMLElement} list - List element to render into
+ * @param {SavedWorkspace[]} saved - Workspaces, sorted by name
+ * @param {Object} actions
+ * @param {(workspace: SavedWorkspace) => void} actions.onOpen - Called when a workspace is clicked
+ * @param {(workspace: SavedWorkspace) => void} actions.onRemove - Called to delete a workspace
+ * @param {number} [now=Date.now()] - Current time, for when workspaces were saved
+ */
+export function showSavedWorkspaces(list, saved, { onOpen, onRemove }, now = Date.now()) {
+    list.innerHTML = '';
+
+    if (saved.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'recent-empty';
+        empty.textContent = 'No saved workspaces';
+        list.appendChild(empty);
+        return;
+    }
+
+    saved.forEach(workspace => {
+        const item = document.createElement('li');
+        item.className = 'directory-item saved-workspace';
+        item.title = workspace.roots.join('\n');
+        item.onclick = () => onOpen(workspace);
+
+        const icon = document.createElement('i');
+        icon.textContent = '🗂️';
+
+        const count = workspace.roots.length === 1 ? '1 folder' : `${workspace.roots.length} folders`;
+        const info = itemInfo(workspace.name, `${count} · saved ${formatRelativeTime(workspace.savedAt, now)}`);
+
+        const actions = document.createElement('div');
+        actions.className = 'recent-actions';
+        actions.appendChild(actionButton('Delete', 'Delete this workspace', () => onRemove(workspace)));
+
+        item.append(icon, info, actions);
+        list.appendChild(item);
+    });
+}
@@ -0,0 +1,57 @@
+import { describeEvent, heatLevels, showTimeline } from '../src/activity.js';
+
+describe('Activity client', () => {
+    const now = Date.UTC(2024, 0, 10);
+    const minute = 60 * 1000;
+    const formatSize = bytes => `${bytes} B`;
+
+    test('heats entries and their folders by their last change', () => {
+        const levels = heatLevels([
+            { time: now - 30 * 1000, type: 'modify', path: 'src/app.js', delta: 5 },
+            { time: now - 10 * minute, type: 'add', path: 'src/lib/util.js', delta: 5 },
+            { time: now - 5 * 60 * minute, type: 'modify', path: 'docs/guide.md', delta: 5 },
+            { time: now - 3 * 24 * 60 * minute, type: 'modify', path: 'old.txt', delta: 5 },
+            { time: now - 20 * 1000, type: 'remove', path: 'tmp.log', delta: -5 },
+            { time: now + minute, type: 'modify', path: 'later.txt', delta: 5 }
+        ], now);
+
+        expect([...levels.get('heat-3')].sort()).toEqual(['/', 'src', 'src/app.js']);
+        expect([...levels.get('heat-2')].sort()).toEqual(['src/lib', 'src/lib/util.js']);
+        expect([...levels.get('heat-1')].sort()).toEqual(['docs', 'docs/guide.md']);
+    });
+
+    test('describes events with their size change', () => {
+        expect(describeEvent({ type: 'modify', path: 'a.js', delta: 12 }, formatSize)).toBe('Modified a.js (+12 B)');
+        expect(describeEvent({ type: 'remove', path: 'b', delta: -40 }, formatSize)).toBe('Removed b (−40 B)');
+        expect(describeEvent({ type: 'rename', from: 'c', path: 'd', delta: 0 }, formatSize)).toBe('Renamed c → d');
+        expect(describeEvent({ type: 'rescan', path: '/', count: 1500, delta: 0 }, formatSize))
+            .toBe('Rescanned the project after 1500 changes');
+    });
+
+    test('lists events, dims the ones after the scrub time and selects existing entries', () => {
+        const list = document.createElement('ul');
+        const onSelect = jest.fn();
+        const events = [
+            { time: now - minute, type: 'remove', path: 'gone.txt', delta: -3 },
+            { time: now - 2 * minute, type: 'add', path: 'new.txt', kind: 'file', delta: 3 }
+        ];
+        showTimeline(list, events, { formatSize, onSelect, time: now - 90 * 1000, now });
+
+        const [removed, added] = list.querySelectorAll('.timeline-event');
+        expect(added.querySelector('.timeline-description').textContent).toBe('Added new.txt (+3 B)');
+        expect(added.querySelector('.timeline-time').textContent).toBe('2 minutes ago');
+        expect(removed.classList.contains('later')).toBe(true);
+        expect(added.classList.contains('later')).toBe(false);
+
+        removed.click();
+        added.click();
+        expect(onSelect).toHaveBeenCalledTimes(1);
+        expect(onSelect).toHaveBeenCalledWith(events[1]);
+    });
+
+    test('says when nothing has changed', () => {
+        const list = document.createElement('ul');
+        showTimeline(list, [], { formatSize, onSelect: jest.fn(), now });
+        expect(list.textContent).toBe('No changes seen yet');
+    });
+});
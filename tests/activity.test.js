@@ -0,0 +1,122 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ActivityLog, activityFromPatch, parseActivityQuery } from '../server/activity.js';
+
+describe('Activity from patches', () => {
+    const states = {
+        before: path => ({ 'old.txt': { size: 40, type: 'file' }, 'gone': { size: 300, type: 'directory' }, 'app.js': { size: 100, type: 'file' } })[path],
+        after: path => ({ 'new.txt': { size: 40, type: 'file' }, 'added.txt': { size: 12, type: 'file' }, 'app.js': { size: 150, type: 'file' }, 'src': { size: 900, type: 'directory' } })[path]
+    };
+
+    test('records additions, removals, renames and content changes with size deltas', () => {
+        const ops = [
+            { op: 'add', path: 'added.txt', node: { type: 'file' } },
+            { op: 'remove', path: 'gone' },
+            { op: 'rename', from: 'old.txt', to: 'new.txt', node: { type: 'file' } },
+            { op: 'modify', path: 'app.js', changes: { size: 150, mtime: 5 } }
+        ];
+
+        expect(activityFromPatch(ops, states, 1000)).toEqual([
+            { time: 1000, type: 'add', path: 'added.txt', kind: 'file', delta: 12 },
+            { time: 1000, type: 'remove', path: 'gone', kind: 'directory', delta: -300 },
+            { time: 1000, type: 'rename', path: 'new.txt', from: 'old.txt', kind: 'file', delta: 0 },
+            { time: 1000, type: 'modify', path: 'app.js', kind: 'file', delta: 50 }
+        ]);
+    });
+
+    test('leaves out new totals of directories and usage-only changes', () => {
+        const ops = [
+            { op: 'modify', path: 'src', changes: { size: 900, mtime: 5 } },
+            { op: 'modify', path: 'app.js', changes: { disk: 4096 } }
+        ];
+        expect(activityFromPatch(ops, states, 1000)).toEqual([]);
+    });
+});
+
+describe('Activity queries', () => {
+    test('reads paths, numeric and date times and caps the limit', () => {
+        expect(parseActivityQuery({ path: '/src/', from: '1000', to: '2024-01-10T00:00:00Z', limit: '50' }, 20)).toEqual({
+            path: 'src', from: 1000, to: Date.UTC(2024, 0, 10), limit: 20
+        });
+        expect(parseActivityQuery({}, 20)).toEqual({ path: '/', from: undefined, to: undefined, limit: 20 });
+        expect(parseActivityQuery({ limit: '-5' }, 20).limit).toBe(1);
+        expect(parseActivityQuery({ limit: '0.5' }, 20).limit).toBe(20);
+    });
+
+    test('rejects times it cannot read', () => {
+        expect(() => parseActivityQuery({ from: 'yesterday' }, 20)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
+
+describe('Activity log', () => {
+    /** @type {string} */
+    let dir;
+    /** @type {string} */
+    let file;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'activity-'));
+        file = join(dir, 'activity', 'project.json');
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    const event = (time, path, type = 'modify') => ({ time, type, path, delta: 0 });
+
+    test('keeps the newest events up to its limit and survives a restart', async () => {
+        const log = await new ActivityLog(file, { limit: 3 }).ready();
+        log.record([event(1, 'a'), event(2, 'b')]);
+        log.record([event(3, 'c'), event(4, 'd')]);
+        await log.close();
+
+        const loaded = await new ActivityLog(file, { limit: 3 }).ready();
+        expect(loaded.query().map(e => e.path)).toEqual(['d', 'c', 'b']);
+    });
+
+    test('keeps events recorded while the file is read', async () => {
+        const log = new ActivityLog(file);
+        await log.save();
+        log.events = [];
+        await writeFile(file, JSON.stringify([event(1, 'stored')]));
+
+        const loading = log.ready();
+        log.record([event(2, 'live')]);
+        await loading;
+        expect(log.query().map(e => e.path)).toEqual(['live', 'stored']);
+        await log.close();
+    });
+
+    test('starts over when the file cannot be read', async () => {
+        const log = new ActivityLog(file);
+        await log.save();
+        await writeFile(file, '{ broken');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await log.ready();
+        expect(log.query()).toEqual([]);
+        console.error.mockRestore();
+    });
+
+    test('finds events by path, including renames away from it, and by time', async () => {
+        const log = await new ActivityLog(file).ready();
+        log.record([
+            event(1, 'src/a.js'),
+            event(2, 'srcs/b.js'),
+            { time: 3, type: 'rename', path: 'lib/c.js', from: 'src/c.js', delta: 0 },
+            event(4, 'src'),
+            event(5, 'README.md')
+        ]);
+
+        expect(log.query({ path: 'src' }).map(e => e.time)).toEqual([4, 3, 1]);
+        expect(log.query({ from: 2, to: 4 }).map(e => e.time)).toEqual([4, 3, 2]);
+        expect(log.query({ limit: 2 }).map(e => e.time)).toEqual([5, 4]);
+        await log.close();
+        expect(JSON.parse(await readFile(file, 'utf8'))).toHaveLength(5);
+    });
+});
@@ -0,0 +1,97 @@
+import { compareMarks, countStatuses, describeComparison, initialCollapsed, showComparisonInfo } from '../src/compare.js';
+
+describe('Compare client', () => {
+    const now = Date.UTC(2024, 0, 10);
+    const formatSize = bytes => `${bytes} B`;
+    const side = (type, size = null) => ({ type, size, mtime: now - 60 * 1000 });
+    const app = { name: 'app.js', path: 'src/app.js', type: 'file', size: 9, status: 'different', left: side('file', 8), right: side('file', 9) };
+    const tree = {
+        name: '/',
+        path: '/',
+        type: 'directory',
+        size: null,
+        status: 'different',
+        left: side('directory'),
+        right: side('directory'),
+        children: [
+            {
+                name: 'src', path: 'src', type: 'directory', size: null, status: 'different', left: side('directory'), right: side('directory'),
+                children: [app, { name: 'same.js', path: 'src/same.js', type: 'file', size: 4, status: 'same', left: side('file', 4), right: side('file', 4) }]
+            },
+            {
+                name: 'docs', path: 'docs', type: 'directory', size: null, status: 'right', left: null, right: side('directory'),
+                children: [{ name: 'readme.md', path: 'docs/readme.md', type: 'file', size: 5, status: 'right', left: null, right: side('file', 5) }]
+            },
+            { name: 'notes.txt', path: 'notes.txt', type: 'file', size: 3, status: 'left', left: side('file', 3), right: null }
+        ]
+    };
+
+    test('marks entries by status', () => {
+        const marks = compareMarks(tree);
+        expect([...marks.get('compare-left')]).toEqual(['notes.txt']);
+        expect([...marks.get('compare-right')]).toEqual(['docs', 'docs/readme.md']);
+        expect([...marks.get('compare-same')]).toEqual(['src/same.js']);
+        expect([...marks.get('compare-different')]).toEqual(['/', 'src', 'src/app.js']);
+        expect([...compareMarks(null).values()].every(paths => paths.size === 0)).toBe(true);
+    });
+
+    test('counts and summarizes entries that are not folders', () => {
+        expect(countStatuses(tree)).toEqual({ left: 1, right: 1, same: 1, different: 1 });
+        expect(describeComparison(tree)).toBe('1 only left, 1 only right, 1 different, 1 identical');
+        expect(describeComparison({ ...tree, children: [] })).toBe('0 identical');
+    });
+
+    test('opens only the folders with differences', () => {
+        expect([...initialCollapsed(tree)]).toEqual(['docs']);
+    });
+
+    test('shows both sides of an entry with buttons to copy it across', () => {
+        const container = document.createElement('div');
+        const onSync = jest.fn();
+        showComparisonInfo(container, tree.children[2], { formatSize, canSync: true, onSync, loadDiff: jest.fn(), now });
+
+        const text = container.textContent;
+        expect(text).toContain('Status: Only on the left');
+        expect(text).toContain('Left: file, 3 B, modified 1 minute ago');
+        expect(text).toContain('Right: missing');
+
+        const buttons = container.querySelectorAll('.compare-actions button');
+        expect(buttons).toHaveLength(1);
+        buttons[0].click();
+        expect(onSync).toHaveBeenCalledWith('right');
+        expect(container.querySelector('.compare-diff')).toBeNull();
+    });
+
+    test('leaves out the copy buttons for readers, identical entries and the roots', () => {
+        const container = document.createElement('div');
+        const options = { formatSize, onSync: jest.fn(), loadDiff: jest.fn(), now };
+        showComparisonInfo(container, tree.children[2], { ...options, canSync: false });
+        expect(container.querySelector('.compare-actions')).toBeNull();
+        showComparisonInfo(container, tree.children[0].children[1], { ...options, canSync: true });
+        expect(container.querySelector('.compare-actions')).toBeNull();
+        showComparisonInfo(container, tree, { ...options, canSync: true });
+        expect(container.querySelector('.compare-actions')).toBeNull();
+    });
+
+    test('loads the diff of files that differ', async () => {
+        const container = document.createElement('div');
+        const loadDiff = jest.fn().mockResolvedValue({ diff: '@@ -1 +1 @@\n-two\n+three\n', truncated: false });
+        showComparisonInfo(container, app, { formatSize, canSync: true, onSync: jest.fn(), loadDiff, now });
+
+        expect(container.querySelectorAll('.compare-actions button')).toHaveLength(2);
+        expect(loadDiff).toHaveBeenCalledWith('src/app.js');
+        await Promise.resolve();
+        await Promise.resolve();
+        expect(container.querySelector('.compare-diff').textContent).toContain('+three');
+    });
+
+    test('reports diffs that cannot be loaded', async () => {
+        const container = document.createElement('div');
+        const loadDiff = jest.fn().mockRejectedValue(new Error('gone'));
+        showComparisonInfo(container, app, { formatSize, canSync: false, onSync: jest.fn(), loadDiff, now });
+
+        await Promise.resolve();
+        await Promise.resolve();
+        expect(container.querySelector('.compare-diff').textContent).toBe('Diff unavailable: gone');
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, readdir, readFile, rm, symlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { compareDirectories, compareFiles, syncEntries } from '../server/compare.js';
+import { Trash } from '../server/trash.js';
+
+describe('Directory comparison', () => {
+    /** @type {string} */
+    let dir;
+    /** @type {string} */
+    let left;
+    /** @type {string} */
+    let right;
+    /** @type {Trash} */
+    let trash;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'compare-'));
+        left = join(dir, 'left');
+        right = join(dir, 'right');
+        trash = new Trash(dir, join(dir, 'trash'));
+        for (const side of [left, right]) {
+            await mkdir(join(side, 'src'), { recursive: true });
+            await mkdir(join(side, 'dist'));
+            await writeFile(join(side, '.gitignore'), 'dist/\n');
+            await writeFile(join(side, 'src', 'same.js'), 'same\n');
+            await writeFile(join(side, 'dist', 'bundle.js'), side);
+            await symlink('src/same.js', join(side, 'link'));
+        }
+        await writeFile(join(left, 'src', 'app.js'), 'one\ntwo\n');
+        await writeFile(join(right, 'src', 'app.js'), 'one\nthree\n');
+        await writeFile(join(left, 'only-left.txt'), 'left');
+        await mkdir(join(right, 'docs'));
+        await writeFile(join(right, 'docs', 'readme.md'), 'right');
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Lists the status of every compared entry by path
+     */
+    function statuses(node, result = {}) {
+        result[node.path] = node.status;
+        node.children?.forEach(child => statuses(child, result));
+        return result;
+    }
+
+    test('merges both sides and tells their entries apart', async () => {
+        const tree = await compareDirectories(left, right);
+        expect(statuses(tree)).toEqual({
+            '/': 'different',
+            '.gitignore': 'same',
+            'docs': 'right',
+            'docs/readme.md': 'right',
+            'link': 'same',
+            'only-left.txt': 'left',
+            'src': 'different',
+            'src/app.js': 'different',
+            'src/same.js': 'same'
+        });
+
+        const docs = tree.children.find(node => node.name === 'docs');
+        expect(docs.left).toBeNull();
+        expect(docs.right.type).toBe('directory');
+        const app = tree.children.find(node => node.name === 'src').children.find(node => node.name === 'app.js');
+        expect(app.left.size).toBe(8);
+        expect(app.right.size).toBe(10);
+        expect(app.size).toBe(10);
+    });
+
+    test('compares files of equal size by content and links by target', async () => {
+        await writeFile(join(right, 'src', 'same.js'), 'diff\n');
+        await rm(join(right, 'link'));
+        await symlink('src/app.js', join(right, 'link'));
+
+        const result = statuses(await compareDirectories(left, right));
+        expect(result['src/same.js']).toBe('different');
+        expect(result['link']).toBe('different');
+    });
+
+    test('finds identical directories the same', async () => {
+        const tree = await compareDirectories(join(left, 'dist'), join(right, 'dist'));
+        expect(tree.status).toBe('different');
+        expect((await compareDirectories(left, left)).status).toBe('same');
+    });
+
+    test('shows the diff of a file on both sides', async () => {
+        const result = await compareFiles(left, right, 'src/app.js', 10000);
+        expect(result.truncated).toBe(false);
+        expect(result.diff).toContain('-two');
+        expect(result.diff).toContain('+three');
+
+        expect((await compareFiles(left, right, 'src/same.js', 10000)).diff).toBe('');
+        expect((await compareFiles(left, right, 'src/app.js', 10)).truncated).toBe(true);
+        await expect(compareFiles(left, right, 'only-left.txt', 10000)).rejects.toMatchObject({ status: 400 });
+        await expect(compareFiles(left, right, 'src', 10000)).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('rejects paths outside of the compared directories', async () => {
+        await expect(compareFiles(left, right, '../right/src/app.js', 10000)).rejects.toMatchObject({ status: 403 });
+        await expect(syncEntries(left, right, ['../outside'], { trash })).rejects.toMatchObject({ status: 403 });
+    });
+
+    test('never replaces a compared directory itself', async () => {
+        for (const path of ['/', '.', 'src/..']) {
+            await expect(syncEntries(left, right, [path], { trash })).rejects.toMatchObject({ status: 400 });
+        }
+        expect(await trash.list()).toEqual([]);
+        expect(await readFile(join(right, 'docs', 'readme.md'), 'utf8')).toBe('right');
+    });
+
+    test('copies entries across, skipping those missing on the source', async () => {
+        const result = await syncEntries(right, left, ['docs', 'src/app.js', 'only-left.txt'], { trash });
+        expect(result).toEqual({ copied: ['docs', 'src/app.js'], skipped: ['only-left.txt'] });
+        expect(await readFile(join(left, 'docs', 'readme.md'), 'utf8')).toBe('right');
+        expect(await readFile(join(left, 'src', 'app.js'), 'utf8')).toBe('one\nthree\n');
+        expect(await readFile(join(left, 'only-left.txt'), 'utf8')).toBe('left');
+        expect((await trash.list()).map(item => item.path)).toEqual(['left/src/app.js']);
+
+        const tree = await compareDirectories(left, right);
+        expect(statuses(tree)['src']).toBe('same');
+    });
+
+    test('replaces folders whole, moving what was there to the trash', async () => {
+        await writeFile(join(left, 'src', 'extra.js'), 'extra');
+        expect(await syncEntries(right, left, ['src'], { trash, actor: 'ann' })).toEqual({ copied: ['src'], skipped: [] });
+        expect((await readdir(join(left, 'src'))).sort()).toEqual(['app.js', 'same.js']);
+
+        const [item] = await trash.list();
+        expect(item).toMatchObject({ path: 'left/src', type: 'directory', deletedBy: 'ann' });
+        await rm(join(left, 'src'), { recursive: true });
+        await trash.restore(item.id);
+        expect(await readFile(join(left, 'src', 'extra.js'), 'utf8')).toBe('extra');
+    });
+
+    test('refuses to replace a folder with a file', async () => {
+        await writeFile(join(left, 'docs'), 'file');
+        // Nothing is copied when one of the entries cannot be
+        await expect(syncEntries(left, right, ['src/app.js', 'docs'], { trash })).rejects.toMatchObject({ status: 409 });
+        expect(await readFile(join(right, 'src', 'app.js'), 'utf8')).toBe('one\nthree\n');
+        expect(await trash.list()).toEqual([]);
+        await expect(syncEntries(left, right, [], { trash })).rejects.toMatchObject({ status: 400 });
+    });
+});
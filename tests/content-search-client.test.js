@@ -0,0 +1,48 @@
+import { createContentSearch, splitMatch } from '../src/content-search.js';
+
+describe('Content search client', () => {
+    test('splits a line around its match', () => {
+        expect(splitMatch({ text: 'const needle = 1;', column: 6, length: 6 })).toEqual(['const ', 'needle', ' = 1;']);
+    });
+
+    test('cancels the previous search and drops its late results', () => {
+        const sent = [];
+        const onResult = jest.fn();
+        const onDone = jest.fn();
+        const search = createContentSearch({
+            send: message => sent.push(message) > 0,
+            onResult,
+            onDone,
+            onError: jest.fn()
+        });
+
+        search.start('first', {});
+        search.start('second', { regex: true });
+
+        expect(sent).toEqual([
+            { type: 'search', id: 1, query: 'first', options: {} },
+            { type: 'cancelSearch', id: 1 },
+            { type: 'search', id: 2, query: 'second', options: { regex: true } }
+        ]);
+
+        search.handleMessage({ type: 'searchResult', id: 1, path: 'old.js', matches: [] });
+        search.handleMessage({ type: 'searchResult', id: 2, path: 'new.js', matches: [] });
+        expect(onResult).toHaveBeenCalledTimes(1);
+        expect(onResult).toHaveBeenCalledWith({ path: 'new.js', matches: [] });
+
+        expect(search.isRunning()).toBe(true);
+        search.handleMessage({ type: 'searchDone', id: 2, files: 1, matches: 0, truncated: false, cancelled: false });
+        expect(search.isRunning()).toBe(false);
+        expect(onDone).toHaveBeenCalledWith({ files: 1, matches: 0, truncated: false, cancelled: false });
+    });
+
+    test('reports searches that cannot be sent', () => {
+        const onError = jest.fn();
+        const search = createContentSearch({ send: () => false, onResult: jest.fn(), onDone: jest.fn(), onError });
+
+        search.start('query', {});
+
+        expect(onError).toHaveBeenCalledWith('Not connected');
+        expect(search.isRunning()).toBe(false);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createGlobFilter, createPattern, findMatches, parseGlobList, searchContent } from '../server/content-search.js';
+import { IgnoreRules } from '../server/ignore.js';
+
+describe('Content search', () => {
+    describe('createPattern', () => {
+        test('escapes literal queries and ignores case unless asked', () => {
+            const pattern = createPattern('a.b');
+
+            expect(pattern.test('xA.By')).toBe(true);
+            pattern.lastIndex = 0;
+            expect(pattern.test('axb')).toBe(false);
+            expect(createPattern('A', { caseSensitive: true }).test('a')).toBe(false);
+        });
+
+        test('rejects empty queries and invalid regular expressions', () => {
+            expect(() => createPattern('')).toThrow(expect.objectContaining({ status: 400 }));
+            expect(() => createPattern('(', { regex: true })).toThrow(expect.objectContaining({ status: 400 }));
+        });
+    });
+
+    test('createGlobFilter matches names, or paths for globs with a slash', () => {
+        const matches = createGlobFilter(['*.js', 'docs/**', ' ']);
+
+        expect(matches('src/main.js')).toBe(true);
+        expect(matches('docs/guide/intro.md')).toBe(true);
+        expect(matches('src/docs/intro.md')).toBe(false);
+        expect(createGlobFilter([])('anything')).toBe(false);
+    });
+
+    test('parseGlobList accepts comma-separated strings and arrays', () => {
+        expect(parseGlobList('*.js,*.ts')).toEqual(['*.js', '*.ts']);
+        expect(parseGlobList(['*.md'])).toEqual(['*.md']);
+        expect(parseGlobList(undefined)).toEqual([]);
+    });
+
+    test('findMatches reports lines with their context', () => {
+        const matches = findMatches('one\r\ntwo needle\nthree\nneedle four', createPattern('needle'), 1, 10);
+
+        expect(matches).toEqual([
+            { line: 2, column: 4, length: 6, text: 'two needle', before: ['one'], after: ['three'] },
+            { line: 4, column: 0, length: 6, text: 'needle four', before: ['three'], after: [] }
+        ]);
+        expect(findMatches('needle\nneedle', createPattern('needle'), 0, 1)).toHaveLength(1);
+    });
+
+    describe('searchContent', () => {
+        /** @type {string} */
+        let root;
+        /** @type {IgnoreRules} */
+        let ignore;
+
+        beforeEach(async () => {
+            root = await mkdtemp(join(tmpdir(), 'content-search-'));
+            await mkdir(join(root, 'src'));
+            await mkdir(join(root, 'node_modules'));
+            await mkdir(join(root, '.git'));
+            await writeFile(join(root, 'src', 'main.js'), 'const needle = 1;\n');
+            await writeFile(join(root, 'src', 'util.ts'), '// needle\n');
+            await writeFile(join(root, 'notes.md'), 'no match here\n');
+            await writeFile(join(root, 'image.bin'), Buffer.from([0, 1, 2, ...Buffer.from('needle')]));
+            await writeFile(join(root, 'node_modules', 'dep.js'), 'needle');
+            await writeFile(join(root, '.git', 'config'), 'needle');
+            ignore = new IgnoreRules(root);
+            await ignore.load();
+        });
+
+        afterEach(async () => {
+            await rm(root, { recursive: true, force: true });
+        });
+
+        /**
+         * Runs a search and collects the paths of files with matches
+         * @param {Object} [options] - Search options
+         */
+        async function search(options = {}) {
+            const paths = [];
+            const summary = await searchContent(root, 'needle', { ignore, ...options }, file => paths.push(file.path));
+            return { paths, summary };
+        }
+
+        test('searches text files, skipping binary, ignored and excluded entries', async () => {
+            const { paths, summary } = await search();
+
+            expect(paths).toEqual(['src/main.js', 'src/util.ts']);
+            expect(summary).toEqual({ files: 2, matches: 2, truncated: false, cancelled: false });
+        });
+
+        test('searches ignored entries when asked', async () => {
+            expect((await search({ includeIgnored: true })).paths).toContain('node_modules/dep.js');
+        });
+
+        test('applies include and exclude globs', async () => {
+            expect((await search({ include: ['*.ts'] })).paths).toEqual(['src/util.ts']);
+            expect((await search({ exclude: ['src/'] })).paths).toEqual([]);
+        });
+
+        test('skips files over the size limit', async () => {
+            expect((await search({ maxFileBytes: 10 })).paths).toEqual(['src/util.ts']);
+        });
+
+        test('stops at the match limit', async () => {
+            const { paths, summary } = await search({ maxMatches: 1 });
+
+            expect(paths).toEqual(['src/main.js']);
+            expect(summary).toMatchObject({ matches: 1, truncated: true });
+        });
+
+        test('stops when cancelled', async () => {
+            const controller = new AbortController();
+            controller.abort();
+
+            const { paths, summary } = await search({ signal: controller.signal });
+
+            expect(paths).toEqual([]);
+            expect(summary.cancelled).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,24 @@
+/**
+ * @jest-environment node
+ */
+import { isAllowedOrigin } from '../server/cors.js';
+
+describe('Origin Checks', () => {
+    const allowed = ['http://localhost:3000'];
+
+    test('allows requests without an origin', () => {
+        expect(isAllowedOrigin(undefined, 'localhost:3001', allowed)).toBe(true);
+    });
+
+    test('allows the server itself and configured origins', () => {
+        expect(isAllowedOrigin('http://localhost:3001', 'localhost:3001', allowed)).toBe(true);
+        expect(isAllowedOrigin('http://127.0.0.1:3001', '127.0.0.1:3001', allowed)).toBe(true);
+        expect(isAllowedOrigin('http://localhost:3000', 'localhost:3001', allowed)).toBe(true);
+    });
+
+    test('rejects other origins', () => {
+        expect(isAllowedOrigin('https://evil.example', 'localhost:3001', allowed)).toBe(false);
+        expect(isAllowedOrigin('http://localhost:3001.evil.example', 'localhost:3001', allowed)).toBe(false);
+        expect(isAllowedOrigin('null', 'localhost:3001', allowed)).toBe(false);
+    });
+});
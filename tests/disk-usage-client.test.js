@@ -0,0 +1,34 @@
+import { extensionLabel, showUsageReport, usageShare } from '../src/disk-usage.js';
+
+describe('Disk usage client', () => {
+    test('works out shares of the total', () => {
+        expect(usageShare(1, 3)).toBe(33.3);
+        expect(usageShare(5, 0)).toBe(0);
+    });
+
+    test('names files without an extension', () => {
+        expect(extensionLabel('.js')).toBe('.js');
+        expect(extensionLabel('')).toBe('(no extension)');
+    });
+
+    test('renders the report and selects clicked entries', () => {
+        const container = document.createElement('div');
+        const onSelect = jest.fn();
+        const folder = { path: 'node_modules', type: 'directory', size: 80, disk: 96, files: 3, ignored: true };
+
+        showUsageReport(container, {
+            total: { size: 100, disk: 128, files: 4 },
+            largestFiles: [{ path: 'big.bin', type: 'file', size: 20, disk: 32 }],
+            largestDirectories: [folder],
+            extensions: [{ extension: '', files: 1, size: 20, disk: 32 }]
+        }, { formatSize: bytes => `${bytes} B`, onSelect });
+
+        expect(container.querySelector('.usage-summary').textContent).toBe('100 B in 4 files, 128 B on disk');
+        const names = [...container.querySelectorAll('.usage-name')].map(cell => cell.textContent);
+        expect(names).toEqual(['node_modules (ignored)', 'big.bin', '(no extension) (1)']);
+        expect(container.querySelector('.usage-bar').style.width).toBe('80%');
+
+        container.querySelector('.usage-link').click();
+        expect(onSelect).toHaveBeenCalledWith(folder);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, rename, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DiskUsage } from '../server/disk-usage.js';
+import { IgnoreRules } from '../server/ignore.js';
+
+describe('Disk usage', () => {
+    /** @type {string} */
+    let root;
+    /** @type {DiskUsage} */
+    let usage;
+
+    beforeEach(async () => {
+        root = await mkdtemp(join(tmpdir(), 'disk-usage-'));
+        await mkdir(join(root, 'src', 'lib'), { recursive: true });
+        await mkdir(join(root, 'node_modules'));
+        await mkdir(join(root, '.git'));
+        await writeFile(join(root, 'src', 'main.js'), '12345');
+        await writeFile(join(root, 'src', 'lib', 'util.js'), '123');
+        await writeFile(join(root, 'README.md'), '12');
+        await writeFile(join(root, 'node_modules', 'dep.js'), '1234567890');
+        await writeFile(join(root, '.git', 'HEAD'), 'ref');
+        const ignore = new IgnoreRules(root);
+        await ignore.load();
+        usage = new DiskUsage(root, ignore);
+        await usage.ready();
+    });
+
+    afterEach(async () => {
+        await rm(root, { recursive: true, force: true });
+    });
+
+    test('totals sizes and file counts below each directory, leaving out excluded entries', () => {
+        expect(usage.get('/')).toMatchObject({ size: 20, files: 4 });
+        expect(usage.get('src')).toMatchObject({ size: 8, files: 2 });
+        expect(usage.get('src/lib')).toMatchObject({ size: 3, files: 1 });
+        expect(usage.get('src/main.js')).toEqual({ size: 5, disk: expect.any(Number) });
+        expect(usage.get('.git')).toBeNull();
+        expect(usage.get('/').disk).toBeGreaterThanOrEqual(0);
+    });
+
+    test('reports the largest files and directories, marking ignored ones', () => {
+        expect(usage.largest('file', 2)).toEqual([
+            { path: 'node_modules/dep.js', type: 'file', size: 10, disk: expect.any(Number), ignored: true },
+            { path: 'src/main.js', type: 'file', size: 5, disk: expect.any(Number) }
+        ]);
+        expect(usage.largest('directory', 10).map(entry => entry.path)).toEqual(['node_modules', 'src', 'src/lib']);
+    });
+
+    test('totals files per extension', () => {
+        expect(usage.byExtension()).toEqual([
+            { extension: '.js', files: 3, size: 18, disk: expect.any(Number) },
+            { extension: '.md', files: 1, size: 2, disk: expect.any(Number) }
+        ]);
+    });
+
+    test('adjusts the ancestors of modified files', async () => {
+        await writeFile(join(root, 'src', 'lib', 'util.js'), '123456');
+
+        const changed = await usage.update(['src/lib/util.js']);
+
+        expect([...changed.keys()]).toEqual(['src/lib/util.js', 'src/lib', 'src', '/']);
+        expect(changed.get('src')).toMatchObject({ size: 11, files: 2 });
+        expect(usage.byExtension()[0]).toMatchObject({ extension: '.js', size: 21 });
+    });
+
+    test('adds and removes whole directories', async () => {
+        await mkdir(join(root, 'docs'));
+        await writeFile(join(root, 'docs', 'guide.txt'), 'guide');
+        await usage.update(['docs']);
+
+        expect(usage.get('docs')).toMatchObject({ size: 5, files: 1 });
+        expect(usage.get('/')).toMatchObject({ size: 25, files: 5 });
+
+        await rm(join(root, 'src'), { recursive: true });
+        const changed = await usage.update(['src/main.js', 'src']);
+
+        expect(usage.get('src')).toBeNull();
+        expect([...changed.keys()]).toEqual(['/']);
+        expect(usage.get('/')).toMatchObject({ size: 17, files: 3 });
+        expect(usage.byExtension().map(entry => entry.extension)).toEqual(['.js', '.txt', '.md']);
+    });
+
+    test('reports only net changes, such as none for a rename', async () => {
+        await rename(join(root, 'src'), join(root, 'lib'));
+
+        const changed = await usage.update(['src', 'lib']);
+
+        expect(changed.has('/')).toBe(false);
+        expect(changed.get('lib')).toMatchObject({ size: 8, files: 2 });
+        expect(usage.get('/')).toMatchObject({ size: 20, files: 4 });
+    });
+
+    test('picks up entries of new directories that had no event of their own', async () => {
+        await mkdir(join(root, 'a', 'b'), { recursive: true });
+        await writeFile(join(root, 'a', 'b', 'c.txt'), 'abc');
+
+        await usage.update(['a/b/c.txt']);
+
+        expect(usage.get('a')).toMatchObject({ size: 3, files: 1 });
+    });
+
+    test('handles entries replaced by another type', async () => {
+        await rm(join(root, 'README.md'));
+        await mkdir(join(root, 'README.md'));
+        await writeFile(join(root, 'README.md', 'part.txt'), '1234');
+
+        await usage.update(['README.md']);
+
+        expect(usage.get('README.md')).toMatchObject({ size: 4, files: 1 });
+        expect(usage.get('/')).toMatchObject({ size: 22, files: 4 });
+    });
+});
@@ -0,0 +1,34 @@
+import { describeProgress, describeReport, duplicatePaths } from '../src/duplicates.js';
+
+describe('Duplicates client', () => {
+    const formatSize = bytes => `${bytes} B`;
+    const report = {
+        groups: [
+            { size: 10, hash: 'a', paths: ['a.txt', 'b.txt', 'c.txt'], wasted: 20 },
+            { size: 5, hash: 'b', paths: ['d.txt', 'e.txt'], wasted: 5 }
+        ],
+        wastedBytes: 25,
+        files: 12,
+        cancelled: false
+    };
+
+    test('collects the paths of all copies', () => {
+        expect(duplicatePaths(report)).toEqual(new Set(['a.txt', 'b.txt', 'c.txt', 'd.txt', 'e.txt']));
+        expect(duplicatePaths(null).size).toBe(0);
+    });
+
+    test('describes the progress of each phase', () => {
+        expect(describeProgress({ phase: 'scanning', files: 42, checkedBytes: 0, totalBytes: 0 }, formatSize))
+            .toBe('Listing files… 42 found');
+        expect(describeProgress({ phase: 'hashing', files: 42, checkedBytes: 25, totalBytes: 100 }, formatSize))
+            .toBe('Comparing files… 25% of 100 B');
+        expect(describeProgress({ phase: 'hashing', files: 42, checkedBytes: 0, totalBytes: 0 }, formatSize))
+            .toBe('Comparing files… 100% of 0 B');
+    });
+
+    test('summarizes finished and cancelled scans', () => {
+        expect(describeReport(report, formatSize)).toBe('5 copies in 2 sets, 25 B wasted (12 files compared)');
+        expect(describeReport({ groups: [], wastedBytes: 0, files: 3, cancelled: true }, formatSize))
+            .toBe('Cancelled, partial result: no duplicates among 3 files');
+    });
+});
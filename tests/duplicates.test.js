@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DuplicateScanner, PARTIAL_HASH_BYTES, findDuplicates } from '../server/duplicates.js';
+import { IgnoreRules } from '../server/ignore.js';
+
+describe('Duplicate finder', () => {
+    /** @type {string} */
+    let root;
+    /** @type {IgnoreRules} */
+    let ignore;
+
+    const large = Buffer.alloc(PARTIAL_HASH_BYTES * 2, 'a');
+    // Same size and beginning as `large`, different end
+    const largeVariant = Buffer.concat([large.subarray(0, -1), Buffer.from('b')]);
+
+    beforeEach(async () => {
+        root = await mkdtemp(join(tmpdir(), 'duplicates-'));
+        await mkdir(join(root, 'a'));
+        await mkdir(join(root, 'b'));
+        await mkdir(join(root, 'node_modules'));
+        await writeFile(join(root, 'a', 'one.txt'), 'same text');
+        await writeFile(join(root, 'b', 'one-copy.txt'), 'same text');
+        await writeFile(join(root, 'b', 'other.txt'), 'diff text');
+        await writeFile(join(root, 'a', 'large.bin'), large);
+        await writeFile(join(root, 'b', 'large.bin'), large);
+        await writeFile(join(root, 'b', 'large-variant.bin'), largeVariant);
+        await writeFile(join(root, 'empty1'), '');
+        await writeFile(join(root, 'empty2'), '');
+        await writeFile(join(root, 'node_modules', 'dep.txt'), 'same text');
+        ignore = new IgnoreRules(root);
+        await ignore.load();
+    });
+
+    afterEach(async () => {
+        await rm(root, { recursive: true, force: true });
+    });
+
+    test('groups identical files, most wasted bytes first', async () => {
+        const report = await findDuplicates(root, { ignore });
+
+        expect(report.groups.map(({ paths, size, wasted }) => ({ paths, size, wasted }))).toEqual([
+            { paths: ['a/large.bin', 'b/large.bin'], size: large.length, wasted: large.length },
+            { paths: ['a/one.txt', 'b/one-copy.txt'], size: 9, wasted: 9 }
+        ]);
+        expect(report.groups[0].hash).toMatch(/^[0-9a-f]{40}$/);
+        expect(report.wastedBytes).toBe(large.length + 9);
+        expect(report.files).toBe(8);
+        expect(report.cancelled).toBe(false);
+    });
+
+    test('compares ignored entries when asked', async () => {
+        const report = await findDuplicates(root, { ignore, includeIgnored: true });
+
+        expect(report.groups[1].paths).toEqual(['a/one.txt', 'b/one-copy.txt', 'node_modules/dep.txt']);
+        expect(report.groups[1].wasted).toBe(18);
+    });
+
+    test('finds copies across the folders of a workspace', async () => {
+        const roots = ['a', 'b'].map(name => ({ path: join(root, name), prefix: `${name}-folder/` }));
+        const report = await findDuplicates(roots);
+
+        expect(report.groups.map(group => group.paths)).toEqual([
+            ['a-folder/large.bin', 'b-folder/large.bin'],
+            ['a-folder/one.txt', 'b-folder/one-copy.txt']
+        ]);
+    });
+
+    test('leaves out files below the minimum size', async () => {
+        const report = await findDuplicates(root, { ignore, minSize: 100 });
+
+        expect(report.groups).toHaveLength(1);
+    });
+
+    test('reports progress through both phases', async () => {
+        const updates = [];
+        await findDuplicates(root, { ignore, onProgress: progress => updates.push(progress) });
+
+        const last = updates[updates.length - 1];
+        expect(updates[0].phase).toBe('hashing');
+        expect(last).toEqual({
+            phase: 'hashing',
+            files: 8,
+            checkedBytes: last.totalBytes,
+            totalBytes: large.length * 3 + 9 * 3
+        });
+    });
+
+    test('stops when cancelled', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        const report = await findDuplicates(root, { ignore, signal: controller.signal });
+
+        expect(report).toEqual({ groups: [], wastedBytes: 0, files: 0, cancelled: true });
+    });
+
+    describe('DuplicateScanner', () => {
+        test('runs one scan at a time and keeps its result', async () => {
+            const onProgress = jest.fn();
+            const onDone = jest.fn();
+            const scanner = new DuplicateScanner(root, { ignore: async () => ignore, onProgress, onDone });
+
+            expect(scanner.start()).toBe(true);
+            expect(scanner.start()).toBe(false);
+            expect(scanner.state()).toMatchObject({ running: true, report: null });
+            await scanner.idle();
+
+            const state = scanner.state();
+            expect(state).toMatchObject({ running: false, progress: null, error: null });
+            expect(state.report.groups).toHaveLength(2);
+            expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'scanning' }));
+            expect(onDone).toHaveBeenCalledWith(state);
+            expect(scanner.start()).toBe(true);
+            await scanner.idle();
+        });
+
+        test('cancels the running scan', async () => {
+            const scanner = new DuplicateScanner(root, { ignore: async () => ignore });
+
+            expect(scanner.cancel()).toBe(false);
+            scanner.start();
+            expect(scanner.cancel()).toBe(true);
+            await scanner.idle();
+
+            expect(scanner.state().report.cancelled).toBe(true);
+        });
+
+        test('records why a scan failed', async () => {
+            const scanner = new DuplicateScanner(root, {
+                ignore: async () => {
+                    throw new Error('Rules unreadable');
+                }
+            });
+
+            scanner.start();
+            await scanner.idle();
+
+            expect(scanner.state()).toMatchObject({ running: false, error: 'Rules unreadable', report: null });
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+import { detectContent, parseRange, sniffMime } from '../server/file-content.js';
+
+describe('File Content', () => {
+    describe('detectContent', () => {
+        test('recognizes images by extension', () => {
+            expect(detectContent(Buffer.from([0x89, 0x50]), 'logo.PNG')).toEqual({
+                kind: 'image',
+                mime: 'image/png',
+                encoding: null
+            });
+        });
+
+        test('detects UTF-8 text', () => {
+            const info = detectContent(Buffer.from('const π = 3.14;\n'), 'math.js');
+            expect(info).toEqual({ kind: 'text', mime: 'text/javascript', encoding: 'utf-8' });
+        });
+
+        test('tolerates a multi-byte character cut off at the end of the sample', () => {
+            const sample = Buffer.from('naïve café').subarray(0, 11);
+            expect(detectContent(sample, 'notes.txt', true).encoding).toBe('utf-8');
+            expect(detectContent(sample, 'notes.txt', false).encoding).toBe('windows-1252');
+        });
+
+        test('uses byte order marks to pick UTF-16', () => {
+            const sample = Buffer.from([0xff, 0xfe, 0x68, 0x00, 0x69, 0x00]);
+            expect(detectContent(sample, 'wide.txt')).toMatchObject({ kind: 'text', encoding: 'utf-16le' });
+        });
+
+        test('treats null bytes and control characters as binary', () => {
+            expect(detectContent(Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x00]), 'app').kind).toBe('binary');
+            expect(detectContent(Buffer.from([1, 2, 3, 4, 5, 65]), 'data.txt').kind).toBe('binary');
+        });
+
+        test('falls back to windows-1252 for other 8-bit text', () => {
+            expect(detectContent(Buffer.from([0x63, 0x61, 0x66, 0xe9]), 'menu.txt').encoding).toBe('windows-1252');
+        });
+    });
+
+    describe('sniffMime', () => {
+        test('recognizes common formats by their first bytes, whatever the name', () => {
+            expect(sniffMime(Buffer.from('%PDF-1.7\n'), 'report.txt')).toBe('application/pdf');
+            expect(sniffMime(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14]), 'data')).toBe('application/zip');
+            expect(sniffMime(Buffer.from('RIFF\0\0\0\0WEBPVP8 '), 'image')).toBe('image/webp');
+            expect(sniffMime(Buffer.from('\0\0\0\x18ftypmp42'), 'clip')).toBe('video/mp4');
+        });
+
+        test('falls back to the content detection', () => {
+            expect(sniffMime(Buffer.from('{"a": 1}'), 'data.json')).toBe('application/json');
+            expect(sniffMime(Buffer.from('plain words'), 'notes')).toBe('text/plain');
+            expect(sniffMime(Buffer.from([0, 1, 2, 3]), 'blob')).toBe('application/octet-stream');
+        });
+    });
+
+    describe('parseRange', () => {
+        test('caps requests without a Range header', () => {
+            expect(parseRange(undefined, 5000, 1000)).toEqual({ start: 0, end: 999 });
+            expect(parseRange(undefined, 500, 1000)).toEqual({ start: 0, end: 499 });
+        });
+
+        test('parses open, closed and suffix ranges', () => {
+            expect(parseRange('bytes=100-', 5000, 1000)).toEqual({ start: 100, end: 1099 });
+            expect(parseRange('bytes=100-199', 5000, 1000)).toEqual({ start: 100, end: 199 });
+            expect(parseRange('bytes=-300', 5000, 1000)).toEqual({ start: 4700, end: 4999 });
+            expect(parseRange('bytes=4900-9999', 5000, 1000)).toEqual({ start: 4900, end: 4999 });
+        });
+
+        test('rejects unsatisfiable or malformed ranges', () => {
+            expect(parseRange('bytes=5000-', 5000, 1000)).toBeNull();
+            expect(parseRange('bytes=20-10', 5000, 1000)).toBeNull();
+            expect(parseRange('bytes=-', 5000, 1000)).toBeNull();
+            expect(parseRange('bytes=0-1,5-6', 5000, 1000)).toBeNull();
+            expect(parseRange('items=0-1', 5000, 1000)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, readFile, readlink, rm, stat, symlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runOperation as run } from '../server/file-ops.js';
+import { Trash } from '../server/trash.js';
+
+describe('File Operations', () => {
+    /** @type {string} */
+    let root;
+    /** @type {string} */
+    let trashDir;
+    /** @type {Trash} */
+    let trash;
+
+    const runOperation = (root, name, args) => run(root, name, args, { trash, actor: 'tester' });
+    const exists = path => stat(join(root, path)).then(() => true, () => false);
+
+    beforeEach(async () => {
+        root = await mkdtemp(join(tmpdir(), 'file-ops-'));
+        await mkdir(join(root, 'src'));
+        await mkdir(join(root, 'docs'));
+        await writeFile(join(root, 'src', 'main.js'), 'main');
+        trashDir = await mkdtemp(join(tmpdir(), 'file-ops-trash-'));
+        trash = new Trash(root, trashDir);
+    });
+
+    afterEach(async () => {
+        await rm(root, { recursive: true, force: true });
+        await rm(trashDir, { recursive: true, force: true });
+    });
+
+    test('creates files and directories', async () => {
+        await expect(runOperation(root, 'create', { path: 'src/util.js' }))
+            .resolves.toEqual({ path: join('src', 'util.js') });
+        await runOperation(root, 'create', { path: '/lib', type: 'directory' });
+
+        expect(await readFile(join(root, 'src', 'util.js'), 'utf8')).toBe('');
+        expect((await stat(join(root, 'lib'))).isDirectory()).toBe(true);
+    });
+
+    test('renames an entry in place', async () => {
+        const result = await runOperation(root, 'rename', { path: 'src/main.js', name: 'index.js' });
+
+        expect(result.path).toBe(join('src', 'index.js'));
+        expect(await exists('src/main.js')).toBe(false);
+        expect(await readFile(join(root, 'src', 'index.js'), 'utf8')).toBe('main');
+    });
+
+    test('moves and copies into a directory', async () => {
+        await runOperation(root, 'copy', { path: 'src', destination: 'docs' });
+        await runOperation(root, 'move', { path: 'src/main.js', destination: '/' });
+
+        expect(await readFile(join(root, 'docs', 'src', 'main.js'), 'utf8')).toBe('main');
+        expect(await exists('main.js')).toBe(true);
+        expect(await exists('src/main.js')).toBe(false);
+    });
+
+    test('moves deleted entries to the trash and restores them', async () => {
+        const { path, trashId } = await runOperation(root, 'delete', { path: 'src' });
+
+        expect(path).toBe('src');
+        expect(await exists('src')).toBe(false);
+        expect((await trash.list()).map(item => item.id)).toEqual([trashId]);
+
+        await expect(runOperation(root, 'restore', { id: trashId })).resolves.toEqual({ path: 'src' });
+        expect(await readFile(join(root, 'src', 'main.js'), 'utf8')).toBe('main');
+    });
+
+    test('renames and deletes links, even ones leading nowhere, never their target', async () => {
+        await symlink('missing.txt', join(root, 'broken'));
+        await symlink('src/main.js', join(root, 'main-link'));
+
+        await expect(runOperation(root, 'create', { path: 'broken' })).rejects.toMatchObject({ status: 409 });
+        await runOperation(root, 'rename', { path: 'broken', name: 'dangling' });
+        expect(await readlink(join(root, 'dangling'))).toBe('missing.txt');
+
+        const { trashId } = await runOperation(root, 'delete', { path: 'dangling' });
+        await runOperation(root, 'delete', { path: 'main-link' });
+        expect((await trash.list()).map(({ path, type, size }) => ({ path, type, size }))).toEqual([
+            { path: 'main-link', type: 'symlink', size: 0 },
+            { path: 'dangling', type: 'symlink', size: 0 }
+        ]);
+        expect(await readFile(join(root, 'src', 'main.js'), 'utf8')).toBe('main');
+
+        await runOperation(root, 'restore', { id: trashId });
+        expect(await readlink(join(root, 'dangling'))).toBe('missing.txt');
+    });
+
+    test('refuses to overwrite existing entries', async () => {
+        await writeFile(join(root, 'docs', 'main.js'), 'other');
+
+        await expect(runOperation(root, 'create', { path: 'src/main.js' }))
+            .rejects.toMatchObject({ status: 409 });
+        await expect(runOperation(root, 'rename', { path: 'src', name: 'docs' }))
+            .rejects.toMatchObject({ status: 409 });
+        await expect(runOperation(root, 'copy', { path: 'src/main.js', destination: 'docs' }))
+            .rejects.toMatchObject({ status: 409 });
+        expect(await readFile(join(root, 'docs', 'main.js'), 'utf8')).toBe('other');
+    });
+
+    test('rejects paths outside the project', async () => {
+        await expect(runOperation(root, 'create', { path: '../escaped.txt' }))
+            .rejects.toMatchObject({ status: 403 });
+        await expect(runOperation(root, 'move', { path: 'src/main.js', destination: '../..' }))
+            .rejects.toMatchObject({ status: 403 });
+        await expect(runOperation(root, 'delete', { path: 'src/../../' }))
+            .rejects.toMatchObject({ status: 403 });
+    });
+
+    test('rejects invalid names and targets', async () => {
+        await expect(runOperation(root, 'rename', { path: 'src/main.js', name: '../main.js' }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(runOperation(root, 'rename', { path: 'src', name: '' }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(runOperation(root, 'move', { path: 'src', destination: 'src' }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(runOperation(root, 'move', { path: 'docs', destination: 'src/main.js' }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(runOperation(root, 'create', { path: 'a', type: 'socket' }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+
+    test('never touches the project root', async () => {
+        await expect(runOperation(root, 'delete', { path: '/' }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(runOperation(root, 'rename', { path: '', name: 'other' }))
+            .rejects.toMatchObject({ status: 400 });
+        expect(await exists('src/main.js')).toBe(true);
+    });
+
+    test('rejects unknown operations and missing entries', async () => {
+        await expect(runOperation(root, 'chmod', { path: 'src' }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(runOperation(root, 'toString', {}))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(runOperation(root, 'delete', { path: 'missing.txt' }))
+            .rejects.toMatchObject({ code: 'ENOENT' });
+    });
+});
@@ -0,0 +1,21 @@
+import { formatCommitDate, groupBlame } from '../src/git-panel.js';
+
+describe('Git panel', () => {
+    test('groups consecutive blame lines of the same commit', () => {
+        const lines = [
+            { hash: 'a', line: 1, content: '' },
+            { hash: 'a', line: 2, content: '' },
+            { hash: 'b', line: 3, content: '' },
+            { hash: 'a', line: 4, content: '' }
+        ];
+
+        expect(groupBlame(lines).map(group => [group.hash, group.lines.length])).toEqual([
+            ['a', 2], ['b', 1], ['a', 1]
+        ]);
+    });
+
+    test('shows commit dates as days', () => {
+        expect(formatCommitDate('2024-01-02T03:04:05+00:00')).toBe('2024-01-02');
+        expect(formatCommitDate('')).toBe('');
+    });
+});
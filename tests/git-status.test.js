@@ -0,0 +1,48 @@
+import { describeBranch, statusBadge, statusOf } from '../src/git-status.js';
+
+describe('Git status display', () => {
+    const git = {
+        branch: 'main',
+        upstream: 'origin/main',
+        ahead: 0,
+        behind: 0,
+        files: { 'src/main.js': 'modified', 'scratch': 'untracked', 'build': 'ignored' },
+        directories: { '/': 'modified', 'src': 'modified', 'scratch': 'untracked' }
+    };
+
+    test('finds the status of files and directories', () => {
+        expect(statusOf(git, { path: 'src/main.js', type: 'file' })).toBe('modified');
+        expect(statusOf(git, { path: 'src', type: 'directory' })).toBe('modified');
+        expect(statusOf(git, { path: '/', type: 'directory' })).toBe('modified');
+        expect(statusOf(git, { path: 'src/other.js', type: 'file' })).toBeUndefined();
+    });
+
+    test('gives entries inside untracked and ignored directories their status', () => {
+        expect(statusOf(git, { path: 'scratch/a/b.txt', type: 'file' })).toBe('untracked');
+        expect(statusOf(git, { path: 'build/out.js', type: 'file' })).toBe('ignored');
+    });
+
+    test('has no status outside a repository', () => {
+        expect(statusOf(null, { path: 'src/main.js', type: 'file' })).toBeUndefined();
+        expect(describeBranch(null)).toBe('');
+    });
+
+    test('marks statuses with short badges', () => {
+        expect(statusBadge('modified')).toBe('M');
+        expect(statusBadge(undefined)).toBe('');
+    });
+
+    test('describes the branch', () => {
+        expect(describeBranch(git)).toBe('main (up to date with origin/main)');
+        expect(describeBranch({ ...git, ahead: 2, behind: 1 })).toBe('main ↑2 ↓1');
+        expect(describeBranch({ ...git, branch: null, upstream: null })).toBe('detached HEAD');
+    });
+
+    test('describes the branch of every repository in a workspace', () => {
+        const roots = [
+            { name: 'app', branch: 'main', upstream: 'origin/main', ahead: 2, behind: 0 },
+            { name: 'docs', branch: 'gh-pages', upstream: null, ahead: 0, behind: 0 }
+        ];
+        expect(describeBranch({ ...git, roots })).toBe('app: main ↑2 · docs: gh-pages');
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { GitStatus, fileBlame, fileDiff, fileLog, mergeStatus, parseBlame, parseLog, parseStatus, runGit } from '../server/git.js';
+
+describe('Git status', () => {
+    describe('parseStatus', () => {
+        const hashes = '100644 100644 100644 1111111111111111111111111111111111111111 2222222222222222222222222222222222222222';
+        const output = [
+            '# branch.oid 3333333333333333333333333333333333333333',
+            '# branch.head main',
+            '# branch.upstream origin/main',
+            '# branch.ab +2 -1',
+            `1 .M N... ${hashes} src/main.js`,
+            `1 M. N... ${hashes} src/with space.js`,
+            `2 R. N... ${hashes} R100 docs/new.md`,
+            'docs/old.md',
+            'u UU N... 100644 100644 100644 100644 1111111 2222222 3333333 src/conflict.js',
+            '? scratch/',
+            '! build/',
+            ''
+        ].join('\0');
+
+        test('reads the branch and how far it is from its upstream', () => {
+            expect(parseStatus(output)).toMatchObject({ branch: 'main', upstream: 'origin/main', ahead: 2, behind: 1 });
+        });
+
+        test('maps entries to statuses', () => {
+            expect(parseStatus(output).files).toEqual({
+                'src/main.js': 'modified',
+                'src/with space.js': 'staged',
+                'docs/new.md': 'staged',
+                'src/conflict.js': 'conflicted',
+                'scratch': 'untracked',
+                'build': 'ignored'
+            });
+        });
+
+        test('sums up directories by their most important status, leaving out ignored entries', () => {
+            expect(parseStatus(output).directories).toEqual({
+                '/': 'conflicted',
+                'src': 'conflicted',
+                'docs': 'staged'
+            });
+        });
+
+        test('makes paths relative to a project inside the repository', () => {
+            const status = parseStatus(output, 'src/');
+
+            expect(Object.keys(status.files)).toEqual(['main.js', 'with space.js', 'conflict.js']);
+        });
+
+        test('reports a detached HEAD without a branch', () => {
+            expect(parseStatus('# branch.head (detached)\0').branch).toBeNull();
+        });
+    });
+
+    test('parseLog reads one commit per record', () => {
+        const output = ['abc\x1fAda\x1fada@example.com\x1f2024-01-02T03:04:05+00:00\x1fFix: a | b', ''].join('\0');
+
+        expect(parseLog(output)).toEqual([{
+            hash: 'abc',
+            author: 'Ada',
+            email: 'ada@example.com',
+            date: '2024-01-02T03:04:05+00:00',
+            subject: 'Fix: a | b'
+        }]);
+    });
+
+    test('parseBlame lists lines and describes each commit once', () => {
+        const hash = 'a'.repeat(40);
+        const output = [
+            `${hash} 1 1 2`,
+            'author Ada',
+            'author-mail <ada@example.com>',
+            'author-time 0',
+            'summary Initial',
+            'filename main.js',
+            '\tfirst',
+            `${hash} 2 2`,
+            '\t\tindented',
+            ''
+        ].join('\n');
+
+        expect(parseBlame(output)).toEqual({
+            commits: { [hash]: { author: 'Ada', email: 'ada@example.com', date: '1970-01-01T00:00:00.000Z', subject: 'Initial' } },
+            lines: [
+                { hash, line: 1, content: 'first' },
+                { hash, line: 2, content: '\tindented' }
+            ]
+        });
+    });
+
+    test('mergeStatus keeps the more important status', () => {
+        expect(mergeStatus(undefined, 'untracked')).toBe('untracked');
+        expect(mergeStatus('staged', 'modified')).toBe('modified');
+        expect(mergeStatus('conflicted', 'modified')).toBe('conflicted');
+    });
+
+    describe('GitStatus', () => {
+        /** @type {string} */
+        let root;
+
+        beforeEach(async () => {
+            root = await mkdtemp(join(tmpdir(), 'git-status-'));
+        });
+
+        afterEach(async () => {
+            await rm(root, { recursive: true, force: true });
+        });
+
+        test('is null outside a repository', async () => {
+            const status = new GitStatus(root);
+            await status.ready();
+
+            expect(status.snapshot()).toBeNull();
+        });
+
+        test('reads the status of a repository and reports changes', async () => {
+            await runGit(root, ['init', '-q', '-b', 'main']);
+            await mkdir(join(root, 'src'));
+            await writeFile(join(root, 'src', 'main.js'), 'main');
+            await runGit(root, ['add', '.']);
+            await runGit(root, ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'Initial']);
+
+            const status = new GitStatus(root);
+            await status.ready();
+            expect(status.snapshot()).toMatchObject({ branch: 'main', upstream: null, files: {} });
+            expect(await status.refresh()).toBe(false);
+
+            await writeFile(join(root, 'src', 'main.js'), 'changed');
+            await writeFile(join(root, 'notes.txt'), '');
+
+            expect(await status.refresh()).toBe(true);
+            expect(status.snapshot().files).toEqual({ 'src/main.js': 'modified', 'notes.txt': 'untracked' });
+        });
+
+        test('turns git failures into client errors', async () => {
+            await expect(fileLog(root, 'main.js', { limit: 10 })).rejects.toMatchObject({ status: 400 });
+        });
+    });
+
+    describe('File views', () => {
+        /** @type {string} */
+        let root;
+
+        /**
+         * Commits everything in the repository
+         * @param {string} message - Commit message
+         */
+        async function commit(message) {
+            await runGit(root, ['add', '.']);
+            await runGit(root, ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', message]);
+        }
+
+        beforeEach(async () => {
+            root = await mkdtemp(join(tmpdir(), 'git-views-'));
+            await runGit(root, ['init', '-q', '-b', 'main']);
+            await writeFile(join(root, 'main.js'), 'one\n');
+            await commit('First');
+            await writeFile(join(root, 'main.js'), 'one\ntwo\n');
+            await commit('Second');
+            await writeFile(join(root, 'main.js'), 'one\ntwo\nthree\n');
+        });
+
+        afterEach(async () => {
+            await rm(root, { recursive: true, force: true });
+        });
+
+        test('shows uncommitted changes, cut to the given length', async () => {
+            const { diff, truncated } = await fileDiff(root, 'main.js', 10000);
+            expect(diff).toContain('+three');
+            expect(truncated).toBe(false);
+
+            expect(await fileDiff(root, 'main.js', 10)).toMatchObject({ truncated: true });
+            expect((await fileDiff(root, 'main.js', 10)).diff).toHaveLength(10);
+        });
+
+        test('pages through the history, newest first', async () => {
+            const first = await fileLog(root, 'main.js', { limit: 1 });
+            expect(first.commits.map(c => c.subject)).toEqual(['Second']);
+            expect(first.hasMore).toBe(true);
+
+            const second = await fileLog(root, 'main.js', { offset: 1, limit: 1 });
+            expect(second.commits.map(c => c.subject)).toEqual(['First']);
+            expect(second.hasMore).toBe(false);
+        });
+
+        test('blames each line on the commit that last changed it', async () => {
+            const { commits, lines } = await fileBlame(root, 'main.js');
+
+            const uncommitted = '0'.repeat(40);
+            expect(lines.map(line => line.hash === uncommitted ? 'uncommitted' : commits[line.hash].subject)).toEqual([
+                'First', 'Second', 'uncommitted'
+            ]);
+            expect(lines[2]).toMatchObject({ line: 3, content: 'three' });
+        });
+    });
+});
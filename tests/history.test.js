@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, readFile, rm, stat, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { History, inverseOf } from '../server/history.js';
+import { runOperation } from '../server/file-ops.js';
+import { Trash } from '../server/trash.js';
+
+describe('Operation History', () => {
+    /** @type {string} */
+    let root;
+    /** @type {string} */
+    let trashDir;
+    /** @type {Trash} */
+    let trash;
+    /** @type {History} */
+    let history;
+
+    const exists = path => stat(join(root, path)).then(() => true, () => false);
+    const run = (operation, args) => runOperation(root, operation, args, { trash });
+    const perform = async (operation, args) => {
+        const result = await run(operation, args);
+        history.record(operation, args, result);
+        return result;
+    };
+
+    beforeEach(async () => {
+        root = await mkdtemp(join(tmpdir(), 'history-'));
+        await mkdir(join(root, 'src'));
+        await mkdir(join(root, 'docs'));
+        await writeFile(join(root, 'src', 'main.js'), 'main');
+        trashDir = await mkdtemp(join(tmpdir(), 'history-trash-'));
+        trash = new Trash(root, trashDir);
+        history = new History(10);
+    });
+
+    afterEach(async () => {
+        await rm(root, { recursive: true, force: true });
+        await rm(trashDir, { recursive: true, force: true });
+    });
+
+    test('computes inverse operations', () => {
+        expect(inverseOf('rename', { path: 'src/main.js', name: 'index.js' }, { path: 'src/index.js' }))
+            .toEqual({ operation: 'rename', args: { path: 'src/index.js', name: 'main.js' } });
+        expect(inverseOf('move', { path: 'src/main.js', destination: 'docs' }, { path: 'docs/main.js' }))
+            .toEqual({ operation: 'move', args: { path: 'docs/main.js', destination: 'src' } });
+        expect(inverseOf('delete', { path: 'src' }, { path: 'src', trashId: 'abc' }))
+            .toEqual({ operation: 'restore', args: { id: 'abc' } });
+        expect(inverseOf('chmod', {}, {})).toBeNull();
+    });
+
+    test('undoes operations in reverse order', async () => {
+        await perform('rename', { path: 'src/main.js', name: 'index.js' });
+        await perform('move', { path: 'src/index.js', destination: 'docs' });
+        await perform('delete', { path: 'docs/index.js' });
+        await perform('create', { path: 'notes.txt' });
+
+        for (let i = 0; i < 4; i++) await history.undo(run);
+
+        expect(await readFile(join(root, 'src', 'main.js'), 'utf8')).toBe('main');
+        expect(await exists('notes.txt')).toBe(false);
+        await expect(history.undo(run)).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('keeps only the most recent operations', async () => {
+        history = new History(1);
+        await perform('create', { path: 'a.txt' });
+        await perform('create', { path: 'b.txt' });
+
+        expect(history.list().map(entry => entry.path)).toEqual(['b.txt']);
+        const { undone } = await history.undo(run);
+        expect(undone.operation).toBe('create');
+        expect(await exists('a.txt')).toBe(true);
+        expect(await exists('b.txt')).toBe(false);
+    });
+
+    test('drops entries that can no longer be undone', async () => {
+        await perform('create', { path: 'a.txt' });
+        await perform('delete', { path: 'a.txt' });
+        await trash.purge();
+
+        await expect(history.undo(run)).rejects.toMatchObject({ status: 404 });
+        await expect(history.undo(run)).rejects.toMatchObject({ code: 'ENOENT' });
+        expect(history.list()).toEqual([]);
+    });
+});
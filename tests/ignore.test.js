@@ -0,0 +1,135 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { IgnoreRules, globToRegex, parseRules } from '../server/ignore.js';
+
+describe('Ignore rules', () => {
+    describe('globToRegex', () => {
+        test.each([
+            ['*.log', 'debug.log', true],
+            ['*.log', 'logs/debug.log', false],
+            ['file?.txt', 'file1.txt', true],
+            ['file?.txt', 'file10.txt', false],
+            ['[abc].js', 'b.js', true],
+            ['[!abc].js', 'b.js', false],
+            ['[!abc].js', 'd.js', true],
+            ['**/build', 'build', true],
+            ['**/build', 'a/b/build', true],
+            ['docs/**', 'docs/a/b.md', true],
+            ['a/**/b', 'a/b', true],
+            ['a/**/b', 'a/x/y/b', true],
+            ['a**b', 'a/b', false],
+            ['\\*.md', '*.md', true],
+            ['\\*.md', 'readme.md', false]
+        ])('%s against %s', (glob, path, expected) => {
+            expect(globToRegex(glob).test(path)).toBe(expected);
+        });
+    });
+
+    describe('parseRules', () => {
+        test('skips comments and blank lines and reads the rule flags', () => {
+            const rules = parseRules('# comment\n\n!keep.log\nbuild/\n/dist\nsrc/*.tmp\n', 'sub');
+
+            expect(rules.map(({ negate, dirOnly, anchored, base }) => ({ negate, dirOnly, anchored, base }))).toEqual([
+                { negate: true, dirOnly: false, anchored: false, base: 'sub' },
+                { negate: false, dirOnly: true, anchored: false, base: 'sub' },
+                { negate: false, dirOnly: false, anchored: true, base: 'sub' },
+                { negate: false, dirOnly: false, anchored: true, base: 'sub' }
+            ]);
+        });
+
+        test('handles escaped leading characters and trailing spaces', () => {
+            const [hash, bang, spaced] = parseRules('\\#notes\n\\!important\nname\\ \nplain   \n');
+
+            expect(hash.regex.test('#notes')).toBe(true);
+            expect(bang.negate).toBe(false);
+            expect(bang.regex.test('!important')).toBe(true);
+            expect(spaced.regex.test('name ')).toBe(true);
+            expect(parseRules('plain   ')[0].regex.test('plain')).toBe(true);
+        });
+    });
+
+    describe('IgnoreRules', () => {
+        /** @type {string} */
+        let root;
+        /** @type {IgnoreRules} */
+        let ignore;
+
+        beforeEach(async () => {
+            root = await mkdtemp(join(tmpdir(), 'ignore-'));
+            await mkdir(join(root, 'sub'));
+            ignore = new IgnoreRules(root);
+        });
+
+        afterEach(async () => {
+            await rm(root, { recursive: true, force: true });
+        });
+
+        test('ignores node_modules by default', async () => {
+            await ignore.load();
+
+            expect(ignore.status('node_modules', true)).toBe('ignored');
+            expect(ignore.status('sub/node_modules/pkg/index.js', false)).toBe('ignored');
+            expect(ignore.status('node_modules', false)).toBeNull();
+        });
+
+        test('excludes .git but not similar names', async () => {
+            await ignore.load();
+
+            expect(ignore.status('.git', true)).toBe('excluded');
+            expect(ignore.status('sub/.git/HEAD', false)).toBe('excluded');
+            expect(ignore.status('.github', true)).toBeNull();
+        });
+
+        test('lets deeper .gitignore files override shallower ones', async () => {
+            await writeFile(join(root, '.gitignore'), '*.log\n');
+            await writeFile(join(root, 'sub', '.gitignore'), '!keep.log\n');
+            await ignore.load();
+            await ignore.loadDirectory('sub');
+
+            expect(ignore.status('debug.log', false)).toBe('ignored');
+            expect(ignore.status('sub/debug.log', false)).toBe('ignored');
+            expect(ignore.status('keep.log', false)).toBe('ignored');
+            expect(ignore.status('sub/keep.log', false)).toBeNull();
+        });
+
+        test('anchors patterns with a slash to the directory of their file', async () => {
+            await writeFile(join(root, 'sub', '.gitignore'), '/out\n');
+            await ignore.load();
+            await ignore.loadDirectory('sub');
+
+            expect(ignore.status('sub/out', true)).toBe('ignored');
+            expect(ignore.status('out', true)).toBeNull();
+            expect(ignore.status('sub/deeper/out', true)).toBeNull();
+        });
+
+        test('applies the project ignore file last', async () => {
+            await writeFile(join(root, '.gitignore'), 'secrets.txt\n');
+            await writeFile(join(root, '.wfmignore'), '!secrets.txt\n!node_modules/\n*.bak\n');
+            await ignore.load();
+
+            expect(ignore.status('secrets.txt', false)).toBeNull();
+            expect(ignore.status('node_modules', true)).toBeNull();
+            expect(ignore.status('sub/old.bak', false)).toBe('ignored');
+        });
+
+        test('cannot re-include entries inside an ignored directory', async () => {
+            await writeFile(join(root, '.gitignore'), 'build/\n!build/keep.txt\n');
+            await ignore.load();
+
+            expect(ignore.status('build', true)).toBe('ignored');
+            expect(ignore.status('build/keep.txt', false)).toBe('ignored');
+        });
+
+        test('recognises rule files', () => {
+            expect(ignore.isRuleFile('.gitignore')).toBe(true);
+            expect(ignore.isRuleFile('sub/.gitignore')).toBe(true);
+            expect(ignore.isRuleFile('.wfmignore')).toBe(true);
+            expect(ignore.isRuleFile('sub/.wfmignore')).toBe(false);
+            expect(ignore.isRuleFile('my.gitignore')).toBe(false);
+        });
+    });
+});
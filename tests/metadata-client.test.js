@@ -0,0 +1,77 @@
+import { compareBy, extensionOf, formatMode, formatRelativeTime, metadataRows, sortTree } from '../src/metadata.js';
+
+describe('Metadata client', () => {
+    test('formats permission bits like ls', () => {
+        expect(formatMode(0o755, 'directory')).toBe('drwxr-xr-x');
+        expect(formatMode(0o644)).toBe('-rw-r--r--');
+        expect(formatMode(0o4755)).toBe('-rwsr-xr-x');
+        expect(formatMode(0o1777, 'directory')).toBe('drwxrwxrwt');
+        expect(formatMode(0o2644)).toBe('-rw-r-Sr--');
+        expect(formatMode(0o777, 'symlink')).toBe('lrwxrwxrwx');
+    });
+
+    test('describes times relative to now', () => {
+        const now = Date.UTC(2024, 0, 10);
+
+        expect(formatRelativeTime(now - 3 * 60 * 60 * 1000, now)).toBe('3 hours ago');
+        expect(formatRelativeTime(now - 24 * 60 * 60 * 1000, now)).toBe('yesterday');
+        expect(formatRelativeTime(now, now)).toBe('now');
+    });
+
+    test('sorts by a field, largest first for sizes, missing values last', () => {
+        const tree = {
+            name: 'root',
+            children: [
+                { name: 'b', size: 1 },
+                { name: 'a', size: null },
+                { name: 'c', size: 5, children: [{ name: 'y' }, { name: 'x' }] }
+            ]
+        };
+
+        sortTree(tree, compareBy('size'));
+        expect(tree.children.map(child => child.name)).toEqual(['c', 'b', 'a']);
+        expect(tree.children[0].children.map(child => child.name)).toEqual(['x', 'y']);
+
+        sortTree(tree, compareBy('name'));
+        expect(tree.children.map(child => child.name)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('sorts names naturally and by extension', () => {
+        const names = nodes => nodes.map(node => node.name);
+        const nodes = ['file10.txt', 'File2.md', 'file1.txt', '.env', 'README'].map(name => ({ name }));
+
+        expect(names([...nodes].sort(compareBy('name')))).toEqual(['.env', 'file1.txt', 'File2.md', 'file10.txt', 'README']);
+        expect(names([...nodes].sort(compareBy('extension')))).toEqual(['.env', 'README', 'File2.md', 'file1.txt', 'file10.txt']);
+        expect(extensionOf({ name: 'archive.TAR.GZ' })).toBe('.gz');
+        expect(extensionOf({ name: '.gitignore' })).toBe('');
+    });
+
+    test('lists the metadata a node has for the info panel', () => {
+        const now = Date.UTC(2024, 0, 10);
+        const rows = metadataRows({
+            type: 'file',
+            link: '../target',
+            mtime: now - 60 * 1000,
+            ctime: now - 60 * 1000,
+            birthtime: null,
+            mode: 0o644,
+            owner: 'alice',
+            group: 'staff',
+            ino: 7,
+            nlink: 1
+        }, now);
+
+        expect(rows.map(({ label, value }) => `${label}: ${value}`)).toEqual([
+            'Link to: ../target',
+            'Modified: 1 minute ago',
+            'Changed: 1 minute ago',
+            'Permissions: -rw-r--r--',
+            'Owner: alice:staff',
+            'Inode: 7',
+            'Links: 1'
+        ]);
+        expect(rows[3].title).toBe('0644');
+        expect(metadataRows({ type: 'directory' })).toEqual([]);
+        expect(metadataRows({ type: 'symlink', link: 'gone', target: null })[0].value).toBe('gone (broken)');
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * @jest-environment node
+ */
+import { parseIdNames, statMetadata } from '../server/metadata.js';
+
+describe('Metadata', () => {
+    test('parseIdNames reads passwd and group entries, skipping comments and malformed lines', () => {
+        const names = parseIdNames('# users\nroot:x:0:0:root:/root:/bin/sh\nalice:x:1000:1000::/home/alice:/bin/sh\nbroken\nalias:x:1000:1000::/:/bin/sh\n');
+
+        expect(names).toEqual(new Map([[0, 'root'], [1000, 'alice']]));
+    });
+
+    test('statMetadata picks times, permission bits, owners and link counts', () => {
+        const stats = {
+            mtimeMs: 1000.4,
+            ctimeMs: 2000.6,
+            birthtimeMs: 0,
+            mode: 0o100755,
+            uid: 1000,
+            gid: 50,
+            ino: 42,
+            nlink: 2
+        };
+        const names = { users: new Map([[1000, 'alice']]), groups: new Map() };
+
+        expect(statMetadata(stats, names)).toEqual({
+            mtime: 1000,
+            ctime: 2001,
+            birthtime: null,
+            mode: 0o755,
+            owner: 'alice',
+            group: '50',
+            ino: 42,
+            nlink: 2
+        });
+        expect(statMetadata(stats).owner).toBe('1000');
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, realpath, rm, symlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { isWithin, resolveAllowed, resolveInside, resolveReal } from '../server/paths.js';
+
+describe('Path Sandboxing', () => {
+    /** @type {string} */
+    let base;
+    /** @type {string} */
+    let root;
+    /** @type {string} */
+    let outside;
+
+    beforeEach(async () => {
+        base = await realpath(await mkdtemp(join(tmpdir(), 'paths-')));
+        root = join(base, 'project');
+        outside = join(base, 'secret');
+        await mkdir(join(root, 'src'), { recursive: true });
+        await mkdir(outside);
+        await writeFile(join(root, 'src', 'main.js'), 'main');
+        await writeFile(join(outside, 'passwords.txt'), 'hunter2');
+    });
+
+    afterEach(async () => {
+        await rm(base, { recursive: true, force: true });
+    });
+
+    test('compares paths by segment', () => {
+        expect(isWithin('/a/b', '/a/b')).toBe(true);
+        expect(isWithin('/a/b', '/a/b/c')).toBe(true);
+        expect(isWithin('/a/b', '/a/bc')).toBe(false);
+        expect(isWithin('/a/b', '/a')).toBe(false);
+    });
+
+    test('resolves tree paths inside the root', () => {
+        expect(resolveInside(root, 'src/main.js')).toBe(join(root, 'src', 'main.js'));
+        expect(resolveInside(root, '/src/../src/main.js')).toBe(join(root, 'src', 'main.js'));
+        expect(resolveInside(root, '/')).toBe(root);
+        expect(resolveInside(root)).toBe(root);
+    });
+
+    test.each([
+        '../secret/passwords.txt',
+        '%2e%2e%2fsecret%2fpasswords.txt',
+        '%2E%2E/%2E%2E/etc/passwd',
+        'src%2f..%2f..%2fsecret'
+    ])('rejects encoded traversal %s', (encoded) => {
+        // Express decodes query strings once before handlers see them
+        expect(() => resolveInside(root, decodeURIComponent(encoded)))
+            .toThrow(expect.objectContaining({ status: 403 }));
+    });
+
+    test('treats double-encoded traversal as a literal name', () => {
+        const path = decodeURIComponent('%252e%252e%252fsecret');
+
+        expect(resolveInside(root, path)).toBe(join(root, '%2e%2e%2fsecret'));
+    });
+
+    test('rejects null bytes', async () => {
+        expect(() => resolveInside(root, 'src/main.js\0.png')).toThrow(expect.objectContaining({ status: 403 }));
+        await expect(resolveReal(root, '\0')).rejects.toMatchObject({ status: 403 });
+        await expect(resolveAllowed([root], `${root}\0`)).rejects.toMatchObject({ status: 403 });
+    });
+
+    test('rejects symlink escapes', async () => {
+        await symlink(outside, join(root, 'link'));
+        await symlink(join(outside, 'passwords.txt'), join(root, 'src', 'file-link'));
+
+        await expect(resolveReal(root, 'link/passwords.txt')).rejects.toMatchObject({ status: 403 });
+        await expect(resolveReal(root, 'src/file-link')).rejects.toMatchObject({ status: 403 });
+        // Entries that do not exist yet are checked through their parents
+        await expect(resolveReal(root, 'link/new/file.txt')).rejects.toMatchObject({ status: 403 });
+    });
+
+    test('allows operations on a link itself', async () => {
+        await symlink(outside, join(root, 'link'));
+
+        await expect(resolveReal(root, 'link', { entry: true })).resolves.toBe(join(root, 'link'));
+        await expect(resolveReal(root, 'link/passwords.txt', { entry: true })).rejects.toMatchObject({ status: 403 });
+    });
+
+    test('allows links that stay inside the root', async () => {
+        await symlink(join(root, 'src'), join(root, 'source'));
+
+        await expect(resolveReal(root, 'source/main.js')).resolves.toBe(join(root, 'source', 'main.js'));
+        await expect(resolveReal(root, 'src/new.js')).resolves.toBe(join(root, 'src', 'new.js'));
+    });
+
+    test('limits absolute paths to the allowed roots', async () => {
+        await symlink(outside, join(root, 'link'));
+
+        await expect(resolveAllowed([root], join(root, 'src'))).resolves.toEqual({ path: join(root, 'src'), root });
+        await expect(resolveAllowed([root], outside)).rejects.toMatchObject({ status: 403 });
+        await expect(resolveAllowed([root], `${root}/../secret`)).rejects.toMatchObject({ status: 403 });
+        await expect(resolveAllowed([root], join(root, 'link'))).rejects.toMatchObject({ status: 403 });
+        await expect(resolveAllowed([root, outside], outside)).resolves.toEqual({ path: outside, root: outside });
+    });
+});
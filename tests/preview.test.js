@@ -0,0 +1,22 @@
+import { countLines, hexDump } from '../src/preview.js';
+
+describe('File Preview', () => {
+    test('formats a hex dump with offsets and printable characters', () => {
+        const bytes = new Uint8Array([...Buffer.from('Hello, world!\n'), 0x00, 0xff, 0x41]);
+
+        expect(hexDump(bytes).split('\n')).toEqual([
+            '00000000  48 65 6c 6c 6f 2c 20 77 6f 72 6c 64 21 0a 00 ff  Hello, world!...',
+            '00000010  41                                               A'
+        ]);
+    });
+
+    test('returns an empty dump for no bytes', () => {
+        expect(hexDump(new Uint8Array(0))).toBe('');
+    });
+
+    test('counts lines, including a last line without a newline', () => {
+        expect(countLines('')).toBe(1);
+        expect(countLines('one\ntwo')).toBe(2);
+        expect(countLines('one\ntwo\n')).toBe(3);
+    });
+});
@@ -0,0 +1,47 @@
+import { showRecentProjects } from '../src/recent-projects.js';
+
+describe('Recent projects client', () => {
+    const now = Date.UTC(2024, 0, 10);
+    const projects = [
+        { path: '/work/site', name: 'Website', custom: true, openedAt: now - 60 * 60 * 1000, pinned: true, exists: true },
+        { path: '/work/old', name: 'old', custom: false, openedAt: now - 1000, pinned: false, exists: false }
+    ];
+
+    test('shows names, paths and when projects were opened', () => {
+        const list = document.createElement('ul');
+        showRecentProjects(list, projects, {}, now);
+
+        const items = list.querySelectorAll('.recent-project');
+        expect([...items].map(item => item.querySelector('.recent-name').textContent)).toEqual(['Website', 'old']);
+        expect(items[0].querySelector('.recent-detail').textContent).toBe('/work/site · opened 1 hour ago');
+        expect(items[0].classList.contains('pinned')).toBe(true);
+        expect(items[1].querySelector('.recent-detail').textContent).toBe('/work/old · missing');
+        expect(items[1].classList.contains('missing')).toBe(true);
+    });
+
+    test('opens existing projects and runs actions without opening', () => {
+        const list = document.createElement('ul');
+        const actions = { onOpen: jest.fn(), onPin: jest.fn(), onRename: jest.fn(), onRemove: jest.fn() };
+        showRecentProjects(list, projects, actions, now);
+
+        const [site, old] = list.querySelectorAll('.recent-project');
+        site.click();
+        old.click();
+        expect(actions.onOpen).toHaveBeenCalledTimes(1);
+        expect(actions.onOpen).toHaveBeenCalledWith(projects[0]);
+
+        const buttons = site.querySelectorAll('.recent-action');
+        expect([...buttons].map(button => button.textContent)).toEqual(['Unpin', 'Rename', 'Remove']);
+        buttons[0].click();
+        old.querySelectorAll('.recent-action')[2].click();
+        expect(actions.onPin).toHaveBeenCalledWith(projects[0]);
+        expect(actions.onRemove).toHaveBeenCalledWith(projects[1]);
+        expect(actions.onOpen).toHaveBeenCalledTimes(1);
+    });
+
+    test('says when there are no recent projects', () => {
+        const list = document.createElement('ul');
+        showRecentProjects(list, [], {});
+        expect(list.textContent).toBe('No recent projects');
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RecentProjects } from '../server/recent-projects.js';
+
+describe('Recent projects', () => {
+    /** @type {string} */
+    let dir;
+    /** @type {string} */
+    let file;
+
+    const paths = projects => projects.map(project => project.path);
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'recent-projects-'));
+        file = join(dir, 'config', 'web-fs-manager', 'recent-projects.json');
+        await mkdir(join(dir, 'a'));
+        await mkdir(join(dir, 'b'));
+        await mkdir(join(dir, 'c'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('survives a restart, most recently opened first', async () => {
+        const recent = await new RecentProjects(file).load();
+        recent.opened(join(dir, 'a'), 1000);
+        recent.opened(join(dir, 'b'), 2000);
+        recent.opened(join(dir, 'a'), 3000);
+        await recent.save();
+
+        const loaded = await new RecentProjects(file).load();
+        expect(await loaded.list()).toEqual([
+            { path: join(dir, 'a'), name: 'a', custom: false, openedAt: 3000, pinned: false, exists: true },
+            { path: join(dir, 'b'), name: 'b', custom: false, openedAt: 2000, pinned: false, exists: true }
+        ]);
+    });
+
+    test('starts empty without a file and drops malformed entries', async () => {
+        expect(await (await new RecentProjects(file).load()).list()).toEqual([]);
+
+        await mkdir(join(dir, 'config'));
+        const other = join(dir, 'config', 'other.json');
+        await writeFile(other, JSON.stringify([{ path: join(dir, 'a'), openedAt: 1 }, { path: 5 }, 'b', null]));
+        expect(paths(await (await new RecentProjects(other).load()).list())).toEqual([join(dir, 'a')]);
+    });
+
+    test('keeps pinned projects first and beyond the limit', async () => {
+        const recent = new RecentProjects(file, { limit: 1 });
+        recent.opened(join(dir, 'a'), 1000);
+        recent.pin(join(dir, 'a'), true);
+        recent.opened(join(dir, 'b'), 2000);
+        recent.opened(join(dir, 'c'), 3000);
+
+        expect(paths(await recent.list())).toEqual([join(dir, 'a'), join(dir, 'c')]);
+
+        recent.pin(join(dir, 'a'), false);
+        expect((await recent.list()).map(project => project.pinned)).toEqual([false, false]);
+    });
+
+    test('renames and removes projects', async () => {
+        const recent = new RecentProjects(file);
+        recent.opened(join(dir, 'a'), 1000);
+        recent.opened(join(dir, 'b'), 2000);
+
+        recent.rename(join(dir, 'a'), '  Website ');
+        expect((await recent.list())[1]).toMatchObject({ name: 'Website', custom: true });
+        recent.rename(join(dir, 'a'), '');
+        expect((await recent.list())[1]).toMatchObject({ name: 'a', custom: false });
+        expect(() => recent.rename(join(dir, 'a'), 'x'.repeat(101))).toThrow(expect.objectContaining({ status: 400 }));
+
+        recent.remove(join(dir, 'b'));
+        expect(paths(await recent.list())).toEqual([join(dir, 'a')]);
+        expect(() => recent.remove(join(dir, 'b'))).toThrow(expect.objectContaining({ status: 404 }));
+    });
+
+    test('marks projects whose directory is gone and filters disallowed ones', async () => {
+        const recent = new RecentProjects(file);
+        recent.opened(join(dir, 'a'), 1000);
+        recent.opened(join(dir, 'b'), 2000);
+        await rm(join(dir, 'b'), { recursive: true });
+
+        expect((await recent.list()).map(project => project.exists)).toEqual([false, true]);
+        expect(paths(await recent.list(path => path.endsWith('a')))).toEqual([join(dir, 'a')]);
+    });
+
+    test('writes the file as JSON', async () => {
+        const recent = new RecentProjects(file);
+        recent.opened(join(dir, 'a'), 1000);
+        await recent.save();
+
+        expect(JSON.parse(await readFile(file, 'utf8'))).toEqual([{ path: join(dir, 'a'), openedAt: 1000 }]);
+    });
+});
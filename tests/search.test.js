@@ -0,0 +1,88 @@
+import { fuzzyMatch, globToRegExp, searchTree } from '../src/search.js';
+
+describe('Search', () => {
+    const tree = {
+        name: 'project',
+        path: '/',
+        type: 'directory',
+        children: [
+            {
+                name: 'src',
+                path: 'src',
+                type: 'directory',
+                children: [
+                    { name: 'tree-cache.js', path: 'src/tree-cache.js', type: 'file' },
+                    { name: 'treeView.js', path: 'src/treeView.js', type: 'file' },
+                    { name: 'main.js', path: 'src/main.js', type: 'file' }
+                ]
+            },
+            {
+                name: 'node_modules',
+                path: 'node_modules',
+                type: 'directory',
+                ignored: true,
+                children: [{ name: 'tree.js', path: 'node_modules/tree.js', type: 'file' }]
+            },
+            { name: 'tree.md', path: 'tree.md', type: 'file' }
+        ]
+    };
+
+    describe('fuzzyMatch', () => {
+        test('matches characters in order, ignoring case', () => {
+            expect(fuzzyMatch('tc', 'tree-cache.js').indices).toEqual([0, 5]);
+            expect(fuzzyMatch('TCJ', 'tree-cache.js')).not.toBeNull();
+            expect(fuzzyMatch('ct', 'cache')).toBeNull();
+        });
+
+        test('prefers substrings, word starts and exact names', () => {
+            expect(fuzzyMatch('cache', 'tree-cache.js').score).toBeGreaterThan(fuzzyMatch('cache', 'c-a-c-h-e').score);
+            expect(fuzzyMatch('tv', 'treeView.js').score).toBeGreaterThan(fuzzyMatch('tv', 'tarvel.js').score);
+            expect(fuzzyMatch('main', 'main').score).toBeGreaterThan(fuzzyMatch('main', 'main.js').score);
+        });
+    });
+
+    describe('globToRegExp', () => {
+        test.each([
+            ['*.js', 'main.js', true],
+            ['*.js', 'src/main.js', false],
+            ['src/**/*.js', 'src/main.js', true],
+            ['src/**/*.js', 'src/a/b/main.js', true],
+            ['**', 'a/b', true],
+            ['?ain.js', 'main.js', true],
+            ['[!m]ain.js', 'main.js', false],
+            ['*.JS', 'main.js', true]
+        ])('%s against %s', (glob, path, expected) => {
+            expect(globToRegExp(glob).test(path)).toBe(expected);
+        });
+    });
+
+    describe('searchTree', () => {
+        test('ranks fuzzy matches, best first', () => {
+            const paths = searchTree(tree, 'tree').map(result => result.data.path);
+
+            expect(paths.slice(0, 2)).toEqual(['tree.md', 'node_modules/tree.js']);
+            expect(paths).toContain('src/tree-cache.js');
+            expect(paths).not.toContain('src/main.js');
+        });
+
+        test('matches globs against names, or paths when they contain a slash', () => {
+            expect(searchTree(tree, '*.md', 'glob').map(result => result.data.path)).toEqual(['tree.md']);
+            expect(searchTree(tree, 'src/*.js', 'glob')).toHaveLength(3);
+        });
+
+        test('matches regular expressions against paths', () => {
+            expect(searchTree(tree, '^src/.*view', 'regex').map(result => result.data.path)).toEqual(['src/treeView.js']);
+            expect(() => searchTree(tree, '(', 'regex')).toThrow(SyntaxError);
+        });
+
+        test('skips nodes that are not visible, with everything below them', () => {
+            const paths = searchTree(tree, 'tree', 'fuzzy', data => !data.ignored).map(result => result.data.path);
+
+            expect(paths).not.toContain('node_modules/tree.js');
+        });
+
+        test('returns nothing for an empty query', () => {
+            expect(searchTree(tree, '')).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+import { parseCookies, sessionCookie, SessionStore, SESSION_COOKIE } from '../server/sessions.js';
+
+describe('Sessions', () => {
+    const alice = { username: 'alice', role: 'read-write' };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('parses cookie headers', () => {
+        expect(parseCookies('a=1; wfm_session=abc%3D; broken; b=%E0')).toEqual({ a: '1', wfm_session: 'abc=' });
+        expect(parseCookies(undefined)).toEqual({});
+    });
+
+    test('finds sessions by cookie', () => {
+        const sessions = new SessionStore();
+        const session = sessions.create(alice);
+
+        expect(sessions.fromRequest({ headers: { cookie: `${SESSION_COOKIE}=${session.id}` } })).toBe(session);
+        expect(sessions.fromRequest({ headers: { cookie: `${SESSION_COOKIE}=guess` } })).toBeNull();
+        expect(sessions.fromRequest({ headers: {} })).toBeNull();
+    });
+
+    test('expires sessions after their lifetime', () => {
+        const sessions = new SessionStore(1000);
+        const session = sessions.create(alice);
+        const now = Date.now();
+
+        jest.spyOn(Date, 'now').mockReturnValue(now + 999);
+        expect(sessions.get(session.id)).toBe(session);
+
+        Date.now.mockReturnValue(now + 1000);
+        expect(sessions.get(session.id)).toBeNull();
+        expect(sessions.sessions.size).toBe(0);
+    });
+
+    test('ends sessions on logout', () => {
+        const sessions = new SessionStore();
+        const session = sessions.create(alice);
+
+        sessions.destroy(session.id);
+        expect(sessions.get(session.id)).toBeNull();
+    });
+
+    test('builds HttpOnly cookies', () => {
+        const session = new SessionStore(60 * 1000).create(alice);
+
+        expect(sessionCookie(session)).toMatch(new RegExp(`^${SESSION_COOKIE}=${session.id}; .*HttpOnly; SameSite=Strict; Max-Age=(59|60)$`));
+        expect(sessionCookie(null)).toBe(`${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+    });
+});
@@ -0,0 +1,76 @@
+import { describeDiff, describeSnapshot, diffMarks, fillSnapshotSelect, showSnapshotDiff, showSnapshotList } from '../src/snapshots.js';
+
+describe('Snapshots client', () => {
+    const now = Date.UTC(2024, 0, 10);
+    const formatSize = bytes => `${bytes} B`;
+    const snapshots = [
+        { id: 'b', name: 'After build', createdAt: now - 60 * 1000, hashes: true, includeIgnored: true, files: 3, directories: 1, size: 30 },
+        { id: 'a', name: 'Before build', createdAt: now - 2 * 60 * 60 * 1000, hashes: false, includeIgnored: false, files: 2, directories: 1, size: 20 }
+    ];
+    const diff = {
+        added: [{ path: 'dist/chunk.js', type: 'file', size: 5 }],
+        removed: [{ path: 'old', type: 'directory' }],
+        changed: [
+            { path: 'dist/bundle.js', type: 'file', fields: ['size', 'mtime'], before: { size: 6 }, after: { size: 7 } },
+            { path: 'app.js', type: 'file', fields: ['hash'], before: { size: 3 }, after: { size: 3 } }
+        ]
+    };
+
+    test('marks differences by kind', () => {
+        const marks = diffMarks(diff);
+        expect([...marks.get('snapshot-added')]).toEqual(['dist/chunk.js']);
+        expect([...marks.get('snapshot-removed')]).toEqual(['old']);
+        expect([...marks.get('snapshot-changed')]).toEqual(['dist/bundle.js', 'app.js']);
+        expect([...diffMarks(null).values()].every(paths => paths.size === 0)).toBe(true);
+    });
+
+    test('summarizes comparisons and snapshots', () => {
+        expect(describeDiff(diff)).toBe('1 added, 1 removed, 2 changed');
+        expect(describeDiff({ added: [], removed: [], changed: [] })).toBe('No differences');
+        expect(describeSnapshot(snapshots[0], formatSize, now)).toBe('3 files, 30 B · hashed · with ignored · 1 minute ago');
+        expect(describeSnapshot(snapshots[1], formatSize, now)).toBe('2 files, 20 B · 2 hours ago');
+    });
+
+    test('fills selects and keeps the choice', () => {
+        const select = document.createElement('select');
+        fillSnapshotSelect(select, snapshots, { value: 'live', label: 'Live tree' });
+        expect([...select.options].map(option => option.textContent)).toEqual(['Live tree', 'After build', 'Before build']);
+
+        select.value = 'a';
+        fillSnapshotSelect(select, snapshots.slice(1));
+        expect(select.value).toBe('a');
+    });
+
+    test('lists snapshots with a delete button', () => {
+        const list = document.createElement('ul');
+        const onRemove = jest.fn();
+        showSnapshotList(list, snapshots, { formatSize, onRemove, now });
+
+        const items = list.querySelectorAll('.snapshot-item');
+        expect(items[1].querySelector('.trash-name').textContent).toBe('Before build');
+        items[1].querySelector('button').click();
+        expect(onRemove).toHaveBeenCalledWith(snapshots[1]);
+
+        showSnapshotList(list, [], { formatSize, onRemove, now });
+        expect(list.textContent).toBe('No snapshots yet');
+    });
+
+    test('lists differences and selects the entries that still exist', () => {
+        const list = document.createElement('ul');
+        const onSelect = jest.fn();
+        showSnapshotDiff(list, diff, { formatSize, onSelect });
+
+        const rows = [...list.querySelectorAll('.snapshot-diff')];
+        expect(rows.map(row => row.textContent)).toEqual([
+            'Addeddist/chunk.js5 B',
+            'Removedold/',
+            'Changeddist/bundle.js6 B → 7 B',
+            'Changedapp.jscontents'
+        ]);
+
+        rows[1].click();
+        rows[0].click();
+        expect(onSelect).toHaveBeenCalledTimes(1);
+        expect(onSelect).toHaveBeenCalledWith(diff.added[0]);
+    });
+});
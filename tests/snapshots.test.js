@@ -0,0 +1,134 @@
+/**
+ * @jest-environment node
+ */
+import { createHash } from 'crypto';
+import { mkdtemp, mkdir, rm, utimes, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { IgnoreRules } from '../server/ignore.js';
+import { captureEntries, compareSnapshots, LIVE_ID, SnapshotStore } from '../server/snapshots.js';
+
+describe('Snapshots', () => {
+    /** @type {string} */
+    let dir;
+    /** @type {string} */
+    let root;
+    /** @type {IgnoreRules} */
+    let ignore;
+    /** @type {SnapshotStore} */
+    let store;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'snapshots-'));
+        root = join(dir, 'project');
+        await mkdir(join(root, 'src'), { recursive: true });
+        await mkdir(join(root, 'dist'));
+        await mkdir(join(root, '.git'));
+        await writeFile(join(root, '.gitignore'), 'dist/\n');
+        await writeFile(join(root, 'src', 'app.js'), 'app');
+        await writeFile(join(root, 'dist', 'bundle.js'), 'bundle');
+        await writeFile(join(root, '.git', 'HEAD'), 'ref');
+        ignore = new IgnoreRules(root);
+        await ignore.load();
+        store = new SnapshotStore(join(dir, 'snapshots'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('captures files and directories, ignored ones only when asked', async () => {
+        const entries = await captureEntries(root, { ignore, hashes: true });
+        expect(Object.keys(entries)).toEqual(['.gitignore', 'src', 'src/app.js']);
+        expect(entries['src']).toEqual({ type: 'directory' });
+        expect(entries['src/app.js']).toEqual({
+            type: 'file',
+            size: 3,
+            mtime: expect.any(Number),
+            hash: createHash('sha1').update('app').digest('hex')
+        });
+
+        const all = await captureEntries(root, { ignore, includeIgnored: true });
+        expect(Object.keys(all)).toEqual(['.gitignore', 'dist', 'dist/bundle.js', 'src', 'src/app.js']);
+        expect(all['src/app.js'].hash).toBeUndefined();
+    });
+
+    test('captures the folders of a workspace below their names', async () => {
+        const entries = await captureEntries([
+            { path: root, ignore, prefix: 'project/' },
+            { path: join(root, 'dist'), prefix: 'dist/' }
+        ], {});
+        expect(Object.keys(entries)).toEqual([
+            'project', 'project/.gitignore', 'project/src', 'project/src/app.js', 'dist', 'dist/bundle.js'
+        ]);
+        expect(entries['project']).toEqual({ type: 'directory' });
+    });
+
+    test('compares sizes, hashes and times', () => {
+        const file = (size, mtime, hash) => ({ type: 'file', size, mtime, hash });
+        const diff = compareSnapshots({
+            'a.txt': file(1, 10),
+            'b.txt': file(2, 10, 'x'),
+            'c.txt': file(2, 10, 'x'),
+            'd.txt': file(2, 10),
+            gone: { type: 'directory' },
+            swapped: file(1, 10)
+        }, {
+            'a.txt': file(1, 20),
+            'b.txt': file(2, 20, 'x'),
+            'c.txt': file(3, 20, 'y'),
+            'd.txt': file(2, 10),
+            'new.txt': file(4, 30),
+            swapped: { type: 'directory' }
+        });
+
+        expect(diff.added).toEqual([{ path: 'new.txt', ...file(4, 30) }]);
+        expect(diff.removed).toEqual([{ path: 'gone', type: 'directory' }]);
+        expect(diff.changed.map(({ path, fields }) => [path, fields])).toEqual([
+            ['a.txt', ['mtime']],
+            ['c.txt', ['size', 'hash', 'mtime']],
+            ['swapped', ['type']]
+        ]);
+    });
+
+    test('stores, lists and deletes snapshots', async () => {
+        const first = await store.create(root, { name: ' before build ', ignore });
+        const second = await store.create(root, { ignore, hashes: true, includeIgnored: true });
+
+        expect(first).toMatchObject({ name: 'before build', hashes: false, includeIgnored: false, files: 2, directories: 1, size: 9 });
+        expect(second.name).toMatch(/^Snapshot of \d{4}-/);
+        expect((await store.list()).map(snapshot => snapshot.id)).toEqual([second.id, first.id]);
+        expect((await store.get(first.id)).entries['src/app.js'].size).toBe(3);
+
+        await store.remove(first.id);
+        expect((await store.list()).map(snapshot => snapshot.id)).toEqual([second.id]);
+        await expect(store.get(first.id)).rejects.toMatchObject({ status: 404 });
+        await expect(store.remove(first.id)).rejects.toMatchObject({ status: 404 });
+        await expect(store.get('../etc')).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('rejects names that are too long', async () => {
+        await expect(store.create(root, { name: 'x'.repeat(101), ignore })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('compares a snapshot with the live tree, captured the same way', async () => {
+        const snapshot = await store.create(root, { ignore, hashes: true, includeIgnored: true });
+        await writeFile(join(root, 'dist', 'bundle.js'), 'rebuilt');
+        await writeFile(join(root, 'dist', 'chunk.js'), 'chunk');
+        await rm(join(root, 'src', 'app.js'));
+        // Same contents, new time: not a change when hashed
+        await utimes(join(root, '.gitignore'), new Date(2001, 0, 1), new Date(2001, 0, 1));
+
+        const diff = await store.compare(snapshot.id, LIVE_ID, { root, ignore });
+        expect(diff.from.id).toBe(snapshot.id);
+        expect(diff.to).toMatchObject({ id: LIVE_ID, hashes: true, includeIgnored: true, files: 3 });
+        expect(diff.added.map(entry => entry.path)).toEqual(['dist/chunk.js']);
+        expect(diff.removed.map(entry => entry.path)).toEqual(['src/app.js']);
+        expect(diff.changed.map(entry => entry.path)).toEqual(['dist/bundle.js']);
+
+        const later = await store.create(root, { ignore, hashes: true, includeIgnored: true });
+        const stored = await store.compare(snapshot.id, later.id, { root, ignore });
+        expect(stored.to.id).toBe(later.id);
+        expect(stored.added).toEqual(diff.added);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, readFile, readdir, rm, stat, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Trash } from '../server/trash.js';
+
+describe('Trash', () => {
+    /** @type {string} */
+    let root;
+    /** @type {string} */
+    let trashDir;
+    /** @type {Trash} */
+    let trash;
+
+    const exists = path => stat(join(root, path)).then(() => true, () => false);
+
+    beforeEach(async () => {
+        root = await mkdtemp(join(tmpdir(), 'trash-'));
+        await mkdir(join(root, 'src'));
+        await writeFile(join(root, 'src', 'main.js'), 'main');
+        await writeFile(join(root, 'README.md'), 'readme');
+        trashDir = await mkdtemp(join(tmpdir(), 'trash-items-'));
+        trash = new Trash(root, trashDir);
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await rm(root, { recursive: true, force: true });
+        await rm(trashDir, { recursive: true, force: true });
+    });
+
+    test('records metadata for deleted entries', async () => {
+        const item = await trash.add(join(root, 'src', 'main.js'), 'alice');
+
+        expect(item).toMatchObject({
+            path: join('src', 'main.js'),
+            name: 'main.js',
+            type: 'file',
+            size: 4,
+            deletedBy: 'alice'
+        });
+        expect(Date.parse(item.deletedAt)).not.toBeNaN();
+        expect(await exists('src/main.js')).toBe(false);
+        expect(await trash.list()).toEqual([item]);
+        // Deleted entries are kept outside the project
+        expect(await readdir(root)).toEqual(['README.md', 'src']);
+    });
+
+    test('leaves no item behind when the entry cannot be moved', async () => {
+        // A directory cannot move into its own trash
+        const inside = new Trash(root, join(root, 'src', 'trash'));
+        await expect(inside.add(join(root, 'src'))).rejects.toMatchObject({ code: 'EINVAL' });
+
+        expect(await inside.list()).toEqual([]);
+        expect(await readdir(join(root, 'src', 'trash'))).toEqual([]);
+        expect(await exists('src/main.js')).toBe(true);
+    });
+
+    test('restores entries to their original path, recreating parents', async () => {
+        const file = await trash.add(join(root, 'src', 'main.js'));
+        const dir = await trash.add(join(root, 'src'));
+
+        await expect(trash.restore(file.id)).resolves.toEqual({ path: join('src', 'main.js') });
+        expect(await readFile(join(root, 'src', 'main.js'), 'utf8')).toBe('main');
+
+        // The directory's original path is taken again
+        await expect(trash.restore(dir.id)).rejects.toMatchObject({ status: 409 });
+        expect(await trash.list()).toHaveLength(1);
+    });
+
+    test('purges single items or everything', async () => {
+        const first = await trash.add(join(root, 'README.md'));
+        await trash.add(join(root, 'src'));
+
+        await expect(trash.purge(first.id)).resolves.toBe(1);
+        expect(await trash.list()).toHaveLength(1);
+
+        await expect(trash.purge()).resolves.toBe(1);
+        expect(await trash.list()).toEqual([]);
+        await expect(trash.restore(first.id)).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('applies the retention limits', async () => {
+        trash = new Trash(root, trashDir, { maxItems: 1 });
+        await trash.add(join(root, 'README.md'));
+        const newest = await trash.add(join(root, 'src'));
+
+        expect((await trash.list()).map(item => item.id)).toEqual([newest.id]);
+
+        // Two days later, with a one day retention period
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 2 * 24 * 60 * 60 * 1000);
+        trash = new Trash(root, trashDir, { retentionDays: 1 });
+        await expect(trash.prune()).resolves.toBe(1);
+        expect(await readdir(trashDir)).toEqual([]);
+    });
+
+    test('rejects item ids that are not plain names', async () => {
+        await expect(trash.restore('../src')).rejects.toMatchObject({ status: 400 });
+        await expect(trash.purge('')).rejects.toMatchObject({ status: 400 });
+        expect(await exists('src/main.js')).toBe(true);
+    });
+});
@@ -0,0 +1,327 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, rename, rm, symlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TreeCache } from '../server/tree-cache.js';
+
+describe('Tree Cache', () => {
+    /** @type {string} */
+    let root;
+    /** @type {TreeCache} */
+    let cache;
+
+    beforeEach(async () => {
+        root = await mkdtemp(join(tmpdir(), 'tree-cache-'));
+        await mkdir(join(root, 'src'));
+        await mkdir(join(root, 'node_modules'));
+        await writeFile(join(root, 'src', 'main.js'), 'main');
+        cache = new TreeCache(root);
+        await cache.ready();
+    });
+
+    afterEach(async () => {
+        await rm(root, { recursive: true, force: true });
+    });
+
+    /**
+     * Finds a top-level node of the cached tree by name
+     * @param {string} name - Entry name
+     */
+    function topLevel(name) {
+        return cache.snapshot().content.children.find(child => child.name === name);
+    }
+
+    test('builds the tree, marking ignored directories without scanning them', () => {
+        const { seq, content } = cache.snapshot();
+
+        expect(seq).toBe(0);
+        expect(content.path).toBe('/');
+        expect(content.children.map(child => child.name)).toEqual(['node_modules', 'src']);
+        expect(topLevel('node_modules')).toMatchObject({ ignored: true });
+        expect(topLevel('node_modules').children).toBeUndefined();
+        const main = topLevel('src').children[0];
+        expect(main).toEqual({
+            name: 'main.js',
+            path: 'src/main.js',
+            type: 'file',
+            size: 4,
+            disk: expect.any(Number),
+            mtime: expect.any(Number),
+            ctime: expect.any(Number),
+            // Not every file system records creation times
+            birthtime: main.birthtime === null ? null : expect.any(Number),
+            mode: expect.any(Number),
+            owner: expect.any(String),
+            group: expect.any(String),
+            ino: expect.any(Number),
+            nlink: 1
+        });
+    });
+
+    test('lists symbolic links as entries of their own without following them', async () => {
+        await symlink('src', join(root, 'link'));
+        await symlink('src/main.js', join(root, 'main'));
+        await symlink('missing', join(root, 'broken'));
+        await symlink('.', join(root, 'self'));
+        cache = new TreeCache(root);
+        await cache.ready();
+
+        expect(topLevel('link')).toMatchObject({ type: 'symlink', link: 'src', target: 'directory', size: 3 });
+        expect(topLevel('link').children).toBeUndefined();
+        expect(topLevel('main')).toMatchObject({ type: 'symlink', target: 'file' });
+        expect(topLevel('broken')).toMatchObject({ type: 'symlink', link: 'missing', target: null });
+        expect(topLevel('self')).toMatchObject({ type: 'symlink', target: 'directory' });
+        expect(topLevel('src').link).toBeUndefined();
+    });
+
+    test('follows links to directories when asked, stopping at cycles', async () => {
+        const outside = await mkdtemp(join(tmpdir(), 'tree-cache-outside-'));
+        await symlink('src', join(root, 'link'));
+        await symlink('..', join(root, 'src', 'parent'));
+        await symlink(outside, join(root, 'outside'));
+        cache = new TreeCache(root, { followLinks: true });
+        await cache.ready();
+
+        try {
+            const link = topLevel('link');
+            expect(link).toMatchObject({ type: 'symlink', followed: true });
+            expect(link.children.map(child => child.path).sort()).toEqual(['link/main.js', 'link/parent']);
+            expect(link.children.find(child => child.name === 'parent')).toMatchObject({ cycle: true });
+            expect(topLevel('src').children.find(child => child.name === 'parent')).toMatchObject({ cycle: true });
+            expect(topLevel('outside').followed).toBeUndefined();
+        } finally {
+            await rm(outside, { recursive: true, force: true });
+        }
+    });
+
+    test('loads the children of followed links on demand', async () => {
+        await symlink('src', join(root, 'link'));
+        cache = new TreeCache(root, { depth: 1, followLinks: true });
+        await cache.ready();
+
+        const page = await cache.loadChildren('link');
+        expect(page.children.map(child => child.path)).toEqual(['link/main.js']);
+    });
+
+    test('rescans links that point somewhere else', async () => {
+        await symlink('missing', join(root, 'link'));
+        cache = new TreeCache(root);
+        await cache.ready();
+
+        await rm(join(root, 'link'));
+        await symlink('src', join(root, 'link'));
+        const ops = await cache.refresh(['link']);
+
+        // The new link may reuse the inode of the old one, which makes it a rename
+        const op = ops.find(op => op.op === 'add' || op.op === 'rename');
+        expect(op.node).toMatchObject({ path: 'link', type: 'symlink', link: 'src', target: 'directory' });
+    });
+
+    test('rescans the whole project on request', async () => {
+        await writeFile(join(root, 'src', 'util.js'), 'util');
+
+        await cache.rebuild();
+        await cache.usage.ready();
+
+        expect(cache.seq).toBe(1);
+        expect(topLevel('src')).toMatchObject({ size: 8, files: 2 });
+        expect(topLevel('src').children.map(child => child.name).sort()).toEqual(['main.js', 'util.js']);
+    });
+
+    test('totals the files below directories, ignored ones included', async () => {
+        await mkdir(join(root, 'node_modules', 'pkg'));
+        await writeFile(join(root, 'node_modules', 'pkg', 'index.js'), 'module');
+        cache = new TreeCache(root);
+        await cache.ready();
+        await cache.usage.ready();
+
+        expect(topLevel('src')).toMatchObject({ size: 4, files: 1 });
+        expect(topLevel('node_modules')).toMatchObject({ size: 6, files: 1 });
+        expect(cache.snapshot().content).toMatchObject({ size: 10, files: 2 });
+    });
+
+    test('sends the tree before disk usage is scanned, then the totals as patches', async () => {
+        cache = new TreeCache(root);
+        // Hold the usage scan until the tree is out
+        let finishScan;
+        cache.usage.scanDirectory = path => new Promise(resolve => {
+            finishScan = () => {
+                delete cache.usage.scanDirectory;
+                resolve(cache.usage.scanDirectory(path));
+            };
+        });
+
+        await cache.ready();
+        expect(topLevel('src')).toMatchObject({ size: null });
+        expect(topLevel('src').files).toBeUndefined();
+        expect(topLevel('src').children).toHaveLength(1);
+        expect(cache.usageOps()).toEqual([]);
+
+        finishScan();
+        await cache.usage.ready();
+        const ops = cache.usageOps();
+        expect(ops).toEqual(expect.arrayContaining([
+            { op: 'modify', path: 'src', changes: { size: 4, disk: expect.any(Number), files: 1 } },
+            { op: 'modify', path: 'src/main.js', changes: { disk: expect.any(Number) } },
+            { op: 'modify', path: '/', changes: { size: 4, disk: expect.any(Number), files: 1 } }
+        ]));
+        expect(cache.seq).toBe(1);
+        expect(topLevel('src')).toMatchObject({ size: 4, files: 1 });
+    });
+
+    test('reports added files and directories', async () => {
+        await mkdir(join(root, 'docs'));
+        await writeFile(join(root, 'docs', 'guide.md'), 'guide');
+
+        const ops = await cache.refresh(['docs', 'docs/guide.md']);
+
+        expect(ops).toMatchObject([
+            { op: 'add', parent: '/', path: 'docs', node: { size: 5, files: 1 } },
+            { op: 'modify', path: '/', changes: { size: 9, files: 2 } }
+        ]);
+        expect(ops[0].node.children[0].path).toBe('docs/guide.md');
+        expect(cache.seq).toBe(1);
+    });
+
+    test('reports removed and modified files', async () => {
+        await writeFile(join(root, 'src', 'main.js'), 'main, but longer');
+        expect(await cache.refresh(['src/main.js'])).toEqual([
+            { op: 'modify', path: 'src/main.js', changes: expect.objectContaining({ size: 16, mtime: expect.any(Number) }) },
+            { op: 'modify', path: 'src', changes: { size: 16, disk: expect.any(Number), files: 1 } },
+            { op: 'modify', path: '/', changes: { size: 16, disk: expect.any(Number), files: 1 } }
+        ]);
+
+        await rm(join(root, 'src'), { recursive: true });
+        expect(await cache.refresh(['src'])).toEqual([
+            { op: 'remove', path: 'src' },
+            { op: 'modify', path: '/', changes: { size: 0, disk: 0, files: 0 } }
+        ]);
+        expect(topLevel('src')).toBeUndefined();
+        expect(cache.seq).toBe(2);
+    });
+
+    test('pairs removal and creation of the same inode into a rename', async () => {
+        await rename(join(root, 'src'), join(root, 'lib'));
+
+        const ops = await cache.refresh(['src', 'lib']);
+
+        expect(ops).toMatchObject([{ op: 'rename', from: 'src', to: 'lib', parent: '/' }]);
+        expect(ops[0].node.children[0].path).toBe('lib/main.js');
+        expect(cache.nodes.has('lib/main.js')).toBe(true);
+        expect(cache.nodes.has('src/main.js')).toBe(false);
+    });
+
+    test('picks up directory entries that had no event of their own', async () => {
+        await writeFile(join(root, 'src', 'extra.js'), '');
+
+        const ops = await cache.refresh(['src']);
+
+        // The directory's modification time changes along with its totals
+        expect(ops).toMatchObject([
+            { op: 'modify', path: 'src', changes: { mtime: expect.any(Number), files: 2 } },
+            { op: 'add', parent: 'src', path: 'src/extra.js' },
+            { op: 'modify', path: '/', changes: { files: 2 } }
+        ]);
+    });
+
+    test('ignores events inside ignored directories and unchanged paths', async () => {
+        expect(await cache.refresh(['node_modules/pkg/index.js', 'src/main.js'])).toEqual([]);
+        expect(cache.seq).toBe(0);
+    });
+
+    describe('Lazy loading', () => {
+        beforeEach(async () => {
+            await mkdir(join(root, 'src', 'deep'));
+            await writeFile(join(root, 'src', 'deep', 'file.txt'), '');
+            for (let i = 0; i < 5; i++) {
+                await writeFile(join(root, 'src', `file${i}.js`), '');
+            }
+        });
+
+        test('sends only the configured number of levels', async () => {
+            cache = new TreeCache(root, { depth: 1 });
+            await cache.ready();
+
+            const src = topLevel('src');
+            expect(src.path).toBe('src');
+            expect(src.children).toBeUndefined();
+            expect(cache.nodes.has('src/main.js')).toBe(false);
+        });
+
+        test('loads and pages directory children on demand', async () => {
+            cache = new TreeCache(root, { depth: 1, pageSize: 4 });
+            await cache.ready();
+
+            const first = await cache.loadChildren('src');
+            expect(first.total).toBe(7);
+            expect(first.children).toHaveLength(4);
+
+            const second = await cache.loadChildren('src', 4);
+            expect(second.offset).toBe(4);
+            expect(second.children).toHaveLength(3);
+
+            const deep = [...first.children, ...second.children].find(child => child.name === 'deep');
+            expect(deep.children).toBeUndefined();
+        });
+
+        test('ignores changes inside directories that were never loaded', async () => {
+            cache = new TreeCache(root, { depth: 1 });
+            await cache.ready();
+            await cache.usage.ready();
+
+            // Only the totals of the loaded directories change
+            await writeFile(join(root, 'src', 'new.js'), '');
+            const ops = await cache.refresh(['src/new.js']);
+            expect(ops.map(op => `${op.op} ${op.path}`)).toEqual(['modify src', 'modify /']);
+
+            await cache.loadChildren('src');
+            await writeFile(join(root, 'src', 'newer.js'), '');
+            expect((await cache.refresh(['src/newer.js']))[0]).toMatchObject({ op: 'add', path: 'src/newer.js' });
+        });
+
+        test('limits directory pages in the full structure', async () => {
+            cache = new TreeCache(root, { pageSize: 2 });
+            await cache.ready();
+
+            const src = topLevel('src');
+            expect(src.total).toBe(7);
+            expect(src.children).toHaveLength(2);
+        });
+    });
+
+    describe('Ignore rules', () => {
+        test('applies nested .gitignore files and the project ignore file', async () => {
+            await writeFile(join(root, '.gitignore'), '*.log\n');
+            await writeFile(join(root, 'src', '.gitignore'), '!keep.log\n');
+            await writeFile(join(root, '.wfmignore'), 'src/main.js\n');
+            await writeFile(join(root, 'src', 'keep.log'), '');
+            await writeFile(join(root, 'src', 'drop.log'), '');
+            await mkdir(join(root, '.git'));
+
+            cache = new TreeCache(root);
+            await cache.ready();
+
+            expect(topLevel('.git')).toBeUndefined();
+            const ignored = Object.fromEntries(topLevel('src').children.map(child => [child.name, Boolean(child.ignored)]));
+            expect(ignored).toEqual({ '.gitignore': false, 'drop.log': true, 'keep.log': false, 'main.js': true });
+        });
+
+        test('watches ignored entries only where their parent is shown', () => {
+            expect(cache.isWatched('src/main.js')).toBe(true);
+            expect(cache.isWatched('node_modules')).toBe(true);
+            expect(cache.isWatched('node_modules/pkg/index.js')).toBe(false);
+            expect(cache.isWatched('.git/HEAD')).toBe(false);
+        });
+
+        test('rebuilds the tree when an ignore file changes', async () => {
+            await writeFile(join(root, '.gitignore'), 'src/\n');
+
+            expect(await cache.refresh(['.gitignore'])).toBeNull();
+            expect(cache.seq).toBe(1);
+            expect(topLevel('src')).toMatchObject({ ignored: true });
+            expect(topLevel('src').children).toBeUndefined();
+        });
+    });
+});
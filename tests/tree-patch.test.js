@@ -0,0 +1,151 @@
+import * as d3 from 'd3';
+import { applyPatch, appendChildren, hasEntries, indexByPath, isPartial } from '../src/tree-patch.js';
+import { createMockHierarchy } from './utils/test-utils';
+
+/**
+ * Creates the hierarchy the patches are applied to
+ * @returns {Object} Root hierarchy node
+ */
+function createTree() {
+    return createMockHierarchy({
+        name: 'project',
+        path: '/',
+        type: 'directory',
+        children: [
+            {
+                name: 'src',
+                path: 'src',
+                type: 'directory',
+                children: [
+                    { name: 'main.js', path: 'src/main.js', type: 'file', size: 100 }
+                ]
+            },
+            { name: 'README.md', path: 'README.md', type: 'file', size: 10 }
+        ]
+    });
+}
+
+describe('Tree Patches', () => {
+    beforeEach(() => {
+        d3.hierarchy.mockImplementation(data => createMockHierarchy(data));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('adds a node under its parent', () => {
+        const root = createTree();
+        const node = { name: 'util.js', path: 'src/util.js', type: 'file', size: 5 };
+
+        expect(applyPatch(root, [{ op: 'add', parent: 'src', path: 'src/util.js', node }])).toBe(true);
+
+        const added = indexByPath(root).get('src/util.js');
+        expect(added.depth).toBe(2);
+        expect(added.parent.data.path).toBe('src');
+        expect(root.data.children[0].children).toContain(node);
+    });
+
+    test('removes a node and drops empty children arrays', () => {
+        const root = createTree();
+
+        applyPatch(root, [{ op: 'remove', path: 'src/main.js' }]);
+
+        const src = indexByPath(root).get('src');
+        expect(src.children).toBeUndefined();
+        expect(src.data.children).toHaveLength(0);
+        expect(indexByPath(root).has('src/main.js')).toBe(false);
+    });
+
+    test('modifies node data', () => {
+        const root = createTree();
+
+        applyPatch(root, [{ op: 'modify', path: 'README.md', changes: { size: 42 } }]);
+
+        expect(indexByPath(root).get('README.md').data.size).toBe(42);
+    });
+
+    test('renames a directory and rewrites descendant paths', () => {
+        const root = createTree();
+
+        applyPatch(root, [{ op: 'rename', from: 'src', to: 'lib', parent: '/' }]);
+
+        const index = indexByPath(root);
+        expect(index.get('lib').data.name).toBe('lib');
+        expect(index.get('lib/main.js').depth).toBe(2);
+        expect(index.has('src')).toBe(false);
+    });
+
+    test('moves a node to another directory', () => {
+        const root = createTree();
+
+        applyPatch(root, [{ op: 'rename', from: 'README.md', to: 'src/README.md', parent: 'src' }]);
+
+        const moved = indexByPath(root).get('src/README.md');
+        expect(moved.depth).toBe(2);
+        expect(root.children.map(d => d.data.name)).toEqual(['src']);
+    });
+
+    test('reports patches that refer to unknown nodes', () => {
+        const root = createTree();
+
+        expect(applyPatch(root, [{ op: 'remove', path: 'missing.txt' }])).toBe(false);
+        expect(applyPatch(root, [{ op: 'add', parent: 'missing', path: 'missing/a', node: {} }])).toBe(false);
+    });
+
+    test('skips operations below directories that are not loaded', () => {
+        const root = createTree();
+        root.data.children.push({ name: 'lazy', path: 'lazy', type: 'directory' });
+        root.children.push(createMockHierarchy(root.data.children[2], root));
+
+        expect(applyPatch(root, [
+            { op: 'add', parent: 'lazy', path: 'lazy/a.js', node: { name: 'a.js', path: 'lazy/a.js' } },
+            { op: 'remove', path: 'lazy/deeper/b.js' },
+            { op: 'modify', path: 'lazy/c.js', changes: { size: 1 } }
+        ])).toBe(true);
+        expect(indexByPath(root).has('lazy/a.js')).toBe(false);
+    });
+
+    test('turns renames with one unloaded side into adds and removes', () => {
+        const root = createTree();
+        root.data.children.push({ name: 'lazy', path: 'lazy', type: 'directory' });
+        root.children.push(createMockHierarchy(root.data.children[2], root));
+        const node = { name: 'moved.md', path: 'src/moved.md', type: 'file', size: 1 };
+
+        applyPatch(root, [{ op: 'rename', from: 'README.md', to: 'lazy/README.md', parent: 'lazy', node: {} }]);
+        applyPatch(root, [{ op: 'rename', from: 'lazy/moved.md', to: 'src/moved.md', parent: 'src', node }]);
+
+        const index = indexByPath(root);
+        expect(index.has('README.md')).toBe(false);
+        expect(index.get('src/moved.md').data).toBe(node);
+    });
+
+    test('appends pages of children and keeps totals', () => {
+        const root = createTree();
+        const src = indexByPath(root).get('src');
+        src.data.total = 3;
+
+        appendChildren(root, {
+            path: 'src',
+            total: 3,
+            children: [
+                { name: 'main.js', path: 'src/main.js', type: 'file', size: 200 },
+                { name: 'util.js', path: 'src/util.js', type: 'file', size: 5 }
+            ]
+        });
+
+        expect(src.children.map(d => d.data.name)).toEqual(['main.js', 'util.js']);
+        expect(src.data.children[0].size).toBe(200);
+        expect(src.data.total).toBe(3);
+        expect(appendChildren(root, { path: 'missing', total: 0, children: [] })).toBe(false);
+    });
+
+    test('treats followed links like directories', () => {
+        const link = { name: 'lib', path: 'lib', type: 'symlink', target: 'directory', followed: true };
+
+        expect(hasEntries(link)).toBe(true);
+        expect(isPartial(link)).toBe(true);
+        expect(hasEntries({ ...link, followed: undefined })).toBe(false);
+        expect(isPartial({ name: 'a.txt', path: 'a.txt', type: 'file' })).toBe(false);
+    });
+});
@@ -0,0 +1,82 @@
+import {
+    createComparator,
+    createNodeFilter,
+    DEFAULT_SETTINGS,
+    filterTree,
+    loadSettings,
+    parseExtensions,
+    parseSize,
+    saveSettings
+} from '../src/tree-settings.js';
+
+const day = date => new Date(`${date}T12:00`).getTime();
+
+const tree = {
+    name: 'project', path: '/', type: 'directory', children: [
+        { name: 'src', path: 'src', type: 'directory', children: [
+            { name: 'main.js', path: 'src/main.js', type: 'file', size: 2048, mtime: day('2024-03-02') },
+            { name: 'style.css', path: 'src/style.css', type: 'file', size: 100, mtime: day('2024-01-15') }
+        ] },
+        { name: 'docs', path: 'docs', type: 'directory', children: [
+            { name: 'guide.md', path: 'docs/guide.md', type: 'file', size: 500, mtime: day('2024-03-01') }
+        ] },
+        { name: 'node_modules', path: 'node_modules', type: 'directory', ignored: true },
+        { name: 'build', path: 'build', type: 'directory' },
+        { name: 'index.js', path: 'index.js', type: 'file', size: 10, mtime: day('2023-12-31') }
+    ]
+};
+
+const visible = (settings, isVisible) =>
+    [...filterTree(tree, createNodeFilter({ ...DEFAULT_SETTINGS, ...settings }), isVisible)];
+
+describe('Tree settings client', () => {
+    test('parses sizes and extensions', () => {
+        expect(parseSize('512')).toBe(512);
+        expect(parseSize('10kb')).toBe(10240);
+        expect(parseSize(' 1.5 MB ')).toBe(1.5 * 1024 * 1024);
+        expect(parseSize('')).toBeNull();
+        expect(parseSize('ten')).toBeNull();
+        expect(parseExtensions('js, .CSS  md')).toEqual(['.js', '.css', '.md']);
+        expect(parseExtensions('')).toEqual([]);
+    });
+
+    test('sets no filter by default', () => {
+        expect(createNodeFilter(DEFAULT_SETTINGS)).toBeNull();
+    });
+
+    test('keeps matches, their ancestors and unloaded folders', () => {
+        expect(visible({ extensions: 'js' })).toEqual(['/', 'src/main.js', 'src', 'node_modules', 'build', 'index.js']);
+        expect(visible({ extensions: 'js' }, data => !data.ignored)).toEqual(['/', 'src/main.js', 'src', 'build', 'index.js']);
+    });
+
+    test('filters by type, size and modification day', () => {
+        expect(visible({ type: 'directory' })).toEqual(['/', 'src', 'docs', 'node_modules', 'build']);
+        expect(visible({ type: 'file', minSize: '100', maxSize: '1kb' }))
+            .toEqual(['/', 'src/style.css', 'src', 'docs/guide.md', 'docs', 'node_modules', 'build']);
+        expect(visible({ type: 'file', from: '2024-01-01', to: '2024-03-01' }))
+            .toEqual(['/', 'src/style.css', 'src', 'docs/guide.md', 'docs', 'node_modules', 'build']);
+    });
+
+    test('lists folders first when asked', () => {
+        const nodes = [
+            { name: 'b.txt', type: 'file', size: 9 },
+            { name: 'a', type: 'directory', size: 1 },
+            { name: 'c', type: 'directory', size: 5 }
+        ];
+        const names = settings => [...nodes].sort(createComparator({ ...DEFAULT_SETTINGS, ...settings })).map(node => node.name);
+
+        expect(names({})).toEqual(['a', 'c', 'b.txt']);
+        expect(names({ sort: 'size' })).toEqual(['c', 'a', 'b.txt']);
+        expect(names({ sort: 'size', directoriesFirst: false })).toEqual(['b.txt', 'c', 'a']);
+    });
+
+    test('saves settings per project', () => {
+        saveSettings(localStorage, '/work/a', { ...DEFAULT_SETTINGS, sort: 'size', extensions: 'js' });
+
+        expect(loadSettings(localStorage, '/work/a')).toEqual({ ...DEFAULT_SETTINGS, sort: 'size', extensions: 'js' });
+        expect(loadSettings(localStorage, '/work/b')).toEqual(DEFAULT_SETTINGS);
+
+        localStorage.setItem('wfm:tree-settings:/work/c', '{not json');
+        expect(loadSettings(localStorage, '/work/c')).toEqual(DEFAULT_SETTINGS);
+    });
+});
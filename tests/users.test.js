@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, readFile, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { hashPassword, UserStore, verifyPassword } from '../server/users.js';
+
+describe('User Store', () => {
+    /** @type {string} */
+    let dir;
+    /** @type {UserStore} */
+    let users;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'users-'));
+        users = new UserStore(join(dir, 'users.json'));
+        await users.load();
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('hashes passwords with a salt', async () => {
+        const first = await hashPassword('secret');
+        const second = await hashPassword('secret');
+
+        expect(first).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+        expect(first).not.toBe(second);
+        await expect(verifyPassword('secret', first)).resolves.toBe(true);
+        await expect(verifyPassword('Secret', first)).resolves.toBe(false);
+        await expect(verifyPassword('secret', 'plain-text')).resolves.toBe(false);
+    });
+
+    test('authenticates users by password', async () => {
+        await users.setUser('alice', 'wonderland', 'read-write');
+
+        await expect(users.authenticate('alice', 'wonderland')).resolves.toEqual({ username: 'alice', role: 'read-write' });
+        await expect(users.authenticate('alice', 'looking-glass')).resolves.toBeNull();
+        await expect(users.authenticate('bob', 'wonderland')).resolves.toBeNull();
+        await expect(users.authenticate('constructor', undefined)).resolves.toBeNull();
+    });
+
+    test('authenticates access tokens and stores only their hashes', async () => {
+        await users.setUser('bob', 'builder');
+        const token = users.createToken('bob');
+        await users.save();
+
+        const saved = await readFile(users.file, 'utf8');
+        expect(saved).not.toContain(token);
+        expect(saved).not.toContain('builder');
+        expect((await stat(users.file)).mode & 0o777).toBe(0o600);
+
+        const reloaded = await new UserStore(users.file).load();
+        expect(reloaded.authenticateToken(token)).toEqual({ username: 'bob', role: 'read-only' });
+        expect(reloaded.authenticateToken(`${token}x`)).toBeNull();
+        expect(reloaded.authenticateToken('')).toBeNull();
+    });
+
+    test('validates users', async () => {
+        await expect(users.setUser('', 'pw')).rejects.toMatchObject({ status: 400 });
+        await expect(users.setUser('a b', 'pw')).rejects.toMatchObject({ status: 400 });
+        await expect(users.setUser('carol', 'pw', 'admin')).rejects.toMatchObject({ status: 400 });
+        await expect(users.setUser('carol', '')).rejects.toMatchObject({ status: 400 });
+        expect(() => users.createToken('nobody')).toThrow(expect.objectContaining({ status: 404 }));
+    });
+
+    test('removes users', async () => {
+        await users.setUser('dave', 'pw');
+
+        expect(users.removeUser('dave')).toBe(true);
+        expect(users.removeUser('dave')).toBe(false);
+        expect(users.list()).toEqual([]);
+    });
+});
@@ -195,3 +195,41 @@ export function updateTreeVisualization(fileSystem) {
     
     treeContainer.innerHTML = renderNode(fileSystem);
 }
+
+/**
+ * Builds a minimal stand-in for a d3 hierarchy node, covering the parts
+ * of the API the client code relies on
+ * @param {Object} data - Node data with optional children
+ * @param {Object | null} [parent=null] - Parent hierarchy node
+ * @returns {Object} Hierarchy node
+ */
+export function createMockHierarchy(data, parent = null) {
+    const node = {
+        data,
+        parent,
+        depth: parent ? parent.depth + 1 : 0,
+        descendants() {
+            const nodes = [];
+            this.eachBefore(d => nodes.push(d));
+            return nodes;
+        },
+        eachBefore(callback) {
+            const stack = [this];
+            while (stack.length) {
+                const current = stack.pop();
+                callback(current);
+                if (current.children) stack.push(...[...current.children].reverse());
+            }
+            return this;
+        },
+        links() {
+            return this.descendants().slice(1).map(d => ({ source: d.parent, target: d }));
+        }
+    };
+
+    if (data.children?.length) {
+        node.children = data.children.map(child => createMockHierarchy(child, node));
+    }
+
+    return node;
+}
@@ -0,0 +1,229 @@
+import * as d3 from 'd3';
+import { createRadialView } from '../src/views/radial.js';
+import { createSunburstView } from '../src/views/sunburst.js';
+import { createTreeView } from '../src/views/tree.js';
+import { createTreemapView } from '../src/views/treemap.js';
+
+// The views need the real d3; the setup file mocks it for the other client tests
+jest.mock('d3', () => jest.requireActual('../node_modules/d3/dist/d3.js'));
+
+/**
+ * Builds a fresh copy of the project structure, as every structure message brings one
+ * @param {Object[]} [extra=[]] - Further top-level entries
+ */
+function structure(extra = []) {
+    return {
+        name: 'project', path: '/', type: 'directory', children: [
+            { name: 'src', path: 'src', type: 'directory', size: 400, children: [
+                { name: 'main.js', path: 'src/main.js', type: 'file', size: 300 },
+                { name: 'util.js', path: 'src/util.js', type: 'file', size: 100 }
+            ] },
+            { name: 'vendor', path: 'vendor', type: 'directory', files: 2 },
+            { name: 'README.md', path: 'README.md', type: 'file', size: 100 },
+            ...extra
+        ]
+    };
+}
+
+/**
+ * Lists the paths of the drawn elements of a view
+ * @param {string} selector - Selector of the elements
+ */
+function drawn(selector) {
+    return [...document.querySelectorAll(selector)].map(element => d3.select(element).datum().data.path).sort();
+}
+
+/**
+ * Finds the drawn element of an entry
+ * @param {string} selector - Selector of the view's elements
+ * @param {string} path - Entry path
+ */
+function elementOf(selector, path) {
+    return [...document.querySelectorAll(selector)].find(element => d3.select(element).datum().data.path === path);
+}
+
+/**
+ * Waits for the views' transitions to end
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 600));
+}
+
+// jsdom lays nothing out and has no SVG lengths or transform lists, which the
+// views' sizes, d3's zoom and transitions of transforms read
+const svgProperties = {
+    getBoundingClientRect: { value: () => ({ width: 800, height: 600 }) },
+    width: { get: () => ({ baseVal: { value: 800 } }) },
+    height: { get: () => ({ baseVal: { value: 600 } }) },
+    transform: { get: () => ({ baseVal: { consolidate: () => null } }) }
+};
+
+beforeAll(() => {
+    for (const [name, descriptor] of Object.entries(svgProperties)) {
+        Object.defineProperty(SVGElement.prototype, name, { ...descriptor, configurable: true });
+    }
+});
+
+afterAll(() => {
+    for (const name of Object.keys(svgProperties)) delete SVGElement.prototype[name];
+});
+
+beforeEach(() => {
+    document.body.innerHTML = '<div id="view"></div>';
+});
+
+describe('Tree view', () => {
+    const label = data => data.name;
+
+    test('leaves out the children of collapsed directories and marks them', () => {
+        const view = createTreeView('#view', { onClick: jest.fn(), label });
+        view.render(d3.hierarchy(structure()), new Set(['src']));
+
+        expect(drawn('.node')).toEqual(['/', 'README.md', 'src', 'vendor']);
+        // Collapsed by the user, and not loaded yet
+        expect(drawn('.node.collapsed')).toEqual(['src', 'vendor']);
+        expect(document.querySelectorAll('.link')).toHaveLength(3);
+    });
+
+    test('keeps collapse state and zoom across structure updates', async () => {
+        const onClick = jest.fn();
+        const view = createTreeView('#view', { onClick, label });
+        const collapsed = new Set();
+        view.render(d3.hierarchy(structure()), collapsed);
+        await settle();
+        expect(d3.zoomTransform(view.element)).not.toEqual(d3.zoomIdentity);
+
+        // The user collapses a directory and zooms in
+        elementOf('.node', 'src').dispatchEvent(new MouseEvent('click'));
+        expect(onClick).toHaveBeenCalledWith(expect.objectContaining({ path: 'src' }));
+        collapsed.add('src');
+        const zoomed = d3.zoomIdentity.translate(40, 30).scale(2);
+        d3.select(view.element).call(d3.zoom().transform, zoomed);
+
+        // A new structure arrives with an added file
+        view.render(d3.hierarchy(structure([{ name: 'new.txt', path: 'new.txt', type: 'file', size: 5 }])), collapsed);
+        await settle();
+
+        expect(drawn('.node')).toEqual(['/', 'README.md', 'new.txt', 'src', 'vendor']);
+        expect(drawn('.node.collapsed')).toEqual(['src', 'vendor']);
+        expect(d3.zoomTransform(view.element)).toEqual(zoomed);
+
+        // Fitting again is up to the user
+        view.fit();
+        await settle();
+        expect(d3.zoomTransform(view.element)).not.toEqual(zoomed);
+    });
+});
+
+describe('Treemap view', () => {
+    /**
+     * Returns the area of an entry's cell
+     * @param {string} path - Entry path
+     */
+    const area = path => {
+        const rect = elementOf('.cell', path).querySelector('rect');
+        return rect.getAttribute('width') * rect.getAttribute('height');
+    };
+
+    test('gives files areas by size, whatever is collapsed', () => {
+        const onClick = jest.fn();
+        const view = createTreemapView('#view', { onClick, formatSize: size => `${size} B` });
+        view.render(d3.hierarchy(structure()), new Set(['src']));
+
+        // Nothing of size zero is drawn
+        expect(drawn('.cell')).toEqual(['/', 'README.md', 'src', 'src/main.js', 'src/util.js']);
+        expect(drawn('.cell.directory')).toEqual(['/', 'src']);
+        expect(area('src/main.js') / area('src/util.js')).toBeCloseTo(3, 0);
+        expect(elementOf('.cell', '/').querySelector('rect').getAttribute('width')).toBe('800');
+        expect(elementOf('.cell', 'src').querySelector('title').textContent).toBe('src\n400 B');
+
+        elementOf('.cell', 'README.md').dispatchEvent(new MouseEvent('click'));
+        expect(onClick).toHaveBeenCalledWith(expect.objectContaining({ path: 'README.md' }));
+        view.highlight('README.md');
+        view.mark('search-match', new Set(['src/util.js']));
+        expect(drawn('.cell.selected')).toEqual(['README.md']);
+        expect(drawn('.cell.search-match')).toEqual(['src/util.js']);
+    });
+
+    test('follows structure updates', () => {
+        const view = createTreemapView('#view', { onClick: jest.fn(), formatSize: String });
+        view.render(d3.hierarchy(structure()), new Set());
+        view.render(d3.hierarchy({ ...structure(), children: structure().children.slice(1) }), new Set());
+
+        expect(drawn('.cell')).toEqual(['/', 'README.md']);
+    });
+});
+
+describe('Sunburst view', () => {
+    /**
+     * Returns the angle an entry's segment covers while nothing is zoomed into
+     * @param {string} path - Entry path
+     */
+    const angle = path => {
+        const d = d3.select(elementOf('.segment', path)).datum();
+        return d.x1 - d.x0;
+    };
+    const zoomed = () => document.querySelector('.sunburst-center').classList.contains('zoomed');
+
+    test('gives entries angles by size around the project', () => {
+        const view = createSunburstView('#view', { onClick: jest.fn(), formatSize: String });
+        view.render(d3.hierarchy(structure()), new Set(['src']));
+
+        expect(drawn('.segment')).toEqual(['README.md', 'src', 'src/main.js', 'src/util.js', 'vendor']);
+        expect(angle('src')).toBeCloseTo(2 * Math.PI * 0.8);
+        expect(angle('src/main.js')).toBeCloseTo(angle('src/util.js') * 3);
+        expect(angle('vendor')).toBe(0);
+        expect(zoomed()).toBe(false);
+    });
+
+    test('stays zoomed into a directory across structure updates while it exists', () => {
+        const onClick = jest.fn();
+        const view = createSunburstView('#view', { onClick, formatSize: String });
+        view.render(d3.hierarchy(structure()), new Set());
+
+        elementOf('.segment', 'src').dispatchEvent(new MouseEvent('click'));
+        expect(onClick).toHaveBeenCalledWith(expect.objectContaining({ path: 'src' }));
+        expect(zoomed()).toBe(true);
+
+        view.render(d3.hierarchy(structure([{ name: 'new.txt', path: 'new.txt', type: 'file', size: 5 }])), new Set());
+        expect(zoomed()).toBe(true);
+        // The directory fills the whole circle
+        const current = d3.select(elementOf('.segment', 'src')).datum().current;
+        expect(current.x1 - current.x0).toBeCloseTo(2 * Math.PI);
+
+        // Zooming into a directory that goes away falls back to its parent
+        view.render(d3.hierarchy({ ...structure(), children: structure().children.slice(1) }), new Set());
+        expect(zoomed()).toBe(false);
+
+        view.focus('src/main.js');
+        expect(zoomed()).toBe(false);
+        view.render(d3.hierarchy(structure()), new Set());
+        view.focus('src/main.js');
+        expect(zoomed()).toBe(true);
+        document.querySelector('.sunburst-center').dispatchEvent(new MouseEvent('click'));
+        expect(zoomed()).toBe(false);
+    });
+});
+
+describe('Radial view', () => {
+    const radius = path => Number(elementOf('.node', path).querySelector('circle').getAttribute('r'));
+
+    test('scales nodes by the size below them and leaves out collapsed children', () => {
+        const view = createRadialView('#view', { onClick: jest.fn(), label: data => data.name, formatSize: String });
+        view.render(d3.hierarchy(structure()), new Set(['src']));
+
+        expect(drawn('.node')).toEqual(['/', 'README.md', 'src', 'vendor']);
+        expect(drawn('.node.collapsed')).toEqual(['src', 'vendor']);
+        expect(radius('/')).toBe(18);
+        expect(radius('src')).toBeGreaterThan(radius('README.md'));
+        expect(radius('vendor')).toBe(3);
+        expect(elementOf('.node', 'README.md').querySelector('text').textContent).toBe('README.md');
+
+        // Expanding draws the children on the next ring
+        view.render(d3.hierarchy(structure()), new Set());
+        expect(drawn('.node')).toEqual(['/', 'README.md', 'src', 'src/main.js', 'src/util.js', 'vendor']);
+        expect(document.querySelectorAll('.link')).toHaveLength(5);
+        const ring = path => d3.select(elementOf('.node', path)).datum().y;
+        expect(ring('src/main.js')).toBe(2 * ring('src'));
+    });
+});
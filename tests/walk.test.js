@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, rm, symlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { walkFiles } from '../server/walk.js';
+import { IgnoreRules } from '../server/ignore.js';
+
+describe('walkFiles', () => {
+    /** @type {string} */
+    let root;
+    /** @type {IgnoreRules} */
+    let ignore;
+
+    beforeEach(async () => {
+        root = await mkdtemp(join(tmpdir(), 'walk-'));
+        await mkdir(join(root, 'src', 'lib'), { recursive: true });
+        await mkdir(join(root, 'node_modules'));
+        await mkdir(join(root, '.git'));
+        await writeFile(join(root, 'b.txt'), '');
+        await writeFile(join(root, 'a.txt'), '');
+        await writeFile(join(root, 'src', 'lib', 'util.js'), '');
+        await writeFile(join(root, 'node_modules', 'dep.js'), '');
+        await writeFile(join(root, '.git', 'HEAD'), '');
+        await symlink(join(root, 'src'), join(root, 'link'));
+        ignore = new IgnoreRules(root);
+        await ignore.load();
+    });
+
+    afterEach(async () => {
+        await rm(root, { recursive: true, force: true });
+    });
+
+    /**
+     * Walks the test project and collects the visited paths
+     * @param {Object} [options] - Walk options
+     */
+    async function walk(options = {}) {
+        const paths = [];
+        await walkFiles(root, { ignore, ...options }, path => paths.push(path));
+        return paths;
+    }
+
+    test('visits files in name order, leaving out ignored entries and links', async () => {
+        expect(await walk()).toEqual(['a.txt', 'b.txt', 'src/lib/util.js']);
+    });
+
+    test('enters ignored directories when asked, never excluded ones', async () => {
+        expect(await walk({ includeIgnored: true })).toEqual(['a.txt', 'b.txt', 'node_modules/dep.js', 'src/lib/util.js']);
+    });
+
+    test('skips entries the caller rejects and stops when asked', async () => {
+        expect(await walk({ skip: (path, isDirectory) => isDirectory })).toEqual(['a.txt', 'b.txt']);
+
+        const paths = [];
+        await walkFiles(root, { ignore, stopped: () => paths.length > 0 }, path => paths.push(path));
+        expect(paths).toEqual(['a.txt']);
+    });
+
+    test('visits directories before their contents when asked', async () => {
+        const visited = [];
+        await walkFiles(root, { ignore, directories: true }, (path, isDirectory) => visited.push([path, isDirectory]));
+        expect(visited).toEqual([
+            ['a.txt', false],
+            ['b.txt', false],
+            ['src', true],
+            ['src/lib', true],
+            ['src/lib/util.js', false]
+        ]);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createBatcher, diffSnapshots, ProjectWatcher, snapshotTree } from '../server/watcher.js';
+
+/**
+ * Waits until a condition holds
+ * @param {() => boolean} condition - Checked every few milliseconds
+ * @param {number} [timeout=3000] - Milliseconds before giving up
+ */
+async function waitFor(condition, timeout = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('Watcher batches', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('coalesces paths until events stop', () => {
+        const onFlush = jest.fn();
+        const batcher = createBatcher({ delay: 100, maxDelay: 1000, onFlush });
+
+        batcher.add('a.js');
+        jest.advanceTimersByTime(50);
+        batcher.add('a.js');
+        batcher.add('b.js');
+        jest.advanceTimersByTime(99);
+        expect(onFlush).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        expect(onFlush).toHaveBeenCalledTimes(1);
+        expect([...onFlush.mock.calls[0][0]]).toEqual(['a.js', 'b.js']);
+    });
+
+    test('hands over batches of a steady stream after the longest delay', () => {
+        const onFlush = jest.fn();
+        const batcher = createBatcher({ delay: 100, maxDelay: 300, onFlush });
+
+        for (let i = 0; i < 10; i++) {
+            batcher.add(`file${i}`);
+            jest.advanceTimersByTime(50);
+        }
+
+        expect(onFlush).toHaveBeenCalledTimes(1);
+        expect(onFlush.mock.calls[0][0].size).toBe(6);
+    });
+
+    test('drops pending paths when cancelled', () => {
+        const onFlush = jest.fn();
+        const batcher = createBatcher({ delay: 100, maxDelay: 300, onFlush });
+
+        batcher.add('a.js');
+        batcher.cancel();
+        jest.advanceTimersByTime(1000);
+        expect(onFlush).not.toHaveBeenCalled();
+    });
+});
+
+describe('Project watcher', () => {
+    /** @type {string} */
+    let root;
+    /** @type {ProjectWatcher} */
+    let watcher;
+
+    beforeEach(async () => {
+        root = await mkdtemp(join(tmpdir(), 'watcher-'));
+        await mkdir(join(root, 'src'));
+        await mkdir(join(root, '.git'));
+        await writeFile(join(root, 'src', 'main.js'), 'main');
+    });
+
+    afterEach(async () => {
+        watcher?.close();
+        watcher = null;
+        await rm(root, { recursive: true, force: true });
+    });
+
+    test('compares snapshots of the tree', async () => {
+        const before = await snapshotTree(root, path => path === '.git');
+        expect([...before.keys()].sort()).toEqual(['src', 'src/main.js']);
+
+        await writeFile(join(root, 'src', 'main.js'), 'changed main');
+        await writeFile(join(root, 'README.md'), 'readme');
+        await rm(join(root, 'src', 'main.js'));
+        const after = await snapshotTree(root, path => path === '.git');
+
+        expect(diffSnapshots(before, after).sort()).toEqual(['README.md', 'src', 'src/main.js']);
+    });
+
+    test('keeps shallow directories without what is below them', async () => {
+        await mkdir(join(root, 'node_modules', 'pkg'), { recursive: true });
+        await writeFile(join(root, 'node_modules', 'pkg', 'index.js'), 'module');
+
+        const snapshot = await snapshotTree(root, path => path === '.git', path => path === 'node_modules');
+        expect([...snapshot.keys()].sort()).toEqual(['node_modules', 'src', 'src/main.js']);
+    });
+
+    test('reports changes by polling', async () => {
+        const batches = [];
+        watcher = new ProjectWatcher(root, { mode: 'poll', pollInterval: 20, delay: 10, onChanges: paths => batches.push(paths) });
+        watcher.start();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        await writeFile(join(root, 'src', 'util.js'), 'util');
+        await waitFor(() => batches.some(batch => batch.has('src/util.js')));
+        expect(watcher.status).toEqual({ mode: 'poll', warning: null });
+    });
+
+    test('reports native events with forward slashes', async () => {
+        const batches = [];
+        watcher = new ProjectWatcher(root, { mode: 'native', delay: 10, onChanges: paths => batches.push(paths) });
+        watcher.start();
+
+        await writeFile(join(root, 'src', 'util.js'), 'util');
+        await waitFor(() => batches.some(batch => batch.has('src/util.js')));
+    });
+
+    test('falls back to polling when the system runs out of watches', async () => {
+        const onStatus = jest.fn();
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        watcher = new ProjectWatcher(root, { pollInterval: 5000, onChanges: () => {}, onStatus });
+        watcher.start();
+
+        watcher.handleError(Object.assign(new Error('System limit reached'), { code: 'ENOSPC' }));
+
+        expect(watcher.status.mode).toBe('poll');
+        expect(watcher.status.warning).toMatch(/max_user_watches.*every 5 s/);
+        expect(onStatus).toHaveBeenCalledWith(watcher.status);
+        expect(watcher.native).toBeNull();
+        error.mockRestore();
+    });
+
+    test('only warns when native watching was asked for', () => {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        watcher = new ProjectWatcher(root, { mode: 'native', onChanges: () => {} });
+        watcher.start();
+
+        watcher.handleError(Object.assign(new Error('Too many open files'), { code: 'EMFILE' }));
+
+        expect(watcher.status.mode).toBe('native');
+        expect(watcher.status.warning).toMatch(/some changes may not show up/);
+        error.mockRestore();
+    });
+});
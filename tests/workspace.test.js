@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { rootNames, Workspace, WorkspaceStore } from '../server/workspace.js';
+
+describe('Workspaces', () => {
+    const single = new Workspace(['/work/app']);
+    const multi = new Workspace(['/work/app', '/work/docs']);
+    const [app, docs] = multi.roots;
+
+    test('names folders after their directories', () => {
+        expect(rootNames(['/work/app', '/old/app', '/'])).toEqual(['app', 'app (2)', 'root']);
+        expect(() => new Workspace([])).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('labels workspaces by name, folder names or their only directory', () => {
+        expect(single.label).toBe('/work/app');
+        expect(multi.label).toBe('app + docs');
+        expect(new Workspace(['/work/app', '/work/docs'], 'Site').label).toBe('Site');
+        expect(new Workspace(['/work/app'], 'Site').key).toBe(single.key);
+        expect(multi.key).not.toBe(single.key);
+    });
+
+    test('keeps paths of a single folder as they are', () => {
+        expect(single.locate('src/main.js')).toEqual({ root: single.roots[0], path: 'src/main.js' });
+        expect(single.outward(single.roots[0], 'src')).toBe('src');
+        expect(single.prefixOf(single.roots[0])).toBe('');
+    });
+
+    test('locates workspace paths in their folder', () => {
+        expect(multi.locate('docs/guide.md')).toEqual({ root: docs, path: 'guide.md' });
+        expect(multi.locate('app')).toEqual({ root: app, path: '/' });
+        expect(multi.outward(docs, 'guide.md')).toBe('docs/guide.md');
+        expect(multi.outward(app, '/')).toBe('app');
+        expect(multi.rootAt('/work/docs')).toBe(docs);
+        expect(multi.rootAt('/work')).toBeUndefined();
+        expect(() => multi.locate('/')).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => multi.locate('other/file')).toThrow(expect.objectContaining({ status: 404 }));
+    });
+
+    test('keeps file operations within one folder', () => {
+        expect(multi.locateOperation({ path: 'app/a.txt', destination: 'app/src' }))
+            .toEqual({ root: app, args: { path: 'a.txt', destination: 'src' } });
+        expect(() => multi.locateOperation({ path: 'app/a.txt', destination: 'docs' }))
+            .toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('shows the folders as top-level entries', () => {
+        const tree = root => ({
+            name: root, path: '/', type: 'directory', size: 10, disk: 4096, files: 1,
+            children: [{ name: 'a.txt', path: 'a.txt', type: 'file', size: 10 }]
+        });
+        const combined = multi.combineTrees([tree('app'), tree('docs')]);
+
+        expect(combined).toMatchObject({ name: 'app + docs', path: '/', size: 20, disk: 8192, files: 2, total: 2 });
+        expect(combined.children.map(child => [child.name, child.path])).toEqual([['app', 'app'], ['docs', 'docs']]);
+        expect(combined.children[1].children[0].path).toBe('docs/a.txt');
+    });
+
+    test('combines git status, watchers and disk usage', () => {
+        const git = {
+            branch: 'main', upstream: null, ahead: 0, behind: 0,
+            files: { 'a.txt': 'modified' }, directories: { '/': 'modified' }
+        };
+        expect(multi.combineGit([git, null])).toMatchObject({
+            files: { 'app/a.txt': 'modified' },
+            directories: { app: 'modified', '/': 'modified' },
+            roots: [{ name: 'app', branch: 'main' }]
+        });
+        expect(multi.combineGit([null, null])).toBeNull();
+
+        expect(multi.combineWatchers([{ mode: 'native', warning: null }, { mode: 'poll', warning: 'Too many files' }]))
+            .toEqual({ mode: 'poll', warning: 'docs: Too many files' });
+
+        const report = size => ({
+            total: { size, disk: 4096, files: 1 },
+            largestFiles: [{ path: 'a.txt', size }],
+            largestDirectories: [],
+            extensions: [{ extension: '.txt', files: 1, size, disk: 4096 }]
+        });
+        expect(multi.combineUsage([report(5), report(7)], 1)).toEqual({
+            total: { size: 12, disk: 8192, files: 2 },
+            largestFiles: [{ path: 'docs/a.txt', size: 7 }],
+            largestDirectories: [],
+            extensions: [{ extension: '.txt', files: 2, size: 12, disk: 8192 }]
+        });
+    });
+});
+
+describe('Workspace store', () => {
+    /** @type {string} */
+    let dir;
+    /** @type {WorkspaceStore} */
+    let store;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'workspaces-'));
+        store = new WorkspaceStore(join(dir, 'workspaces'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('saves, lists and deletes workspaces by name', async () => {
+        expect(await store.list()).toEqual([]);
+        await store.save(' Site ', ['/work/app', '/work/docs']);
+        await store.save('api/v2', ['/work/api']);
+
+        expect((await store.list()).map(workspace => workspace.name)).toEqual(['api/v2', 'Site']);
+        expect(await store.get('Site')).toMatchObject({ name: 'Site', roots: ['/work/app', '/work/docs'] });
+        expect(await readdir(join(dir, 'workspaces'))).toHaveLength(2);
+
+        await store.remove('api/v2');
+        expect((await store.list()).map(workspace => workspace.name)).toEqual(['Site']);
+        await expect(store.remove('api/v2')).rejects.toMatchObject({ status: 404 });
+        await expect(store.get('missing')).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('rejects empty and overlong names', async () => {
+        await expect(store.save('  ', ['/work/app'])).rejects.toMatchObject({ status: 400 });
+        await expect(store.save('x'.repeat(101), ['/work/app'])).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('keeps names of any characters up to the longest allowed', async () => {
+        // Far longer than a file name may be once percent-encoded
+        const name = '名'.repeat(100);
+        await store.save(name, ['/work/app']);
+
+        expect(await store.get(name)).toMatchObject({ name, roots: ['/work/app'] });
+        expect((await store.list()).map(workspace => workspace.name)).toEqual([name]);
+        await store.remove(name);
+        expect(await store.list()).toEqual([]);
+    });
+});
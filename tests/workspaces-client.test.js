@@ -0,0 +1,46 @@
+import { showSavedWorkspaces, showWorkspaceRoots } from '../src/workspaces.js';
+
+describe('Workspaces client', () => {
+    const now = Date.UTC(2024, 0, 10);
+    const roots = [
+        { name: 'app', path: '/work/app' },
+        { name: 'docs', path: '/work/docs' }
+    ];
+
+    test('lists the folders of the workspace, removable while there are several', () => {
+        const list = document.createElement('ul');
+        const onRemove = jest.fn();
+        showWorkspaceRoots(list, roots, { onRemove });
+
+        const items = list.querySelectorAll('.workspace-root');
+        expect([...items].map(item => item.querySelector('.recent-detail').textContent)).toEqual(['/work/app', '/work/docs']);
+        items[1].querySelector('.recent-action').click();
+        expect(onRemove).toHaveBeenCalledWith(roots[1]);
+
+        showWorkspaceRoots(list, roots.slice(0, 1), { onRemove });
+        expect(list.querySelector('.recent-action')).toBeNull();
+    });
+
+    test('opens saved workspaces and deletes them without opening', () => {
+        const saved = [{ name: 'Site', roots: ['/work/app', '/work/docs'], savedAt: now - 2 * 60 * 60 * 1000 }];
+        const list = document.createElement('ul');
+        const actions = { onOpen: jest.fn(), onRemove: jest.fn() };
+        showSavedWorkspaces(list, saved, actions, now);
+
+        const item = list.querySelector('.saved-workspace');
+        expect(item.querySelector('.recent-name').textContent).toBe('Site');
+        expect(item.querySelector('.recent-detail').textContent).toBe('2 folders · saved 2 hours ago');
+
+        item.querySelector('.recent-action').click();
+        expect(actions.onRemove).toHaveBeenCalledWith(saved[0]);
+        expect(actions.onOpen).not.toHaveBeenCalled();
+        item.click();
+        expect(actions.onOpen).toHaveBeenCalledWith(saved[0]);
+    });
+
+    test('says when no workspace was saved', () => {
+        const list = document.createElement('ul');
+        showSavedWorkspaces(list, [], {}, now);
+        expect(list.textContent).toBe('No saved workspaces');
+    });
+});